@@ -0,0 +1,218 @@
+import React, { useState } from 'react';
+import { StyleSheet, Text, View, TextInput, TouchableOpacity, ScrollView, Platform, Alert } from 'react-native';
+import { Colors } from '@/constants/theme';
+import { router, Link } from 'expo-router';
+import { Ionicons } from '@expo/vector-icons';
+import { API_BASE } from '@/utils/session';
+import { getErrorMessage } from '@/utils/apiError';
+
+type Step = 'request' | 'reset';
+
+export default function ForgotPasswordScreen() {
+  const [step, setStep] = useState<Step>('request');
+  const [state, setState] = useState({ email: '', code: '', password: '', confirmPassword: '' });
+  const [showPassword, setShowPassword] = useState(false);
+  const [submitting, setSubmitting] = useState(false);
+
+  const post = async (path: string, body: Record<string, unknown>) => {
+    const res = await fetch(`${API_BASE}${path}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+    });
+    const data = await res.json().catch(() => ({} as any));
+    return { res, data };
+  };
+
+  const handleRequestCode = async () => {
+    const re = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+    if (!state.email || !re.test(state.email.toLowerCase())) {
+      Alert.alert('Error', 'Email is invalid');
+      return;
+    }
+    try {
+      setSubmitting(true);
+      const { res, data } = await post('api/auth/password/forgot', { email: state.email });
+      if (!res.ok) {
+        Alert.alert('Error', getErrorMessage(data, 'Failed to send reset code'));
+        return;
+      }
+      setStep('reset');
+    } catch (e: any) {
+      Alert.alert('Error', e?.message || 'Network error');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleReset = async () => {
+    if (!/^\d{6}$/.test(state.code.trim())) {
+      Alert.alert('Error', 'Enter the 6-digit code from your email');
+      return;
+    }
+    if (state.password.length < 6) {
+      Alert.alert('Error', 'Password must contain at least 6 characters');
+      return;
+    }
+    if (state.password !== state.confirmPassword) {
+      Alert.alert('Error', 'Passwords do not match');
+      return;
+    }
+    try {
+      setSubmitting(true);
+      const { res, data } = await post('api/auth/password/reset', {
+        email: state.email,
+        code: state.code.trim(),
+        password: state.password,
+      });
+      if (!res.ok) {
+        Alert.alert('Error', getErrorMessage(data, 'Failed to reset password'));
+        return;
+      }
+      Alert.alert('Password updated', 'You can now log in with your new password.');
+      router.replace('/(auth)/login');
+    } catch (e: any) {
+      Alert.alert('Error', e?.message || 'Network error');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <ScrollView style={{ flex: 1, backgroundColor: Colors.white }}>
+      <View style={styles.formContainer}>
+        <Text style={styles.headerText}>Reset Password</Text>
+
+        {step === 'request' ? (
+          <>
+            <Text style={styles.helperText}>
+              Enter the email you signed up with and we&apos;ll send you a 6-digit code.
+            </Text>
+            <TextInput
+              style={styles.textInput}
+              placeholder="Email"
+              value={state.email}
+              onChangeText={(text) => setState({ ...state, email: text })}
+              keyboardType="email-address"
+              autoCapitalize="none"
+              autoCorrect={false}
+            />
+            <TouchableOpacity onPress={handleRequestCode} disabled={submitting}>
+              <View style={[styles.submitButton, submitting && styles.disabled]}>
+                <Text style={styles.submitText}>Send code</Text>
+              </View>
+            </TouchableOpacity>
+          </>
+        ) : (
+          <>
+            <Text style={styles.helperText}>
+              If {state.email} is registered, a code is on its way. It expires in 15 minutes.
+            </Text>
+            <TextInput
+              style={styles.textInput}
+              placeholder="6-digit code"
+              value={state.code}
+              onChangeText={(text) => setState({ ...state, code: text })}
+              keyboardType="number-pad"
+              maxLength={6}
+            />
+            <View style={styles.inputWrapper}>
+              <TextInput
+                style={styles.textInput}
+                placeholder="New password"
+                value={state.password}
+                onChangeText={(text) => setState({ ...state, password: text })}
+                secureTextEntry={!showPassword}
+              />
+              <TouchableOpacity onPress={() => setShowPassword((prev) => !prev)} style={styles.iconButton}>
+                <Ionicons
+                  name={showPassword ? 'eye-off-outline' : 'eye-outline'}
+                  size={22}
+                  color={Colors.secondary}
+                />
+              </TouchableOpacity>
+            </View>
+            <TextInput
+              style={styles.textInput}
+              placeholder="Confirm new password"
+              value={state.confirmPassword}
+              onChangeText={(text) => setState({ ...state, confirmPassword: text })}
+              secureTextEntry={!showPassword}
+            />
+            <TouchableOpacity onPress={handleReset} disabled={submitting}>
+              <View style={[styles.submitButton, submitting && styles.disabled]}>
+                <Text style={styles.submitText}>Reset</Text>
+              </View>
+            </TouchableOpacity>
+            <TouchableOpacity onPress={handleRequestCode} disabled={submitting}>
+              <Text style={styles.switchText}>Didn&apos;t get a code? Send again</Text>
+            </TouchableOpacity>
+          </>
+        )}
+
+        <Link href="/(auth)/login" style={styles.switchText}>
+          Back to login
+        </Link>
+      </View>
+    </ScrollView>
+  );
+}
+
+const styles = StyleSheet.create({
+  formContainer: {
+    backgroundColor: Colors.white,
+    flex: 1,
+    paddingTop: 60,
+    paddingBottom: 20,
+  },
+  helperText: {
+    color: Colors.black,
+    fontSize: 14,
+    marginHorizontal: 15,
+    marginBottom: 6,
+    textAlign: 'center',
+  },
+  textInput: {
+    backgroundColor: Colors.accent,
+    margin: 10,
+    height: 40,
+    borderRadius: 30,
+    paddingLeft: 15,
+    paddingRight: 45, // add space for icon
+    color: Colors.black,
+    ...Platform.select({
+      android: { elevation: 1 },
+      ios: { shadowColor: '#000', shadowOffset: { width: 0, height: 1 }, shadowOpacity: 0.2 },
+      web: { boxShadow: '0px 1px 3px rgba(0,0,0,0.2)' },
+    }),
+  },
+  inputWrapper: { position: 'relative', justifyContent: 'center' },
+  iconButton: { position: 'absolute', right: 25, top: '50%', transform: [{ translateY: -11 }] },
+  submitButton: {
+    alignSelf: 'center',
+    width: 150,
+    justifyContent: 'center',
+    alignItems: 'center',
+    backgroundColor: Colors.yellow,
+    height: 40,
+    borderRadius: 60,
+    marginTop: 10,
+  },
+  disabled: { opacity: 0.6 },
+  submitText: {
+    color: Colors.white,
+    textTransform: 'uppercase',
+    fontWeight: 'bold',
+    fontSize: 15,
+    letterSpacing: 2,
+  },
+  headerText: {
+    color: Colors.secondary,
+    fontSize: 32,
+    textTransform: 'uppercase',
+    padding: 10,
+    alignSelf: 'center',
+    fontWeight: 'bold',
+  },
+  switchText: { alignSelf: 'center', marginTop: 12, color: Colors.secondary },
+});
@@ -3,6 +3,8 @@ import { StyleSheet, Text, View, Image, TextInput, TouchableOpacity, ScrollView,
 import { Colors } from '@/constants/theme';
 import { router, Link } from 'expo-router';
 import { Ionicons } from '@expo/vector-icons';
+import { saveSession } from '@/utils/session';
+import { getErrorMessage } from '@/utils/apiError';
 
 export default function LoginScreen() {
   const [state, setState] = useState({ email: '', password: '' });
@@ -36,7 +38,7 @@ export default function LoginScreen() {
       const res = await fetch(`${API_BASE}api/auth/login`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ email: state.email, password: state.password }),
+        body: JSON.stringify({ email: state.email, password: state.password, deviceName: Platform.OS }),
       });
 
       // Try to parse JSON, but fall back to text to avoid JSON parse crashes on non-JSON responses
@@ -49,7 +51,7 @@ export default function LoginScreen() {
         try {
           data = JSON.parse(text);
         } catch {
-          data = { message: text };
+          data = { error: { message: text } };
         }
       }
       if (res.status === 401) {
@@ -57,21 +59,21 @@ export default function LoginScreen() {
         return;
       }
 
+      if (res.status === 429) {
+        showToast(getErrorMessage(data, 'Too many attempts. Please try again later.'));
+        return;
+      }
+
       if (!res.ok) {
-        Alert.alert('Error', data?.message || 'Failed to log in');
+        Alert.alert('Error', getErrorMessage(data, 'Failed to log in'));
         return;
       }
 
       if (data?.token) {
-        try {
-          // @ts-ignore
-          (globalThis as any).authToken = data.token;
-          if (typeof window !== 'undefined' && window?.localStorage) {
-            window.localStorage.setItem('authToken', data.token);
-          }
-        } catch {
-          // ignore storage errors
-        }
+        saveSession(data.token, data.refreshToken);
+      }
+      if (data?.accountRestored) {
+        showToast('Welcome back! Your account deletion has been cancelled.');
       }
 
       router.replace('/(tabs)');
@@ -117,6 +119,10 @@ export default function LoginScreen() {
             </TouchableOpacity>
           </View>
 
+          <Link href="/(auth)/forgot-password" style={styles.forgotText}>
+            Forgot password?
+          </Link>
+
           <TouchableOpacity onPress={handleLogin}>
             <View style={styles.submitButton}>
               <Text style={styles.submitText}>Login</Text>
@@ -184,4 +190,5 @@ const styles = StyleSheet.create({
     fontWeight: 'bold',
   },
   switchText: { alignSelf: 'center', marginTop: 12, color: Colors.secondary },
+  forgotText: { alignSelf: 'flex-end', marginRight: 20, color: Colors.secondary },
 });
@@ -3,6 +3,8 @@ import { StyleSheet, Text, View, Image, TextInput, TouchableOpacity, ScrollView,
 import { Colors } from '@/constants/theme';
 import { router, Link } from 'expo-router';
 import { Ionicons } from '@expo/vector-icons';
+import { saveSession } from '@/utils/session';
+import { getErrorMessage } from '@/utils/apiError';
 
 export default function SignupScreen() {
   const [state, setState] = useState({ name: '', email: '', password: '', confirmPassword: '', age: '', gender: 'other' });
@@ -39,7 +41,7 @@ export default function SignupScreen() {
         {
           method: 'POST',
           headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({ name: state.name, email: state.email, password: state.password, age: state.age ? Number(state.age) : undefined, gender: state.gender }),
+          body: JSON.stringify({ name: state.name, email: state.email, password: state.password, age: state.age ? Number(state.age) : undefined, gender: state.gender, deviceName: Platform.OS }),
         }
       );
 
@@ -53,27 +55,19 @@ export default function SignupScreen() {
         try {
           data = JSON.parse(text);
         } catch {
-          data = { message: text };
+          data = { error: { message: text } };
         }
       }
       if (!res.ok) {
-        Alert.alert('Error', data?.message || 'Failed to sign up');
+        Alert.alert('Error', getErrorMessage(data, 'Failed to sign up'));
         return;
       }
 
       if (data?.token) {
-        try {
-          // @ts-ignore
-          (globalThis as any).authToken = data.token;
-          if (typeof window !== 'undefined' && window?.localStorage) {
-            window.localStorage.setItem('authToken', data.token);
-          }
-        } catch {
-          // ignore storage errors
-        }
+        saveSession(data.token, data.refreshToken);
       }
 
-      router.replace('/(tabs)');
+      router.replace('/(auth)/verify-email');
     } catch (e: any) {
       Alert.alert('Error', e?.message || 'Network error');
     }
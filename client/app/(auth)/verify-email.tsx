@@ -0,0 +1,148 @@
+import React, { useState } from 'react';
+import { StyleSheet, Text, View, TextInput, TouchableOpacity, ScrollView, Platform, Alert } from 'react-native';
+import { Colors } from '@/constants/theme';
+import { router } from 'expo-router';
+import { authFetch } from '@/utils/session';
+import { getErrorMessage } from '@/utils/apiError';
+
+export default function VerifyEmailScreen() {
+  const [code, setCode] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  const handleVerify = async () => {
+    if (!/^\d{6}$/.test(code.trim())) {
+      Alert.alert('Error', 'Enter the 6-digit code from your email');
+      return;
+    }
+    try {
+      setSubmitting(true);
+      const res = await authFetch('api/auth/email/verify', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ code: code.trim() }),
+      });
+      const data = await res.json().catch(() => ({} as any));
+      if (!res.ok) {
+        Alert.alert('Error', getErrorMessage(data, 'Failed to verify email'));
+        return;
+      }
+      router.replace('/(tabs)');
+    } catch (e: any) {
+      Alert.alert('Error', e?.message || 'Network error');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleResend = async () => {
+    try {
+      setSubmitting(true);
+      const res = await authFetch('api/auth/email/verification', { method: 'POST' });
+      const data = await res.json().catch(() => ({} as any));
+      if (!res.ok) {
+        Alert.alert('Error', getErrorMessage(data, 'Failed to send a new code'));
+        return;
+      }
+      if (data?.alreadyVerified) {
+        router.replace('/(tabs)');
+        return;
+      }
+      Alert.alert('Code sent', 'Check your inbox for a new code.');
+    } catch (e: any) {
+      Alert.alert('Error', e?.message || 'Network error');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <ScrollView style={{ flex: 1, backgroundColor: Colors.white }}>
+      <View style={styles.formContainer}>
+        <Text style={styles.headerText}>Verify Email</Text>
+        <Text style={styles.helperText}>
+          We sent a 6-digit code to your email. Enter it below to confirm your address.
+        </Text>
+
+        <TextInput
+          style={styles.textInput}
+          placeholder="6-digit code"
+          value={code}
+          onChangeText={setCode}
+          keyboardType="number-pad"
+          maxLength={6}
+        />
+
+        <TouchableOpacity onPress={handleVerify} disabled={submitting}>
+          <View style={[styles.submitButton, submitting && styles.disabled]}>
+            <Text style={styles.submitText}>Verify</Text>
+          </View>
+        </TouchableOpacity>
+
+        <TouchableOpacity onPress={handleResend} disabled={submitting}>
+          <Text style={styles.switchText}>Didn&apos;t get a code? Send again</Text>
+        </TouchableOpacity>
+
+        <TouchableOpacity onPress={() => router.replace('/(tabs)')}>
+          <Text style={styles.switchText}>Skip for now</Text>
+        </TouchableOpacity>
+      </View>
+    </ScrollView>
+  );
+}
+
+const styles = StyleSheet.create({
+  formContainer: {
+    backgroundColor: Colors.white,
+    flex: 1,
+    paddingTop: 60,
+    paddingBottom: 20,
+  },
+  helperText: {
+    color: Colors.black,
+    fontSize: 14,
+    marginHorizontal: 15,
+    marginBottom: 6,
+    textAlign: 'center',
+  },
+  textInput: {
+    backgroundColor: Colors.accent,
+    margin: 10,
+    height: 40,
+    borderRadius: 30,
+    paddingLeft: 15,
+    paddingRight: 15,
+    color: Colors.black,
+    ...Platform.select({
+      android: { elevation: 1 },
+      ios: { shadowColor: '#000', shadowOffset: { width: 0, height: 1 }, shadowOpacity: 0.2 },
+      web: { boxShadow: '0px 1px 3px rgba(0,0,0,0.2)' },
+    }),
+  },
+  submitButton: {
+    alignSelf: 'center',
+    width: 150,
+    justifyContent: 'center',
+    alignItems: 'center',
+    backgroundColor: Colors.yellow,
+    height: 40,
+    borderRadius: 60,
+    marginTop: 10,
+  },
+  disabled: { opacity: 0.6 },
+  submitText: {
+    color: Colors.white,
+    textTransform: 'uppercase',
+    fontWeight: 'bold',
+    fontSize: 15,
+    letterSpacing: 2,
+  },
+  headerText: {
+    color: Colors.secondary,
+    fontSize: 32,
+    textTransform: 'uppercase',
+    padding: 10,
+    alignSelf: 'center',
+    fontWeight: 'bold',
+  },
+  switchText: { alignSelf: 'center', marginTop: 12, color: Colors.secondary },
+});
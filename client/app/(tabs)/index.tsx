@@ -10,8 +10,10 @@ import {
 import QuoteOfTheDay from "../../components/QuoteOfTheDay";
 import { router } from "expo-router";
 import TracksSection from "../../components/TracksSection";
+import CheckInWidget from "@/components/checkins/CheckInWidget";
 import { useFocusEffect } from "@react-navigation/native";
 import { useTranslation } from "react-i18next";
+import { authFetch, getAuthToken, resolveUploadUrl } from "@/utils/session";
 
 const DEFAULT_AVATAR = "https://img.icons8.com/ios-filled/100/000000/user-male-circle.png";
 const BOT_GIF = require("../../assets/tink.gif");
@@ -20,27 +22,23 @@ export default function HomeScreen() {
   const { t } = useTranslation();
   const [firstName, setFirstName] = useState<string>("");
   const [avatarUrl, setAvatarUrl] = useState<string>(DEFAULT_AVATAR);
-  const API_BASE = (((process.env.EXPO_PUBLIC_API_URL as string) || '').replace(/\/?$/, '/'));
-
   const fetchMe = useCallback(async () => {
     try {
-      const token = (globalThis as any).authToken as string | undefined;
-      if (!token) return;
-      const res = await fetch(`${API_BASE}api/auth/me`, {
-        headers: { Authorization: `Bearer ${token}` },
-      });
+      if (!getAuthToken()) return;
+      const res = await authFetch("api/auth/me");
       const data = await res.json();
       if (res.ok && data?.user) {
         if (data.user.name) {
           const name = String(data.user.name);
           setFirstName(name.split(" ")[0]);
         }
-        if (data.user.avatarUrl) setAvatarUrl(String(data.user.avatarUrl));
+        const avatar = data.user.avatarThumbnails?.small || data.user.avatarUrl;
+        if (avatar) setAvatarUrl(resolveUploadUrl(avatar) as string);
       }
     } catch {
       // ignore
     }
-  }, [API_BASE]);
+  }, []);
 
   useFocusEffect(
     useCallback(() => {
@@ -71,6 +69,8 @@ export default function HomeScreen() {
         </View>
       </View>
 
+      <CheckInWidget />
+
       <View style={styles.quoteBlock}>
         <Text style={styles.quoteLabel}>{t("home.quoteOfTheDay")}</Text>
         <View style={styles.quoteBg}>
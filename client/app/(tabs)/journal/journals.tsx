@@ -11,6 +11,8 @@ import { Colors } from "@/constants/theme";
 import JournalTab from "../../../components/journal/JournalTab";
 import BlogTab from "../../../components/journal/BlogTab";
 import { useTranslation } from "react-i18next";
+import { authFetch } from "@/utils/session";
+import type { Exercise } from "@/components/chat/ExercisePanel";
 
 type TabKey = "BLOGS" | "JOURNALS";
 
@@ -18,32 +20,31 @@ export default function JournalsMainScreen() {
   const { t } = useTranslation();
   const [activeTab, setActiveTab] = useState<TabKey>("JOURNALS");
   const [journals, setJournals] = useState<any[]>([]);
+  const [journalsCursor, setJournalsCursor] = useState<string | null>(null);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [exercises, setExercises] = useState<Exercise[]>([]);
   const [blogs, setBlogs] = useState<any[]>([]);
   const [loading, setLoading] = useState<boolean>(false);
   const [error, setError] = useState<string | null>(null);
 
   const tabs = useMemo(() => ["BLOGS", "JOURNALS"] as TabKey[], []);
 
-  const baseUrl = (process.env.EXPO_PUBLIC_API_URL ?? "").replace(/\/$/, "");
-  const token = (globalThis as any).authToken as string | undefined;
   useEffect(() => {
     const fetchData = async () => {
       try {
         setLoading(true);
         setError(null);
         if (activeTab === "JOURNALS") {
-          const res = await fetch(`${baseUrl}/api/journals`, {
-            headers: token ? { Authorization: `Bearer ${token}` } : undefined,
-          });
+          const res = await authFetch("api/journals?limit=30");
+          if (!res.ok) throw new Error(`HTTP ${res.status}`);
           const data = await res.json();
-          setJournals(Array.isArray(data) ? data : []);
+          setJournals(data.journals || []);
+          setJournalsCursor(data.nextCursor || null);
+          // Completed exercises are shown alongside; the journals still load without them
+          const done = await authFetch("api/chatbot/exercises?status=completed&limit=50").catch(() => null);
+          if (done?.ok) setExercises((await done.json()).exercises || []);
         } else {
-          const res = await fetch(`${baseUrl}/api/blogs`, {
-            headers: {
-              Authorization: `Bearer ${token}`,
-              "Content-Type": "application/json",
-            },
-          });
+          const res = await authFetch("api/blogs");
           const data = await res.json();
           setBlogs(Array.isArray(data) ? data : []);
         }
@@ -56,12 +57,56 @@ export default function JournalsMainScreen() {
     };
 
     fetchData();
-  }, [activeTab, baseUrl,token]);
+  }, [activeTab, t]);
+
+  const loadMoreJournals = async () => {
+    if (!journalsCursor || loadingMore) return;
+    try {
+      setLoadingMore(true);
+      const res = await authFetch(`api/journals?limit=30&before=${journalsCursor}`);
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      const data = await res.json();
+      setJournals((prev) => [...prev, ...(data.journals || [])]);
+      setJournalsCursor(data.nextCursor || null);
+    } catch (e: any) {
+      console.error("Failed to load more journals:", e?.message || e);
+    } finally {
+      setLoadingMore(false);
+    }
+  };
+
+  // After entries were encrypted or deleted in bulk; keeps the tab mounted
+  const reloadJournals = async () => {
+    try {
+      const res = await authFetch("api/journals?limit=30");
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      const data = await res.json();
+      setJournals(data.journals || []);
+      setJournalsCursor(data.nextCursor || null);
+    } catch (e: any) {
+      console.error("Failed to reload journals:", e?.message || e);
+    }
+  };
 
   const handleJournalCreated = (created: any) =>
     setJournals((prev) => [created, ...prev]);
+  const handleJournalUpdated = (updated: any) =>
+    setJournals((prev) =>
+      prev.map((j) => ((j._id || j.id) === (updated._id || updated.id) ? updated : j))
+    );
+  // Mirrors a tag renamed (or deleted, with no new name) across all entries
+  const handleTagChanged = (tag: string, name: string | null) =>
+    setJournals((prev) =>
+      prev.map((j) => {
+        if (!j.tags?.includes(tag)) return j;
+        const rest = j.tags.filter((x: string) => x !== tag);
+        return { ...j, tags: name && !rest.includes(name) ? [...rest, name] : rest };
+      })
+    );
   const handleJournalDeleted = (id: string) =>
     setJournals((prev) => prev.filter((j) => (j._id || j.id) !== id));
+  const handleExerciseDeleted = (id: string) =>
+    setExercises((prev) => prev.filter((e) => e.id !== id));
   const handleBlogCreated = (created: any) =>
     setBlogs((prev) => [created, ...prev]);
   const handleBlogLiked = (updated: any) =>
@@ -105,9 +150,16 @@ export default function JournalsMainScreen() {
       ) : activeTab === "JOURNALS" ? (
         <JournalTab
           data={journals}
-          onPressItem={(id) => console.log("View Journal:", id)}
+          exercises={exercises}
+          onExerciseDeleted={handleExerciseDeleted}
           onCreated={handleJournalCreated}
+          onUpdated={handleJournalUpdated}
           onDeleted={handleJournalDeleted}
+          hasMore={!!journalsCursor}
+          loadingMore={loadingMore}
+          onLoadMore={loadMoreJournals}
+          onTagChanged={handleTagChanged}
+          onReload={reloadJournals}
         />
       ) : (
         <BlogTab
@@ -14,6 +14,8 @@ import { Ionicons } from "@expo/vector-icons";
 import { useRouter, useFocusEffect } from "expo-router";
 import { Colors } from "@/constants/theme";
 import * as Linking from "expo-linking";
+import { getErrorMessage } from "@/utils/apiError";
+import { authFetch } from "@/utils/session";
 type PlanItem = {
   _id?: string;
   title: string;
@@ -33,8 +35,6 @@ export default function PlanScreen() {
     show: boolean;
     message: string;
   }>({ show: false, message: "" });
-  const baseUrl = (process.env.EXPO_PUBLIC_API_URL ?? "").replace(/\/$/, "");
-  const token = (globalThis as any).authToken as string | undefined;
   const clientId = process.env.EXPO_PUBLIC_GOOGLE_CLIENT_ID as
     | string
     | undefined;
@@ -44,9 +44,7 @@ export default function PlanScreen() {
 
   const checkGoogleStatus = React.useCallback(async () => {
     try {
-      const res = await fetch(`${baseUrl}/api/planner/google/status`, {
-        headers: token ? { Authorization: `Bearer ${token}` } : undefined,
-      });
+      const res = await authFetch("api/planner/google/status");
       if (res.ok) {
         const data = await res.json();
         setConnected(data?.connected === true);
@@ -55,14 +53,12 @@ export default function PlanScreen() {
       console.error("Error checking Google status:", err);
       setConnected(false);
     }
-  }, [baseUrl, token]);
+  }, []);
 
   const loadPlan = React.useCallback(async () => {
     try {
       setLoading(true);
-      const res = await fetch(`${baseUrl}/api/planner/plan`, {
-        headers: token ? { Authorization: `Bearer ${token}` } : undefined,
-      });
+      const res = await authFetch("api/planner/plan");
       const data = await res.json();
       const arr: PlanItem[] = Array.isArray(data?.items) ? data.items : [];
       setItems(arr);
@@ -71,7 +67,7 @@ export default function PlanScreen() {
     } finally {
       setLoading(false);
     }
-  }, [baseUrl, token]);
+  }, []);
 
   React.useEffect(() => {
     loadPlan();
@@ -140,10 +136,7 @@ export default function PlanScreen() {
     }
     try {
       setSyncing(true);
-      const resp = await fetch(`${baseUrl}/api/planner/google/push`, {
-        method: "POST",
-        headers: token ? { Authorization: `Bearer ${token}` } : undefined,
-      });
+      const resp = await authFetch("api/planner/google/push", { method: "POST" });
       const data = await resp.json();
       if (resp.ok) {
         const eventsCreated = data?.created ?? 0;
@@ -156,14 +149,11 @@ export default function PlanScreen() {
       } else {
         Alert.alert(
           "Error",
-          data?.message || "Failed to push plan to Google Calendar"
+          getErrorMessage(data, "Failed to push plan to Google Calendar")
         );
-        if (
-          data?.errors &&
-          Array.isArray(data.errors) &&
-          data.errors.length > 0
-        ) {
-          console.error("Push errors:", data.errors);
+        const pushErrors = data?.error?.details?.errors;
+        if (Array.isArray(pushErrors) && pushErrors.length > 0) {
+          console.error("Push errors:", pushErrors);
         }
       }
     } catch (err: any) {
@@ -181,17 +171,14 @@ export default function PlanScreen() {
       )
     );
     try {
-      const resp = await fetch(`${baseUrl}/api/planner/plan/items/${itemId}`, {
+      const resp = await authFetch(`api/planner/plan/items/${itemId}`, {
         method: "PATCH",
-        headers: {
-          "Content-Type": "application/json",
-          ...(token ? { Authorization: `Bearer ${token}` } : {}),
-        },
+        headers: { "Content-Type": "application/json" },
         body: JSON.stringify({ completed: nextValue }),
       });
       if (!resp.ok) {
         const errBody = await resp.json().catch(() => ({}));
-        throw new Error(errBody.message || "Failed to update task");
+        throw new Error(getErrorMessage(errBody, "Failed to update task"));
       }
     } catch (err: any) {
       setItems((prev) =>
@@ -205,14 +192,11 @@ export default function PlanScreen() {
 
   const disconnectGoogle = async () => {
     try {
-      const resp = await fetch(`${baseUrl}/api/planner/google/disconnect`, {
-        method: "POST",
-        headers: token ? { Authorization: `Bearer ${token}` } : undefined,
-      });
+      const resp = await authFetch("api/planner/google/disconnect", { method: "POST" });
       if (!resp.ok) {
         const errBody = await resp.json().catch(() => ({}));
         throw new Error(
-          errBody.message || "Failed to disconnect Google Calendar"
+          getErrorMessage(errBody, "Failed to disconnect Google Calendar")
         );
       }
       setConnected(false);
@@ -18,6 +18,8 @@ import { Ionicons } from "@expo/vector-icons";
 import * as DocumentPicker from "expo-document-picker";
 import { useRouter } from "expo-router";
 import { Colors } from "@/constants/theme";
+import { getErrorMessage } from "@/utils/apiError";
+import { authFetch } from "@/utils/session";
 
 type Subject = { id?: string; _id?: string; name: string };
 
@@ -50,17 +52,15 @@ export default function PrepareExamScreen() {
     () => (process.env.EXPO_PUBLIC_API_URL ?? "").replace(/\/$/, ""),
     []
   );
-  const token = (globalThis as any).authToken as string | undefined;
 
   const loadNotesForSubject = useCallback(
     async (subjectId?: string) => {
       if (!subjectId) return;
       try {
-        const res = await fetch(
-          `${baseUrl}/api/planner/notes?subjectId=${encodeURIComponent(
+        const res = await authFetch(
+          `api/planner/notes?subjectId=${encodeURIComponent(
             subjectId
-          )}`,
-          { headers: token ? { Authorization: `Bearer ${token}` } : undefined }
+          )}`
         );
         const items = await res.json();
         setNotesCount((prev) => ({
@@ -69,14 +69,12 @@ export default function PrepareExamScreen() {
         }));
       } catch {}
     },
-    [baseUrl, token]
+    []
   );
 
   const loadSubjects = useCallback(async () => {
     try {
-      const res = await fetch(`${baseUrl}/api/planner/subjects`, {
-        headers: token ? { Authorization: `Bearer ${token}` } : undefined,
-      });
+      const res = await authFetch("api/planner/subjects");
       const data = await res.json();
       setSubjects(Array.isArray(data) ? data : []);
       // load notes count for each subject
@@ -84,7 +82,7 @@ export default function PrepareExamScreen() {
         data.forEach((s: any) => loadNotesForSubject(s._id || s.id));
       }
     } catch {}
-  }, [baseUrl, token, loadNotesForSubject]);
+  }, [loadNotesForSubject]);
 
   React.useEffect(() => {
     loadSubjects();
@@ -93,12 +91,9 @@ export default function PrepareExamScreen() {
   const addSubject = async () => {
     if (!newSubject.trim()) return;
     try {
-      const res = await fetch(`${baseUrl}/api/planner/subjects`, {
+      const res = await authFetch("api/planner/subjects", {
         method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-          ...(token ? { Authorization: `Bearer ${token}` } : {}),
-        },
+        headers: { "Content-Type": "application/json" },
         body: JSON.stringify({ name: newSubject.trim() }),
       });
       const created = await res.json();
@@ -113,18 +108,15 @@ export default function PrepareExamScreen() {
       return;
     }
     try {
-      const res = await fetch(
-        `${baseUrl}/api/planner/deletesubject/${encodeURIComponent(subjectId)}`,
+      const res = await authFetch(
+        `api/planner/deletesubject/${encodeURIComponent(subjectId)}`,
         {
           method: "DELETE",
-          headers: {
-            Authorization: `Bearer ${token}`,
-          },
         }
       );
       const result = await res.json().catch(() => ({}));
       if (!res.ok) {
-        throw new Error(result.message || "Failed to delete subject");
+        throw new Error(getErrorMessage(result, "Failed to delete subject"));
       }
 
       console.log("Delete successful:", result);
@@ -149,11 +141,10 @@ export default function PrepareExamScreen() {
   const openSubjectViewer = async (subjectId?: string, title?: string) => {
     if (!subjectId) return;
     try {
-      const res = await fetch(
-        `${baseUrl}/api/planner/notes?subjectId=${encodeURIComponent(
+      const res = await authFetch(
+        `api/planner/notes?subjectId=${encodeURIComponent(
           subjectId
-        )}`,
-        { headers: token ? { Authorization: `Bearer ${token}` } : undefined }
+        )}`
       );
       const items = await res.json();
       setViewerTitle(`${title || "Subject"} Files`);
@@ -166,9 +157,7 @@ export default function PrepareExamScreen() {
 
   const openGeneralViewer = async (endpoint: string, title: string) => {
     try {
-      const res = await fetch(`${baseUrl}${endpoint}`, {
-        headers: token ? { Authorization: `Bearer ${token}` } : undefined,
-      });
+      const res = await authFetch(endpoint);
       const items = await res.json();
       setViewerTitle(title);
       setViewerItems(Array.isArray(items) ? items : []);
@@ -196,12 +185,9 @@ export default function PrepareExamScreen() {
         const ids = viewerItems
           .filter((i) => i._id && selected.has(i._id))
           .map((i) => i._id as string);
-        await fetch(`${baseUrl}/api/planner/notes`, {
+        await authFetch("api/planner/notes", {
           method: "DELETE",
-          headers: {
-            "Content-Type": "application/json",
-            ...(token ? { Authorization: `Bearer ${token}` } : {}),
-          },
+          headers: { "Content-Type": "application/json" },
           body: JSON.stringify({ ids }),
         });
         // refresh
@@ -213,24 +199,18 @@ export default function PrepareExamScreen() {
         const names = viewerItems
           .filter((i) => i.name && selected.has(i.name))
           .map((i) => i.name as string);
-        await fetch(`${baseUrl}/api/planner/materials`, {
+        await authFetch("api/planner/materials", {
           method: "DELETE",
-          headers: {
-            "Content-Type": "application/json",
-            ...(token ? { Authorization: `Bearer ${token}` } : {}),
-          },
+          headers: { "Content-Type": "application/json" },
           body: JSON.stringify({ names }),
         });
       } else {
         const names = viewerItems
           .filter((i) => i.name && selected.has(i.name))
           .map((i) => i.name as string);
-        await fetch(`${baseUrl}/api/planner/datesheet`, {
+        await authFetch("api/planner/datesheet", {
           method: "DELETE",
-          headers: {
-            "Content-Type": "application/json",
-            ...(token ? { Authorization: `Bearer ${token}` } : {}),
-          },
+          headers: { "Content-Type": "application/json" },
           body: JSON.stringify({ names }),
         });
       }
@@ -275,9 +255,8 @@ export default function PrepareExamScreen() {
         form.append(k, v as any)
       );
 
-      const res = await fetch(`${baseUrl}${endpoint}`, {
+      const res = await authFetch(endpoint, {
         method: "POST",
-        headers: { ...(token ? { Authorization: `Bearer ${token}` } : {}) },
         body: form as any,
       });
       if (!res.ok) throw new Error("Upload failed");
@@ -322,21 +301,16 @@ export default function PrepareExamScreen() {
       // Get datesheet path if available
       let datesheetPath = "";
       try {
-        const datesheetRes = await fetch(`${baseUrl}/api/planner/datesheet`, {
-          headers: token ? { Authorization: `Bearer ${token}` } : undefined,
-        });
+        const datesheetRes = await authFetch("api/planner/datesheet");
         const datesheets = await datesheetRes.json();
         if (Array.isArray(datesheets) && datesheets.length > 0) {
           datesheetPath = datesheets[0].url || "";
         }
       } catch {}
 
-      const res = await fetch(`${baseUrl}/api/planner/plan`, {
+      const res = await authFetch("api/planner/plan", {
         method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-          ...(token ? { Authorization: `Bearer ${token}` } : {}),
-        },
+        headers: { "Content-Type": "application/json" },
         body: JSON.stringify({
           subjects: subjectList,
           dailyStartTime,
@@ -349,7 +323,7 @@ export default function PrepareExamScreen() {
 
       if (!res.ok) {
         const errorData = await res.json().catch(() => ({}));
-        throw new Error(errorData.message || "Failed to create plan");
+        throw new Error(getErrorMessage(errorData, "Failed to create plan"));
       }
       if (Platform.OS === "android") {
         ToastAndroid.show(
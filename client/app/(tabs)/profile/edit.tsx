@@ -16,6 +16,9 @@ import { Ionicons } from "@expo/vector-icons";
 import { useUser, UserData } from "./profile";
 import { useTranslation } from "react-i18next";
 import i18n from "@/i18n/config";
+import { getErrorMessage } from "@/utils/apiError";
+import { authFetch, getAuthToken, resolveUploadUrl } from "@/utils/session";
+import * as ImagePicker from "expo-image-picker";
 const Colors = {
   primary: "#77C272",
   secondary: "#388e3c",
@@ -47,10 +50,6 @@ const languages = [
 
 export default function EditProfileScreen() {
   const { t } = useTranslation();
-  const API_BASE = ((process.env.EXPO_PUBLIC_API_URL as string) || "").replace(
-    /\/?$/,
-    "/"
-  );
   const { userData, setUserData } = useUser();
   const [fullName, setFullName] = useState(userData.name);
   const [email, setEmail] = useState(userData.email);
@@ -71,11 +70,8 @@ export default function EditProfileScreen() {
   useEffect(() => {
     const load = async () => {
       try {
-        const token = (globalThis as any).authToken as string | undefined;
-        if (!token) return;
-        const res = await fetch(`${API_BASE}api/auth/me`, {
-          headers: { Authorization: `Bearer ${token}` },
-        });
+        if (!getAuthToken()) return;
+        const res = await authFetch("api/auth/me");
         const data = await res.json();
         if (res.ok && data?.user) {
           setFullName(data.user.name || "");
@@ -95,7 +91,7 @@ export default function EditProfileScreen() {
             i18n.changeLanguage(data.user.language);
           }
           if (data.user.avatarUrl) {
-            (EditProfileScreen as any).pendingAvatarUrl = String(
+            (EditProfileScreen as any).pendingAvatarUrl = resolveUploadUrl(
               data.user.avatarUrl
             );
           }
@@ -103,7 +99,7 @@ export default function EditProfileScreen() {
       } catch {}
     };
     load();
-  }, [API_BASE]);
+  }, []);
 
   const toggleConcern = (concern: string) => {
     setSelectedConcerns((prev) =>
@@ -119,6 +115,25 @@ export default function EditProfileScreen() {
     i18n.changeLanguage(langCode);
   };
 
+  // The avatar is uploaded as soon as it is picked; the server resizes it and
+  // returns the new URL, so it is not part of the profile PUT below
+  const uploadAvatar = async (file: Blob | { uri: string; name: string; type: string }) => {
+    const form = new FormData();
+    form.append("avatar", file as any);
+    const res = await authFetch("api/auth/me/avatar", {
+      method: "POST",
+      body: form as any,
+    });
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok) {
+      Alert.alert("Error", getErrorMessage(data, "Failed to upload photo"));
+      return;
+    }
+    (EditProfileScreen as any).pendingAvatarUrl = resolveUploadUrl(data.avatarUrl);
+    // force rerender by changing local state minimally
+    setFullName((v) => v + "");
+  };
+
   const handleSaveChanges = async () => {
     const newUserData: UserData = {
       name: fullName,
@@ -131,14 +146,10 @@ export default function EditProfileScreen() {
       emergencyContactPhone,
     };
     try {
-      const token = (globalThis as any).authToken as string | undefined;
-      if (token) {
-        await fetch(`${API_BASE}api/auth/me`, {
+      if (getAuthToken()) {
+        const res = await authFetch("api/auth/me", {
           method: "PUT",
-          headers: {
-            "Content-Type": "application/json",
-            Authorization: `Bearer ${token}`,
-          },
+          headers: { "Content-Type": "application/json" },
           body: JSON.stringify({
             name: newUserData.name,
             age: newUserData.age,
@@ -146,12 +157,16 @@ export default function EditProfileScreen() {
             phone: newUserData.phone,
             concerns: newUserData.concerns,
             email: newUserData.email,
-            avatarUrl: (EditProfileScreen as any).pendingAvatarUrl,
             emergencyContactName: newUserData.emergencyContactName,
             emergencyContactPhone: newUserData.emergencyContactPhone,
             language: selectedLanguage,
           }),
         });
+        if (!res.ok) {
+          const data = await res.json().catch(() => ({}));
+          Alert.alert("Error", getErrorMessage(data, "Failed to save changes"));
+          return;
+        }
       }
     } catch {}
 
@@ -200,22 +215,22 @@ export default function EditProfileScreen() {
                 input.onchange = async () => {
                   const file = (input.files && input.files[0]) || null;
                   if (!file) return;
-                  const reader = new FileReader();
-                  reader.onload = () => {
-                    (EditProfileScreen as any).pendingAvatarUrl = String(
-                      reader.result || ""
-                    );
-                    // force rerender by changing local state minimally
-                    setFullName((v) => v + "");
-                  };
-                  reader.readAsDataURL(file);
+                  await uploadAvatar(file);
                 };
                 input.click();
               } else {
-                Alert.alert(
-                  "Not implemented",
-                  "Native image picker can be added on request."
-                );
+                const pick = await ImagePicker.launchImageLibraryAsync({
+                  mediaTypes: ["images"],
+                  allowsEditing: true,
+                  aspect: [1, 1],
+                });
+                if (pick.canceled || !pick.assets?.length) return;
+                const asset = pick.assets[0];
+                await uploadAvatar({
+                  uri: asset.uri,
+                  name: asset.fileName || "avatar.jpg",
+                  type: asset.mimeType || "image/jpeg",
+                });
               }
             } catch (e: any) {
               Alert.alert("Error", e?.message || "Failed to pick image");
@@ -6,7 +6,6 @@ import {
   ScrollView,
   Image,
   TouchableOpacity,
-  Platform,
 } from "react-native";
 import { useFocusEffect } from "@react-navigation/native";
 import { router } from "expo-router";
@@ -14,6 +13,9 @@ import { Ionicons } from "@expo/vector-icons";
 import { LinearGradient } from "expo-linear-gradient";
 import { useTranslation } from "react-i18next";
 import i18n from "@/i18n/config";
+import { authFetch, clearSession, getAuthToken, resolveUploadUrl } from "@/utils/session";
+import SessionsSection from "@/components/profile/SessionsSection";
+import AccountDataSection from "@/components/profile/AccountDataSection";
 
 const Colors = {
   primary: "#77C272",
@@ -30,6 +32,7 @@ export interface UserData {
   gender: string;
   age: number;
   email: string;
+  emailVerified?: boolean;
   phone: string;
   emergencyContactName?: string;
   emergencyContactPhone?: string;
@@ -108,18 +111,11 @@ const Chip = ({
 export function ProfileScreenContent() {
   const { t } = useTranslation();
   const { userData, setUserData } = useUser();
-  const API_BASE = ((process.env.EXPO_PUBLIC_API_URL as string) || "").replace(
-    /\/?$/,
-    "/"
-  );
 
   const fetchProfile = useCallback(async () => {
     try {
-      const token = (globalThis as any).authToken as string | undefined;
-      if (!token) return;
-      const res = await fetch(`${API_BASE}api/auth/me`, {
-        headers: { Authorization: `Bearer ${token}` },
-      });
+      if (!getAuthToken()) return;
+      const res = await authFetch("api/auth/me");
       const data = await res.json();
       if (res.ok && data?.user) {
         // Set language preference
@@ -131,16 +127,19 @@ export function ProfileScreenContent() {
           gender: data.user.gender || "other",
           age: data.user.age || 0,
           email: data.user.email || "",
+          emailVerified: Boolean(data.user.emailVerified),
           phone: data.user.phone || "",
           emergencyContactName: data.user.emergencyContactName || "",
           emergencyContactPhone: data.user.emergencyContactPhone || "",
           concerns: Array.isArray(data.user.concerns) ? data.user.concerns : [],
           // @ts-ignore
-          avatarUrl: data.user.avatarUrl || undefined,
+          avatarUrl: resolveUploadUrl(
+            data.user.avatarThumbnails?.medium || data.user.avatarUrl
+          ),
         });
       }
     } catch {}
-  }, [setUserData, API_BASE]);
+  }, [setUserData]);
 
   React.useEffect(() => {
     fetchProfile();
@@ -244,6 +243,11 @@ export function ProfileScreenContent() {
         <View style={styles.emailRow}>
           <Ionicons name="mail-outline" size={16} color={Colors.secondary} />
           <Text style={styles.infoText}>{userData.email}</Text>
+          {userData.emailVerified === false ? (
+            <TouchableOpacity onPress={() => router.push("/(auth)/verify-email")}>
+              <Text style={styles.verifyLink}>{t("profile.verifyEmail")}</Text>
+            </TouchableOpacity>
+          ) : null}
         </View>
         <View style={styles.emailRow}>
           <Ionicons name="people-outline" size={16} color={Colors.secondary} />
@@ -273,6 +277,20 @@ export function ProfileScreenContent() {
         </View>
       </View>
 
+      <View style={styles.divider} />
+
+      <TouchableOpacity style={styles.linkRow} onPress={() => router.push("/insights")}>
+        <Ionicons name="stats-chart-outline" size={20} color={Colors.secondary} />
+        <Text style={styles.linkText}>{t("insights.title")}</Text>
+        <Ionicons name="chevron-forward" size={18} color={Colors.secondary} />
+      </TouchableOpacity>
+
+      <View style={styles.divider} />
+
+      <SessionsSection />
+
+      <AccountDataSection />
+
       {/* Enhanced Terms Section */}
       <LinearGradient
         colors={["#F9FFF9", "#E8F5E9"]}
@@ -295,11 +313,13 @@ export function ProfileScreenContent() {
 
       <TouchableOpacity
         style={styles.logoutButton}
-        onPress={() => {
-          if (typeof window !== "undefined" && Platform.OS === "web") {
-            window.localStorage.removeItem("authToken");
+        onPress={async () => {
+          try {
+            await authFetch("api/auth/logout", { method: "POST" });
+          } catch {
+            // still sign out locally if the server is unreachable
           }
-          (globalThis as any).authToken = undefined;
+          clearSession();
           router.replace("/(auth)/login");
         }}
       >
@@ -352,6 +372,12 @@ const styles = StyleSheet.create({
     marginLeft: 6,
     fontWeight: "500",
   },
+  verifyLink: {
+    fontSize: 14,
+    color: Colors.yellow,
+    marginLeft: 8,
+    fontWeight: "700",
+  },
   divider: {
     height: 1,
     backgroundColor: Colors.lightGrey,
@@ -360,6 +386,19 @@ const styles = StyleSheet.create({
     marginTop: 12,
   },
   section: { paddingHorizontal: 15, paddingTop: 12 },
+  linkRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 10,
+    paddingHorizontal: 15,
+    paddingTop: 12,
+  },
+  linkText: {
+    flex: 1,
+    fontSize: 16,
+    fontWeight: "600",
+    color: Colors.tint,
+  },
   sectionTitle: {
     fontSize: 18,
     fontWeight: "bold",
@@ -7,11 +7,18 @@ import { Stack } from "expo-router";
 import { StatusBar } from "expo-status-bar";
 import "react-native-reanimated";
 import React from "react";
-import { Platform, View } from "react-native";
+import { View } from "react-native";
 import { GestureHandlerRootView } from "react-native-gesture-handler";
 import { AudioPlayerProvider } from "@/components/AudioPlayerProvider";
 import DraggableMiniPlayer from "@/components/DraggableMiniPlayer";
 import { setAppLanguage } from "@/i18n/config";
+import {
+  authFetch,
+  clearSession,
+  loadStoredSession,
+  refreshSession,
+  useSignedIn,
+} from "@/utils/session";
 
 import { useColorScheme } from "@/hooks/use-color-scheme";
 
@@ -19,31 +26,21 @@ export const unstable_settings = {
   anchor: "(tabs)",
 };
 
+const TOKEN_REFRESH_INTERVAL_MS = 10 * 60 * 1000;
+
 export default function RootLayout() {
   const colorScheme = useColorScheme();
   const [bootstrapped, setBootstrapped] = React.useState(false);
   const [isAuthed, setIsAuthed] = React.useState<boolean>(false);
+  const signedIn = useSignedIn();
   React.useEffect(() => {
     const loadToken = async () => {
       try {
-        let stored: string | null = null;
-        if (Platform.OS === "web" && typeof window !== "undefined") {
-          stored = window.localStorage.getItem("authToken");
-        } else {
-          // simple fallback; for production prefer expo-secure-store
-          stored = null;
-        }
-        if (stored) {
-          // @ts-ignore
-          (globalThis as any).authToken = stored;
-          // Verify token with backend; if invalid, clear and show auth screens
+        if (loadStoredSession()) {
+          // Verify token with backend (refreshing it if it has expired);
+          // if the session is gone, clear it and show auth screens
           try {
-            const API_BASE = (
-              (process.env.EXPO_PUBLIC_API_URL as string) || ""
-            ).replace(/\/?$/, "/");
-            const res = await fetch(`${API_BASE}api/auth/me`, {
-              headers: { Authorization: `Bearer ${stored}` },
-            });
+            const res = await authFetch("api/auth/me");
             if (res.ok) {
               const data = await res.json();
               // Set user language preference
@@ -52,11 +49,7 @@ export default function RootLayout() {
               }
               setIsAuthed(true);
             } else {
-              if (Platform.OS === "web" && typeof window !== "undefined") {
-                window.localStorage.removeItem("authToken");
-              }
-              // @ts-ignore
-              (globalThis as any).authToken = undefined;
+              clearSession();
               setIsAuthed(false);
             }
           } catch {
@@ -73,6 +66,16 @@ export default function RootLayout() {
     loadToken();
   }, []);
 
+  // Keep the short-lived access token fresh while signed in, however the
+  // session started (stored, login or signup) and until it ends
+  React.useEffect(() => {
+    if (!signedIn) return;
+    const timer = setInterval(() => {
+      refreshSession();
+    }, TOKEN_REFRESH_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, [signedIn]);
+
   if (!bootstrapped) {
     return null;
   }
@@ -9,6 +9,7 @@ import {
 } from "react-native";
 import { useLocalSearchParams, useNavigation } from "expo-router";
 import { Colors } from "@/constants/theme";
+import { authFetch } from "@/utils/session";
 
 type Blog = {
   _id?: string;
@@ -29,7 +30,7 @@ export default function BlogDetailScreen() {
   useEffect(() => {
     const fetchBlog = async () => {
       try {
-        const res = await fetch(`${baseUrl}/api/blogs/${id}`);
+        const res = await authFetch(`api/blogs/${id}`);
         const data = await res.json();
         setBlog(data);
       } catch (e) {
@@ -37,7 +38,7 @@ export default function BlogDetailScreen() {
       }
     };
     if (id) fetchBlog();
-  }, [id, baseUrl]);
+  }, [id]);
 
   useEffect(() => {
     if (blog?.title) {
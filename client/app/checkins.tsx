@@ -0,0 +1,319 @@
+import React, { useCallback, useEffect, useState } from "react";
+import { ActivityIndicator, ScrollView, StyleSheet, Text, TouchableOpacity, View } from "react-native";
+import { router } from "expo-router";
+import { Ionicons } from "@expo/vector-icons";
+import { useTranslation } from "react-i18next";
+import { authFetch } from "@/utils/session";
+import { confirmAction, notify } from "@/utils/dialogs";
+import ScoreChart from "@/components/insights/ScoreChart";
+import LevelChart from "@/components/insights/LevelChart";
+import CountBars from "@/components/insights/CountBars";
+import { MOOD_FACES, type CheckIn } from "@/components/checkins/CheckInForm";
+
+type Averages = { count: number; mood: number | null; energy: number | null; sleepHours: number | null };
+
+type Trends = {
+  overall: Averages;
+  series: (Averages & { period: string })[];
+  emotions: { name: string; count: number }[];
+};
+
+// The same presets as the insights screen
+const RANGES = [
+  { key: "week", days: 7, granularity: "day" },
+  { key: "month", days: 30, granularity: "day" },
+  { key: "quarter", days: 90, granularity: "week" },
+  { key: "year", days: 365, granularity: "month" },
+] as const;
+
+const PAGE_SIZE = 20;
+// Sleep bars are drawn against this many hours
+const SLEEP_SCALE = 10;
+
+const isoDay = (date: Date) =>
+  `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, "0")}-${String(date.getDate()).padStart(2, "0")}`;
+
+// Period keys are YYYY-MM-DD (days, and weeks by their Monday) or YYYY-MM
+const periodLabel = (period: string, granularity: string) => {
+  const [y, m, d] = period.split("-").map(Number);
+  const date = new Date(y, m - 1, d || 1);
+  return granularity === "month"
+    ? date.toLocaleDateString(undefined, { month: "short" })
+    : date.toLocaleDateString(undefined, { day: "numeric", month: "short" });
+};
+
+// Average mood (1-5) on the -1..1 scale ScoreChart draws
+const moodScore = (mood: number | null) => (mood == null ? null : (mood - 3) / 2);
+
+export default function CheckInsScreen() {
+  const { t } = useTranslation();
+  const [range, setRange] = useState<(typeof RANGES)[number]>(RANGES[1]);
+  const [trends, setTrends] = useState<Trends | null>(null);
+  const [checkIns, setCheckIns] = useState<CheckIn[]>([]);
+  const [cursor, setCursor] = useState<string | null>(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(false);
+
+  const rangeQuery = useCallback(() => {
+    const to = new Date();
+    const from = new Date(to.getFullYear(), to.getMonth(), to.getDate() - (range.days - 1));
+    return new URLSearchParams({ from: isoDay(from), to: isoDay(to), tzOffset: String(to.getTimezoneOffset()) });
+  }, [range]);
+
+  const loadCheckIns = useCallback(
+    async (before: string | null) => {
+      const query = rangeQuery();
+      query.set("limit", String(PAGE_SIZE));
+      if (before) query.set("before", before);
+      const res = await authFetch(`api/checkins?${query}`);
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      const page = await res.json();
+      setCheckIns((prev) => (before ? [...prev, ...page.checkIns] : page.checkIns));
+      setCursor(page.nextCursor);
+    },
+    [rangeQuery]
+  );
+
+  const load = useCallback(async () => {
+    const query = rangeQuery();
+    query.set("granularity", range.granularity);
+    try {
+      setLoading(true);
+      setError(false);
+      const res = await authFetch(`api/checkins/trends?${query}`);
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      setTrends(await res.json());
+      await loadCheckIns(null);
+    } catch {
+      setError(true);
+    } finally {
+      setLoading(false);
+    }
+  }, [range, rangeQuery, loadCheckIns]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  const loadMore = async () => {
+    if (!cursor || loading) return;
+    setLoading(true);
+    try {
+      await loadCheckIns(cursor);
+    } catch {
+      setError(true);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const remove = async (checkIn: CheckIn) => {
+    const ok = await confirmAction(
+      t("checkins.deleteTitle"),
+      t("checkins.deleteMessage"),
+      t("checkins.delete"),
+      t("chat.cancel")
+    );
+    if (!ok) return;
+    try {
+      const res = await authFetch(`api/checkins/${checkIn._id}`, { method: "DELETE" });
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      load();
+    } catch {
+      notify(t("checkins.title"), t("checkins.deleteFailed"));
+    }
+  };
+
+  const series = trends?.series ?? [];
+  const labelled = (value: (p: Averages) => number | null) =>
+    series.map((p) => ({ label: periodLabel(p.period, range.granularity), value: value(p) }));
+  const average = (value: number | null, unit = "") => (value == null ? "—" : `${value.toFixed(1)}${unit}`);
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.header}>
+        <TouchableOpacity onPress={() => router.back()} style={styles.backButton}>
+          <Ionicons name="chevron-back" size={24} color="#388e3c" />
+        </TouchableOpacity>
+        <Text style={styles.headerTitle}>{t("checkins.title")}</Text>
+        <View style={styles.placeholder} />
+      </View>
+
+      <ScrollView contentContainerStyle={styles.content}>
+        <View style={styles.chips}>
+          {RANGES.map((r) => (
+            <TouchableOpacity
+              key={r.key}
+              style={[styles.chip, r.key === range.key ? styles.chipActive : null]}
+              onPress={() => setRange(r)}
+            >
+              <Text style={[styles.chipText, r.key === range.key ? styles.chipTextActive : null]}>
+                {t(`insights.ranges.${r.key}`)}
+              </Text>
+            </TouchableOpacity>
+          ))}
+        </View>
+
+        {loading && !trends ? <ActivityIndicator color="#388e3c" style={{ marginTop: 24 }} /> : null}
+        {error ? (
+          <TouchableOpacity onPress={load}>
+            <Text style={styles.error}>{t("checkins.failed")}</Text>
+          </TouchableOpacity>
+        ) : null}
+
+        {trends ? (
+          trends.overall.count ? (
+            <>
+              <View style={styles.cards}>
+                <View style={styles.card}>
+                  <Text style={styles.cardValue}>{trends.overall.count}</Text>
+                  <Text style={styles.cardLabel}>{t("checkins.count")}</Text>
+                </View>
+                <View style={styles.card}>
+                  <Text style={styles.cardValue}>
+                    {trends.overall.mood == null ? "—" : MOOD_FACES[Math.round(trends.overall.mood)]}{" "}
+                    {average(trends.overall.mood)}
+                  </Text>
+                  <Text style={styles.cardLabel}>{t("checkins.avgMood")}</Text>
+                </View>
+                <View style={styles.card}>
+                  <Text style={styles.cardValue}>{average(trends.overall.energy)}</Text>
+                  <Text style={styles.cardLabel}>{t("checkins.avgEnergy")}</Text>
+                </View>
+                <View style={styles.card}>
+                  <Text style={styles.cardValue}>{average(trends.overall.sleepHours, " h")}</Text>
+                  <Text style={styles.cardLabel}>{t("checkins.avgSleep")}</Text>
+                </View>
+              </View>
+
+              <Text style={styles.sectionTitle}>{t("checkins.moodTitle")}</Text>
+              <ScoreChart
+                points={series.map((p) => ({
+                  label: periodLabel(p.period, range.granularity),
+                  score: moodScore(p.mood),
+                  count: p.count,
+                }))}
+              />
+              <Text style={styles.sectionTitle}>{t("checkins.energyTitle")}</Text>
+              <LevelChart points={labelled((p) => p.energy)} max={5} />
+              <Text style={styles.sectionTitle}>{t("checkins.sleepTitle")}</Text>
+              <LevelChart points={labelled((p) => p.sleepHours)} max={SLEEP_SCALE} color="#9575cd" />
+
+              {trends.emotions.length ? (
+                <>
+                  <Text style={styles.sectionTitle}>{t("checkins.emotionsMix")}</Text>
+                  <CountBars
+                    rows={trends.emotions.map((e) => ({
+                      key: e.name,
+                      label: t(`checkins.emotions.${e.name}`),
+                      count: e.count,
+                    }))}
+                    color="#ffb74d"
+                  />
+                </>
+              ) : null}
+
+              <Text style={styles.sectionTitle}>{t("checkins.recent")}</Text>
+              {checkIns.map((checkIn) => (
+                <View key={checkIn._id} style={styles.row}>
+                  <Text style={styles.rowFace}>{MOOD_FACES[checkIn.mood]}</Text>
+                  <View style={styles.rowText}>
+                    <Text style={styles.rowDate}>{new Date(checkIn.checkedInAt).toLocaleString()}</Text>
+                    <Text style={styles.rowDetails} numberOfLines={2}>
+                      {[
+                        t(`checkins.moods.${checkIn.mood}`),
+                        ...checkIn.emotions.map((e) => t(`checkins.emotions.${e}`)),
+                        checkIn.sleepHours != null ? t("checkins.hours", { count: checkIn.sleepHours }) : null,
+                      ]
+                        .filter(Boolean)
+                        .join(" · ")}
+                    </Text>
+                    {checkIn.note ? <Text style={styles.rowNote}>{checkIn.note}</Text> : null}
+                  </View>
+                  <TouchableOpacity onPress={() => remove(checkIn)} accessibilityLabel={t("checkins.delete")}>
+                    <Ionicons name="trash-outline" size={18} color="#d32f2f" />
+                  </TouchableOpacity>
+                </View>
+              ))}
+              {cursor ? (
+                <TouchableOpacity onPress={loadMore} style={styles.moreBtn} disabled={loading}>
+                  {loading ? <ActivityIndicator color="#388e3c" /> : <Text style={styles.moreText}>{t("checkins.loadMore")}</Text>}
+                </TouchableOpacity>
+              ) : null}
+            </>
+          ) : (
+            <Text style={styles.empty}>{t("checkins.empty")}</Text>
+          )
+        ) : null}
+      </ScrollView>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: { flex: 1, backgroundColor: "#fff" },
+  header: {
+    flexDirection: "row",
+    alignItems: "center",
+    justifyContent: "space-between",
+    paddingHorizontal: 16,
+    paddingTop: 60,
+    paddingBottom: 16,
+    backgroundColor: "#f8f9fa",
+    borderBottomWidth: 1,
+    borderBottomColor: "#e0e0e0",
+  },
+  backButton: { padding: 8 },
+  headerTitle: { fontSize: 18, fontWeight: "600", color: "#388e3c" },
+  placeholder: { width: 40 },
+  content: { padding: 16, paddingBottom: 40 },
+  chips: {
+    flexDirection: "row",
+    flexWrap: "wrap",
+    gap: 8,
+    marginBottom: 10,
+  },
+  chip: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 14,
+    borderWidth: 1,
+    borderColor: "#ddd",
+  },
+  chipActive: { backgroundColor: "#252525", borderColor: "#252525" },
+  chipText: { fontSize: 13, color: "#333" },
+  chipTextActive: { color: "#fff" },
+  error: { color: "#d32f2f", marginVertical: 12 },
+  cards: {
+    flexDirection: "row",
+    flexWrap: "wrap",
+    gap: 10,
+    marginVertical: 8,
+  },
+  card: {
+    flexGrow: 1,
+    flexBasis: "45%",
+    backgroundColor: "#f3f7f5",
+    borderRadius: 12,
+    padding: 14,
+  },
+  cardValue: { fontSize: 20, fontWeight: "700", color: "#222" },
+  cardLabel: { fontSize: 12, color: "#666", marginTop: 4 },
+  sectionTitle: { fontSize: 16, fontWeight: "700", color: "#222", marginTop: 18, marginBottom: 10 },
+  empty: { color: "#666", marginVertical: 12 },
+  row: {
+    flexDirection: "row",
+    alignItems: "flex-start",
+    gap: 10,
+    paddingVertical: 10,
+    borderBottomWidth: 1,
+    borderBottomColor: "#eee",
+  },
+  rowFace: { fontSize: 24 },
+  rowText: { flex: 1 },
+  rowDate: { fontSize: 12, color: "#888" },
+  rowDetails: { fontSize: 14, color: "#333", marginTop: 2 },
+  rowNote: { fontSize: 13, color: "#555", marginTop: 4 },
+  moreBtn: { alignItems: "center", paddingVertical: 12 },
+  moreText: { color: "#388e3c", fontWeight: "600" },
+});
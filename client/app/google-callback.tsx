@@ -1,6 +1,8 @@
 import React, { useEffect, useState, useRef } from 'react';
 import { View, Text, ActivityIndicator } from 'react-native';
 import { useLocalSearchParams, router } from 'expo-router';
+import { getErrorMessage } from '@/utils/apiError';
+import { authFetch, getAuthToken } from '@/utils/session';
 
 export default function GoogleCallback() {
   const params = useLocalSearchParams<{ code?: string; state?: string; error?: string }>();
@@ -29,21 +31,16 @@ export default function GoogleCallback() {
         return;
       }
       try {
-        const token = (globalThis as any).authToken as string | undefined;
-        if (!token) {
-          console.error('No auth token found in globalThis');
+        if (!getAuthToken()) {
+          console.error('No auth token found');
           setStatus('Not authenticated');
           setTimeout(() => router.replace('/(tabs)/planner/plan'), 1200);
           return;
         }
-        const baseUrl = (process.env.EXPO_PUBLIC_API_URL || '').replace(/\/?$/, '/');
-        console.log('Exchanging code for token, URL:', `${baseUrl}api/google/exchange`);
-        const res = await fetch(`${baseUrl}api/google/exchange`, {
+        console.log('Exchanging code for token');
+        const res = await authFetch('api/google/exchange', {
           method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-            Authorization: `Bearer ${token}`,
-          },
+          headers: { 'Content-Type': 'application/json' },
           body: JSON.stringify({ code }),
         });
         if (!res.ok) {
@@ -51,10 +48,9 @@ export default function GoogleCallback() {
           console.error('Token exchange failed:', {
             status: res.status,
             statusText: res.statusText,
-            message: msg?.message,
-            error: msg?.error
+            error: msg?.error,
           });
-          throw new Error(msg?.message || `HTTP ${res.status}`);
+          throw new Error(getErrorMessage(msg, `HTTP ${res.status}`));
         }
         const data = await res.json();
         console.log('Token exchange successful:', data);
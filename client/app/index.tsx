@@ -1,19 +1,9 @@
 import React from 'react';
 import { Redirect } from 'expo-router';
+import { useSignedIn } from '@/utils/session';
 
+// The root layout has restored any stored session before this renders
 export default function Index() {
-  let token: string | null = null;
-  try {
-    if (typeof window !== 'undefined' && window?.localStorage) {
-      token = window.localStorage.getItem('authToken');
-    }
-    if (!token && typeof globalThis !== 'undefined') {
-      // @ts-ignore
-      token = (globalThis as any).authToken ?? null;
-    }
-  } catch {
-    // ignore
-  }
-
-  return <Redirect href={token ? '/(tabs)' : '/(auth)/login'} />;
+  const signedIn = useSignedIn();
+  return <Redirect href={signedIn ? '/(tabs)' : '/(auth)/login'} />;
 }
@@ -0,0 +1,267 @@
+import React, { useCallback, useEffect, useState } from "react";
+import { ActivityIndicator, ScrollView, StyleSheet, Text, TouchableOpacity, View } from "react-native";
+import { router } from "expo-router";
+import { Ionicons } from "@expo/vector-icons";
+import { useTranslation } from "react-i18next";
+import { authFetch } from "@/utils/session";
+import ScoreChart from "@/components/insights/ScoreChart";
+import CountBars from "@/components/insights/CountBars";
+
+type Summary = { count: number; score: number | null };
+
+type Analytics = {
+  overall: Summary;
+  bySource: Record<string, Summary>;
+  moods: Record<string, number>;
+  series: (Summary & { period: string })[];
+  trend: { direction: "improving" | "declining" | "steady" | null; change: number | null };
+  streaks: { current: number; longest: number; activeDays: number };
+  timeOfDay: (Summary & { name: string })[];
+  weekdays: (Summary & { name: string })[];
+};
+
+// Range presets and the granularity that keeps each chart readable
+const RANGES = [
+  { key: "week", days: 7, granularity: "day" },
+  { key: "month", days: 30, granularity: "day" },
+  { key: "quarter", days: 90, granularity: "week" },
+  { key: "year", days: 365, granularity: "month" },
+] as const;
+
+const SOURCES = ["chat", "journal", "exercise", "checkin"] as const;
+const MOOD_ORDER = ["positive", "neutral", "tired", "stressed", "anxious", "sad", "angry", "negative"];
+
+const isoDay = (date: Date) =>
+  `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, "0")}-${String(date.getDate()).padStart(2, "0")}`;
+
+// Period keys are YYYY-MM-DD (days, and weeks by their Monday) or YYYY-MM
+const periodLabel = (period: string, granularity: string) => {
+  const [y, m, d] = period.split("-").map(Number);
+  const date = new Date(y, m - 1, d || 1);
+  return granularity === "month"
+    ? date.toLocaleDateString(undefined, { month: "short" })
+    : date.toLocaleDateString(undefined, { day: "numeric", month: "short" });
+};
+
+const scoreKey = (score: number | null) => (score == null ? "none" : score > 0.33 ? "good" : score < -0.33 ? "low" : "mixed");
+
+export default function InsightsScreen() {
+  const { t } = useTranslation();
+  const [range, setRange] = useState<(typeof RANGES)[number]>(RANGES[1]);
+  const [sources, setSources] = useState<string[]>([...SOURCES]);
+  const [data, setData] = useState<Analytics | null>(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(false);
+
+  const load = useCallback(async () => {
+    const to = new Date();
+    const from = new Date(to.getFullYear(), to.getMonth(), to.getDate() - (range.days - 1));
+    const query = new URLSearchParams({
+      from: isoDay(from),
+      to: isoDay(to),
+      granularity: range.granularity,
+      tzOffset: String(to.getTimezoneOffset()),
+      sources: sources.join(","),
+    });
+    try {
+      setLoading(true);
+      setError(false);
+      const res = await authFetch(`api/analytics/wellbeing?${query}`);
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      setData(await res.json());
+    } catch {
+      setError(true);
+    } finally {
+      setLoading(false);
+    }
+  }, [range, sources]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  // At least one source stays selected
+  const toggleSource = (source: string) =>
+    setSources((prev) =>
+      prev.includes(source) ? (prev.length > 1 ? prev.filter((s) => s !== source) : prev) : [...prev, source]
+    );
+
+  const moodRows = data
+    ? MOOD_ORDER.filter((mood) => data.moods[mood]).map((mood) => ({
+        key: mood,
+        label: t(`insights.moods.${mood}`),
+        count: data.moods[mood],
+      }))
+    : [];
+  const withScore = (rows: (Summary & { name: string })[], prefix: string) =>
+    rows.map((row) => ({
+      key: row.name,
+      label: t(`${prefix}.${row.name}`),
+      count: row.count,
+      note: row.count ? t(`insights.scoreLabels.${scoreKey(row.score)}`) : undefined,
+    }));
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.header}>
+        <TouchableOpacity onPress={() => router.back()} style={styles.backButton}>
+          <Ionicons name="chevron-back" size={24} color="#388e3c" />
+        </TouchableOpacity>
+        <Text style={styles.headerTitle}>{t("insights.title")}</Text>
+        <View style={styles.placeholder} />
+      </View>
+
+      <ScrollView contentContainerStyle={styles.content}>
+        <View style={styles.chips}>
+          {RANGES.map((r) => (
+            <TouchableOpacity
+              key={r.key}
+              style={[styles.chip, r.key === range.key ? styles.chipActive : null]}
+              onPress={() => setRange(r)}
+            >
+              <Text style={[styles.chipText, r.key === range.key ? styles.chipTextActive : null]}>
+                {t(`insights.ranges.${r.key}`)}
+              </Text>
+            </TouchableOpacity>
+          ))}
+        </View>
+        <View style={styles.chips}>
+          {SOURCES.map((source) => {
+            const on = sources.includes(source);
+            return (
+              <TouchableOpacity
+                key={source}
+                style={[styles.chip, on ? styles.sourceActive : null]}
+                onPress={() => toggleSource(source)}
+                accessibilityState={{ selected: on }}
+              >
+                <Ionicons name={on ? "checkmark" : "add"} size={12} color={on ? "#fff" : "#555"} />
+                <Text style={[styles.chipText, on ? styles.chipTextActive : null]}>{t(`insights.sources.${source}`)}</Text>
+              </TouchableOpacity>
+            );
+          })}
+        </View>
+
+        {loading && !data ? <ActivityIndicator color="#388e3c" style={{ marginTop: 24 }} /> : null}
+        {error ? (
+          <TouchableOpacity onPress={load}>
+            <Text style={styles.error}>{t("insights.failed")}</Text>
+          </TouchableOpacity>
+        ) : null}
+
+        {data ? (
+          <>
+            <View style={styles.cards}>
+              <View style={styles.card}>
+                <Text style={styles.cardValue}>{t(`insights.scoreLabels.${scoreKey(data.overall.score)}`)}</Text>
+                <Text style={styles.cardLabel}>{t("insights.overall")}</Text>
+              </View>
+              <View style={styles.card}>
+                <Text style={styles.cardValue}>
+                  {data.trend.direction ? t(`insights.trend.${data.trend.direction}`) : "—"}
+                </Text>
+                <Text style={styles.cardLabel}>{t("insights.trendLabel")}</Text>
+              </View>
+              <View style={styles.card}>
+                <Text style={styles.cardValue}>{data.streaks.current}</Text>
+                <Text style={styles.cardLabel}>{t("insights.currentStreak")}</Text>
+              </View>
+              <View style={styles.card}>
+                <Text style={styles.cardValue}>{data.streaks.longest}</Text>
+                <Text style={styles.cardLabel}>{t("insights.longestStreak")}</Text>
+              </View>
+            </View>
+
+            <Text style={styles.sectionTitle}>{t("insights.moodOverTime")}</Text>
+            {data.overall.count ? (
+              <ScoreChart
+                points={data.series.map((p) => ({
+                  label: periodLabel(p.period, range.granularity),
+                  score: p.score,
+                  count: p.count,
+                }))}
+              />
+            ) : (
+              <Text style={styles.empty}>{t("insights.empty")}</Text>
+            )}
+            <Text style={styles.hint}>{t("insights.chartHint")}</Text>
+
+            {moodRows.length ? (
+              <>
+                <Text style={styles.sectionTitle}>{t("insights.moodMix")}</Text>
+                <CountBars rows={moodRows} />
+              </>
+            ) : null}
+
+            {data.overall.count ? (
+              <>
+                <Text style={styles.sectionTitle}>{t("insights.timeOfDayTitle")}</Text>
+                <CountBars rows={withScore(data.timeOfDay, "insights.timeOfDay")} color="#64b5f6" />
+                <Text style={styles.sectionTitle}>{t("insights.weekdaysTitle")}</Text>
+                <CountBars rows={withScore(data.weekdays, "insights.weekdays")} color="#ffb74d" />
+              </>
+            ) : null}
+          </>
+        ) : null}
+      </ScrollView>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: { flex: 1, backgroundColor: "#fff" },
+  header: {
+    flexDirection: "row",
+    alignItems: "center",
+    justifyContent: "space-between",
+    paddingHorizontal: 16,
+    paddingTop: 60,
+    paddingBottom: 16,
+    backgroundColor: "#f8f9fa",
+    borderBottomWidth: 1,
+    borderBottomColor: "#e0e0e0",
+  },
+  backButton: { padding: 8 },
+  headerTitle: { fontSize: 18, fontWeight: "600", color: "#388e3c" },
+  placeholder: { width: 40 },
+  content: { padding: 16, paddingBottom: 40 },
+  chips: {
+    flexDirection: "row",
+    flexWrap: "wrap",
+    gap: 8,
+    marginBottom: 10,
+  },
+  chip: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 4,
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 14,
+    borderWidth: 1,
+    borderColor: "#ddd",
+  },
+  chipActive: { backgroundColor: "#252525", borderColor: "#252525" },
+  sourceActive: { backgroundColor: "#388e3c", borderColor: "#388e3c" },
+  chipText: { fontSize: 13, color: "#333" },
+  chipTextActive: { color: "#fff" },
+  error: { color: "#d32f2f", marginVertical: 12 },
+  cards: {
+    flexDirection: "row",
+    flexWrap: "wrap",
+    gap: 10,
+    marginVertical: 8,
+  },
+  card: {
+    flexGrow: 1,
+    flexBasis: "45%",
+    backgroundColor: "#f3f7f5",
+    borderRadius: 12,
+    padding: 14,
+  },
+  cardValue: { fontSize: 20, fontWeight: "700", color: "#222" },
+  cardLabel: { fontSize: 12, color: "#666", marginTop: 4 },
+  sectionTitle: { fontSize: 16, fontWeight: "700", color: "#222", marginTop: 18, marginBottom: 10 },
+  empty: { color: "#666", marginVertical: 12 },
+  hint: { fontSize: 11, color: "#888", marginTop: 6 },
+});
@@ -1,192 +1,615 @@
 import React, { useState, useRef, useEffect } from 'react';
 import { View, Text, TextInput, TouchableOpacity, StyleSheet, FlatList, KeyboardAvoidingView, Platform, ActivityIndicator } from 'react-native';
 import { useTranslation } from 'react-i18next';
+import { Ionicons } from '@expo/vector-icons';
+import { getErrorMessage } from '@/utils/apiError';
+import { API_BASE, authFetch, getAuthToken, refreshSession } from '@/utils/session';
+import { confirmAction, notify } from '@/utils/dialogs';
+import CrisisSupportCard, { RiskInfo } from '@/components/chat/CrisisSupportCard';
+import ReplyActions, { ReplyFeedback } from '@/components/chat/ReplyActions';
+import DegradedModeBanner from '@/components/chat/DegradedModeBanner';
+import LanguageSuggestionBanner, { isAppLanguage } from '@/components/chat/LanguageSuggestionBanner';
+import ExercisePanel, { Exercise } from '@/components/chat/ExercisePanel';
+import ExercisePicker from '@/components/chat/ExercisePicker';
+import { readEventStream } from '@/utils/sse';
+import { fetch as streamingFetch } from 'expo/fetch';
 
 type Message = {
   id: string;
   role: 'user' | 'bot';
   text: string;
+  // Set on Mate's safety response to a flagged message
+  risk?: RiskInfo;
+  // Id of the stored reply, which can then be rated, regenerated and reported
+  serverId?: string;
+  feedback?: ReplyFeedback | null;
 };
 
+type Conversation = {
+  id: string;
+  title: string;
+  archived: boolean;
+  lastMessageAt: string;
+};
+
+const RETENTION_OPTIONS = ['off', '7d', '30d', '90d', 'forever'] as const;
+type Retention = (typeof RETENTION_OPTIONS)[number];
+
+// Turns sent along with a message the server doesn't store, as its only context
+const MAX_CLIENT_TURNS = 20;
+
+const toMessage = (m: any): Message => ({
+  id: String(m.id),
+  role: m.role === 'assistant' ? 'bot' : 'user',
+  text: String(m.text || ''),
+  ...(m.role === 'assistant' ? { serverId: String(m.id), feedback: m.feedback || null } : {}),
+});
+
 export default function Chat() {
-  const { t } = useTranslation();
-  const [messages, setMessages] = useState<Message[]>([
-    { id: 'welcome', role: 'bot', text: t("chat.welcomeMessage") },
-  ]);
+  const { t, i18n } = useTranslation();
+  const welcome = (): Message => ({ id: 'welcome', role: 'bot', text: t("chat.welcomeMessage") });
+  const [messages, setMessages] = useState<Message[]>(() => [welcome()]);
   const [input, setInput] = useState('');
   const listRef = useRef<FlatList<Message>>(null);
+  // Set while earlier messages are put above the ones on screen, which must not scroll to the end
+  const prependingRef = useRef(false);
   const [loading, setLoading] = useState(false);
+  const [regeneratingId, setRegeneratingId] = useState<string | null>(null);
   const [drawerOpen, setDrawerOpen] = useState(false);
-  const [historyByDate, setHistoryByDate] = useState<Record<string, Message[]>>({});
-  const [selectedDateKey, setSelectedDateKey] = useState<string>('');
-
-  const dateKeyOf = (d: Date) => {
-    const y = d.getFullYear();
-    const m = String(d.getMonth() + 1).padStart(2, '0');
-    const day = String(d.getDate()).padStart(2, '0');
-    return `${y}-${m}-${day}`;
-  };
+  const [conversations, setConversations] = useState<Conversation[]>([]);
+  const [conversationsCursor, setConversationsCursor] = useState<string | null>(null);
+  const [showArchived, setShowArchived] = useState(false);
+  // The open thread; null for a new chat until its first exchange is stored
+  const [conversationId, setConversationId] = useState<string | null>(null);
+  // Where the open thread's earlier messages continue, null once all are shown
+  const [earlierCursor, setEarlierCursor] = useState<string | null>(null);
+  const [renaming, setRenaming] = useState<{ id: string; title: string } | null>(null);
+  // Whether the latest reply came from the server's canned fallback
+  const [fallbackReply, setFallbackReply] = useState(false);
+  // An app language Mate replied in that differs from the current one; offered once per visit
+  const [suggestedLanguage, setSuggestedLanguage] = useState<string | null>(null);
+  const languageOfferedRef = useRef(false);
+  const signedIn = !!getAuthToken();
+  const [retention, setRetention] = useState<Retention | null>(null);
+  const [incognito, setIncognito] = useState(false);
+  // A guided exercise shown in place of the message input
+  const [exercise, setExercise] = useState<Exercise | null>(null);
+  const [exercisePickerOpen, setExercisePickerOpen] = useState(false);
+  const storesChat = signedIn && !incognito && retention !== 'off';
 
   useEffect(() => {
-    const groupByDate = (serverMessages: any[]): Record<string, Message[]> => {
-      const grouped: Record<string, Message[]> = {};
-      for (const m of serverMessages) {
-        const createdAt = m.createdAt ? new Date(m.createdAt) : new Date();
-        const key = dateKeyOf(createdAt);
-        const role: 'user' | 'bot' = m.role === 'assistant' ? 'bot' : 'user';
-        const msg: Message = {
-          id: String(m.id || m._id || `${m.createdAt}-${m.role}`),
-          role,
-          text: String(m.text || m.content || ''),
-        };
-        if (!grouped[key]) grouped[key] = [];
-        grouped[key].push(msg);
-      }
-      // Ensure chronological order within a day is preserved by server sort; fallback no-op
-      return grouped;
-    };
-    const loadHistory = async () => {
+    const loadSettings = async () => {
+      if (!getAuthToken()) return;
       try {
-        const token = (globalThis as any).authToken as string | undefined;
-        if (!token) return;
-        const baseUrl = process.env.EXPO_PUBLIC_API_URL?.replace(/\/$/, '') || 'http://localhost:5000';
-        const res = await fetch(`${baseUrl}/api/chatbot/history`, {
-          headers: { Authorization: `Bearer ${token}` },
-        });
+        const res = await authFetch('api/chatbot/settings');
         if (!res.ok) return;
         const data = await res.json();
-        const history = Array.isArray(data?.messages) ? data.messages : [];
-        const grouped = groupByDate(history);
-        setHistoryByDate(grouped);
-        const todayKey = dateKeyOf(new Date());
-        const firstKey = grouped[todayKey] ? todayKey : Object.keys(grouped).sort().pop();
-        if (firstKey) {
-          setSelectedDateKey(firstKey);
-          setMessages(grouped[firstKey]);
-          setTimeout(() => listRef.current?.scrollToEnd({ animated: true }), 0);
-        }
+        if (RETENTION_OPTIONS.includes(data?.retention)) setRetention(data.retention);
       } catch {
         // ignore
       }
     };
-    loadHistory();
+    loadSettings();
   }, []);
 
+  // The first page of threads, or the next one after `before`
+  const loadConversations = async (archived: boolean, before?: string) => {
+    if (!getAuthToken()) return;
+    try {
+      const res = await authFetch(`api/chatbot/conversations?archived=${archived}${before ? `&before=${before}` : ''}`);
+      if (!res.ok) return;
+      const data = await res.json();
+      const page: Conversation[] = Array.isArray(data?.conversations) ? data.conversations : [];
+      setConversations(prev => (before ? [...prev, ...page] : page));
+      setConversationsCursor(data?.nextCursor || null);
+    } catch {
+      // ignore
+    }
+  };
+
+  // Refreshed on every open, which also picks up titles written since
+  const toggleDrawer = () => {
+    if (!drawerOpen) loadConversations(showArchived);
+    setRenaming(null);
+    setDrawerOpen(v => !v);
+  };
+
+  const toggleArchived = () => {
+    setShowArchived(!showArchived);
+    setConversationsCursor(null);
+    loadConversations(!showArchived);
+  };
+
+  const startNewChat = () => {
+    streamAbortRef.current?.abort();
+    setConversationId(null);
+    setEarlierCursor(null);
+    setMessages([welcome()]);
+    setDrawerOpen(false);
+  };
+
+  // Opens a thread at its latest messages, or with `before` adds the page before them
+  const openConversation = async (id: string, before?: string) => {
+    try {
+      const res = await authFetch(`api/chatbot/conversations/${id}/messages${before ? `?before=${before}` : ''}`);
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      const data = await res.json();
+      const page: Message[] = Array.isArray(data?.messages) ? data.messages.map(toMessage) : [];
+      setEarlierCursor(data?.nextCursor || null);
+      if (before) {
+        prependingRef.current = true;
+        setMessages(prev => [...page, ...prev]);
+        return;
+      }
+      streamAbortRef.current?.abort();
+      setConversationId(id);
+      setMessages(page.length ? page : [welcome()]);
+      setDrawerOpen(false);
+      setTimeout(() => listRef.current?.scrollToEnd({ animated: true }), 0);
+    } catch {
+      notify(t("chat.history"), t("chat.loadFailed"));
+    }
+  };
+
+  // Either way round, a fresh conversation starts; saved ones stay in History
+  const toggleIncognito = () => {
+    startNewChat();
+    setIncognito(v => !v);
+  };
+
+  // Takes the thread a stored exchange went into to the top of the list
+  const rememberConversation = (conversation: { id: string; title: string }) => {
+    setConversationId(conversation.id);
+    setConversations(prev => {
+      const rest = prev.filter(c => c.id !== conversation.id);
+      if (showArchived) return rest;
+      return [{ ...conversation, archived: false, lastMessageAt: new Date().toISOString() }, ...rest];
+    });
+  };
+
+  const forgetConversations = (ids: string[] | 'all') => {
+    setConversations(prev => (ids === 'all' ? [] : prev.filter(c => !ids.includes(c.id))));
+    if (ids === 'all') setConversationsCursor(null);
+    if (ids === 'all' || (conversationId && ids.includes(conversationId))) startNewChat();
+  };
+
+  const updateConversation = async (id: string, changes: { title?: string; archived?: boolean }) => {
+    try {
+      const res = await authFetch(`api/chatbot/conversations/${id}`, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(changes),
+      });
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      const data = await res.json();
+      const updated = data.conversation as Conversation;
+      setConversations(prev =>
+        updated.archived === showArchived ? prev.map(c => (c.id === id ? updated : c)) : prev.filter(c => c.id !== id)
+      );
+    } catch {
+      notify(t("chat.history"), t("chat.updateFailed"));
+    }
+  };
+
+  const saveRename = () => {
+    if (!renaming) return;
+    const title = renaming.title.trim();
+    setRenaming(null);
+    const current = conversations.find(c => c.id === renaming.id);
+    if (title && title !== current?.title) updateConversation(renaming.id, { title });
+  };
+
+  // Reports still waiting for a moderator survive a delete; say so rather than
+  // let the user believe everything is gone
+  const noteKeptReports = (data: { keptForReview?: number } | null) => {
+    if (data?.keptForReview) notify(t("chat.history"), t("chat.keptForReview"));
+  };
+
+  const deleteConversation = async (conversation: Conversation) => {
+    const confirmed = await confirmAction(
+      t("chat.deleteConversationTitle"),
+      t("chat.deleteConversationMessage", { title: conversation.title || t("chat.untitled") }),
+      t("chat.delete"),
+      t("chat.cancel")
+    );
+    if (!confirmed) return;
+    try {
+      const res = await authFetch(`api/chatbot/conversations/${conversation.id}`, { method: 'DELETE' });
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      forgetConversations([conversation.id]);
+      noteKeptReports(await res.json().catch(() => null));
+    } catch {
+      notify(t("chat.history"), t("chat.deleteFailed"));
+    }
+  };
+
+  const deleteAll = async () => {
+    const confirmed = await confirmAction(
+      t("chat.deleteAllTitle"),
+      t("chat.deleteAllMessage"),
+      t("chat.delete"),
+      t("chat.cancel")
+    );
+    if (!confirmed) return;
+    try {
+      const res = await authFetch('api/chatbot/history', { method: 'DELETE' });
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      forgetConversations('all');
+      noteKeptReports(await res.json().catch(() => null));
+    } catch {
+      notify(t("chat.history"), t("chat.deleteFailed"));
+    }
+  };
+
+  const changeRetention = async (next: Retention) => {
+    if (next === retention) return;
+    if (next === 'off') {
+      const confirmed = await confirmAction(
+        t("chat.retentionOffTitle"),
+        t("chat.retentionOffMessage"),
+        t("chat.turnOff"),
+        t("chat.cancel")
+      );
+      if (!confirmed) return;
+    }
+    try {
+      const res = await authFetch('api/chatbot/settings', {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ retention: next }),
+      });
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      setRetention(next);
+      if (next === 'off') {
+        forgetConversations('all');
+        noteKeptReports(await res.json().catch(() => null));
+      }
+    } catch {
+      notify(t("chat.keepHistory"), t("chat.settingsFailed"));
+    }
+  };
+
+  // Context for a message the server won't store, since it has none of its own
+  const recentTurns = () =>
+    messages
+      .filter(m => m.id !== 'welcome' && m.text && !m.risk)
+      .slice(-MAX_CLIENT_TURNS)
+      .map(m => ({ role: m.role === 'user' ? 'user' : 'assistant', content: m.text.slice(0, 4000) }));
+
+  // Aborts the reply being streamed (Stop button, or leaving the screen)
+  const streamAbortRef = useRef<AbortController | null>(null);
+  useEffect(() => () => streamAbortRef.current?.abort(), []);
+
   const send = async () => {
     const text = input.trim();
-    if (!text) return;
+    if (!text || loading) return;
     const userMsg: Message = { id: String(Date.now()), role: 'user', text };
     setMessages(prev => [...prev, userMsg]);
     setInput('');
     setLoading(true);
 
+    // The reply bubble is added on the first event and grows with every delta
+    const botId = String(Date.now() + 1);
+    const updateBot = (update: (m: Message) => Message) =>
+      setMessages(prev => prev.map(m => (m.id === botId ? update(m) : m)));
+    const controller = new AbortController();
+    streamAbortRef.current = controller;
+
     try {
-      const baseUrl = process.env.EXPO_PUBLIC_API_URL?.replace(/\/$/, '') || 'http://localhost:5000';
-      const token = (globalThis as any).authToken as string | undefined;
-      const res = await fetch(`${baseUrl}/api/chatbot/reply`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json', ...(token ? { Authorization: `Bearer ${token}` } : {}) },
-        body: JSON.stringify({ message: text }),
+      const body = JSON.stringify({
+        message: text,
+        language: i18n.language,
+        ...(incognito ? { incognito: true } : {}),
+        ...(storesChat && conversationId ? { conversationId } : {}),
+        ...(storesChat ? {} : { history: recentTurns() }),
       });
-      if (!res.ok) {
-        const err = await res.json().catch(() => ({} as any));
-        throw new Error(err?.error || `HTTP ${res.status}`);
-      }
-      const data = await res.json();
-      const replyText = (data?.reply as string) || t("chat.welcomeMessage");
-      const reply: Message = { 
-        id: String(Date.now() + 1), 
-        role: 'bot', 
-        text: replyText 
+      // expo/fetch exposes the response body as a stream on native as well as
+      // web, so this mirrors authFetch's token handling rather than using it
+      const send = () => {
+        const token = getAuthToken();
+        return streamingFetch(`${API_BASE}api/chatbot/reply/stream`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json', ...(token ? { Authorization: `Bearer ${token}` } : {}) },
+          body,
+          signal: controller.signal,
+        });
       };
-      
-      // Log the response source for debugging
-      if (data.source) {
-        console.log(`Chat response from: ${data.source} (AI: ${data.ai_enabled || false})`);
+      let res = await send();
+      if (res.status === 401 && (await refreshSession())) res = await send();
+      if (res.status === 429) {
+        setMessages(prev => [...prev, { id: botId, role: 'bot', text: t("chat.rateLimited") }]);
+        return;
       }
-      
-      setMessages(prev => [...prev, reply]);
-      listRef.current?.scrollToEnd({ animated: true });
+      if (!res.ok || !res.body) {
+        const err = await res.json().catch(() => ({} as any));
+        throw new Error(getErrorMessage(err, `HTTP ${res.status}`));
+      }
+
+      setMessages(prev => [...prev, { id: botId, role: 'bot', text: '' }]);
+      await readEventStream(res.body, ({ event, data }) => {
+        if (event === 'delta') {
+          updateBot(m => ({ ...m, text: m.text + String(data?.text || '') }));
+        } else if (event === 'risk') {
+          updateBot(m => ({ ...m, risk: data as RiskInfo }));
+        } else if (event === 'error') {
+          updateBot(m => ({ ...m, text: `${m.text}\n\n${t("chat.interrupted")}` }));
+        } else if (event === 'done') {
+          if (data?.source) {
+            // Log the response source for debugging
+            console.log(`Chat response from: ${data.source} (AI: ${data.ai_enabled || false})`);
+            if (data.source !== 'safety') setFallbackReply(data.source === 'node_fallback');
+          }
+          if (data?.conversation) rememberConversation(data.conversation);
+          if (data?.messageId) updateBot(m => ({ ...m, serverId: String(data.messageId), feedback: null }));
+          const language = String(data?.language || '');
+          if (isAppLanguage(language) && language !== i18n.language && !languageOfferedRef.current) {
+            languageOfferedRef.current = true;
+            setSuggestedLanguage(language);
+          }
+        }
+      });
     } catch (e: any) {
+      if (controller.signal.aborted) {
+        // Stopped by the user: keep what arrived, drop the bubble if nothing did
+        setMessages(prev => prev.filter(m => m.id !== botId || m.text || m.risk));
+        return;
+      }
       const errMsg = typeof e?.message === 'string' ? e.message : t("chat.errorMessage");
-      const reply: Message = { 
-        id: String(Date.now() + 1), 
-        role: 'bot', 
-        text: `${t("chat.errorMessage")} ${errMsg.includes('HTTP') ? t("chat.tryAgain") : ''}` 
-      };
-      setMessages(prev => [...prev, reply]);
-      listRef.current?.scrollToEnd({ animated: true });
+      const errorText = `${t("chat.errorMessage")} ${errMsg.includes('HTTP') ? t("chat.tryAgain") : ''}`;
+      setMessages(prev =>
+        prev.some(m => m.id === botId)
+          ? prev.map(m => (m.id === botId ? { ...m, text: m.text ? `${m.text}\n\n${t("chat.interrupted")}` : errorText } : m))
+          : [...prev, { id: botId, role: 'bot', text: errorText }]
+      );
     } finally {
+      if (streamAbortRef.current === controller) streamAbortRef.current = null;
       setLoading(false);
+      listRef.current?.scrollToEnd({ animated: true });
     }
   };
 
-  const renderItem = ({ item }: { item: Message }) => (
-    <View style={[styles.bubble, item.role === 'user' ? styles.userBubble : styles.botBubble]}>
-      <Text style={[styles.bubbleText, item.role === 'user' ? styles.userText : styles.botText]}>{item.text}</Text>
-    </View>
-  );
+  const stopReply = () => streamAbortRef.current?.abort();
+
+  const setFeedback = (id: string, feedback: ReplyFeedback | null) =>
+    setMessages(prev => prev.map(m => (m.id === id ? { ...m, feedback } : m)));
+
+  // Swaps the latest reply for a new answer to the same message
+  const regenerate = async (message: Message) => {
+    if (!message.serverId || regeneratingId) return;
+    setRegeneratingId(message.id);
+    try {
+      const res = await authFetch(`api/chatbot/messages/${message.serverId}/regenerate`, { method: 'POST' });
+      if (res.status === 429) {
+        notify(t("chat.reply.regenerate"), t("chat.rateLimited"));
+        return;
+      }
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      const data = await res.json();
+      const text = String(data?.message?.text || '');
+      if (text) setMessages(prev => prev.map(m => (m.id === message.id ? { ...m, text, feedback: null } : m)));
+    } catch {
+      notify(t("chat.reply.regenerate"), t("chat.reply.regenerateFailed"));
+    } finally {
+      setRegeneratingId(null);
+    }
+  };
+
+  const renderItem = ({ item, index }: { item: Message; index: number }) => {
+    const latest = index === messages.length - 1;
+    return (
+      <>
+        <View style={[styles.bubble, item.role === 'user' ? styles.userBubble : styles.botBubble]}>
+          <Text style={[styles.bubbleText, item.role === 'user' ? styles.userText : styles.botText]}>{item.text || '…'}</Text>
+        </View>
+        {item.risk ? <CrisisSupportCard risk={item.risk} /> : null}
+        {item.role === 'bot' && item.serverId ? (
+          <ReplyActions
+            messageId={item.serverId}
+            feedback={item.feedback || null}
+            onFeedback={feedback => setFeedback(item.id, feedback)}
+            onRegenerate={latest && !item.risk && !loading ? () => regenerate(item) : undefined}
+            regenerating={regeneratingId === item.id}
+          />
+        ) : null}
+      </>
+    );
+  };
 
   return (
     <KeyboardAvoidingView style={{ flex: 1, backgroundColor: '#fff' }} behavior={Platform.OS === 'ios' ? 'padding' : undefined}>
       <View style={styles.header}>
-        <TouchableOpacity style={styles.menuBtn} onPress={() => setDrawerOpen(v => !v)}>
+        <TouchableOpacity style={styles.menuBtn} onPress={toggleDrawer}>
           <Text style={styles.menuIcon}>☰</Text>
         </TouchableOpacity>
         <Text style={styles.headerTitle}>{t("chat.title")}</Text>
-        <View style={{ width: 40 }} />
+        {signedIn ? (
+          <View style={styles.headerActions}>
+            <TouchableOpacity
+              style={styles.menuBtn}
+              onPress={() => setExercisePickerOpen(true)}
+              accessibilityLabel={t("chat.exercises.title")}
+            >
+              <Ionicons name="leaf-outline" size={20} color="#555" />
+            </TouchableOpacity>
+            <TouchableOpacity
+              style={styles.menuBtn}
+              onPress={toggleIncognito}
+              accessibilityLabel={t("chat.incognitoToggle")}
+              accessibilityState={{ selected: incognito }}
+            >
+              <Ionicons name={incognito ? 'eye-off' : 'eye-off-outline'} size={20} color={incognito ? '#6a1b9a' : '#555'} />
+            </TouchableOpacity>
+          </View>
+        ) : (
+          <View style={{ width: 40 }} />
+        )}
       </View>
+      {incognito ? (
+        <View style={styles.incognitoBar}>
+          <Text style={styles.incognitoText}>{t("chat.incognito")}</Text>
+        </View>
+      ) : null}
+      <DegradedModeBanner fallbackReply={fallbackReply} />
+      {suggestedLanguage ? (
+        <LanguageSuggestionBanner language={suggestedLanguage} onClose={() => setSuggestedLanguage(null)} />
+      ) : null}
       <FlatList
         ref={listRef}
         data={messages}
         keyExtractor={(m) => m.id}
         renderItem={renderItem}
         contentContainerStyle={styles.listContent}
-        onContentSizeChange={() => listRef.current?.scrollToEnd({ animated: true })}
+        onContentSizeChange={() => {
+          if (prependingRef.current) {
+            prependingRef.current = false;
+            return;
+          }
+          listRef.current?.scrollToEnd({ animated: true });
+        }}
+        ListHeaderComponent={
+          earlierCursor && conversationId ? (
+            <TouchableOpacity style={styles.loadMore} onPress={() => openConversation(conversationId, earlierCursor)}>
+              <Text style={styles.loadMoreText}>{t("chat.loadEarlier")}</Text>
+            </TouchableOpacity>
+          ) : null
+        }
       />
       {drawerOpen ? (
         <View style={styles.drawer}>
-          <Text style={styles.drawerTitle}>{t("chat.history")}</Text>
+          <View style={styles.drawerHeader}>
+            <Text style={styles.drawerTitle}>{t("chat.history")}</Text>
+            <TouchableOpacity style={styles.newChat} onPress={startNewChat}>
+              <Ionicons name="create-outline" size={16} color="#252525" />
+              <Text style={styles.newChatText}>{t("chat.newChat")}</Text>
+            </TouchableOpacity>
+          </View>
+          {signedIn && retention ? (
+            <View style={styles.retention}>
+              <Text style={styles.retentionLabel}>{t("chat.keepHistory")}</Text>
+              <View style={styles.retentionOptions}>
+                {RETENTION_OPTIONS.map(option => (
+                  <TouchableOpacity
+                    key={option}
+                    onPress={() => changeRetention(option)}
+                    style={[styles.retentionChip, option === retention ? styles.retentionChipActive : null]}
+                  >
+                    <Text style={[styles.retentionChipText, option === retention ? styles.retentionChipTextActive : null]}>
+                      {t(`chat.retention.${option}`)}
+                    </Text>
+                  </TouchableOpacity>
+                ))}
+              </View>
+            </View>
+          ) : null}
+          {signedIn ? (
+            <TouchableOpacity style={styles.archivedToggle} onPress={toggleArchived}>
+              <Ionicons name={showArchived ? 'chatbubbles-outline' : 'archive-outline'} size={14} color="#666" />
+              <Text style={styles.archivedToggleText}>{t(showArchived ? "chat.showActive" : "chat.showArchived")}</Text>
+            </TouchableOpacity>
+          ) : null}
           <FlatList
-            data={Object.keys(historyByDate).sort()}
-            keyExtractor={(k) => k}
+            data={conversations}
+            keyExtractor={(c) => c.id}
             renderItem={({ item }) => {
-              const isSelected = item === selectedDateKey;
+              const isSelected = item.id === conversationId;
+              if (renaming?.id === item.id) {
+                return (
+                  <View style={[styles.drawerItem, styles.drawerItemActive]}>
+                    <TextInput
+                      style={styles.renameInput}
+                      value={renaming.title}
+                      onChangeText={title => setRenaming({ id: item.id, title })}
+                      // Single-line inputs blur on submit, so this also saves on Enter
+                      onBlur={saveRename}
+                      maxLength={100}
+                      autoFocus
+                      returnKeyType="done"
+                    />
+                  </View>
+                );
+              }
               return (
                 <TouchableOpacity
-                  onPress={() => {
-                    setSelectedDateKey(item);
-                    setMessages(historyByDate[item] || []);
-                    setDrawerOpen(false);
-                    setTimeout(() => listRef.current?.scrollToEnd({ animated: true }), 0);
-                  }}
+                  onPress={() => openConversation(item.id)}
                   style={[styles.drawerItem, isSelected ? styles.drawerItemActive : null]}
                 >
-                  <Text style={[styles.drawerItemText, isSelected ? styles.drawerItemTextActive : null]}>{item}</Text>
+                  <View style={styles.drawerItemBody}>
+                    <Text style={[styles.drawerItemText, isSelected ? styles.drawerItemTextActive : null]} numberOfLines={1}>
+                      {item.title || t("chat.untitled")}
+                    </Text>
+                    <Text style={styles.drawerItemDate}>{new Date(item.lastMessageAt).toLocaleDateString()}</Text>
+                  </View>
+                  <TouchableOpacity
+                    onPress={() => setRenaming({ id: item.id, title: item.title })}
+                    accessibilityLabel={t("chat.rename")}
+                    hitSlop={8}
+                  >
+                    <Ionicons name="pencil-outline" size={16} color="#999" />
+                  </TouchableOpacity>
+                  <TouchableOpacity
+                    onPress={() => updateConversation(item.id, { archived: !item.archived })}
+                    accessibilityLabel={t(item.archived ? "chat.unarchive" : "chat.archive")}
+                    hitSlop={8}
+                  >
+                    <Ionicons name={item.archived ? 'arrow-undo-outline' : 'archive-outline'} size={16} color="#999" />
+                  </TouchableOpacity>
+                  <TouchableOpacity
+                    onPress={() => deleteConversation(item)}
+                    accessibilityLabel={t("chat.deleteConversation")}
+                    hitSlop={8}
+                  >
+                    <Ionicons name="trash-outline" size={16} color="#999" />
+                  </TouchableOpacity>
                 </TouchableOpacity>
               );
             }}
+            ListEmptyComponent={<Text style={styles.drawerEmpty}>{t("chat.noHistory")}</Text>}
+            ListFooterComponent={
+              conversationsCursor ? (
+                <TouchableOpacity style={styles.loadMore} onPress={() => loadConversations(showArchived, conversationsCursor)}>
+                  <Text style={styles.loadMoreText}>{t("chat.loadMore")}</Text>
+                </TouchableOpacity>
+              ) : null
+            }
           />
+          {conversations.length && !showArchived ? (
+            <TouchableOpacity style={styles.deleteAll} onPress={deleteAll}>
+              <Ionicons name="trash-outline" size={16} color="#c62828" />
+              <Text style={styles.deleteAllText}>{t("chat.deleteAll")}</Text>
+            </TouchableOpacity>
+          ) : null}
         </View>
       ) : null}
-      <View style={styles.inputRow}>
-        <TextInput
-          style={styles.input}
-          placeholder={t("chat.typeMessage")}
-          value={input}
-          onChangeText={setInput}
-          onSubmitEditing={send}
-          returnKeyType="send"
-        />
-        {loading ? (
-          <View style={styles.loadingWrap}>
-            <ActivityIndicator color="#252525" />
-          </View>
-        ) : null}
-        <TouchableOpacity onPress={send} style={styles.sendBtn}>
-          <Text style={styles.sendText}>{t("chat.send")}</Text>
-        </TouchableOpacity>
-      </View>
+      <ExercisePicker
+        visible={exercisePickerOpen}
+        onClose={() => setExercisePickerOpen(false)}
+        onOpen={opened => {
+          setExercisePickerOpen(false);
+          setExercise(opened);
+        }}
+      />
+      {exercise ? (
+        <ExercisePanel exercise={exercise} onChange={setExercise} onClose={() => setExercise(null)} />
+      ) : (
+        <View style={styles.inputRow}>
+          <TextInput
+            style={styles.input}
+            placeholder={t("chat.typeMessage")}
+            value={input}
+            onChangeText={setInput}
+            onSubmitEditing={send}
+            returnKeyType="send"
+          />
+          {loading ? (
+            <View style={styles.loadingWrap}>
+              <ActivityIndicator color="#252525" />
+            </View>
+          ) : null}
+          <TouchableOpacity onPress={loading ? stopReply : send} style={styles.sendBtn}>
+            <Text style={styles.sendText}>{loading ? t("chat.stop") : t("chat.send")}</Text>
+          </TouchableOpacity>
+        </View>
+      )}
     </KeyboardAvoidingView>
   );
 }
@@ -213,6 +636,9 @@ const styles = StyleSheet.create({
     justifyContent: 'center',
     borderRadius: 8,
   },
+  headerActions: {
+    flexDirection: 'row',
+  },
   menuIcon: {
     fontSize: 20,
   },
@@ -288,16 +714,69 @@ const styles = StyleSheet.create({
     shadowRadius: 6,
     elevation: 3,
   },
+  drawerHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    paddingRight: 12,
+  },
   drawerTitle: {
     fontSize: 14,
     fontWeight: '700',
     paddingHorizontal: 12,
     paddingVertical: 6,
   },
+  newChat: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 4,
+    paddingHorizontal: 8,
+    paddingVertical: 4,
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: '#ddd',
+  },
+  newChatText: {
+    fontSize: 12,
+    fontWeight: '600',
+    color: '#252525',
+  },
+  archivedToggle: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 4,
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+  },
+  archivedToggleText: {
+    fontSize: 12,
+    color: '#666',
+  },
   drawerItem: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 10,
     paddingHorizontal: 12,
     paddingVertical: 10,
   },
+  drawerItemBody: {
+    flex: 1,
+  },
+  drawerItemDate: {
+    fontSize: 11,
+    color: '#999',
+    marginTop: 2,
+  },
+  renameInput: {
+    flex: 1,
+    height: 32,
+    borderRadius: 6,
+    backgroundColor: '#fff',
+    borderWidth: 1,
+    borderColor: '#ddd',
+    paddingHorizontal: 8,
+    fontSize: 14,
+  },
   drawerItemActive: {
     backgroundColor: '#f4f4f4',
   },
@@ -308,6 +787,77 @@ const styles = StyleSheet.create({
   drawerItemTextActive: {
     fontWeight: '700',
   },
+  loadMore: {
+    alignItems: 'center',
+    paddingVertical: 10,
+  },
+  loadMoreText: {
+    fontSize: 13,
+    color: '#555',
+    fontWeight: '600',
+  },
+  drawerEmpty: {
+    fontSize: 13,
+    color: '#888',
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+  },
+  deleteAll: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 6,
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+    borderTopWidth: 1,
+    borderTopColor: '#eaeaea',
+  },
+  deleteAllText: {
+    color: '#c62828',
+    fontWeight: '600',
+  },
+  retention: {
+    paddingHorizontal: 12,
+    paddingBottom: 8,
+    borderBottomWidth: 1,
+    borderBottomColor: '#eaeaea',
+  },
+  retentionLabel: {
+    fontSize: 12,
+    color: '#666',
+    marginBottom: 6,
+  },
+  retentionOptions: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 6,
+  },
+  retentionChip: {
+    paddingHorizontal: 10,
+    paddingVertical: 4,
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: '#ddd',
+  },
+  retentionChipActive: {
+    backgroundColor: '#252525',
+    borderColor: '#252525',
+  },
+  retentionChipText: {
+    fontSize: 12,
+    color: '#333',
+  },
+  retentionChipTextActive: {
+    color: '#fff',
+  },
+  incognitoBar: {
+    paddingVertical: 6,
+    paddingHorizontal: 12,
+    backgroundColor: '#f3e5f5',
+  },
+  incognitoText: {
+    fontSize: 13,
+    color: '#6a1b9a',
+  },
 });
 
 
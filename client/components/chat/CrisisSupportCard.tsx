@@ -0,0 +1,177 @@
+import React from "react";
+import { Linking, StyleSheet, Text, TouchableOpacity, View } from "react-native";
+import { router } from "expo-router";
+import { Ionicons } from "@expo/vector-icons";
+import { useTranslation } from "react-i18next";
+import { authFetch, getAuthToken } from "@/utils/session";
+
+export type Helpline = {
+  id: string;
+  name: string;
+  phone: string;
+  display: string;
+  hours: string;
+};
+
+// `risk` block of a /api/chatbot/reply response when the message was flagged
+export type RiskInfo = {
+  eventId: string | null;
+  level: "elevated" | "high";
+  helplines: Helpline[];
+  emergencyContact: { name: string | null; phone: string } | null;
+};
+
+type EscalationAction = "called_contact" | "texted_contact" | "called_helpline";
+
+// Best effort: the call or message matters, not whether it was recorded
+const recordEscalation = (eventId: string | null, action: EscalationAction, helplineId?: string) => {
+  if (!eventId || !getAuthToken()) return;
+  authFetch(`api/chatbot/risk-events/${eventId}/escalations`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ action, helplineId }),
+  }).catch(() => {});
+};
+
+export default function CrisisSupportCard({ risk }: { risk: RiskInfo }) {
+  const { t } = useTranslation();
+  const contact = risk.emergencyContact;
+  const contactName = contact?.name || t("chat.crisis.yourContact");
+
+  const callContact = () => {
+    if (!contact) return;
+    recordEscalation(risk.eventId, "called_contact");
+    Linking.openURL(`tel:${contact.phone}`).catch(() => {});
+  };
+
+  const textContact = () => {
+    if (!contact) return;
+    recordEscalation(risk.eventId, "texted_contact");
+    const body = encodeURIComponent(t("chat.crisis.smsBody"));
+    Linking.openURL(`sms:${contact.phone}?body=${body}`).catch(() => {});
+  };
+
+  const callHelpline = (helpline: Helpline) => {
+    recordEscalation(risk.eventId, "called_helpline", helpline.id);
+    Linking.openURL(`tel:${helpline.phone}`).catch(() => {});
+  };
+
+  return (
+    <View style={styles.card}>
+      <Text style={styles.title}>{t("chat.crisis.title")}</Text>
+
+      {contact ? (
+        <View style={styles.contactRow}>
+          <TouchableOpacity style={[styles.contactBtn, styles.callBtn]} onPress={callContact}>
+            <Ionicons name="call" size={18} color="#fff" />
+            <Text style={styles.contactBtnText} numberOfLines={1}>
+              {t("chat.crisis.callContact", { name: contactName })}
+            </Text>
+          </TouchableOpacity>
+          <TouchableOpacity style={[styles.contactBtn, styles.textBtn]} onPress={textContact}>
+            <Ionicons name="chatbubble-ellipses" size={18} color="#fff" />
+            <Text style={styles.contactBtnText}>{t("chat.crisis.textContact")}</Text>
+          </TouchableOpacity>
+        </View>
+      ) : getAuthToken() ? (
+        <TouchableOpacity style={styles.addContact} onPress={() => router.push("/(tabs)/profile/edit")}>
+          <Ionicons name="person-add-outline" size={16} color="#388e3c" />
+          <Text style={styles.addContactText}>{t("chat.crisis.addContact")}</Text>
+        </TouchableOpacity>
+      ) : null}
+
+      <Text style={styles.subtitle}>{t("chat.crisis.helplines")}</Text>
+      {risk.helplines.map((helpline) => (
+        <TouchableOpacity key={helpline.id} style={styles.helpline} onPress={() => callHelpline(helpline)}>
+          <View style={{ flex: 1 }}>
+            <Text style={styles.helplineName}>{helpline.name}</Text>
+            <Text style={styles.helplineHours}>{helpline.hours}</Text>
+          </View>
+          <Text style={styles.helplinePhone}>{helpline.display}</Text>
+          <Ionicons name="call-outline" size={18} color="#c62828" />
+        </TouchableOpacity>
+      ))}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  card: {
+    alignSelf: "stretch",
+    marginVertical: 6,
+    padding: 12,
+    borderRadius: 14,
+    backgroundColor: "#fff5f5",
+    borderWidth: 1,
+    borderColor: "#f3c4c4",
+  },
+  title: {
+    fontSize: 15,
+    fontWeight: "700",
+    color: "#b71c1c",
+    marginBottom: 10,
+  },
+  subtitle: {
+    fontSize: 13,
+    fontWeight: "600",
+    color: "#555",
+    marginTop: 12,
+    marginBottom: 4,
+  },
+  contactRow: {
+    flexDirection: "row",
+    gap: 8,
+  },
+  contactBtn: {
+    flexDirection: "row",
+    alignItems: "center",
+    justifyContent: "center",
+    gap: 6,
+    paddingVertical: 10,
+    paddingHorizontal: 12,
+    borderRadius: 10,
+  },
+  callBtn: {
+    flex: 1,
+    backgroundColor: "#c62828",
+  },
+  textBtn: {
+    backgroundColor: "#252525",
+  },
+  contactBtnText: {
+    color: "#fff",
+    fontWeight: "600",
+    flexShrink: 1,
+  },
+  addContact: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 6,
+  },
+  addContactText: {
+    color: "#388e3c",
+    fontWeight: "600",
+  },
+  helpline: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 8,
+    paddingVertical: 8,
+    borderTopWidth: 1,
+    borderTopColor: "#f3dcdc",
+  },
+  helplineName: {
+    fontSize: 14,
+    fontWeight: "600",
+    color: "#222",
+  },
+  helplineHours: {
+    fontSize: 12,
+    color: "#777",
+  },
+  helplinePhone: {
+    fontSize: 14,
+    color: "#c62828",
+    fontWeight: "600",
+  },
+});
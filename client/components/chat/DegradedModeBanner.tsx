@@ -0,0 +1,59 @@
+import React, { useEffect, useState } from "react";
+import { StyleSheet, Text, View } from "react-native";
+import { Ionicons } from "@expo/vector-icons";
+import { useTranslation } from "react-i18next";
+import { API_BASE } from "@/utils/session";
+
+const POLL_INTERVAL_MS = 60 * 1000;
+
+// Shown while Mate answers with simple built-in replies because the chat model
+// is unavailable: either /api/health says so or the last reply was a fallback.
+export default function DegradedModeBanner({ fallbackReply }: { fallbackReply: boolean }) {
+  const { t } = useTranslation();
+  const [degraded, setDegraded] = useState(false);
+
+  useEffect(() => {
+    let active = true;
+    const check = async () => {
+      try {
+        const res = await fetch(`${API_BASE}api/health`);
+        const data = await res.json();
+        if (active) setDegraded(data?.status === "degraded");
+      } catch {
+        // The API itself is unreachable; sending will show its own error
+      }
+    };
+    check();
+    const timer = setInterval(check, POLL_INTERVAL_MS);
+    return () => {
+      active = false;
+      clearInterval(timer);
+    };
+  }, [fallbackReply]);
+
+  if (!degraded && !fallbackReply) return null;
+  return (
+    <View style={styles.banner}>
+      <Ionicons name="cloud-offline-outline" size={16} color="#8a6d00" />
+      <Text style={styles.text}>{t("chat.degraded")}</Text>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  banner: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 8,
+    paddingVertical: 8,
+    paddingHorizontal: 12,
+    backgroundColor: "#fff8e1",
+    borderBottomWidth: 1,
+    borderBottomColor: "#f3e2a9",
+  },
+  text: {
+    flex: 1,
+    fontSize: 13,
+    color: "#6d5600",
+  },
+});
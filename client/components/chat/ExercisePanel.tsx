@@ -0,0 +1,314 @@
+import React, { useState } from "react";
+import { ActivityIndicator, ScrollView, StyleSheet, Text, TextInput, TouchableOpacity, View } from "react-native";
+import { Ionicons } from "@expo/vector-icons";
+import { useTranslation } from "react-i18next";
+import { authFetch } from "@/utils/session";
+import { confirmAction, notify } from "@/utils/dialogs";
+import CrisisSupportCard, { RiskInfo } from "@/components/chat/CrisisSupportCard";
+
+export type ExerciseStep = {
+  id: string;
+  type: "text" | "scale" | "choice" | "list";
+  prompt: string;
+  optional: boolean;
+  min?: number;
+  max?: number;
+  options?: { value: string; label: string }[];
+  count?: number;
+  // The answer being taken back after going back a step
+  answer?: unknown;
+};
+
+export type ExerciseAnswer = {
+  step: string;
+  prompt: string;
+  value: unknown;
+  label: unknown;
+  answeredAt: string;
+};
+
+// An exercise run as returned by /api/chatbot/exercises
+export type Exercise = {
+  id: string;
+  flow: string;
+  title: string;
+  status: "active" | "completed";
+  step: ExerciseStep | null;
+  progress: { answered: number; total: number };
+  answers: ExerciseAnswer[];
+  closing: string | null;
+  startedAt: string;
+  completedAt: string | null;
+};
+
+type Draft = string | number | string[] | null;
+
+const initialDraft = (step: ExerciseStep): Draft => {
+  if (step.answer !== undefined && step.answer !== null) return step.answer as Draft;
+  if (step.type === "list") return Array.from({ length: step.count || 1 }, () => "");
+  if (step.type === "text") return "";
+  return null;
+};
+
+const isComplete = (step: ExerciseStep, draft: Draft) => {
+  if (step.type === "text") return step.optional || (typeof draft === "string" && !!draft.trim());
+  if (step.type === "list") return Array.isArray(draft) && draft.every((entry) => entry.trim());
+  return draft !== null;
+};
+
+// The input for one step; remounted for every step so each starts from its own draft
+function StepForm({ step, busy, onSubmit }: { step: ExerciseStep; busy: boolean; onSubmit: (value: Draft) => void }) {
+  const { t } = useTranslation();
+  const [draft, setDraft] = useState<Draft>(() => initialDraft(step));
+
+  const submit = () => {
+    if (step.type === "text") {
+      const text = typeof draft === "string" ? draft.trim() : "";
+      return onSubmit(text || null);
+    }
+    onSubmit(draft);
+  };
+
+  const chips = (items: { value: string | number; label: string }[]) => (
+    <View style={styles.chips}>
+      {items.map((item) => (
+        <TouchableOpacity
+          key={String(item.value)}
+          style={[styles.chip, draft === item.value ? styles.chipActive : null]}
+          onPress={() => setDraft(item.value)}
+        >
+          <Text style={[styles.chipText, draft === item.value ? styles.chipTextActive : null]}>{item.label}</Text>
+        </TouchableOpacity>
+      ))}
+    </View>
+  );
+
+  let input: React.ReactNode = null;
+  if (step.type === "text") {
+    input = (
+      <TextInput
+        style={[styles.input, styles.textArea]}
+        value={typeof draft === "string" ? draft : ""}
+        onChangeText={setDraft}
+        placeholder={step.optional ? t("chat.exercises.optional") : t("chat.exercises.answer")}
+        maxLength={2000}
+        multiline
+      />
+    );
+  } else if (step.type === "scale") {
+    const min = step.min ?? 0;
+    const max = step.max ?? 10;
+    input = chips(Array.from({ length: max - min + 1 }, (_, i) => ({ value: min + i, label: String(min + i) })));
+  } else if (step.type === "choice") {
+    input = chips(step.options || []);
+  } else {
+    const entries = Array.isArray(draft) ? draft : [];
+    input = entries.map((entry, index) => (
+      <TextInput
+        key={index}
+        style={styles.input}
+        value={entry}
+        onChangeText={(value) => setDraft(entries.map((e, i) => (i === index ? value : e)))}
+        placeholder={`${index + 1}.`}
+        maxLength={200}
+      />
+    ));
+  }
+
+  return (
+    <>
+      {input}
+      <TouchableOpacity
+        style={[styles.primaryBtn, (!isComplete(step, draft) || busy) && { opacity: 0.6 }]}
+        onPress={submit}
+        disabled={!isComplete(step, draft) || busy}
+      >
+        {busy ? <ActivityIndicator color="#fff" /> : <Text style={styles.primaryText}>{t("chat.exercises.next")}</Text>}
+      </TouchableOpacity>
+    </>
+  );
+}
+
+type Props = {
+  exercise: Exercise;
+  onChange: (exercise: Exercise) => void;
+  // Hides the panel; a run still in progress can be resumed later
+  onClose: () => void;
+};
+
+// Runs a guided exercise in place of the chat input, one step at a time
+export default function ExercisePanel({ exercise, onChange, onClose }: Props) {
+  const { t } = useTranslation();
+  const [busy, setBusy] = useState(false);
+  const [risk, setRisk] = useState<RiskInfo | null>(null);
+  const { step, progress } = exercise;
+
+  const call = async (path: string, init: RequestInit) => {
+    setBusy(true);
+    try {
+      const res = await authFetch(`api/chatbot/exercises/${exercise.id}${path}`, init);
+      // The run moved on elsewhere (another device, a double tap): show where it is now
+      if (res.status === 409) {
+        const current = await authFetch(`api/chatbot/exercises/${exercise.id}`);
+        if (current.ok) onChange((await current.json()).exercise);
+        return;
+      }
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      const data = await res.json();
+      if (data?.risk) setRisk(data.risk);
+      onChange(data.exercise);
+    } catch {
+      notify(exercise.title, t("chat.exercises.failed"));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const answer = (value: Draft) =>
+    call("/answers", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ step: step?.id, value }),
+    });
+
+  const goBack = () => call("/back", { method: "POST" });
+
+  const endExercise = async () => {
+    const ok = await confirmAction(
+      t("chat.exercises.endTitle"),
+      t("chat.exercises.endMessage"),
+      t("chat.exercises.end"),
+      t("chat.cancel")
+    );
+    if (!ok) return;
+    try {
+      const res = await authFetch(`api/chatbot/exercises/${exercise.id}`, { method: "DELETE" });
+      if (!res.ok && res.status !== 404) throw new Error(`HTTP ${res.status}`);
+      onClose();
+    } catch {
+      notify(exercise.title, t("chat.exercises.failed"));
+    }
+  };
+
+  return (
+    <View style={styles.panel}>
+      <View style={styles.header}>
+        <View style={{ flex: 1 }}>
+          <Text style={styles.title} numberOfLines={1}>{exercise.title}</Text>
+          {step ? (
+            <Text style={styles.progress}>
+              {t("chat.exercises.progress", { current: progress.answered + 1, total: Math.max(progress.total, progress.answered + 1) })}
+            </Text>
+          ) : null}
+        </View>
+        {step ? (
+          <TouchableOpacity onPress={endExercise} accessibilityLabel={t("chat.exercises.end")} hitSlop={8}>
+            <Ionicons name="trash-outline" size={18} color="#999" />
+          </TouchableOpacity>
+        ) : null}
+        <TouchableOpacity onPress={onClose} accessibilityLabel={t("chat.exercises.pause")} hitSlop={8}>
+          <Ionicons name="close" size={20} color="#555" />
+        </TouchableOpacity>
+      </View>
+      <ScrollView style={styles.body} keyboardShouldPersistTaps="handled">
+        {risk ? <CrisisSupportCard risk={risk} /> : null}
+        {step ? (
+          <>
+            <Text style={styles.prompt}>{step.prompt}</Text>
+            <StepForm key={`${step.id}:${progress.answered}`} step={step} busy={busy} onSubmit={answer} />
+            {progress.answered > 0 ? (
+              <TouchableOpacity style={styles.secondaryBtn} onPress={goBack} disabled={busy}>
+                <Text style={styles.secondaryText}>{t("chat.exercises.back")}</Text>
+              </TouchableOpacity>
+            ) : null}
+          </>
+        ) : (
+          <>
+            <Text style={styles.prompt}>{exercise.closing}</Text>
+            <Text style={styles.savedNote}>{t("chat.exercises.saved")}</Text>
+            <TouchableOpacity style={styles.primaryBtn} onPress={onClose}>
+              <Text style={styles.primaryText}>{t("chat.exercises.done")}</Text>
+            </TouchableOpacity>
+          </>
+        )}
+      </ScrollView>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  panel: {
+    maxHeight: "60%",
+    borderTopWidth: 1,
+    borderTopColor: "#e5e5e5",
+    backgroundColor: "#fff",
+  },
+  header: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 14,
+    paddingHorizontal: 12,
+    paddingTop: 10,
+  },
+  title: { fontSize: 15, fontWeight: "700", color: "#252525" },
+  progress: { fontSize: 12, color: "#777", marginTop: 2 },
+  body: { paddingHorizontal: 12, paddingTop: 8 },
+  prompt: {
+    alignSelf: "flex-start",
+    backgroundColor: "#f0f0f0",
+    borderRadius: 14,
+    paddingVertical: 10,
+    paddingHorizontal: 12,
+    marginBottom: 10,
+    fontSize: 15,
+    color: "#222",
+  },
+  savedNote: { fontSize: 13, color: "#666", marginBottom: 10 },
+  chips: {
+    flexDirection: "row",
+    flexWrap: "wrap",
+    gap: 8,
+    marginBottom: 12,
+  },
+  chip: {
+    minWidth: 36,
+    alignItems: "center",
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 14,
+    borderWidth: 1,
+    borderColor: "#ddd",
+  },
+  chipActive: {
+    backgroundColor: "#252525",
+    borderColor: "#252525",
+  },
+  chipText: { fontSize: 13, color: "#333" },
+  chipTextActive: { color: "#fff" },
+  input: {
+    borderWidth: 1,
+    borderColor: "#ddd",
+    borderRadius: 8,
+    padding: 10,
+    marginBottom: 8,
+    fontSize: 15,
+  },
+  textArea: {
+    minHeight: 80,
+    textAlignVertical: "top",
+  },
+  primaryBtn: {
+    backgroundColor: "#252525",
+    paddingVertical: 12,
+    borderRadius: 8,
+    alignItems: "center",
+    marginTop: 4,
+  },
+  primaryText: { color: "#fff", fontWeight: "700", fontSize: 15 },
+  secondaryBtn: {
+    paddingVertical: 10,
+    alignItems: "center",
+    marginBottom: 8,
+  },
+  secondaryText: { color: "#555", fontWeight: "600" },
+});
@@ -0,0 +1,119 @@
+import React, { useEffect, useState } from "react";
+import { ActivityIndicator, Modal, Pressable, StyleSheet, Text, TouchableOpacity, View } from "react-native";
+import { Ionicons } from "@expo/vector-icons";
+import { useTranslation } from "react-i18next";
+import { authFetch } from "@/utils/session";
+import { notify } from "@/utils/dialogs";
+import { isAppLanguage } from "@/components/chat/LanguageSuggestionBanner";
+import type { Exercise } from "@/components/chat/ExercisePanel";
+
+type Flow = { id: string; title: string; description: string; steps: number };
+
+type Props = {
+  visible: boolean;
+  onClose: () => void;
+  onOpen: (exercise: Exercise) => void;
+};
+
+// Lists the guided exercises; picking one starts it, or resumes the run in progress
+export default function ExercisePicker({ visible, onClose, onOpen }: Props) {
+  const { t, i18n } = useTranslation();
+  const [flows, setFlows] = useState<Flow[]>([]);
+  const [active, setActive] = useState<Exercise[]>([]);
+  const [opening, setOpening] = useState<string | null>(null);
+  const language = isAppLanguage(i18n.language) ? i18n.language : undefined;
+
+  useEffect(() => {
+    if (!visible) return;
+    const load = async () => {
+      try {
+        const [flowsRes, activeRes] = await Promise.all([
+          authFetch(`api/chatbot/exercises/flows${language ? `?language=${language}` : ""}`),
+          authFetch("api/chatbot/exercises?status=active"),
+        ]);
+        if (flowsRes.ok) setFlows((await flowsRes.json()).flows || []);
+        if (activeRes.ok) setActive((await activeRes.json()).exercises || []);
+      } catch {
+        // ignore
+      }
+    };
+    load();
+  }, [visible, language]);
+
+  const open = async (flow: string) => {
+    setOpening(flow);
+    try {
+      const res = await authFetch("api/chatbot/exercises", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ flow, ...(language ? { language } : {}) }),
+      });
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      onOpen((await res.json()).exercise);
+    } catch {
+      notify(t("chat.exercises.title"), t("chat.exercises.failed"));
+    } finally {
+      setOpening(null);
+    }
+  };
+
+  return (
+    <Modal visible={visible} animationType="slide" transparent onRequestClose={onClose}>
+      <Pressable style={styles.modalBackdrop} onPress={onClose}>
+        <Pressable style={styles.modalCard} onPress={() => {}}>
+          <Text style={styles.modalTitle}>{t("chat.exercises.title")}</Text>
+          <Text style={styles.modalText}>{t("chat.exercises.intro")}</Text>
+          {flows.length ? null : <ActivityIndicator color="#252525" style={{ marginVertical: 12 }} />}
+          {flows.map((flow) => {
+            const run = active.find((e) => e.flow === flow.id);
+            return (
+              <TouchableOpacity key={flow.id} style={styles.flow} onPress={() => open(flow.id)} disabled={!!opening}>
+                <View style={{ flex: 1 }}>
+                  <Text style={styles.flowTitle}>{flow.title}</Text>
+                  <Text style={styles.flowText}>{flow.description}</Text>
+                  <Text style={styles.flowMeta}>
+                    {run
+                      ? t("chat.exercises.inProgress", { answered: run.progress.answered, total: run.progress.total })
+                      : t("chat.exercises.steps", { count: flow.steps })}
+                  </Text>
+                </View>
+                {opening === flow.id ? (
+                  <ActivityIndicator color="#252525" />
+                ) : (
+                  <Ionicons name={run ? "play-forward-outline" : "chevron-forward"} size={18} color="#555" />
+                )}
+              </TouchableOpacity>
+            );
+          })}
+        </Pressable>
+      </Pressable>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  modalBackdrop: {
+    flex: 1,
+    backgroundColor: "rgba(0,0,0,0.35)",
+    justifyContent: "flex-end",
+  },
+  modalCard: {
+    backgroundColor: "#fff",
+    padding: 19,
+    borderTopLeftRadius: 22,
+    borderTopRightRadius: 22,
+  },
+  modalTitle: { fontSize: 18, fontWeight: "700", marginBottom: 8 },
+  modalText: { fontSize: 14, color: "#444", marginBottom: 12, lineHeight: 20 },
+  flow: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 10,
+    paddingVertical: 12,
+    borderTopWidth: 1,
+    borderTopColor: "#eee",
+  },
+  flowTitle: { fontSize: 15, fontWeight: "700", color: "#252525" },
+  flowText: { fontSize: 13, color: "#555", marginTop: 2 },
+  flowMeta: { fontSize: 12, color: "#888", marginTop: 4 },
+});
@@ -0,0 +1,75 @@
+import React from "react";
+import { StyleSheet, Text, TouchableOpacity, View } from "react-native";
+import { Ionicons } from "@expo/vector-icons";
+import { useTranslation } from "react-i18next";
+import { setAppLanguage } from "@/i18n/config";
+import { authFetch, getAuthToken } from "@/utils/session";
+
+// i18n keys under `languages` for each app language
+const LANGUAGE_KEYS: Record<string, string> = {
+  en: "english",
+  hi: "hindi",
+  ta: "tamil",
+  te: "telugu",
+  kn: "kannada",
+};
+
+export const isAppLanguage = (language: string) => language in LANGUAGE_KEYS;
+
+// Offered when Mate answered in an app language other than the current one,
+// i.e. the user writes in a language their setting doesn't match.
+export default function LanguageSuggestionBanner({ language, onClose }: { language: string; onClose: () => void }) {
+  const { t } = useTranslation();
+  const name = t(`languages.${LANGUAGE_KEYS[language]}`);
+
+  const switchLanguage = async () => {
+    setAppLanguage(language);
+    onClose();
+    if (!getAuthToken()) return;
+    try {
+      await authFetch("api/auth/me", {
+        method: "PUT",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ language }),
+      });
+    } catch {
+      // The app is already switched; the profile catches up on the next change
+    }
+  };
+
+  return (
+    <View style={styles.banner}>
+      <Ionicons name="language-outline" size={16} color="#1565c0" />
+      <Text style={styles.text}>{t("chat.languageSuggestion", { language: name })}</Text>
+      <TouchableOpacity onPress={switchLanguage} hitSlop={8}>
+        <Text style={styles.action}>{t("chat.languageSwitch")}</Text>
+      </TouchableOpacity>
+      <TouchableOpacity onPress={onClose} accessibilityLabel={t("chat.languageDismiss")} hitSlop={8}>
+        <Ionicons name="close" size={16} color="#1565c0" />
+      </TouchableOpacity>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  banner: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 8,
+    paddingVertical: 8,
+    paddingHorizontal: 12,
+    backgroundColor: "#e3f2fd",
+    borderBottomWidth: 1,
+    borderBottomColor: "#bbdefb",
+  },
+  text: {
+    flex: 1,
+    fontSize: 13,
+    color: "#0d47a1",
+  },
+  action: {
+    fontSize: 13,
+    fontWeight: "700",
+    color: "#1565c0",
+  },
+});
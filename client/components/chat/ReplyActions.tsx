@@ -0,0 +1,240 @@
+import React, { useState } from "react";
+import { ActivityIndicator, Modal, Pressable, StyleSheet, Text, TextInput, TouchableOpacity, View } from "react-native";
+import { Ionicons } from "@expo/vector-icons";
+import { useTranslation } from "react-i18next";
+import { authFetch } from "@/utils/session";
+import { notify } from "@/utils/dialogs";
+
+export type ReplyFeedback = { rating: "up" | "down"; reason: string | null };
+
+// Kept in line with FEEDBACK_REASONS / REPORT_REASONS on the server
+const FEEDBACK_REASONS = ["unhelpful", "incorrect", "inappropriate", "wrong_language", "too_long", "other"];
+const REPORT_REASONS = ["harmful", "inappropriate", "unsafe_advice", "incorrect", "other"];
+
+type Props = {
+  messageId: string;
+  feedback: ReplyFeedback | null;
+  onFeedback: (feedback: ReplyFeedback | null) => void;
+  // Only passed for the latest reply, the one that can be regenerated
+  onRegenerate?: () => void;
+  regenerating?: boolean;
+};
+
+// Rating, regenerating and reporting one of Mate's stored replies
+export default function ReplyActions({ messageId, feedback, onFeedback, onRegenerate, regenerating }: Props) {
+  const { t } = useTranslation();
+  const [sheet, setSheet] = useState<"reason" | "report" | null>(null);
+  const [reportReason, setReportReason] = useState<string | null>(null);
+  const [details, setDetails] = useState("");
+  const [sending, setSending] = useState(false);
+
+  const rate = async (next: ReplyFeedback | null) => {
+    const previous = feedback;
+    onFeedback(next);
+    try {
+      const res = await authFetch(`api/chatbot/messages/${messageId}/feedback`, {
+        method: next ? "PUT" : "DELETE",
+        headers: { "Content-Type": "application/json" },
+        ...(next ? { body: JSON.stringify({ rating: next.rating, ...(next.reason ? { reason: next.reason } : {}) }) } : {}),
+      });
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    } catch {
+      onFeedback(previous);
+      notify(t("chat.reply.feedbackTitle"), t("chat.reply.failed"));
+    }
+  };
+
+  // A thumbs-down counts straight away; the reason is optional and follows
+  const rateDown = () => {
+    if (feedback?.rating === "down") return rate(null);
+    rate({ rating: "down", reason: null });
+    setSheet("reason");
+  };
+
+  const chooseReason = (reason: string) => {
+    setSheet(null);
+    rate({ rating: "down", reason });
+  };
+
+  const closeSheet = () => {
+    setSheet(null);
+    setReportReason(null);
+    setDetails("");
+  };
+
+  const sendReport = async () => {
+    if (!reportReason) return;
+    setSending(true);
+    try {
+      const res = await authFetch(`api/chatbot/messages/${messageId}/reports`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ reason: reportReason, ...(details.trim() ? { details: details.trim() } : {}) }),
+      });
+      if (res.status === 409) {
+        closeSheet();
+        notify(t("chat.reply.reportTitle"), t("chat.reply.alreadyReported"));
+        return;
+      }
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      closeSheet();
+      notify(t("chat.reply.reportTitle"), t("chat.reply.reported"));
+    } catch {
+      notify(t("chat.reply.reportTitle"), t("chat.reply.failed"));
+    } finally {
+      setSending(false);
+    }
+  };
+
+  return (
+    <View style={styles.row}>
+      <TouchableOpacity
+        onPress={() => rate(feedback?.rating === "up" ? null : { rating: "up", reason: null })}
+        accessibilityLabel={t("chat.reply.helpful")}
+        accessibilityState={{ selected: feedback?.rating === "up" }}
+        hitSlop={6}
+      >
+        <Ionicons name={feedback?.rating === "up" ? "thumbs-up" : "thumbs-up-outline"} size={15} color="#777" />
+      </TouchableOpacity>
+      <TouchableOpacity
+        onPress={rateDown}
+        accessibilityLabel={t("chat.reply.notHelpful")}
+        accessibilityState={{ selected: feedback?.rating === "down" }}
+        hitSlop={6}
+      >
+        <Ionicons name={feedback?.rating === "down" ? "thumbs-down" : "thumbs-down-outline"} size={15} color="#777" />
+      </TouchableOpacity>
+      {onRegenerate ? (
+        regenerating ? (
+          <ActivityIndicator size="small" color="#777" />
+        ) : (
+          <TouchableOpacity onPress={onRegenerate} accessibilityLabel={t("chat.reply.regenerate")} hitSlop={6}>
+            <Ionicons name="refresh" size={15} color="#777" />
+          </TouchableOpacity>
+        )
+      ) : null}
+      <TouchableOpacity onPress={() => setSheet("report")} accessibilityLabel={t("chat.reply.report")} hitSlop={6}>
+        <Ionicons name="flag-outline" size={15} color="#777" />
+      </TouchableOpacity>
+
+      <Modal visible={sheet !== null} animationType="slide" transparent onRequestClose={closeSheet}>
+        <Pressable style={styles.modalBackdrop} onPress={closeSheet}>
+          <Pressable style={styles.modalCard} onPress={() => {}}>
+            {sheet === "reason" ? (
+              <>
+                <Text style={styles.modalTitle}>{t("chat.reply.whyTitle")}</Text>
+                <View style={styles.chips}>
+                  {FEEDBACK_REASONS.map((reason) => (
+                    <TouchableOpacity key={reason} style={styles.chip} onPress={() => chooseReason(reason)}>
+                      <Text style={styles.chipText}>{t(`chat.reply.reasons.${reason}`)}</Text>
+                    </TouchableOpacity>
+                  ))}
+                </View>
+                <TouchableOpacity style={styles.secondaryBtn} onPress={closeSheet}>
+                  <Text style={styles.secondaryText}>{t("chat.reply.skip")}</Text>
+                </TouchableOpacity>
+              </>
+            ) : (
+              <>
+                <Text style={styles.modalTitle}>{t("chat.reply.reportTitle")}</Text>
+                <Text style={styles.modalText}>{t("chat.reply.reportIntro")}</Text>
+                <View style={styles.chips}>
+                  {REPORT_REASONS.map((reason) => (
+                    <TouchableOpacity
+                      key={reason}
+                      style={[styles.chip, reportReason === reason ? styles.chipActive : null]}
+                      onPress={() => setReportReason(reason)}
+                    >
+                      <Text style={[styles.chipText, reportReason === reason ? styles.chipTextActive : null]}>
+                        {t(`chat.reply.reportReasons.${reason}`)}
+                      </Text>
+                    </TouchableOpacity>
+                  ))}
+                </View>
+                <TextInput
+                  style={styles.input}
+                  placeholder={t("chat.reply.reportDetails")}
+                  value={details}
+                  onChangeText={setDetails}
+                  maxLength={1000}
+                  multiline
+                />
+                <TouchableOpacity
+                  style={[styles.primaryBtn, (!reportReason || sending) && { opacity: 0.6 }]}
+                  onPress={sendReport}
+                  disabled={!reportReason || sending}
+                >
+                  <Text style={styles.primaryText}>{t("chat.reply.reportSend")}</Text>
+                </TouchableOpacity>
+              </>
+            )}
+          </Pressable>
+        </Pressable>
+      </Modal>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  row: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 14,
+    marginLeft: 6,
+    marginBottom: 4,
+  },
+  modalBackdrop: {
+    flex: 1,
+    backgroundColor: "rgba(0,0,0,0.35)",
+    justifyContent: "flex-end",
+  },
+  modalCard: {
+    backgroundColor: "#fff",
+    padding: 19,
+    borderTopLeftRadius: 22,
+    borderTopRightRadius: 22,
+  },
+  modalTitle: { fontSize: 18, fontWeight: "700", marginBottom: 8 },
+  modalText: { fontSize: 14, color: "#444", marginBottom: 12, lineHeight: 20 },
+  chips: {
+    flexDirection: "row",
+    flexWrap: "wrap",
+    gap: 8,
+    marginBottom: 12,
+  },
+  chip: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 14,
+    borderWidth: 1,
+    borderColor: "#ddd",
+  },
+  chipActive: {
+    backgroundColor: "#252525",
+    borderColor: "#252525",
+  },
+  chipText: { fontSize: 13, color: "#333" },
+  chipTextActive: { color: "#fff" },
+  input: {
+    borderWidth: 1,
+    borderColor: "#ddd",
+    borderRadius: 8,
+    padding: 12,
+    marginBottom: 10,
+    fontSize: 15,
+    minHeight: 70,
+    textAlignVertical: "top",
+  },
+  primaryBtn: {
+    backgroundColor: "#252525",
+    paddingVertical: 13,
+    borderRadius: 8,
+    alignItems: "center",
+  },
+  primaryText: { color: "#fff", fontWeight: "700", fontSize: 16 },
+  secondaryBtn: {
+    paddingVertical: 10,
+    alignItems: "center",
+  },
+  secondaryText: { color: "#555", fontWeight: "600" },
+});
@@ -0,0 +1,275 @@
+import React from "react";
+import { StyleSheet, Text, TextInput, TouchableOpacity, View } from "react-native";
+import { Ionicons } from "@expo/vector-icons";
+import { useTranslation } from "react-i18next";
+
+export const MOOD_FACES: Record<number, string> = { 1: "😞", 2: "🙁", 3: "😐", 4: "🙂", 5: "😄" };
+export const MOOD_COLORS: Record<number, string> = { 1: "#e57373", 2: "#ffb74d", 3: "#bdbdbd", 4: "#aed581", 5: "#77C272" };
+// The same list the server accepts
+export const EMOTIONS = [
+  "happy",
+  "calm",
+  "grateful",
+  "hopeful",
+  "proud",
+  "excited",
+  "tired",
+  "bored",
+  "anxious",
+  "stressed",
+  "sad",
+  "lonely",
+  "angry",
+  "overwhelmed",
+] as const;
+
+export interface CheckIn {
+  _id: string;
+  mood: number;
+  emotions: string[];
+  energy?: number;
+  sleepHours?: number;
+  note?: string;
+  journalId?: string;
+  checkedInAt: string;
+}
+
+export type CheckInFields = {
+  mood: number | null;
+  emotions: string[];
+  energy: number | null;
+  sleepHours: number | null;
+  note: string;
+  journalId: string | null;
+};
+
+export const emptyCheckIn: CheckInFields = {
+  mood: null,
+  emotions: [],
+  energy: null,
+  sleepHours: null,
+  note: "",
+  journalId: null,
+};
+
+export const checkInFields = (checkIn: CheckIn): CheckInFields => ({
+  mood: checkIn.mood,
+  emotions: checkIn.emotions,
+  energy: checkIn.energy ?? null,
+  sleepHours: checkIn.sleepHours ?? null,
+  note: checkIn.note ?? "",
+  journalId: checkIn.journalId ?? null,
+});
+
+const SLEEP_STEP = 0.5;
+const DEFAULT_SLEEP = 7;
+
+// Mood faces, then what else the user wants to add: emotions, energy, last
+// night's sleep, a note and one of today's journal entries
+export default function CheckInForm({
+  value,
+  onChange,
+  journals = [],
+}: {
+  value: CheckInFields;
+  onChange: (value: CheckInFields) => void;
+  // Entries that can be linked, e.g. today's
+  journals?: { _id: string; title: string }[];
+}) {
+  const { t } = useTranslation();
+  const set = (changes: Partial<CheckInFields>) => onChange({ ...value, ...changes });
+  const toggleEmotion = (emotion: string) =>
+    set({
+      emotions: value.emotions.includes(emotion)
+        ? value.emotions.filter((e) => e !== emotion)
+        : [...value.emotions, emotion],
+    });
+  // The first tap starts from a typical night rather than from zero
+  const stepSleep = (by: number) =>
+    set({ sleepHours: value.sleepHours == null ? DEFAULT_SLEEP : Math.min(24, Math.max(0, value.sleepHours + by)) });
+
+  return (
+    <View>
+      <View style={styles.faces}>
+        {[1, 2, 3, 4, 5].map((mood) => {
+          const on = value.mood === mood;
+          return (
+            <TouchableOpacity
+              key={mood}
+              style={[styles.face, on ? { backgroundColor: MOOD_COLORS[mood] } : null]}
+              onPress={() => set({ mood })}
+              accessibilityLabel={t(`checkins.moods.${mood}`)}
+              accessibilityState={{ selected: on }}
+            >
+              <Text style={styles.faceEmoji}>{MOOD_FACES[mood]}</Text>
+              <Text style={[styles.faceLabel, on ? styles.faceLabelActive : null]} numberOfLines={1}>
+                {t(`checkins.moods.${mood}`)}
+              </Text>
+            </TouchableOpacity>
+          );
+        })}
+      </View>
+
+      {value.mood == null ? null : (
+        <>
+          <Text style={styles.label}>{t("checkins.emotionsTitle")}</Text>
+          <View style={styles.chips}>
+            {EMOTIONS.map((emotion) => {
+              const on = value.emotions.includes(emotion);
+              return (
+                <TouchableOpacity
+                  key={emotion}
+                  style={[styles.chip, on ? styles.chipActive : null]}
+                  onPress={() => toggleEmotion(emotion)}
+                  accessibilityState={{ selected: on }}
+                >
+                  <Text style={[styles.chipText, on ? styles.chipTextActive : null]}>
+                    {t(`checkins.emotions.${emotion}`)}
+                  </Text>
+                </TouchableOpacity>
+              );
+            })}
+          </View>
+
+          <Text style={styles.label}>{t("checkins.energy")}</Text>
+          <View style={styles.levelRow}>
+            <Text style={styles.levelEnd}>{t("checkins.energyLow")}</Text>
+            {[1, 2, 3, 4, 5].map((level) => (
+              <TouchableOpacity
+                key={level}
+                style={[styles.level, value.energy != null && level <= value.energy ? styles.levelActive : null]}
+                onPress={() => set({ energy: value.energy === level ? null : level })}
+                accessibilityLabel={`${t("checkins.energy")} ${level}`}
+              />
+            ))}
+            <Text style={styles.levelEnd}>{t("checkins.energyHigh")}</Text>
+          </View>
+
+          <Text style={styles.label}>{t("checkins.sleep")}</Text>
+          <View style={styles.sleepRow}>
+            <TouchableOpacity onPress={() => stepSleep(-SLEEP_STEP)} style={styles.stepper}>
+              <Ionicons name="remove" size={18} color="#388e3c" />
+            </TouchableOpacity>
+            <Text style={styles.sleepValue}>
+              {value.sleepHours == null ? "—" : t("checkins.hours", { count: value.sleepHours })}
+            </Text>
+            <TouchableOpacity onPress={() => stepSleep(SLEEP_STEP)} style={styles.stepper}>
+              <Ionicons name="add" size={18} color="#388e3c" />
+            </TouchableOpacity>
+            {value.sleepHours == null ? null : (
+              <TouchableOpacity onPress={() => set({ sleepHours: null })}>
+                <Text style={styles.clear}>{t("checkins.clear")}</Text>
+              </TouchableOpacity>
+            )}
+          </View>
+
+          <TextInput
+            placeholder={t("checkins.notePlaceholder")}
+            style={styles.input}
+            value={value.note}
+            maxLength={1000}
+            multiline
+            textAlignVertical="top"
+            onChangeText={(note) => set({ note })}
+          />
+
+          {journals.length ? (
+            <>
+              <Text style={styles.label}>{t("checkins.linkJournal")}</Text>
+              <View style={styles.chips}>
+                {journals.map((journal) => {
+                  const on = value.journalId === journal._id;
+                  return (
+                    <TouchableOpacity
+                      key={journal._id}
+                      style={[styles.chip, on ? styles.chipActive : null]}
+                      onPress={() => set({ journalId: on ? null : journal._id })}
+                      accessibilityState={{ selected: on }}
+                    >
+                      <Ionicons name="book-outline" size={12} color={on ? "#fff" : "#555"} />
+                      <Text style={[styles.chipText, on ? styles.chipTextActive : null]} numberOfLines={1}>
+                        {journal.title}
+                      </Text>
+                    </TouchableOpacity>
+                  );
+                })}
+              </View>
+            </>
+          ) : null}
+        </>
+      )}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  faces: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+    gap: 4,
+  },
+  face: {
+    flex: 1,
+    alignItems: "center",
+    borderRadius: 12,
+    paddingVertical: 6,
+  },
+  faceEmoji: { fontSize: 28 },
+  faceLabel: { fontSize: 11, color: "#555", marginTop: 2 },
+  faceLabelActive: { color: "#222", fontWeight: "700" },
+  label: { fontSize: 14, fontWeight: "700", color: "#222", marginTop: 14, marginBottom: 8 },
+  chips: {
+    flexDirection: "row",
+    flexWrap: "wrap",
+    gap: 6,
+  },
+  chip: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 4,
+    maxWidth: "100%",
+    paddingHorizontal: 10,
+    paddingVertical: 5,
+    borderRadius: 14,
+    borderWidth: 1,
+    borderColor: "#ddd",
+  },
+  chipActive: { backgroundColor: "#388e3c", borderColor: "#388e3c" },
+  chipText: { fontSize: 13, color: "#333" },
+  chipTextActive: { color: "#fff" },
+  levelRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 6,
+  },
+  levelEnd: { fontSize: 12, color: "#777" },
+  level: {
+    flex: 1,
+    height: 14,
+    borderRadius: 7,
+    backgroundColor: "#eee",
+  },
+  levelActive: { backgroundColor: "#64b5f6" },
+  sleepRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 12,
+  },
+  stepper: {
+    borderWidth: 1,
+    borderColor: "#ddd",
+    borderRadius: 16,
+    padding: 6,
+  },
+  sleepValue: { fontSize: 16, fontWeight: "600", color: "#222", minWidth: 56, textAlign: "center" },
+  clear: { fontSize: 13, color: "#888" },
+  input: {
+    borderWidth: 1,
+    borderColor: "#ddd",
+    borderRadius: 8,
+    padding: 10,
+    marginTop: 14,
+    minHeight: 60,
+    fontSize: 14,
+  },
+});
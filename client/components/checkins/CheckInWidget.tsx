@@ -0,0 +1,180 @@
+import React, { useCallback, useState } from "react";
+import { ActivityIndicator, StyleSheet, Text, TouchableOpacity, View } from "react-native";
+import { router } from "expo-router";
+import { useFocusEffect } from "@react-navigation/native";
+import { useTranslation } from "react-i18next";
+import { authFetch } from "@/utils/session";
+import { notify } from "@/utils/dialogs";
+import { openJournal } from "@/utils/journalCrypto";
+import CheckInForm, { checkInFields, emptyCheckIn, MOOD_FACES, type CheckIn, type CheckInFields } from "./CheckInForm";
+
+const isoDay = (date: Date) =>
+  `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, "0")}-${String(date.getDate()).padStart(2, "0")}`;
+
+// A new check-in leaves out what wasn't filled in; an edit sends null to clear it
+const requestBody = (fields: CheckInFields, isNew: boolean) => {
+  const body = { ...fields, note: fields.note.trim() || null };
+  return isNew ? Object.fromEntries(Object.entries(body).filter(([, v]) => v != null)) : body;
+};
+
+// The home tab's daily check-in: mood faces first, the rest once a mood is
+// picked. After checking in it shows today's check-in, which can be edited.
+export default function CheckInWidget() {
+  const { t } = useTranslation();
+  const [today, setToday] = useState<CheckIn | null | undefined>(undefined);
+  const [journals, setJournals] = useState<{ _id: string; title: string }[]>([]);
+  const [fields, setFields] = useState<CheckInFields>(emptyCheckIn);
+  const [editing, setEditing] = useState(false);
+  const [saving, setSaving] = useState(false);
+
+  const load = useCallback(async () => {
+    const now = new Date();
+    const query = `from=${isoDay(now)}&to=${isoDay(now)}&tzOffset=${now.getTimezoneOffset()}`;
+    try {
+      const [checkIns, entries] = await Promise.all([
+        authFetch(`api/checkins?${query}&limit=1`),
+        authFetch(`api/journals?${query}&limit=5`),
+      ]);
+      if (!checkIns.ok) throw new Error(`HTTP ${checkIns.status}`);
+      setToday((await checkIns.json()).checkIns[0] ?? null);
+      if (entries.ok) {
+        const loaded: { _id: string; title: string; cipher?: string }[] = (await entries.json()).journals;
+        setJournals(
+          loaded.map(openJournal).map((j) => ({ _id: j._id, title: j.title || t("journal.encryption.lockedTitle") }))
+        );
+      }
+    } catch {
+      // Not signed in or offline; the widget stays in its blank state
+      setToday(null);
+    }
+  }, [t]);
+
+  useFocusEffect(
+    useCallback(() => {
+      load();
+    }, [load])
+  );
+
+  const startEdit = () => {
+    if (today) setFields(checkInFields(today));
+    setEditing(true);
+  };
+
+  const save = async () => {
+    if (fields.mood == null) return;
+    setSaving(true);
+    try {
+      const res = await authFetch(today && editing ? `api/checkins/${today._id}` : "api/checkins", {
+        method: today && editing ? "PATCH" : "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(requestBody(fields, !(today && editing))),
+      });
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      setToday(await res.json());
+      setEditing(false);
+      setFields(emptyCheckIn);
+    } catch {
+      notify(t("checkins.title"), t("checkins.saveFailed"));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (today === undefined) return null;
+
+  const showForm = !today || editing;
+  return (
+    <View style={styles.card}>
+      <View style={styles.headerRow}>
+        <Text style={styles.title}>{showForm ? t("checkins.prompt") : t("checkins.done")}</Text>
+        <TouchableOpacity onPress={() => router.push("/checkins")}>
+          <Text style={styles.link}>{t("checkins.history")}</Text>
+        </TouchableOpacity>
+      </View>
+
+      {showForm ? (
+        <>
+          <CheckInForm value={fields} onChange={setFields} journals={journals} />
+          {fields.mood == null ? null : (
+            <View style={styles.actions}>
+              <TouchableOpacity
+                onPress={() => {
+                  setEditing(false);
+                  setFields(emptyCheckIn);
+                }}
+              >
+                <Text style={styles.cancel}>{t("chat.cancel")}</Text>
+              </TouchableOpacity>
+              <TouchableOpacity style={styles.saveBtn} onPress={save} disabled={saving}>
+                {saving ? (
+                  <ActivityIndicator color="#fff" />
+                ) : (
+                  <Text style={styles.saveText}>{editing ? t("checkins.update") : t("checkins.save")}</Text>
+                )}
+              </TouchableOpacity>
+            </View>
+          )}
+        </>
+      ) : today ? (
+        <View style={styles.summaryRow}>
+          <Text style={styles.face}>{MOOD_FACES[today.mood]}</Text>
+          <View style={styles.summaryText}>
+            <Text style={styles.moodLabel}>{t(`checkins.moods.${today.mood}`)}</Text>
+            {today.emotions.length ? (
+              <Text style={styles.emotions} numberOfLines={2}>
+                {today.emotions.map((e) => t(`checkins.emotions.${e}`)).join(", ")}
+              </Text>
+            ) : null}
+          </View>
+          <TouchableOpacity onPress={startEdit} style={styles.editBtn}>
+            <Text style={styles.link}>{t("checkins.edit")}</Text>
+          </TouchableOpacity>
+        </View>
+      ) : null}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  card: {
+    alignSelf: "stretch",
+    backgroundColor: "#fff",
+    borderRadius: 20,
+    padding: 16,
+    marginHorizontal: 18,
+    marginTop: 10,
+    marginBottom: 14,
+    borderWidth: 1,
+    borderColor: "#e0e0e0",
+  },
+  headerRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    justifyContent: "space-between",
+    marginBottom: 10,
+  },
+  title: { flex: 1, fontSize: 16, fontWeight: "700", color: "#222" },
+  link: { color: "#388e3c", fontWeight: "600" },
+  actions: {
+    flexDirection: "row",
+    alignItems: "center",
+    justifyContent: "flex-end",
+    gap: 16,
+    marginTop: 12,
+  },
+  cancel: { color: "#777", fontWeight: "600" },
+  saveBtn: {
+    backgroundColor: "#252525",
+    borderRadius: 10,
+    paddingVertical: 10,
+    paddingHorizontal: 22,
+    alignItems: "center",
+  },
+  saveText: { color: "#fff", fontWeight: "bold", fontSize: 15 },
+  summaryRow: { flexDirection: "row", alignItems: "center", gap: 12 },
+  face: { fontSize: 34 },
+  summaryText: { flex: 1 },
+  moodLabel: { fontSize: 16, fontWeight: "700", color: "#222" },
+  emotions: { fontSize: 13, color: "#666", marginTop: 2 },
+  editBtn: { padding: 6 },
+});
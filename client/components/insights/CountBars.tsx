@@ -0,0 +1,59 @@
+import React from "react";
+import { StyleSheet, Text, View } from "react-native";
+
+export type CountRow = { key: string; label: string; count: number; note?: string };
+
+// Horizontal bars sized against the largest count
+export default function CountBars({ rows, color = "#77C272" }: { rows: CountRow[]; color?: string }) {
+  const max = Math.max(1, ...rows.map((r) => r.count));
+  return (
+    <View>
+      {rows.map((row) => (
+        <View key={row.key} style={styles.row}>
+          <Text style={styles.label} numberOfLines={1}>{row.label}</Text>
+          <View style={styles.track}>
+            <View style={[styles.fill, { width: `${(row.count / max) * 100}%`, backgroundColor: color }]} />
+          </View>
+          <Text style={styles.count}>{row.count}</Text>
+          {row.note ? <Text style={styles.note} numberOfLines={1}>{row.note}</Text> : null}
+        </View>
+      ))}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  row: {
+    flexDirection: "row",
+    alignItems: "center",
+    marginBottom: 8,
+  },
+  label: {
+    width: 90,
+    fontSize: 13,
+    color: "#444",
+  },
+  track: {
+    flex: 1,
+    height: 10,
+    borderRadius: 5,
+    backgroundColor: "#f0f0f0",
+    overflow: "hidden",
+  },
+  fill: {
+    height: "100%",
+    borderRadius: 5,
+  },
+  count: {
+    width: 36,
+    textAlign: "right",
+    fontSize: 12,
+    color: "#555",
+  },
+  note: {
+    width: 64,
+    textAlign: "right",
+    fontSize: 11,
+    color: "#888",
+  },
+});
@@ -0,0 +1,73 @@
+import React from "react";
+import { StyleSheet, Text, View } from "react-native";
+
+export type LevelPoint = { label: string; value: number | null };
+
+const HEIGHT = 90;
+
+// Values per period as bars rising from zero to `max`; periods without a value
+// leave a gap
+export default function LevelChart({
+  points,
+  max,
+  color = "#64b5f6",
+}: {
+  points: LevelPoint[];
+  max: number;
+  color?: string;
+}) {
+  // Labels are thinned out so they stay readable on long ranges, as in ScoreChart
+  const labelEvery = Math.max(1, Math.ceil(points.length / 6));
+  return (
+    <View>
+      <View style={styles.plot}>
+        {points.map((p, i) => (
+          <View key={`${p.label}-${i}`} style={styles.column}>
+            {p.value == null ? null : (
+              <View
+                style={[styles.bar, { height: Math.max(2, (Math.min(p.value, max) / max) * HEIGHT), backgroundColor: color }]}
+              />
+            )}
+          </View>
+        ))}
+      </View>
+      <View style={styles.labels}>
+        {points.map((p, i) => (
+          <Text key={`${p.label}-${i}`} style={styles.label} numberOfLines={1}>
+            {i % labelEvery === 0 ? p.label : ""}
+          </Text>
+        ))}
+      </View>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  plot: {
+    flexDirection: "row",
+    alignItems: "flex-end",
+    height: HEIGHT,
+    borderBottomWidth: 1,
+    borderBottomColor: "#ccc",
+  },
+  column: {
+    flex: 1,
+    alignItems: "center",
+    justifyContent: "flex-end",
+    height: "100%",
+  },
+  bar: {
+    width: "70%",
+    borderRadius: 2,
+  },
+  labels: {
+    flexDirection: "row",
+    marginTop: 4,
+  },
+  label: {
+    flex: 1,
+    fontSize: 9,
+    color: "#777",
+    overflow: "visible",
+  },
+});
@@ -0,0 +1,93 @@
+import React from "react";
+import { StyleSheet, Text, View } from "react-native";
+
+export type ScorePoint = { label: string; score: number | null; count: number };
+
+const HALF_HEIGHT = 60;
+const POSITIVE = "#77C272";
+const NEGATIVE = "#e57373";
+
+// Mood score per period as bars above (better) or below (lower) a zero line.
+// Periods with activity but no mood show a dot on the line; empty ones nothing.
+export default function ScoreChart({ points }: { points: ScorePoint[] }) {
+  // Labels are thinned out so they stay readable on long ranges
+  const labelEvery = Math.max(1, Math.ceil(points.length / 6));
+  return (
+    <View>
+      <View style={styles.plot}>
+        <View style={styles.zeroLine} />
+        {points.map((p, i) => {
+          const height = p.score == null ? 0 : Math.max(2, Math.abs(p.score) * HALF_HEIGHT);
+          return (
+            <View key={`${p.label}-${i}`} style={styles.column}>
+              <View style={styles.half}>
+                {p.score != null && p.score >= 0 ? <View style={[styles.bar, { height, backgroundColor: POSITIVE }]} /> : null}
+              </View>
+              {p.score == null && p.count ? <View style={styles.dot} /> : null}
+              <View style={[styles.half, styles.lower]}>
+                {p.score != null && p.score < 0 ? <View style={[styles.bar, { height, backgroundColor: NEGATIVE }]} /> : null}
+              </View>
+            </View>
+          );
+        })}
+      </View>
+      <View style={styles.labels}>
+        {points.map((p, i) => (
+          <Text key={`${p.label}-${i}`} style={styles.label} numberOfLines={1}>
+            {i % labelEvery === 0 ? p.label : ""}
+          </Text>
+        ))}
+      </View>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  plot: {
+    flexDirection: "row",
+    height: HALF_HEIGHT * 2,
+    alignItems: "center",
+  },
+  zeroLine: {
+    position: "absolute",
+    left: 0,
+    right: 0,
+    top: HALF_HEIGHT,
+    height: 1,
+    backgroundColor: "#ccc",
+  },
+  column: {
+    flex: 1,
+    alignItems: "center",
+  },
+  half: {
+    height: HALF_HEIGHT,
+    width: "70%",
+    justifyContent: "flex-end",
+  },
+  lower: {
+    justifyContent: "flex-start",
+  },
+  bar: {
+    width: "100%",
+    borderRadius: 2,
+  },
+  dot: {
+    position: "absolute",
+    top: HALF_HEIGHT - 2,
+    width: 4,
+    height: 4,
+    borderRadius: 2,
+    backgroundColor: "#999",
+  },
+  labels: {
+    flexDirection: "row",
+    marginTop: 4,
+  },
+  label: {
+    flex: 1,
+    fontSize: 9,
+    color: "#777",
+    overflow: "visible",
+  },
+});
@@ -13,6 +13,10 @@ import {
 import { useRouter } from "expo-router";
 import AsyncStorage from "@react-native-async-storage/async-storage";
 import BlogCard from "./BlogCard";
+import { authFetch } from "@/utils/session";
+
+// Roles allowed to publish blogs (admins included); mirrors server/routes/blogRoutes.js
+const PUBLISHER_ROLES = ["moderator", "therapist", "admin"];
 
 interface BlogItem {
   _id?: string;
@@ -40,9 +44,21 @@ const BlogTab: React.FC<BlogTabProps> = ({ data, onCreated, onLiked }) => {
   }>({ author: "", title: "", image: "", excerpt: "" });
 
   const [likedIds, setLikedIds] = useState<Set<string>>(new Set());
+  const [canPublish, setCanPublish] = useState(false);
   const baseUrl = (process.env.EXPO_PUBLIC_API_URL ?? "").replace(/\/$/, "");
   const router = useRouter();
 
+  React.useEffect(() => {
+    (async () => {
+      try {
+        const res = await authFetch("api/auth/me");
+        if (!res.ok) return;
+        const data = await res.json();
+        setCanPublish(PUBLISHER_ROLES.includes(data?.user?.role));
+      } catch {}
+    })();
+  }, []);
+
   React.useEffect(() => {
     (async () => {
       try {
@@ -57,7 +73,7 @@ const BlogTab: React.FC<BlogTabProps> = ({ data, onCreated, onLiked }) => {
 
   const onSubmitCreate = async () => {
     try {
-      const res = await fetch(`${baseUrl}/api/blogs`, {
+      const res = await authFetch("api/blogs", {
         method: "POST",
         headers: { "Content-Type": "application/json" },
         body: JSON.stringify({
@@ -83,7 +99,7 @@ const BlogTab: React.FC<BlogTabProps> = ({ data, onCreated, onLiked }) => {
     if (!id) return;
     if (likedIds.has(id)) return;
     try {
-      const res = await fetch(`${baseUrl}/api/blogs/${id}/like`, {
+      const res = await authFetch(`api/blogs/${id}/like`, {
         method: "POST",
       });
       if (!res.ok) throw new Error("Failed to like");
@@ -127,13 +143,15 @@ const BlogTab: React.FC<BlogTabProps> = ({ data, onCreated, onLiked }) => {
         overScrollMode="never"
         bounces={false}
       />
-      <TouchableOpacity
-        style={styles.fab}
-        onPress={() => setShowCreate(true)}
-        activeOpacity={0.85}
-      >
-        <Text style={styles.fabText}>＋</Text>
-      </TouchableOpacity>
+      {canPublish ? (
+        <TouchableOpacity
+          style={styles.fab}
+          onPress={() => setShowCreate(true)}
+          activeOpacity={0.85}
+        >
+          <Text style={styles.fabText}>＋</Text>
+        </TouchableOpacity>
+      ) : null}
 
       <Modal
         visible={showCreate}
@@ -0,0 +1,357 @@
+import React, { useCallback, useEffect, useState } from "react";
+import { ActivityIndicator, Modal, Pressable, ScrollView, StyleSheet, Text, TextInput, TouchableOpacity, View } from "react-native";
+import { Ionicons } from "@expo/vector-icons";
+import { useTranslation } from "react-i18next";
+import { Colors } from "@/constants/theme";
+import { confirmAction, notify } from "@/utils/dialogs";
+import {
+  changePassphrase,
+  encryptExistingEntries,
+  fetchEncryptionStatus,
+  lockJournal,
+  MIN_PASSPHRASE_LENGTH,
+  newRecoveryKey,
+  recoverJournal,
+  resetEncryption,
+  setUpEncryption,
+  unlockJournal,
+  useJournalEncryption,
+  WrongKeyError,
+  type EncryptionStatus,
+} from "@/utils/journalCrypto";
+
+type Screen = "main" | "change" | "recover" | "reset" | "recoveryKey";
+
+const PassphraseInput = ({ value, onChange, placeholder }: { value: string; onChange: (v: string) => void; placeholder: string }) => (
+  <TextInput
+    style={styles.input}
+    value={value}
+    onChangeText={onChange}
+    placeholder={placeholder}
+    secureTextEntry
+    autoCapitalize="none"
+    autoCorrect={false}
+  />
+);
+
+// Sets up, unlocks and manages end-to-end encryption of the journal.
+// `onChanged` runs after entries were encrypted or deleted in bulk.
+export default function EncryptionSettings({
+  visible,
+  onClose,
+  onChanged,
+}: {
+  visible: boolean;
+  onClose: () => void;
+  onChanged?: () => void;
+}) {
+  const { t } = useTranslation();
+  const { unlocked } = useJournalEncryption();
+  const [status, setStatus] = useState<EncryptionStatus | null>(null);
+  const [view, setView] = useState<Screen>("main");
+  const [busy, setBusy] = useState<string | null>(null);
+  const [recoveryKey, setRecoveryKey] = useState("");
+  const [fields, setFields] = useState({ current: "", next: "", repeat: "", recovery: "", password: "" });
+  const set = (changes: Partial<typeof fields>) => setFields((f) => ({ ...f, ...changes }));
+
+  const load = useCallback(async () => {
+    try {
+      setStatus(await fetchEncryptionStatus());
+    } catch {
+      notify(t("journal.encryption.title"), t("journal.encryption.failed"));
+    }
+  }, [t]);
+
+  useEffect(() => {
+    if (!visible) return;
+    setView("main");
+    setFields({ current: "", next: "", repeat: "", recovery: "", password: "" });
+    setStatus(null);
+    load();
+  }, [visible, load]);
+
+  // A new passphrase is typed twice
+  const newPassphraseOk = () => {
+    if (fields.next.length < MIN_PASSPHRASE_LENGTH) {
+      notify(t("journal.encryption.title"), t("journal.encryption.tooShort", { count: MIN_PASSPHRASE_LENGTH }));
+      return false;
+    }
+    if (fields.next !== fields.repeat) {
+      notify(t("journal.encryption.title"), t("journal.encryption.mismatch"));
+      return false;
+    }
+    return true;
+  };
+
+  // Runs a key operation with a spinner; a wrong passphrase or key gets `wrongKeyMessage`
+  const run = async (task: () => Promise<void>, wrongKeyMessage = t("journal.encryption.failed")) => {
+    setBusy(t("journal.encryption.working"));
+    try {
+      await task();
+    } catch (e) {
+      notify(t("journal.encryption.title"), e instanceof WrongKeyError ? wrongKeyMessage : t("journal.encryption.failed"));
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const showRecoveryKey = (key: string) => {
+    setRecoveryKey(key);
+    setFields({ current: "", next: "", repeat: "", recovery: "", password: "" });
+    setView("recoveryKey");
+  };
+
+  const turnOn = () =>
+    newPassphraseOk() &&
+    run(async () => {
+      showRecoveryKey(await setUpEncryption(fields.next));
+      await load();
+    });
+
+  const unlock = () =>
+    status &&
+    run(async () => {
+      await unlockJournal(fields.current, status);
+      set({ current: "" });
+    }, t("journal.encryption.wrongPassphrase"));
+
+  const recover = () =>
+    status &&
+    newPassphraseOk() &&
+    run(async () => {
+      await recoverJournal(fields.recovery, fields.next, status);
+      await load();
+      setView("main");
+    }, t("journal.encryption.wrongRecoveryKey"));
+
+  const change = () =>
+    status &&
+    newPassphraseOk() &&
+    run(async () => {
+      await changePassphrase(fields.current, fields.next, status);
+      await load();
+      setView("main");
+      notify(t("journal.encryption.title"), t("journal.encryption.passphraseChanged"));
+    }, t("journal.encryption.wrongPassphrase"));
+
+  const replaceRecoveryKey = async () => {
+    const ok = await confirmAction(
+      t("journal.encryption.newRecoveryKey"),
+      t("journal.encryption.newRecoveryKeyMessage"),
+      t("journal.encryption.newRecoveryKey"),
+      t("chat.cancel")
+    );
+    if (ok) run(async () => showRecoveryKey(await newRecoveryKey()));
+  };
+
+  const encryptExisting = () =>
+    run(async () => {
+      const count = await encryptExistingEntries((done) => setBusy(t("journal.encryption.encrypting", { done })));
+      await load();
+      onChanged && onChanged();
+      notify(t("journal.encryption.title"), t("journal.encryption.encryptedExisting", { count }));
+    });
+
+  const reset = async () => {
+    const ok = await confirmAction(
+      t("journal.encryption.resetConfirm"),
+      t("journal.encryption.resetConfirmMessage"),
+      t("journal.encryption.resetButton"),
+      t("chat.cancel")
+    );
+    if (!ok) return;
+    run(async () => {
+      const count = await resetEncryption(fields.password);
+      await load();
+      setView("main");
+      onChanged && onChanged();
+      notify(t("journal.encryption.title"), t("journal.encryption.resetDone", { count }));
+    }, t("journal.encryption.incorrectPassword"));
+  };
+
+  const back = (to: Screen) => (
+    <TouchableOpacity onPress={() => setView(to)} style={styles.backBtn}>
+      <Ionicons name="chevron-back" size={20} color={Colors.journalAccent} />
+    </TouchableOpacity>
+  );
+  const button = (label: string, onPress: () => void, danger = false) => (
+    <TouchableOpacity style={[styles.button, danger ? styles.dangerButton : null]} onPress={onPress}>
+      <Text style={styles.buttonText}>{label}</Text>
+    </TouchableOpacity>
+  );
+  const link = (label: string, onPress: () => void, danger = false) => (
+    <TouchableOpacity onPress={onPress}>
+      <Text style={[styles.link, danger ? styles.dangerLink : null]}>{label}</Text>
+    </TouchableOpacity>
+  );
+
+  const content = () => {
+    if (!status) return <ActivityIndicator color={Colors.journalAccent} style={{ marginVertical: 20 }} />;
+    if (view === "recoveryKey") {
+      return (
+        <>
+          <Text style={styles.heading}>{t("journal.encryption.recoveryKeyTitle")}</Text>
+          <Text selectable style={styles.recoveryKey}>{recoveryKey}</Text>
+          <Text style={styles.text}>{t("journal.encryption.recoveryKeyHint")}</Text>
+          {button(t("journal.encryption.savedIt"), () => setView("main"))}
+        </>
+      );
+    }
+    if (!status.enabled) {
+      return (
+        <>
+          <Text style={styles.heading}>{t("journal.encryption.title")}</Text>
+          <Text style={styles.text}>{t("journal.encryption.intro")}</Text>
+          <Text style={styles.note}>{t("journal.encryption.caveats")}</Text>
+          <PassphraseInput value={fields.next} onChange={(next) => set({ next })} placeholder={t("journal.encryption.passphrase")} />
+          <PassphraseInput value={fields.repeat} onChange={(repeat) => set({ repeat })} placeholder={t("journal.encryption.repeatPassphrase")} />
+          {button(t("journal.encryption.turnOn"), turnOn)}
+        </>
+      );
+    }
+    if (view === "recover") {
+      return (
+        <>
+          <View style={styles.headerRow}>
+            {back("main")}
+            <Text style={styles.heading}>{t("journal.encryption.forgot")}</Text>
+          </View>
+          <Text style={styles.text}>{t("journal.encryption.recoverHint")}</Text>
+          <TextInput
+            style={styles.input}
+            value={fields.recovery}
+            onChangeText={(recovery) => set({ recovery })}
+            placeholder={t("journal.encryption.recoveryKey")}
+            autoCapitalize="none"
+            autoCorrect={false}
+          />
+          <PassphraseInput value={fields.next} onChange={(next) => set({ next })} placeholder={t("journal.encryption.newPassphrase")} />
+          <PassphraseInput value={fields.repeat} onChange={(repeat) => set({ repeat })} placeholder={t("journal.encryption.repeatPassphrase")} />
+          {button(t("journal.encryption.recover"), recover)}
+          {link(t("journal.encryption.lostEverything"), () => setView("reset"), true)}
+        </>
+      );
+    }
+    if (view === "reset") {
+      return (
+        <>
+          <View style={styles.headerRow}>
+            {back("recover")}
+            <Text style={styles.heading}>{t("journal.encryption.resetTitle")}</Text>
+          </View>
+          <Text style={styles.text}>{t("journal.encryption.resetHint", { count: status.entries.encrypted })}</Text>
+          <PassphraseInput value={fields.password} onChange={(password) => set({ password })} placeholder={t("journal.encryption.accountPassword")} />
+          {button(t("journal.encryption.resetButton"), reset, true)}
+        </>
+      );
+    }
+    if (!unlocked) {
+      return (
+        <>
+          <Text style={styles.heading}>{t("journal.encryption.title")}</Text>
+          <Text style={styles.text}>{t("journal.encryption.locked")}</Text>
+          <PassphraseInput value={fields.current} onChange={(current) => set({ current })} placeholder={t("journal.encryption.passphrase")} />
+          {button(t("journal.encryption.unlock"), unlock)}
+          {link(t("journal.encryption.forgot"), () => setView("recover"))}
+        </>
+      );
+    }
+    if (view === "change") {
+      return (
+        <>
+          <View style={styles.headerRow}>
+            {back("main")}
+            <Text style={styles.heading}>{t("journal.encryption.changePassphrase")}</Text>
+          </View>
+          <PassphraseInput value={fields.current} onChange={(current) => set({ current })} placeholder={t("journal.encryption.currentPassphrase")} />
+          <PassphraseInput value={fields.next} onChange={(next) => set({ next })} placeholder={t("journal.encryption.newPassphrase")} />
+          <PassphraseInput value={fields.repeat} onChange={(repeat) => set({ repeat })} placeholder={t("journal.encryption.repeatPassphrase")} />
+          {button(t("journal.encryption.changePassphrase"), change)}
+        </>
+      );
+    }
+    return (
+      <>
+        <Text style={styles.heading}>{t("journal.encryption.title")}</Text>
+        <Text style={styles.text}>{t("journal.encryption.unlocked")}</Text>
+        <Text style={styles.note}>
+          {t("journal.encryption.counts", { encrypted: status.entries.encrypted, plaintext: status.entries.plaintext })}
+        </Text>
+        {status.entries.plaintext ? button(t("journal.encryption.encryptExisting"), encryptExisting) : null}
+        {button(t("journal.encryption.changePassphrase"), () => setView("change"))}
+        {button(t("journal.encryption.newRecoveryKey"), replaceRecoveryKey)}
+        {link(t("journal.encryption.lockNow"), () => {
+          lockJournal();
+          onClose();
+        })}
+      </>
+    );
+  };
+
+  return (
+    <Modal visible={visible} animationType="slide" transparent onRequestClose={onClose}>
+      <Pressable style={styles.modalBackdrop} onPress={busy ? undefined : onClose}>
+        <Pressable style={styles.modalCard} onPress={() => {}}>
+          {busy ? (
+            <View style={styles.busy}>
+              <ActivityIndicator color={Colors.journalAccent} />
+              <Text style={styles.note}>{busy}</Text>
+            </View>
+          ) : (
+            <ScrollView keyboardShouldPersistTaps="handled">{content()}</ScrollView>
+          )}
+        </Pressable>
+      </Pressable>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  modalBackdrop: {
+    flex: 1,
+    backgroundColor: "rgba(0,0,0,0.35)",
+    justifyContent: "flex-end",
+  },
+  modalCard: {
+    backgroundColor: "#fff",
+    padding: 19,
+    maxHeight: "90%",
+    borderTopLeftRadius: 22,
+    borderTopRightRadius: 22,
+  },
+  headerRow: { flexDirection: "row", alignItems: "center" },
+  backBtn: { paddingRight: 6, marginBottom: 12 },
+  heading: { fontSize: 18, fontWeight: "700", marginBottom: 12 },
+  text: { fontSize: 14, color: "#333", marginBottom: 10 },
+  note: { fontSize: 13, color: "#666", marginBottom: 12 },
+  input: {
+    borderWidth: 1,
+    borderColor: "#ddd",
+    borderRadius: 8,
+    padding: 12,
+    marginBottom: 10,
+    fontSize: 15,
+  },
+  recoveryKey: {
+    fontFamily: "monospace",
+    fontSize: 15,
+    letterSpacing: 0.5,
+    backgroundColor: Colors.journalCardBg,
+    borderRadius: 8,
+    padding: 12,
+    marginBottom: 12,
+    color: "#222",
+  },
+  button: {
+    backgroundColor: "#388e3c",
+    paddingVertical: 12,
+    borderRadius: 8,
+    alignItems: "center",
+    marginBottom: 10,
+  },
+  dangerButton: { backgroundColor: Colors.danger },
+  buttonText: { color: "#fff", fontWeight: "700", fontSize: 15 },
+  link: { color: Colors.journalAccent, fontWeight: "600", textAlign: "center", paddingVertical: 8 },
+  dangerLink: { color: Colors.danger },
+  busy: { alignItems: "center", gap: 10, paddingVertical: 24 },
+});
@@ -0,0 +1,154 @@
+import React, { useState } from "react";
+import { Modal, Pressable, ScrollView, StyleSheet, Text, TouchableOpacity, View } from "react-native";
+import { Ionicons } from "@expo/vector-icons";
+import { useTranslation } from "react-i18next";
+import { Colors } from "@/constants/theme";
+import { authFetch } from "@/utils/session";
+import { confirmAction, notify } from "@/utils/dialogs";
+import type { Exercise } from "@/components/chat/ExercisePanel";
+
+// Lists read back as "a, b, c"; skipped optional answers as a dash
+const formatAnswer = (label: unknown) => {
+  if (Array.isArray(label)) return label.join(", ");
+  if (label === null || label === undefined || label === "") return "—";
+  return String(label);
+};
+
+// A completed guided exercise in the journal list; opens to its answers
+export default function ExerciseEntry({ exercise, onDeleted }: { exercise: Exercise; onDeleted?: (id: string) => void }) {
+  const { t } = useTranslation();
+  const [open, setOpen] = useState(false);
+  const finished = new Date(exercise.completedAt || exercise.startedAt);
+  const preview = exercise.answers.find((a) => typeof a.label === "string" && a.label.length > 12);
+
+  const remove = async () => {
+    const ok = await confirmAction(
+      t("journal.exerciseDeleteTitle"),
+      t("journal.exerciseDeleteMessage"),
+      t("journal.delete"),
+      t("chat.cancel")
+    );
+    if (!ok) return;
+    try {
+      const res = await authFetch(`api/chatbot/exercises/${exercise.id}`, { method: "DELETE" });
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      setOpen(false);
+      onDeleted && onDeleted(exercise.id);
+    } catch {
+      notify(exercise.title, t("chat.exercises.failed"));
+    }
+  };
+
+  return (
+    <>
+      <TouchableOpacity style={styles.card} onPress={() => setOpen(true)}>
+        <View style={styles.tagRow}>
+          <Ionicons name="leaf-outline" size={14} color={Colors.journalAccent} />
+          <Text style={styles.tag}>{t("journal.exercise")}</Text>
+        </View>
+        <Text style={styles.date}>{finished.toLocaleDateString()}</Text>
+        <View style={styles.separator} />
+        <Text style={styles.title} numberOfLines={1}>{exercise.title}</Text>
+        {preview ? (
+          <Text style={styles.summary} numberOfLines={3}>{formatAnswer(preview.label)}</Text>
+        ) : null}
+      </TouchableOpacity>
+
+      <Modal visible={open} animationType="slide" transparent onRequestClose={() => setOpen(false)}>
+        <Pressable style={styles.modalBackdrop} onPress={() => setOpen(false)}>
+          <Pressable style={styles.modalCard} onPress={() => {}}>
+            <Text style={styles.modalTitle}>{exercise.title}</Text>
+            <Text style={styles.modalDate}>{finished.toLocaleString()}</Text>
+            <ScrollView style={{ maxHeight: 420 }}>
+              {exercise.answers.map((a) => (
+                <View key={a.step} style={styles.answer}>
+                  <Text style={styles.prompt}>{a.prompt}</Text>
+                  <Text style={styles.value}>{formatAnswer(a.label)}</Text>
+                </View>
+              ))}
+              {exercise.closing ? <Text style={styles.closing}>{exercise.closing}</Text> : null}
+            </ScrollView>
+            <TouchableOpacity style={styles.deleteBtn} onPress={remove}>
+              <Text style={styles.deleteText}>{t("journal.delete")}</Text>
+            </TouchableOpacity>
+          </Pressable>
+        </Pressable>
+      </Modal>
+    </>
+  );
+}
+
+const styles = StyleSheet.create({
+  card: {
+    backgroundColor: Colors.journalCardBg,
+    borderRadius: 14,
+    paddingVertical: 14,
+    paddingHorizontal: 16,
+    marginBottom: 12,
+  },
+  tagRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 4,
+    marginBottom: 2,
+  },
+  tag: {
+    fontSize: 12,
+    fontWeight: "700",
+    color: Colors.journalAccent,
+    textTransform: "uppercase",
+  },
+  date: {
+    fontSize: 17,
+    fontWeight: "bold",
+    color: Colors.journalAccent,
+  },
+  separator: {
+    height: 2,
+    backgroundColor: Colors.journalSeparator,
+    marginVertical: 6,
+    width: "95%",
+    alignSelf: "flex-start",
+    borderRadius: 1,
+  },
+  title: {
+    fontSize: 15,
+    fontWeight: "bold",
+    color: "#333",
+    marginBottom: 3,
+  },
+  summary: {
+    fontSize: 14,
+    color: Colors.neutralText,
+    letterSpacing: 0.15,
+  },
+  modalBackdrop: {
+    flex: 1,
+    backgroundColor: "rgba(0,0,0,0.35)",
+    justifyContent: "flex-end",
+  },
+  modalCard: {
+    backgroundColor: "#fff",
+    padding: 19,
+    borderTopLeftRadius: 22,
+    borderTopRightRadius: 22,
+  },
+  modalTitle: { fontSize: 18, fontWeight: "700" },
+  modalDate: { fontSize: 13, color: "#777", marginBottom: 12 },
+  answer: { marginBottom: 12 },
+  prompt: { fontSize: 13, color: "#666", marginBottom: 3 },
+  value: { fontSize: 15, color: "#222" },
+  closing: { fontSize: 14, color: "#444", fontStyle: "italic", marginBottom: 12 },
+  deleteBtn: {
+    alignSelf: "flex-end",
+    marginTop: 8,
+    backgroundColor: Colors.danger,
+    paddingVertical: 6,
+    paddingHorizontal: 12,
+    borderRadius: 6,
+  },
+  deleteText: {
+    color: "#fff",
+    fontWeight: "700",
+  },
+});
@@ -0,0 +1,190 @@
+import React, { useCallback, useEffect, useMemo, useState } from "react";
+import { ActivityIndicator, ScrollView, StyleSheet, Text, TouchableOpacity, View } from "react-native";
+import { Ionicons } from "@expo/vector-icons";
+import { useTranslation } from "react-i18next";
+import { Colors } from "@/constants/theme";
+import { authFetch } from "@/utils/session";
+import { journalId, type JournalItem } from "./JournalEditor";
+
+const isoDay = (date: Date) =>
+  `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, "0")}-${String(date.getDate()).padStart(2, "0")}`;
+
+// 2024-01-01 was a Monday; weeks start on Monday as in the insights screen
+const WEEKDAY_LABELS = Array.from({ length: 7 }, (_, i) =>
+  new Date(2024, 0, 1 + i).toLocaleDateString(undefined, { weekday: "narrow" })
+);
+
+// A month of entries as a calendar; days with entries are marked and picking
+// one lists its entries below. `refreshKey` reloads the month when the list
+// it sits beside changes (an entry created, edited or deleted).
+export default function JournalCalendar({
+  renderEntry,
+  refreshKey,
+}: {
+  renderEntry: (journal: JournalItem) => React.ReactElement;
+  refreshKey?: unknown;
+}) {
+  const { t } = useTranslation();
+  const today = isoDay(new Date());
+  const [month, setMonth] = useState(() => {
+    const now = new Date();
+    return new Date(now.getFullYear(), now.getMonth(), 1);
+  });
+  const [selected, setSelected] = useState<string | null>(today);
+  const [entries, setEntries] = useState<JournalItem[] | null>(null);
+  const [error, setError] = useState(false);
+
+  const load = useCallback(async () => {
+    const last = new Date(month.getFullYear(), month.getMonth() + 1, 0);
+    const query = `from=${isoDay(month)}&to=${isoDay(last)}&tzOffset=${month.getTimezoneOffset()}&limit=100`;
+    try {
+      setError(false);
+      setEntries(null);
+      // A month rarely fills more than one page, but follow the cursor if it does
+      const all: JournalItem[] = [];
+      let before: string | null = null;
+      do {
+        const res = await authFetch(`api/journals?${query}${before ? `&before=${before}` : ""}`);
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+        const page = await res.json();
+        all.push(...page.journals);
+        before = page.nextCursor;
+      } while (before);
+      setEntries(all);
+    } catch {
+      setError(true);
+    }
+  }, [month]);
+
+  useEffect(() => {
+    load();
+  }, [load, refreshKey]);
+
+  const byDay = useMemo(() => {
+    const days = new Map<string, JournalItem[]>();
+    for (const journal of entries || []) {
+      const day = isoDay(new Date(journal.writtenAt || journal.createdAt || 0));
+      days.set(day, [...(days.get(day) || []), journal]);
+    }
+    return days;
+  }, [entries]);
+
+  // Leading blanks up to the month's first weekday, then its days
+  const cells = useMemo(() => {
+    const blanks = (month.getDay() + 6) % 7;
+    const length = new Date(month.getFullYear(), month.getMonth() + 1, 0).getDate();
+    return [
+      ...Array.from({ length: blanks }, () => null),
+      ...Array.from({ length }, (_, i) => new Date(month.getFullYear(), month.getMonth(), i + 1)),
+    ];
+  }, [month]);
+
+  const shiftMonth = (by: number) => {
+    setMonth((m) => new Date(m.getFullYear(), m.getMonth() + by, 1));
+    setSelected(null);
+  };
+
+  const dayEntries = selected ? byDay.get(selected) || [] : [];
+
+  return (
+    <ScrollView contentContainerStyle={styles.container} showsVerticalScrollIndicator={false}>
+      <View style={styles.monthRow}>
+        <TouchableOpacity onPress={() => shiftMonth(-1)} style={styles.arrow}>
+          <Ionicons name="chevron-back" size={20} color={Colors.journalAccent} />
+        </TouchableOpacity>
+        <Text style={styles.monthTitle}>
+          {month.toLocaleDateString(undefined, { month: "long", year: "numeric" })}
+        </Text>
+        <TouchableOpacity onPress={() => shiftMonth(1)} style={styles.arrow}>
+          <Ionicons name="chevron-forward" size={20} color={Colors.journalAccent} />
+        </TouchableOpacity>
+      </View>
+
+      <View style={styles.grid}>
+        {WEEKDAY_LABELS.map((label, i) => (
+          <Text key={`weekday-${i}`} style={[styles.cell, styles.weekday]}>{label}</Text>
+        ))}
+        {cells.map((date, i) => {
+          if (!date) return <View key={`blank-${i}`} style={styles.cell} />;
+          const day = isoDay(date);
+          const count = byDay.get(day)?.length || 0;
+          const isSelected = day === selected;
+          return (
+            <TouchableOpacity key={day} style={styles.cell} onPress={() => setSelected(isSelected ? null : day)}>
+              <View style={[styles.day, count ? styles.dayWithEntries : null, isSelected ? styles.daySelected : null]}>
+                <Text style={[styles.dayText, day === today ? styles.today : null, isSelected ? styles.daySelectedText : null]}>
+                  {date.getDate()}
+                </Text>
+              </View>
+              {count ? <View style={[styles.dot, isSelected ? styles.dotSelected : null]} /> : null}
+            </TouchableOpacity>
+          );
+        })}
+      </View>
+
+      {error ? (
+        <TouchableOpacity onPress={load}>
+          <Text style={styles.error}>{t("journal.calendar.failed")}</Text>
+        </TouchableOpacity>
+      ) : entries === null ? (
+        <ActivityIndicator color={Colors.journalAccent} style={{ marginTop: 16 }} />
+      ) : !selected ? (
+        <Text style={styles.hint}>
+          {entries.length ? t("journal.calendar.pickDay") : t("journal.calendar.emptyMonth")}
+        </Text>
+      ) : dayEntries.length ? (
+        dayEntries.map((journal) => <React.Fragment key={journalId(journal)}>{renderEntry(journal)}</React.Fragment>)
+      ) : (
+        <Text style={styles.hint}>{t("journal.calendar.emptyDay")}</Text>
+      )}
+    </ScrollView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    paddingHorizontal: 12,
+    paddingBottom: 90,
+  },
+  monthRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    justifyContent: "space-between",
+    marginBottom: 8,
+  },
+  arrow: { padding: 6 },
+  monthTitle: { fontSize: 17, fontWeight: "bold", color: Colors.journalAccent },
+  grid: {
+    flexDirection: "row",
+    flexWrap: "wrap",
+    marginBottom: 14,
+  },
+  cell: {
+    width: `${100 / 7}%`,
+    alignItems: "center",
+    paddingVertical: 4,
+  },
+  weekday: { fontSize: 12, fontWeight: "700", color: "#777", textAlign: "center" },
+  day: {
+    width: 34,
+    height: 34,
+    borderRadius: 17,
+    alignItems: "center",
+    justifyContent: "center",
+  },
+  dayWithEntries: { backgroundColor: Colors.journalCardBg },
+  daySelected: { backgroundColor: Colors.journalAccent },
+  dayText: { fontSize: 14, color: "#333" },
+  today: { fontWeight: "bold", color: Colors.journalAccent },
+  daySelectedText: { color: "#fff" },
+  dot: {
+    width: 5,
+    height: 5,
+    borderRadius: 2.5,
+    marginTop: 2,
+    backgroundColor: Colors.journalAccent,
+  },
+  dotSelected: { backgroundColor: Colors.journalSeparator },
+  error: { color: Colors.danger, marginVertical: 12 },
+  hint: { color: "#666", marginVertical: 12, textAlign: "center" },
+});
@@ -0,0 +1,309 @@
+import React, { useEffect, useMemo, useRef, useState } from "react";
+import { ActivityIndicator, Modal, Pressable, StyleSheet, Text, TextInput, TouchableOpacity, View } from "react-native";
+import AsyncStorage from "@react-native-async-storage/async-storage";
+import { Ionicons } from "@expo/vector-icons";
+import { useTranslation } from "react-i18next";
+import { Colors } from "@/constants/theme";
+import { authFetch } from "@/utils/session";
+import { notify } from "@/utils/dialogs";
+import { encryptJournal, useJournalEncryption } from "@/utils/journalCrypto";
+import JournalVersions from "./JournalVersions";
+import type { JournalPrompt } from "./PromptCard";
+import TagInput from "./TagInput";
+
+// A run of an entry's text, highlighted when it matched a search
+export type Segment = { text: string; match: boolean };
+
+export interface JournalItem {
+  _id?: string;
+  id?: string;
+  title: string;
+  writtenAt?: string;
+  // Display strings of entries saved by older app versions
+  date?: string;
+  time?: string;
+  summary: string;
+  // Title and summary of an end-to-end encrypted entry; see utils/journalCrypto.ts
+  cipher?: string;
+  // Encrypted and not readable until the journal is unlocked
+  locked?: boolean;
+  tags?: string[];
+  // The prompt it was written from, if any
+  promptId?: string;
+  createdAt?: string;
+  version?: number;
+  // Only on search results
+  highlights?: { title: Segment[]; summary: Segment[] };
+}
+
+export const journalId = (journal: JournalItem) => (journal._id || journal.id) as string;
+
+// When the entry was written, in milliseconds
+export const writtenTime = (journal: JournalItem) =>
+  new Date(journal.writtenAt || journal.createdAt || 0).getTime();
+
+// Date and time as shown on an entry, in the device's locale
+export const displayDate = (journal: JournalItem) => {
+  if (!journal.writtenAt) return { date: journal.date || "", time: journal.time };
+  const at = new Date(journal.writtenAt);
+  return {
+    date: at.toLocaleDateString(undefined, { year: "numeric", month: "long", day: "numeric" }),
+    time: at.toLocaleTimeString(undefined, { hour: "2-digit", minute: "2-digit" }),
+  };
+};
+
+type Form = { title: string; summary: string; tags: string[] };
+
+const sameForm = (a: Form, b: Form) =>
+  a.title === b.title && a.summary === b.summary && a.tags.join("\n") === b.tags.join("\n");
+
+const AUTOSAVE_DELAY_MS = 800;
+// Unsaved text stays on the device: one draft per entry, plus one for a new
+// entry and one for a new entry from each prompt
+const draftKey = (id?: string, promptId?: string) =>
+  `journalDraft:${id || (promptId ? `new:${promptId}` : "new")}`;
+
+// Writes a new entry or edits `journal`, autosaving what is typed as a draft
+// until it is saved, so closing the editor or the app loses nothing. With
+// encryption set up, entries are encrypted before they leave the device.
+export default function JournalEditor({
+  visible,
+  journal,
+  knownTags,
+  prompt,
+  onClose,
+  onSaved,
+}: {
+  visible: boolean;
+  journal: JournalItem | null;
+  // The prompt a new entry is written from, or the one `journal` was written from
+  prompt?: JournalPrompt | null;
+  // The user's existing tags, suggested while tagging
+  knownTags?: string[];
+  onClose: () => void;
+  onSaved: (saved: JournalItem, isNew: boolean) => void;
+}) {
+  const { t } = useTranslation();
+  const encryption = useJournalEncryption();
+  const id = journal ? journalId(journal) : undefined;
+  const key = draftKey(id, journal ? undefined : prompt?.id);
+  const original = useMemo<Form>(
+    () => ({ title: journal?.title ?? "", summary: journal?.summary ?? "", tags: journal?.tags ?? [] }),
+    [journal]
+  );
+  const [form, setForm] = useState<Form>(original);
+  const [draftSavedAt, setDraftSavedAt] = useState<string | null>(null);
+  const [showHistory, setShowHistory] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const draftLoaded = useRef(false);
+
+  // Picks up an unfinished draft when the editor opens
+  useEffect(() => {
+    if (!visible) return;
+    draftLoaded.current = false;
+    setForm(original);
+    setDraftSavedAt(null);
+    setShowHistory(false);
+    AsyncStorage.getItem(key)
+      .then((raw) => {
+        const parsed = raw ? JSON.parse(raw) : null;
+        // Drafts saved before tags existed have none of their own
+        const draft = parsed ? { title: parsed.title, summary: parsed.summary, tags: parsed.tags ?? original.tags } : null;
+        if (draft && !sameForm(draft, original)) {
+          setForm(draft);
+          setDraftSavedAt(parsed.savedAt);
+        }
+      })
+      .catch(() => {})
+      .finally(() => {
+        draftLoaded.current = true;
+      });
+  }, [visible, key, original]);
+
+  useEffect(() => {
+    if (!visible || !draftLoaded.current) return;
+    const timer = setTimeout(() => {
+      const write = sameForm(form, original)
+        ? AsyncStorage.removeItem(key)
+        : AsyncStorage.setItem(key, JSON.stringify({ ...form, savedAt: new Date().toISOString() }));
+      write.catch(() => {});
+    }, AUTOSAVE_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [form, visible, key, original]);
+
+  const discardDraft = () => {
+    AsyncStorage.removeItem(key).catch(() => {});
+    setForm(original);
+    setDraftSavedAt(null);
+  };
+
+  const finish = (saved: JournalItem) => {
+    AsyncStorage.removeItem(key).catch(() => {});
+    onSaved(saved, !journal);
+  };
+
+  const save = async () => {
+    if (!form.title.trim() || !form.summary.trim()) {
+      notify(t("journal.editor.saveFailedTitle"), t("journal.editor.required"));
+      return;
+    }
+    if (encryption.enabled && !encryption.unlocked) {
+      notify(t("journal.editor.saveFailedTitle"), t("journal.encryption.unlockFirst"));
+      return;
+    }
+    const { title, summary, tags } = form;
+    const content = encryption.enabled ? { cipher: encryptJournal({ title, summary }) } : { title, summary };
+    setSaving(true);
+    try {
+      const res = journal
+        ? await authFetch(`api/journals/${id}`, {
+            method: "PUT",
+            headers: { "Content-Type": "application/json" },
+            body: JSON.stringify({ ...content, tags, version: journal.version ?? 1 }),
+          })
+        : await authFetch("api/journals", {
+            method: "POST",
+            headers: { "Content-Type": "application/json" },
+            body: JSON.stringify({ ...content, tags, promptId: prompt?.id, writtenAt: new Date().toISOString() }),
+          });
+      // Edited elsewhere since it was loaded; the draft is kept so nothing typed is lost
+      if (res.status === 409) {
+        notify(t("journal.editor.saveFailedTitle"), t("journal.editor.conflict"));
+        return;
+      }
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      finish(await res.json());
+    } catch {
+      notify(t("journal.editor.saveFailedTitle"), t("journal.editor.saveFailed"));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Modal visible={visible} animationType="slide" transparent onRequestClose={onClose}>
+      <Pressable style={styles.modalBackdrop} onPress={onClose}>
+        <Pressable style={styles.modalCard} onPress={() => {}}>
+          {showHistory && id ? (
+            <JournalVersions journalId={id} onBack={() => setShowHistory(false)} onRestored={finish} />
+          ) : (
+            <>
+              <View style={styles.headerRow}>
+                <Text style={styles.heading}>{journal ? t("journal.editor.editTitle") : t("journal.newJournal")}</Text>
+                {journal ? (
+                  <TouchableOpacity style={styles.historyBtn} onPress={() => setShowHistory(true)}>
+                    <Ionicons name="time-outline" size={16} color={Colors.journalAccent} />
+                    <Text style={styles.historyText}>{t("journal.versions.title")}</Text>
+                  </TouchableOpacity>
+                ) : null}
+              </View>
+              {prompt ? (
+                <View style={styles.promptBox}>
+                  <Ionicons name="bulb-outline" size={16} color={Colors.journalAccent} />
+                  <Text style={styles.promptText}>{prompt.text}</Text>
+                </View>
+              ) : null}
+              {draftSavedAt ? (
+                <View style={styles.draftRow}>
+                  <Text style={styles.draftText}>
+                    {t("journal.editor.draftRestored", { time: new Date(draftSavedAt).toLocaleString() })}
+                  </Text>
+                  <TouchableOpacity onPress={discardDraft}>
+                    <Text style={styles.discardText}>{t("journal.editor.discardDraft")}</Text>
+                  </TouchableOpacity>
+                </View>
+              ) : null}
+              <TextInput
+                placeholder={t("journal.title")}
+                style={styles.input}
+                value={form.title}
+                maxLength={200}
+                onChangeText={(v) => setForm((f) => ({ ...f, title: v }))}
+              />
+              <TextInput
+                placeholder={t("journal.summary")}
+                style={[styles.input, { height: 140 }]}
+                multiline
+                textAlignVertical="top"
+                value={form.summary}
+                onChangeText={(v) => setForm((f) => ({ ...f, summary: v }))}
+              />
+              <TagInput tags={form.tags} knownTags={knownTags} onChange={(tags) => setForm((f) => ({ ...f, tags }))} />
+              <Text style={styles.autosaveHint}>{t("journal.editor.autosaveHint")}</Text>
+              <TouchableOpacity onPress={save} style={styles.submitBtn} disabled={saving}>
+                {saving ? <ActivityIndicator color="#fff" /> : <Text style={styles.submitText}>{t("journal.save")}</Text>}
+              </TouchableOpacity>
+            </>
+          )}
+        </Pressable>
+      </Pressable>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  modalBackdrop: {
+    flex: 1,
+    backgroundColor: "rgba(0,0,0,0.35)",
+    justifyContent: "flex-end",
+  },
+  modalCard: {
+    backgroundColor: "#fff",
+    padding: 19,
+    borderTopLeftRadius: 22,
+    borderTopRightRadius: 22,
+  },
+  headerRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    justifyContent: "space-between",
+    marginBottom: 12,
+  },
+  heading: { fontSize: 18, fontWeight: "700" },
+  historyBtn: { flexDirection: "row", alignItems: "center", gap: 4, padding: 4 },
+  historyText: { color: Colors.journalAccent, fontWeight: "600" },
+  draftRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    justifyContent: "space-between",
+    gap: 8,
+    backgroundColor: Colors.journalCardBg,
+    borderRadius: 8,
+    padding: 10,
+    marginBottom: 10,
+  },
+  draftText: { flex: 1, fontSize: 13, color: "#444" },
+  promptBox: {
+    flexDirection: "row",
+    alignItems: "flex-start",
+    gap: 8,
+    borderLeftWidth: 3,
+    borderLeftColor: Colors.journalAccent,
+    paddingVertical: 6,
+    paddingHorizontal: 10,
+    marginBottom: 10,
+  },
+  promptText: { flex: 1, fontSize: 15, color: "#333", fontStyle: "italic" },
+  discardText: { fontSize: 13, fontWeight: "700", color: Colors.danger },
+  input: {
+    borderWidth: 1,
+    borderColor: "#ddd",
+    borderRadius: 8,
+    padding: 12,
+    marginBottom: 10,
+    fontSize: 15,
+  },
+  autosaveHint: { fontSize: 12, color: "#888" },
+  submitBtn: {
+    backgroundColor: "#388e3c",
+    paddingVertical: 13,
+    borderRadius: 8,
+    alignItems: "center",
+    marginTop: 7,
+  },
+  submitText: {
+    color: "#fff",
+    fontWeight: "700",
+    fontSize: 16,
+  },
+});
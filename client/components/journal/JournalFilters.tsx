@@ -0,0 +1,102 @@
+import React from "react";
+import { ScrollView, StyleSheet, Text, TextInput, TouchableOpacity, View } from "react-native";
+import { Ionicons } from "@expo/vector-icons";
+import { useTranslation } from "react-i18next";
+import { Colors } from "@/constants/theme";
+import type { JournalTag } from "./TagManager";
+
+// Search box and tag filter above the journal list
+export default function JournalFilters({
+  query,
+  onQueryChange,
+  tags,
+  activeTags,
+  onToggleTag,
+  onManageTags,
+}: {
+  query: string;
+  onQueryChange: (query: string) => void;
+  tags: JournalTag[];
+  activeTags: string[];
+  onToggleTag: (tag: string) => void;
+  onManageTags: () => void;
+}) {
+  const { t } = useTranslation();
+  return (
+    <View style={styles.container}>
+      <View style={styles.searchRow}>
+        <Ionicons name="search" size={18} color="#888" />
+        <TextInput
+          style={styles.searchInput}
+          placeholder={t("journal.search.placeholder")}
+          value={query}
+          onChangeText={onQueryChange}
+          returnKeyType="search"
+          maxLength={200}
+        />
+        {query ? (
+          <TouchableOpacity onPress={() => onQueryChange("")} accessibilityLabel={t("journal.search.clear")}>
+            <Ionicons name="close-circle" size={18} color="#888" />
+          </TouchableOpacity>
+        ) : null}
+      </View>
+      {tags.length ? (
+        <ScrollView horizontal showsHorizontalScrollIndicator={false} contentContainerStyle={styles.tags}>
+          {tags.map((tag) => {
+            const on = activeTags.includes(tag.name);
+            return (
+              <TouchableOpacity
+                key={tag.name}
+                style={[styles.tag, on ? styles.tagActive : null]}
+                onPress={() => onToggleTag(tag.name)}
+                accessibilityState={{ selected: on }}
+              >
+                <Text style={[styles.tagText, on ? styles.tagTextActive : null]}>#{tag.name}</Text>
+              </TouchableOpacity>
+            );
+          })}
+          <TouchableOpacity style={styles.manage} onPress={onManageTags} accessibilityLabel={t("journal.tags.manage")}>
+            <Ionicons name="pricetags-outline" size={16} color={Colors.journalAccent} />
+          </TouchableOpacity>
+        </ScrollView>
+      ) : null}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    paddingHorizontal: 12,
+    marginBottom: 10,
+  },
+  searchRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 8,
+    backgroundColor: "#fff",
+    borderRadius: 10,
+    borderWidth: 1,
+    borderColor: "#e0e0e0",
+    paddingHorizontal: 10,
+  },
+  searchInput: {
+    flex: 1,
+    paddingVertical: 8,
+    fontSize: 15,
+  },
+  tags: {
+    gap: 6,
+    paddingTop: 8,
+    alignItems: "center",
+  },
+  tag: {
+    borderRadius: 12,
+    paddingHorizontal: 10,
+    paddingVertical: 4,
+    backgroundColor: Colors.journalCardBg,
+  },
+  tagActive: { backgroundColor: Colors.journalAccent },
+  tagText: { fontSize: 13, color: Colors.journalAccent, fontWeight: "600" },
+  tagTextActive: { color: "#fff" },
+  manage: { padding: 4 },
+});
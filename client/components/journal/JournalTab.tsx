@@ -1,94 +1,269 @@
-import React, { useMemo, useState } from "react";
+import React, { useCallback, useEffect, useMemo, useState } from "react";
 import {
+  ActivityIndicator,
   FlatList,
   StyleSheet,
   Text,
   TouchableOpacity,
   View,
   Image,
-  Modal,
-  Pressable,
-  TextInput,
 } from "react-native";
+import { useTranslation } from "react-i18next";
+import { Ionicons } from "@expo/vector-icons";
 import { Colors } from "@/constants/theme";
-
-interface JournalItem {
-  _id?: string;
-  id?: string;
-  title: string;
-  date: string;
-  summary: string;
-}
+import { authFetch } from "@/utils/session";
+import { fetchEncryptionStatus, openJournal, useJournalEncryption } from "@/utils/journalCrypto";
+import ExerciseEntry from "./ExerciseEntry";
+import JournalEditor, { displayDate, journalId, writtenTime, type JournalItem, type Segment } from "./JournalEditor";
+import JournalCalendar from "./JournalCalendar";
+import JournalFilters from "./JournalFilters";
+import TagManager, { type JournalTag } from "./TagManager";
+import EncryptionSettings from "./EncryptionSettings";
+import PromptCard, { type JournalPrompt } from "./PromptCard";
+import type { Exercise } from "@/components/chat/ExercisePanel";
+import { isAppLanguage } from "@/components/chat/LanguageSuggestionBanner";
 
 interface JournalTabProps {
   data: JournalItem[];
-  onPressItem?: (id: string) => void;
+  // Completed guided exercises, listed with the journals by when they were finished
+  exercises?: Exercise[];
+  onExerciseDeleted?: (id: string) => void;
   onCreated?: (created: any) => void;
+  onUpdated?: (updated: any) => void;
   onDeleted?: (id: string) => void;
+  // More pages of journals exist; onLoadMore fetches the next one
+  hasMore?: boolean;
+  loadingMore?: boolean;
+  onLoadMore?: () => void;
+  // A tag was renamed to `name`, or deleted when it is null
+  onTagChanged?: (tag: string, name: string | null) => void;
+  // Entries changed in bulk (encrypted or deleted) and should be loaded again
+  onReload?: () => void;
 }
 
+const SEARCH_DELAY_MS = 300;
+// Searches and tag filters show this many entries, best or newest first
+const FILTER_LIMIT = 50;
+
+// Search matches in bold; a nested Text so it wraps with the rest
+const Highlighted: React.FC<{ segments: Segment[] }> = ({ segments }) => (
+  <>
+    {segments.map((s, i) => (
+      <Text key={i} style={s.match ? styles.match : undefined}>{s.text}</Text>
+    ))}
+  </>
+);
+
 const JournalEntryItem: React.FC<{
   date: string;
   time?: string;
   title?: string;
   summary: string;
+  tags?: string[];
+  highlights?: JournalItem["highlights"];
+  edited?: boolean;
   onPress: () => void;
   onDelete?: () => void;
-}> = ({ date, time, title, summary, onPress, onDelete }) => (
-  <TouchableOpacity style={styles.entryCard} onPress={onPress}>
-    <Text style={styles.entryDate}>{date}</Text>
-    {time ? <Text style={styles.entryTime}>{time}</Text> : null}
-    <View style={styles.separator} />
-    {title ? (
-      <Text style={styles.entryTitle} numberOfLines={1}>{title}</Text>
-    ) : null}
-    <Text style={styles.entrySummary} numberOfLines={3}>
-      {summary}
-    </Text>
-    {!!onDelete && (
-      <TouchableOpacity style={styles.deleteBtn} onPress={onDelete}>
-        <Text style={styles.deleteText}>Delete</Text>
-      </TouchableOpacity>
-    )}
-  </TouchableOpacity>
-);
+}> = ({ date, time, title, summary, tags, highlights, edited, onPress, onDelete }) => {
+  const { t } = useTranslation();
+  return (
+    <TouchableOpacity style={styles.entryCard} onPress={onPress}>
+      <Text style={styles.entryDate}>{date}</Text>
+      {time || edited ? (
+        <Text style={styles.entryTime}>
+          {[time, edited ? t("journal.edited") : null].filter(Boolean).join(" · ")}
+        </Text>
+      ) : null}
+      <View style={styles.separator} />
+      {title ? (
+        <Text style={styles.entryTitle} numberOfLines={1}>
+          {highlights ? <Highlighted segments={highlights.title} /> : title}
+        </Text>
+      ) : null}
+      <Text style={styles.entrySummary} numberOfLines={3}>
+        {highlights ? <Highlighted segments={highlights.summary} /> : summary}
+      </Text>
+      {tags?.length ? (
+        <Text style={styles.entryTags} numberOfLines={1}>
+          {tags.map((tag) => `#${tag}`).join("  ")}
+        </Text>
+      ) : null}
+      {!!onDelete && (
+        <TouchableOpacity style={styles.deleteBtn} onPress={onDelete}>
+          <Text style={styles.deleteText}>{t("journal.delete")}</Text>
+        </TouchableOpacity>
+      )}
+    </TouchableOpacity>
+  );
+};
+
+type ListEntry =
+  | { kind: "journal"; key: string; at: number; journal: JournalItem }
+  | { kind: "exercise"; key: string; at: number; exercise: Exercise };
 
-const JournalTab: React.FC<JournalTabProps> = ({ data, onPressItem, onCreated, onDeleted }) => {
-  const [showCreate, setShowCreate] = useState(false);
-  const [form, setForm] = useState<{ title: string; summary: string }>({ title: "", summary: "" });
+const JournalTab: React.FC<JournalTabProps> = ({
+  data,
+  exercises = [],
+  onExerciseDeleted,
+  onCreated,
+  onUpdated,
+  onDeleted,
+  hasMore,
+  loadingMore,
+  onLoadMore,
+  onTagChanged,
+  onReload,
+}) => {
+  const { t, i18n } = useTranslation();
+  const encryption = useJournalEncryption();
+  const [showEncryption, setShowEncryption] = useState(false);
+  // The entry open in the editor; null for a new one, undefined when closed
+  const [editing, setEditing] = useState<JournalItem | null | undefined>(undefined);
+  // What a new entry is being written from, if anything
+  const [writingPrompt, setWritingPrompt] = useState<JournalPrompt | null>(null);
+  const [dailyPrompt, setDailyPrompt] = useState<JournalPrompt | null>(null);
+  const [prompts, setPrompts] = useState<JournalPrompt[]>([]);
+  const [view, setView] = useState<"list" | "calendar">("list");
+  const [query, setQuery] = useState("");
+  const [activeTags, setActiveTags] = useState<string[]>([]);
+  const [tags, setTags] = useState<JournalTag[]>([]);
+  const [managingTags, setManagingTags] = useState(false);
+  // Entries matching the search or tag filter; null while there is none
+  const [results, setResults] = useState<JournalItem[] | null>(null);
+  const [searchError, setSearchError] = useState(false);
+  const filtering = query.trim().length > 0 || activeTags.length > 0;
+
+  useEffect(() => {
+    fetchEncryptionStatus().catch(() => {});
+  }, []);
+  const locked = encryption.enabled === true && !encryption.unlocked;
 
+  const language = isAppLanguage(i18n.language) ? i18n.language : undefined;
+  useEffect(() => {
+    const params = new URLSearchParams({ tzOffset: String(new Date().getTimezoneOffset()) });
+    if (language) params.set("language", language);
+    Promise.all([
+      authFetch(`api/journals/prompts/daily?${params}`),
+      authFetch(`api/journals/prompts${language ? `?language=${language}` : ""}`),
+    ])
+      .then(async ([daily, library]) => {
+        if (daily.ok) setDailyPrompt((await daily.json()).prompt);
+        if (library.ok) setPrompts((await library.json()).prompts || []);
+      })
+      .catch(() => {});
+  }, [language]);
+
+  const write = (prompt: JournalPrompt | null) => {
+    if (locked) {
+      setShowEncryption(true);
+      return;
+    }
+    setWritingPrompt(prompt);
+    setEditing(null);
+  };
+
+  const loadTags = useCallback(async () => {
+    try {
+      const res = await authFetch("api/journals/tags");
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      const loaded: JournalTag[] = (await res.json()).tags || [];
+      setTags(loaded);
+      setActiveTags((prev) => prev.filter((tag) => loaded.some((x) => x.name === tag)));
+    } catch {}
+  }, []);
+
+  // Entries created, edited or deleted can change the tags and the results
+  useEffect(() => {
+    loadTags();
+  }, [loadTags, data]);
+
+  useEffect(() => {
+    if (!filtering) {
+      setResults(null);
+      return;
+    }
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      const q = query.trim();
+      const params = new URLSearchParams({ limit: String(FILTER_LIMIT) });
+      if (q) params.set("q", q);
+      if (activeTags.length) params.set("tags", activeTags.join(","));
+      try {
+        setSearchError(false);
+        const res = await authFetch(`${q ? "api/journals/search" : "api/journals"}?${params}`);
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+        const body = await res.json();
+        if (!cancelled) setResults((q ? body.results : body.journals) || []);
+      } catch {
+        if (!cancelled) setSearchError(true);
+      }
+    }, SEARCH_DELAY_MS);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [query, activeTags, filtering, data]);
+
+  const toggleTag = (tag: string) =>
+    setActiveTags((prev) => (prev.includes(tag) ? prev.filter((x) => x !== tag) : [...prev, tag]));
+
+  const onTagsManaged = (tag: string, name: string | null) => {
+    loadTags();
+    onTagChanged && onTagChanged(tag, name);
+  };
+
+  const entries = useMemo<ListEntry[]>(() => {
+    const journals = data.map((journal): ListEntry => ({
+      kind: "journal",
+      key: journalId(journal),
+      at: writtenTime(journal),
+      journal,
+    }));
+    // While older journals are still unloaded, older exercises would show out of order
+    const oldest = hasMore && journals.length ? Math.min(...journals.map((j) => j.at)) : -Infinity;
+    const done = exercises
+      .map((exercise): ListEntry => ({
+        kind: "exercise",
+        key: `exercise-${exercise.id}`,
+        at: new Date(exercise.completedAt || exercise.startedAt).getTime(),
+        exercise,
+      }))
+      .filter((entry) => entry.at >= oldest);
+    return [...journals, ...done].sort((a, b) => b.at - a.at);
+  }, [data, exercises, hasMore]);
   const todayStr = useMemo(() => {
     const now = new Date();
     return now.toLocaleDateString(undefined, { year: 'numeric', month: 'long', day: 'numeric' });
   }, []);
 
-  const baseUrl = (process.env.EXPO_PUBLIC_API_URL ?? '').replace(/\/$/, '');
+  const onSaved = (saved: JournalItem, isNew: boolean) => {
+    if (isNew) onCreated && onCreated(saved);
+    else onUpdated && onUpdated(saved);
+    setEditing(undefined);
+  };
 
-  const onSubmitCreate = async () => {
-    try {
-      const token = (globalThis as any).authToken as string | undefined;
-      const now = new Date();
-      const timeStr = now.toLocaleTimeString(undefined, { hour: '2-digit', minute: '2-digit' });
-      const res = await fetch(`${baseUrl}/api/journals`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json', ...(token ? { Authorization: `Bearer ${token}` } : {}) },
-        body: JSON.stringify({ title: form.title, summary: form.summary, date: todayStr, time: timeStr }),
-      });
-      if (!res.ok) throw new Error('Failed to create journal');
-      const created = await res.json();
-      onCreated && onCreated(created);
-      setShowCreate(false);
-      setForm({ title: '', summary: '' });
-    } catch {}
+  // Encrypted entries are decrypted here, for the list, search results and calendar alike
+  const renderJournal = (stored: JournalItem) => {
+    const journal = openJournal(stored);
+    const { date, time } = displayDate(journal);
+    return (
+      <JournalEntryItem
+        date={date}
+        time={time}
+        title={journal.locked ? `🔒 ${t("journal.encryption.lockedTitle")}` : journal.title}
+        summary={journal.locked ? t("journal.encryption.lockedEntry") : journal.summary}
+        tags={journal.tags}
+        highlights={journal.highlights}
+        edited={(journal.version ?? 1) > 1}
+        onPress={() => (journal.locked ? setShowEncryption(true) : setEditing(journal))}
+        onDelete={() => onDelete(journalId(journal))}
+      />
+    );
   };
 
   const onDelete = async (id: string) => {
     try {
-      const token = (globalThis as any).authToken as string | undefined;
-      const res = await fetch(`${baseUrl}/api/journals/${id}`, {
-        method: 'DELETE',
-        headers: token ? { Authorization: `Bearer ${token}` } : undefined,
-      });
+      const res = await authFetch(`api/journals/${id}`, { method: 'DELETE' });
       if (!res.ok) throw new Error('Failed to delete');
       onDeleted && onDeleted(id);
     } catch  {}
@@ -108,58 +283,112 @@ const JournalTab: React.FC<JournalTabProps> = ({ data, onPressItem, onCreated, o
           <Text style={styles.greeting}>Hi there!</Text>
           <Text style={styles.dateText}>{todayStr}</Text>
         </View>
+        <TouchableOpacity
+          style={styles.viewToggle}
+          onPress={() => setView((v) => (v === "list" ? "calendar" : "list"))}
+          accessibilityLabel={view === "list" ? t("journal.calendar.show") : t("journal.calendar.showList")}
+        >
+          <Ionicons name={view === "list" ? "calendar-outline" : "list-outline"} size={24} color={Colors.neutralText} />
+        </TouchableOpacity>
+        <TouchableOpacity
+          style={styles.headerButton}
+          onPress={() => setShowEncryption(true)}
+          accessibilityLabel={t("journal.encryption.title")}
+        >
+          <Ionicons
+            name={encryption.enabled && encryption.unlocked ? "lock-open-outline" : "lock-closed-outline"}
+            size={24}
+            color={Colors.neutralText}
+          />
+        </TouchableOpacity>
       </View>
 
-      {/* Journal List */}
-      <FlatList
-        data={data}
-        keyExtractor={(item) => (item._id || item.id) as string}
-        renderItem={({ item }) => (
-          <JournalEntryItem
-            date={item.date}
-            time={(item as any).time}
-            title={item.title}
-            summary={item.summary}
-            onPress={() =>
-              onPressItem && onPressItem((item._id || item.id) as string)
-            }
-            onDelete={() => onDelete((item._id || item.id) as string)}
+      {locked && data.some((journal) => journal.cipher) ? (
+        <TouchableOpacity style={styles.lockedBanner} onPress={() => setShowEncryption(true)}>
+          <Ionicons name="lock-closed" size={16} color={Colors.journalAccent} />
+          <Text style={styles.lockedBannerText}>{t("journal.encryption.lockedBanner")}</Text>
+        </TouchableOpacity>
+      ) : null}
+
+      {view === "list" ? (
+        <JournalFilters
+          query={query}
+          onQueryChange={setQuery}
+          tags={tags}
+          activeTags={activeTags}
+          onToggleTag={toggleTag}
+          onManageTags={() => setManagingTags(true)}
+        />
+      ) : null}
+
+      {view === "calendar" ? (
+        <JournalCalendar renderEntry={renderJournal} refreshKey={data} />
+      ) : filtering ? (
+        searchError ? (
+          <Text style={styles.filterNote}>{t("journal.search.failed")}</Text>
+        ) : results === null ? (
+          <ActivityIndicator color={Colors.journalAccent} style={{ marginTop: 16 }} />
+        ) : (
+          <FlatList
+            data={results}
+            keyExtractor={(journal) => journalId(journal)}
+            renderItem={({ item }) => renderJournal(item)}
+            ListEmptyComponent={<Text style={styles.filterNote}>{t("journal.search.noResults")}</Text>}
+            contentContainerStyle={styles.listContainer}
+            keyboardShouldPersistTaps="handled"
+            showsVerticalScrollIndicator={false}
           />
-        )}
-        contentContainerStyle={styles.listContainer}
-        showsVerticalScrollIndicator={false}
-        overScrollMode="never"
-        bounces={false}
-      />
+        )
+      ) : (
+        <FlatList
+          data={entries}
+          keyExtractor={(entry) => entry.key}
+          renderItem={({ item: entry }) =>
+            entry.kind === "exercise" ? (
+              <ExerciseEntry exercise={entry.exercise} onDeleted={onExerciseDeleted} />
+            ) : (
+              renderJournal(entry.journal)
+            )
+          }
+          ListHeaderComponent={
+            dailyPrompt ? <PromptCard daily={dailyPrompt} prompts={prompts} onWrite={write} /> : null
+          }
+          onEndReached={() => hasMore && !loadingMore && onLoadMore && onLoadMore()}
+          onEndReachedThreshold={0.5}
+          ListFooterComponent={loadingMore ? <ActivityIndicator color={Colors.journalAccent} /> : null}
+          contentContainerStyle={styles.listContainer}
+          showsVerticalScrollIndicator={false}
+          overScrollMode="never"
+          bounces={false}
+        />
+      )}
 
       {/* Floating Add Button */}
-       <TouchableOpacity style={styles.fab} onPress={() => setShowCreate(true)}>
+       <TouchableOpacity style={styles.fab} onPress={() => write(null)}>
         <Text style={styles.fabText}>＋</Text>
       </TouchableOpacity>
 
-       <Modal visible={showCreate} animationType="slide" transparent onRequestClose={() => setShowCreate(false)}>
-         <Pressable style={styles.modalBackdrop} onPress={() => setShowCreate(false)}>
-           <Pressable style={styles.modalCard} onPress={() => {}}>
-             <Text style={{ fontSize: 18, fontWeight: '700', marginBottom: 12 }}>New Journal</Text>
-             <TextInput
-               placeholder="Title"
-               style={styles.input}
-               value={form.title}
-               onChangeText={(v) => setForm((f) => ({ ...f, title: v }))}
-             />
-             <TextInput
-               placeholder="Summary"
-               style={[styles.input, { height: 90 }]}
-               multiline
-               value={form.summary}
-               onChangeText={(v) => setForm((f) => ({ ...f, summary: v }))}
-             />
-             <TouchableOpacity onPress={onSubmitCreate} style={styles.submitBtn}>
-               <Text style={styles.submitText}>Save</Text>
-             </TouchableOpacity>
-           </Pressable>
-         </Pressable>
-       </Modal>
+      <JournalEditor
+        visible={editing !== undefined}
+        journal={editing ?? null}
+        knownTags={tags.map((tag) => tag.name)}
+        prompt={editing ? prompts.find((prompt) => prompt.id === editing.promptId) ?? null : writingPrompt}
+        onClose={() => setEditing(undefined)}
+        onSaved={onSaved}
+      />
+
+      <TagManager
+        visible={managingTags}
+        tags={tags}
+        onClose={() => setManagingTags(false)}
+        onChanged={onTagsManaged}
+      />
+
+      <EncryptionSettings
+        visible={showEncryption}
+        onClose={() => setShowEncryption(false)}
+        onChanged={() => onReload && onReload()}
+      />
     </View>
   );
 };
@@ -180,6 +409,29 @@ const styles = StyleSheet.create({
     borderBottomLeftRadius: 0,
     marginBottom: 18,
   },
+  viewToggle: {
+    marginLeft: 'auto',
+    padding: 8,
+  },
+  headerButton: {
+    padding: 8,
+  },
+  lockedBanner: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8,
+    backgroundColor: Colors.journalCardBg,
+    borderRadius: 10,
+    padding: 10,
+    marginHorizontal: 12,
+    marginBottom: 10,
+  },
+  lockedBannerText: {
+    flex: 1,
+    fontSize: 13,
+    color: Colors.journalAccent,
+    fontWeight: '600',
+  },
   avatar: {
     width: 65,
     height: 65,
@@ -247,6 +499,21 @@ const styles = StyleSheet.create({
     color: '#333',
     marginBottom: 3,
   },
+  entryTags: {
+    fontSize: 12,
+    color: Colors.journalAccent,
+    marginTop: 4,
+  },
+  match: {
+    fontWeight: 'bold',
+    backgroundColor: Colors.journalHeaderBg,
+  },
+  filterNote: {
+    color: '#666',
+    textAlign: 'center',
+    marginTop: 16,
+    paddingHorizontal: 16,
+  },
   entrySummary: {
     fontSize: 14,
     color: Colors.neutralText,
@@ -274,35 +541,4 @@ const styles = StyleSheet.create({
     fontSize: 32,
     fontWeight: '700',
   },
-  modalBackdrop: {
-    flex: 1,
-    backgroundColor: 'rgba(0,0,0,0.35)',
-    justifyContent: 'flex-end',
-  },
-  modalCard: {
-    backgroundColor: '#fff',
-    padding: 19,
-    borderTopLeftRadius: 22,
-    borderTopRightRadius: 22,
-  },
-  input: {
-    borderWidth: 1,
-    borderColor: '#ddd',
-    borderRadius: 8,
-    padding: 12,
-    marginBottom: 10,
-    fontSize: 15,
-  },
-  submitBtn: {
-    backgroundColor: '#388e3c',
-    paddingVertical: 13,
-    borderRadius: 8,
-    alignItems: 'center',
-    marginTop: 7,
-  },
-  submitText: {
-    color: '#fff',
-    fontWeight: '700',
-    fontSize: 16,
-  },
 });
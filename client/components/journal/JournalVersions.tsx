@@ -0,0 +1,139 @@
+import React, { useCallback, useEffect, useState } from "react";
+import { ActivityIndicator, ScrollView, StyleSheet, Text, TouchableOpacity, View } from "react-native";
+import { Ionicons } from "@expo/vector-icons";
+import { useTranslation } from "react-i18next";
+import { Colors } from "@/constants/theme";
+import { authFetch } from "@/utils/session";
+import { confirmAction, notify } from "@/utils/dialogs";
+import { openJournal } from "@/utils/journalCrypto";
+import type { JournalItem } from "./JournalEditor";
+
+type JournalVersion = {
+  _id: string;
+  version: number;
+  title?: string;
+  summary?: string;
+  cipher?: string;
+  date: string;
+  time?: string;
+  // When this content was replaced by the next edit
+  createdAt: string;
+};
+
+// Earlier versions of a journal entry, any of which can be restored
+export default function JournalVersions({
+  journalId,
+  onBack,
+  onRestored,
+}: {
+  journalId: string;
+  onBack: () => void;
+  onRestored: (journal: JournalItem) => void;
+}) {
+  const { t } = useTranslation();
+  const [versions, setVersions] = useState<JournalVersion[] | null>(null);
+  const [expanded, setExpanded] = useState<string | null>(null);
+  const [error, setError] = useState(false);
+
+  const load = useCallback(async () => {
+    try {
+      setError(false);
+      const res = await authFetch(`api/journals/${journalId}/versions`);
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      setVersions(((await res.json()).versions || []).map(openJournal));
+    } catch {
+      setError(true);
+    }
+  }, [journalId]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  const restore = async (version: JournalVersion) => {
+    const ok = await confirmAction(
+      t("journal.versions.restoreTitle"),
+      t("journal.versions.restoreMessage"),
+      t("journal.versions.restore"),
+      t("chat.cancel")
+    );
+    if (!ok) return;
+    try {
+      const res = await authFetch(`api/journals/${journalId}/versions/${version._id}/restore`, { method: "POST" });
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      onRestored(await res.json());
+    } catch {
+      notify(t("journal.versions.title"), t("journal.versions.restoreFailed"));
+    }
+  };
+
+  return (
+    <View>
+      <View style={styles.headerRow}>
+        <TouchableOpacity onPress={onBack} style={styles.backBtn}>
+          <Ionicons name="chevron-back" size={20} color={Colors.journalAccent} />
+        </TouchableOpacity>
+        <Text style={styles.heading}>{t("journal.versions.title")}</Text>
+      </View>
+      {error ? (
+        <TouchableOpacity onPress={load}>
+          <Text style={styles.error}>{t("journal.versions.failed")}</Text>
+        </TouchableOpacity>
+      ) : versions === null ? (
+        <ActivityIndicator color={Colors.journalAccent} style={{ marginVertical: 20 }} />
+      ) : versions.length === 0 ? (
+        <Text style={styles.empty}>{t("journal.versions.empty")}</Text>
+      ) : (
+        <ScrollView style={{ maxHeight: 420 }}>
+          {versions.map((v) => {
+            const open = expanded === v._id;
+            const locked = "locked" in v && v.locked;
+            return (
+              <TouchableOpacity key={v._id} style={styles.version} onPress={() => setExpanded(open ? null : v._id)}>
+                <Text style={styles.meta}>
+                  {t("journal.versions.label", { version: v.version, time: new Date(v.createdAt).toLocaleString() })}
+                </Text>
+                <Text style={styles.title} numberOfLines={open ? undefined : 1}>
+                  {locked ? t("journal.encryption.lockedTitle") : v.title}
+                </Text>
+                <Text style={styles.summary} numberOfLines={open ? undefined : 2}>
+                  {locked ? t("journal.encryption.lockedEntry") : v.summary}
+                </Text>
+                {open ? (
+                  <TouchableOpacity style={styles.restoreBtn} onPress={() => restore(v)}>
+                    <Text style={styles.restoreText}>{t("journal.versions.restore")}</Text>
+                  </TouchableOpacity>
+                ) : null}
+              </TouchableOpacity>
+            );
+          })}
+        </ScrollView>
+      )}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  headerRow: { flexDirection: "row", alignItems: "center", marginBottom: 12 },
+  backBtn: { paddingRight: 6 },
+  heading: { fontSize: 18, fontWeight: "700" },
+  error: { color: Colors.danger, marginVertical: 12 },
+  empty: { color: "#666", marginVertical: 12 },
+  version: {
+    borderBottomWidth: 1,
+    borderBottomColor: "#eee",
+    paddingVertical: 10,
+  },
+  meta: { fontSize: 12, color: "#777", marginBottom: 3 },
+  title: { fontSize: 15, fontWeight: "bold", color: "#333", marginBottom: 2 },
+  summary: { fontSize: 14, color: Colors.neutralText },
+  restoreBtn: {
+    alignSelf: "flex-end",
+    marginTop: 8,
+    backgroundColor: "#388e3c",
+    paddingVertical: 6,
+    paddingHorizontal: 12,
+    borderRadius: 6,
+  },
+  restoreText: { color: "#fff", fontWeight: "700" },
+});
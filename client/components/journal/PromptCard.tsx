@@ -0,0 +1,78 @@
+import React, { useEffect, useState } from "react";
+import { StyleSheet, Text, TouchableOpacity, View } from "react-native";
+import { useTranslation } from "react-i18next";
+import { Ionicons } from "@expo/vector-icons";
+import { Colors } from "@/constants/theme";
+
+export type JournalPrompt = { id: string; text: string; concerns: string[]; moods: string[] | null };
+
+// Today's prompt at the top of the journal; "another" steps through the rest
+// of the library, and writing from one opens the editor with it
+export default function PromptCard({
+  daily,
+  prompts,
+  onWrite,
+}: {
+  daily: JournalPrompt;
+  prompts: JournalPrompt[];
+  onWrite: (prompt: JournalPrompt) => void;
+}) {
+  const { t } = useTranslation();
+  const [shown, setShown] = useState(daily);
+
+  useEffect(() => setShown(daily), [daily]);
+
+  const another = () => {
+    const at = prompts.findIndex((prompt) => prompt.id === shown.id);
+    setShown(prompts[(at + 1) % prompts.length]);
+  };
+
+  return (
+    <View style={styles.card}>
+      <Text style={styles.label}>{shown.id === daily.id ? t("journal.prompts.today") : t("journal.prompts.label")}</Text>
+      <Text style={styles.text}>{shown.text}</Text>
+      <View style={styles.actions}>
+        {prompts.length > 1 ? (
+          <TouchableOpacity style={styles.action} onPress={another}>
+            <Ionicons name="shuffle-outline" size={16} color={Colors.journalAccent} />
+            <Text style={styles.actionText}>{t("journal.prompts.another")}</Text>
+          </TouchableOpacity>
+        ) : null}
+        <TouchableOpacity style={styles.writeBtn} onPress={() => onWrite(shown)}>
+          <Ionicons name="create-outline" size={16} color="#fff" />
+          <Text style={styles.writeText}>{t("journal.prompts.write")}</Text>
+        </TouchableOpacity>
+      </View>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  card: {
+    backgroundColor: Colors.journalCardBg,
+    borderRadius: 14,
+    padding: 14,
+    marginBottom: 12,
+  },
+  label: { fontSize: 12, fontWeight: "700", color: Colors.journalAccent, textTransform: "uppercase" },
+  text: { fontSize: 16, color: "#222", marginTop: 6, lineHeight: 22 },
+  actions: {
+    flexDirection: "row",
+    alignItems: "center",
+    justifyContent: "flex-end",
+    gap: 16,
+    marginTop: 12,
+  },
+  action: { flexDirection: "row", alignItems: "center", gap: 4, padding: 4 },
+  actionText: { color: Colors.journalAccent, fontWeight: "600" },
+  writeBtn: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 6,
+    backgroundColor: Colors.journalAccent,
+    borderRadius: 10,
+    paddingVertical: 8,
+    paddingHorizontal: 14,
+  },
+  writeText: { color: "#fff", fontWeight: "700" },
+});
@@ -0,0 +1,114 @@
+import React, { useState } from "react";
+import { StyleSheet, Text, TextInput, TouchableOpacity, View } from "react-native";
+import { Ionicons } from "@expo/vector-icons";
+import { useTranslation } from "react-i18next";
+import { Colors } from "@/constants/theme";
+
+export const MAX_TAGS = 10;
+const MAX_SUGGESTIONS = 6;
+
+// The same normalization the server applies, so "#Exams" is added as "exams"
+export const normalizeTag = (tag: string) =>
+  tag.replace(/^#+/, "").replace(/\s+/g, " ").trim().toLowerCase().slice(0, 30);
+
+// Tags of an entry being written, with the user's existing tags as suggestions
+export default function TagInput({
+  tags,
+  knownTags = [],
+  onChange,
+}: {
+  tags: string[];
+  knownTags?: string[];
+  onChange: (tags: string[]) => void;
+}) {
+  const { t } = useTranslation();
+  const [text, setText] = useState("");
+  const full = tags.length >= MAX_TAGS;
+  const typed = normalizeTag(text);
+  const suggestions = knownTags
+    .filter((tag) => !tags.includes(tag) && (!typed || tag.startsWith(typed)))
+    .slice(0, MAX_SUGGESTIONS);
+
+  const add = (tag: string) => {
+    const name = normalizeTag(tag);
+    if (name && !tags.includes(name) && !full) onChange([...tags, name]);
+    setText("");
+  };
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.chips}>
+        {tags.map((tag) => (
+          <TouchableOpacity
+            key={tag}
+            style={styles.chip}
+            onPress={() => onChange(tags.filter((x) => x !== tag))}
+            accessibilityLabel={t("journal.tags.remove", { tag })}
+          >
+            <Text style={styles.chipText}>#{tag}</Text>
+            <Ionicons name="close" size={12} color={Colors.journalAccent} />
+          </TouchableOpacity>
+        ))}
+      </View>
+      {full ? null : (
+        <TextInput
+          placeholder={t("journal.tags.add")}
+          style={styles.input}
+          value={text}
+          maxLength={31}
+          autoCapitalize="none"
+          returnKeyType="done"
+          blurOnSubmit={false}
+          onChangeText={(v) => (v.endsWith(",") ? add(v.slice(0, -1)) : setText(v))}
+          onSubmitEditing={() => add(text)}
+        />
+      )}
+      {!full && suggestions.length ? (
+        <View style={styles.chips}>
+          {suggestions.map((tag) => (
+            <TouchableOpacity key={tag} style={styles.suggestion} onPress={() => add(tag)}>
+              <Text style={styles.suggestionText}>#{tag}</Text>
+            </TouchableOpacity>
+          ))}
+        </View>
+      ) : null}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: { marginBottom: 10 },
+  chips: {
+    flexDirection: "row",
+    flexWrap: "wrap",
+    gap: 6,
+  },
+  chip: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 3,
+    backgroundColor: Colors.journalCardBg,
+    borderRadius: 12,
+    paddingHorizontal: 10,
+    paddingVertical: 4,
+    marginBottom: 6,
+  },
+  chipText: { fontSize: 13, color: Colors.journalAccent, fontWeight: "600" },
+  input: {
+    borderWidth: 1,
+    borderColor: "#ddd",
+    borderRadius: 8,
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    fontSize: 14,
+    marginBottom: 6,
+  },
+  suggestion: {
+    borderWidth: 1,
+    borderColor: Colors.journalCardBg,
+    borderRadius: 12,
+    paddingHorizontal: 10,
+    paddingVertical: 4,
+  },
+  suggestionText: { fontSize: 12, color: "#666" },
+});
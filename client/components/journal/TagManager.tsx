@@ -0,0 +1,155 @@
+import React, { useState } from "react";
+import { Modal, Pressable, ScrollView, StyleSheet, Text, TextInput, TouchableOpacity, View } from "react-native";
+import { Ionicons } from "@expo/vector-icons";
+import { useTranslation } from "react-i18next";
+import { Colors } from "@/constants/theme";
+import { authFetch } from "@/utils/session";
+import { confirmAction, notify } from "@/utils/dialogs";
+import { normalizeTag } from "./TagInput";
+
+export type JournalTag = { name: string; count: number };
+
+// Renames and deletes tags across all of the user's entries
+export default function TagManager({
+  visible,
+  tags,
+  onClose,
+  onChanged,
+}: {
+  visible: boolean;
+  tags: JournalTag[];
+  onClose: () => void;
+  // `tag` was renamed to `name`, or deleted when it is null
+  onChanged: (tag: string, name: string | null) => void;
+}) {
+  const { t } = useTranslation();
+  const [renaming, setRenaming] = useState<string | null>(null);
+  const [name, setName] = useState("");
+
+  const startRename = (tag: string) => {
+    setRenaming(tag);
+    setName(tag);
+  };
+
+  const rename = async (tag: string) => {
+    const next = normalizeTag(name);
+    setRenaming(null);
+    if (!next || next === tag) return;
+    try {
+      const res = await authFetch(`api/journals/tags/${encodeURIComponent(tag)}`, {
+        method: "PATCH",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ name: next }),
+      });
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      onChanged(tag, next);
+    } catch {
+      notify(t("journal.tags.manage"), t("journal.tags.failed"));
+    }
+  };
+
+  const remove = async (tag: JournalTag) => {
+    const ok = await confirmAction(
+      t("journal.tags.deleteTitle", { tag: tag.name }),
+      t("journal.tags.deleteMessage", { count: tag.count }),
+      t("journal.delete"),
+      t("chat.cancel")
+    );
+    if (!ok) return;
+    try {
+      const res = await authFetch(`api/journals/tags/${encodeURIComponent(tag.name)}`, { method: "DELETE" });
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      onChanged(tag.name, null);
+    } catch {
+      notify(t("journal.tags.manage"), t("journal.tags.failed"));
+    }
+  };
+
+  return (
+    <Modal visible={visible} animationType="slide" transparent onRequestClose={onClose}>
+      <Pressable style={styles.modalBackdrop} onPress={onClose}>
+        <Pressable style={styles.modalCard} onPress={() => {}}>
+          <Text style={styles.heading}>{t("journal.tags.manage")}</Text>
+          {tags.length ? (
+            <ScrollView style={{ maxHeight: 420 }} keyboardShouldPersistTaps="handled">
+              {tags.map((tag) => (
+                <View key={tag.name} style={styles.row}>
+                  {renaming === tag.name ? (
+                    <TextInput
+                      style={styles.input}
+                      value={name}
+                      autoFocus
+                      autoCapitalize="none"
+                      maxLength={31}
+                      onChangeText={setName}
+                      onSubmitEditing={() => rename(tag.name)}
+                    />
+                  ) : (
+                    <Text style={styles.name}>
+                      #{tag.name} <Text style={styles.count}>({tag.count})</Text>
+                    </Text>
+                  )}
+                  {renaming === tag.name ? (
+                    <TouchableOpacity onPress={() => rename(tag.name)} style={styles.action}>
+                      <Ionicons name="checkmark" size={20} color={Colors.journalAccent} />
+                    </TouchableOpacity>
+                  ) : (
+                    <TouchableOpacity
+                      onPress={() => startRename(tag.name)}
+                      style={styles.action}
+                      accessibilityLabel={t("journal.tags.rename")}
+                    >
+                      <Ionicons name="pencil-outline" size={18} color={Colors.journalAccent} />
+                    </TouchableOpacity>
+                  )}
+                  <TouchableOpacity onPress={() => remove(tag)} style={styles.action} accessibilityLabel={t("journal.delete")}>
+                    <Ionicons name="trash-outline" size={18} color={Colors.danger} />
+                  </TouchableOpacity>
+                </View>
+              ))}
+            </ScrollView>
+          ) : (
+            <Text style={styles.empty}>{t("journal.tags.empty")}</Text>
+          )}
+          <Text style={styles.hint}>{t("journal.tags.renameHint")}</Text>
+        </Pressable>
+      </Pressable>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  modalBackdrop: {
+    flex: 1,
+    backgroundColor: "rgba(0,0,0,0.35)",
+    justifyContent: "flex-end",
+  },
+  modalCard: {
+    backgroundColor: "#fff",
+    padding: 19,
+    borderTopLeftRadius: 22,
+    borderTopRightRadius: 22,
+  },
+  heading: { fontSize: 18, fontWeight: "700", marginBottom: 12 },
+  row: {
+    flexDirection: "row",
+    alignItems: "center",
+    borderBottomWidth: 1,
+    borderBottomColor: "#eee",
+    paddingVertical: 8,
+  },
+  name: { flex: 1, fontSize: 15, color: "#333" },
+  count: { fontSize: 13, color: "#888" },
+  input: {
+    flex: 1,
+    borderWidth: 1,
+    borderColor: "#ddd",
+    borderRadius: 8,
+    paddingHorizontal: 10,
+    paddingVertical: 6,
+    fontSize: 15,
+  },
+  action: { padding: 6, marginLeft: 4 },
+  empty: { color: "#666", marginVertical: 12 },
+  hint: { fontSize: 12, color: "#888", marginTop: 10 },
+});
@@ -0,0 +1,165 @@
+import React, { useState } from "react";
+import {
+  Modal,
+  Platform,
+  Pressable,
+  StyleSheet,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  View,
+} from "react-native";
+import { router } from "expo-router";
+import { Ionicons } from "@expo/vector-icons";
+import { useTranslation } from "react-i18next";
+import { authFetch, clearSession } from "@/utils/session";
+import { getErrorMessage } from "@/utils/apiError";
+import { notify } from "@/utils/dialogs";
+
+export default function AccountDataSection() {
+  const { t } = useTranslation();
+  const [exporting, setExporting] = useState(false);
+  const [showDelete, setShowDelete] = useState(false);
+  const [password, setPassword] = useState("");
+  const [deleting, setDeleting] = useState(false);
+
+  const handleExport = async () => {
+    // The archive needs the bearer token, so it is fetched and saved as a blob;
+    // native builds have no file-system module to save it to yet.
+    if (Platform.OS !== "web" || typeof document === "undefined") {
+      notify(t("accountData.exportTitle"), t("accountData.exportWebOnly"));
+      return;
+    }
+    try {
+      setExporting(true);
+      const res = await authFetch("api/auth/me/export");
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      const blob = await res.blob();
+      const disposition = res.headers.get("content-disposition") || "";
+      const match = /filename="([^"]+)"/.exec(disposition);
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = match?.[1] || "mindmate-export.zip";
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch {
+      notify(t("accountData.exportTitle"), t("accountData.exportFailed"));
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!password) return;
+    try {
+      setDeleting(true);
+      const res = await authFetch("api/auth/me", {
+        method: "DELETE",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ password }),
+      });
+      const data = await res.json().catch(() => ({} as any));
+      if (!res.ok) {
+        notify(t("accountData.deleteTitle"), getErrorMessage(data, t("accountData.deleteFailed")));
+        return;
+      }
+      setShowDelete(false);
+      const when = data?.deletionScheduledFor
+        ? new Date(data.deletionScheduledFor).toLocaleDateString()
+        : "";
+      notify(t("accountData.deleteTitle"), t("accountData.deleteScheduled", { date: when }));
+      clearSession();
+      router.replace("/(auth)/login");
+    } catch {
+      notify(t("accountData.deleteTitle"), t("accountData.deleteFailed"));
+    } finally {
+      setDeleting(false);
+      setPassword("");
+    }
+  };
+
+  return (
+    <View style={styles.section}>
+      <Text style={styles.sectionTitle}>{t("accountData.title")}</Text>
+      <TouchableOpacity style={styles.row} onPress={handleExport} disabled={exporting}>
+        <Ionicons name="download-outline" size={20} color="#388e3c" />
+        <Text style={styles.rowText}>
+          {exporting ? t("accountData.exporting") : t("accountData.export")}
+        </Text>
+      </TouchableOpacity>
+      <TouchableOpacity style={styles.row} onPress={() => setShowDelete(true)}>
+        <Ionicons name="trash-outline" size={20} color="#e53935" />
+        <Text style={[styles.rowText, { color: "#e53935" }]}>{t("accountData.delete")}</Text>
+      </TouchableOpacity>
+
+      <Modal
+        visible={showDelete}
+        animationType="slide"
+        transparent
+        onRequestClose={() => setShowDelete(false)}
+      >
+        <Pressable style={styles.modalBackdrop} onPress={() => setShowDelete(false)}>
+          <Pressable style={styles.modalCard} onPress={() => {}}>
+            <Text style={styles.modalTitle}>{t("accountData.deleteTitle")}</Text>
+            <Text style={styles.modalText}>{t("accountData.deleteWarning")}</Text>
+            <TextInput
+              style={styles.input}
+              placeholder={t("accountData.password")}
+              value={password}
+              onChangeText={setPassword}
+              secureTextEntry
+            />
+            <TouchableOpacity
+              style={[styles.deleteBtn, (!password || deleting) && { opacity: 0.6 }]}
+              onPress={handleDelete}
+              disabled={!password || deleting}
+            >
+              <Text style={styles.deleteText}>{t("accountData.confirmDelete")}</Text>
+            </TouchableOpacity>
+          </Pressable>
+        </Pressable>
+      </Modal>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  section: { paddingHorizontal: 15, paddingTop: 12 },
+  sectionTitle: {
+    fontSize: 18,
+    fontWeight: "bold",
+    color: "#388e3c",
+    marginBottom: 6,
+  },
+  row: { flexDirection: "row", alignItems: "center", paddingVertical: 10 },
+  rowText: { fontSize: 15, color: "#388e3c", marginLeft: 10, fontWeight: "600" },
+  modalBackdrop: {
+    flex: 1,
+    backgroundColor: "rgba(0,0,0,0.35)",
+    justifyContent: "flex-end",
+  },
+  modalCard: {
+    backgroundColor: "#fff",
+    padding: 19,
+    borderTopLeftRadius: 22,
+    borderTopRightRadius: 22,
+  },
+  modalTitle: { fontSize: 18, fontWeight: "700", marginBottom: 8 },
+  modalText: { fontSize: 14, color: "#444", marginBottom: 12, lineHeight: 20 },
+  input: {
+    borderWidth: 1,
+    borderColor: "#ddd",
+    borderRadius: 8,
+    padding: 12,
+    marginBottom: 10,
+    fontSize: 15,
+  },
+  deleteBtn: {
+    backgroundColor: "#e53935",
+    paddingVertical: 13,
+    borderRadius: 8,
+    alignItems: "center",
+  },
+  deleteText: { color: "#fff", fontWeight: "700", fontSize: 16 },
+});
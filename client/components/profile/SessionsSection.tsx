@@ -0,0 +1,137 @@
+import React, { useCallback, useState } from "react";
+import {
+  ActivityIndicator,
+  StyleSheet,
+  Text,
+  TouchableOpacity,
+  View,
+} from "react-native";
+import { useFocusEffect } from "@react-navigation/native";
+import { Ionicons } from "@expo/vector-icons";
+import { useTranslation } from "react-i18next";
+import { authFetch } from "@/utils/session";
+
+interface DeviceSession {
+  id: string;
+  deviceName: string | null;
+  userAgent: string | null;
+  ip: string | null;
+  createdAt: string;
+  lastUsedAt: string;
+  current: boolean;
+}
+
+const deviceIcon = (session: DeviceSession) => {
+  const name = `${session.deviceName || ""} ${session.userAgent || ""}`.toLowerCase();
+  if (name.includes("ios") || name.includes("android")) return "phone-portrait-outline";
+  if (name.includes("web") || name.includes("mozilla")) return "desktop-outline";
+  return "hardware-chip-outline";
+};
+
+export default function SessionsSection() {
+  const { t } = useTranslation();
+  const [sessions, setSessions] = useState<DeviceSession[]>([]);
+  const [loading, setLoading] = useState(false);
+
+  const loadSessions = useCallback(async () => {
+    try {
+      setLoading(true);
+      const res = await authFetch("api/auth/sessions");
+      if (!res.ok) return;
+      const data = await res.json();
+      setSessions(Array.isArray(data?.sessions) ? data.sessions : []);
+    } catch {
+      // ignore
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useFocusEffect(
+    useCallback(() => {
+      loadSessions();
+    }, [loadSessions])
+  );
+
+  const revoke = async (id: string) => {
+    try {
+      const res = await authFetch(`api/auth/sessions/${id}`, { method: "DELETE" });
+      if (res.ok) setSessions((prev) => prev.filter((s) => s.id !== id));
+    } catch {}
+  };
+
+  const revokeOthers = async () => {
+    try {
+      const res = await authFetch("api/auth/sessions", { method: "DELETE" });
+      if (res.ok) setSessions((prev) => prev.filter((s) => s.current));
+    } catch {}
+  };
+
+  return (
+    <View style={styles.section}>
+      <Text style={styles.sectionTitle}>{t("sessions.title")}</Text>
+      {loading && !sessions.length ? (
+        <ActivityIndicator color="#388e3c" />
+      ) : null}
+      {sessions.map((session) => (
+        <View key={session.id} style={styles.row}>
+          <Ionicons
+            name={deviceIcon(session)}
+            size={22}
+            color="#388e3c"
+            style={{ marginRight: 10 }}
+          />
+          <View style={{ flex: 1 }}>
+            <Text style={styles.deviceName} numberOfLines={1}>
+              {session.deviceName || session.userAgent || t("sessions.unknownDevice")}
+              {session.current ? ` · ${t("sessions.thisDevice")}` : ""}
+            </Text>
+            <Text style={styles.meta}>
+              {t("sessions.lastActive")}:{" "}
+              {new Date(session.lastUsedAt).toLocaleString()}
+            </Text>
+          </View>
+          {!session.current ? (
+            <TouchableOpacity style={styles.revokeBtn} onPress={() => revoke(session.id)}>
+              <Text style={styles.revokeText}>{t("sessions.signOut")}</Text>
+            </TouchableOpacity>
+          ) : null}
+        </View>
+      ))}
+      {sessions.some((s) => !s.current) ? (
+        <TouchableOpacity style={styles.revokeAllBtn} onPress={revokeOthers}>
+          <Text style={styles.revokeAllText}>{t("sessions.signOutOthers")}</Text>
+        </TouchableOpacity>
+      ) : null}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  section: { paddingHorizontal: 15, paddingTop: 12 },
+  sectionTitle: {
+    fontSize: 18,
+    fontWeight: "bold",
+    color: "#388e3c",
+    marginBottom: 10,
+  },
+  row: {
+    flexDirection: "row",
+    alignItems: "center",
+    paddingVertical: 10,
+    borderBottomWidth: 1,
+    borderBottomColor: "#eef3ee",
+  },
+  deviceName: { fontSize: 15, fontWeight: "600", color: "#222" },
+  meta: { fontSize: 12, color: "#6a7c67", marginTop: 2 },
+  revokeBtn: {
+    borderWidth: 1,
+    borderColor: "#e53935",
+    borderRadius: 8,
+    paddingVertical: 5,
+    paddingHorizontal: 10,
+  },
+  revokeText: { color: "#e53935", fontWeight: "600", fontSize: 13 },
+  revokeAllBtn: { alignSelf: "flex-start", marginTop: 10 },
+  revokeAllText: { color: "#e53935", fontWeight: "700" },
+});
@@ -0,0 +1,21 @@
+// Every API error response has the shape { error: { code, message, details } }.
+export type ApiErrorBody = {
+  error?: {
+    code?: string;
+    message?: string;
+    details?: any;
+  };
+};
+
+export const getErrorCode = (data: unknown): string | undefined =>
+  (data as ApiErrorBody | null)?.error?.code;
+
+// For validation failures the first field issue is more useful than the generic message
+export const getErrorMessage = (data: unknown, fallback: string): string => {
+  const error = (data as ApiErrorBody | null)?.error;
+  if (!error) return fallback;
+  if (error.code === "VALIDATION_ERROR" && Array.isArray(error.details) && error.details[0]?.message) {
+    return error.details[0].message;
+  }
+  return error.message || fallback;
+};
@@ -0,0 +1,29 @@
+import { Alert, Platform } from "react-native";
+
+const isWeb = () => Platform.OS === "web" && typeof window !== "undefined";
+
+export const notify = (title: string, message: string) => {
+  if (isWeb()) {
+    window.alert(`${title}\n\n${message}`);
+  } else {
+    Alert.alert(title, message);
+  }
+};
+
+// Resolves true if the user confirmed a destructive action
+export const confirmAction = (title: string, message: string, confirmLabel: string, cancelLabel: string) =>
+  new Promise<boolean>((resolve) => {
+    if (isWeb()) {
+      resolve(window.confirm(`${title}\n\n${message}`));
+      return;
+    }
+    Alert.alert(
+      title,
+      message,
+      [
+        { text: cancelLabel, style: "cancel", onPress: () => resolve(false) },
+        { text: confirmLabel, style: "destructive", onPress: () => resolve(true) },
+      ],
+      { cancelable: true, onDismiss: () => resolve(false) }
+    );
+  });
@@ -0,0 +1,235 @@
+import { useSyncExternalStore } from "react";
+import { xchacha20poly1305 } from "@noble/ciphers/chacha.js";
+import { bytesToHex, bytesToUtf8, hexToBytes, utf8ToBytes } from "@noble/ciphers/utils.js";
+import { hkdf } from "@noble/hashes/hkdf.js";
+import { scryptAsync } from "@noble/hashes/scrypt.js";
+import { sha256 } from "@noble/hashes/sha2.js";
+import { getRandomBytes } from "expo-crypto";
+import { authFetch } from "./session";
+
+// End-to-end encryption of journal entries. A random master key is made on
+// the device when encryption is set up; the server only ever gets it wrapped,
+// once with a key stretched from the user's passphrase and once with their
+// recovery key. While unlocked the master key is held in memory only, so the
+// journal locks again whenever the app restarts.
+
+type Kdf = { name: "scrypt"; salt: string; N: number; r: number; p: number };
+
+export type EncryptionStatus =
+  | { enabled: false }
+  | {
+      enabled: true;
+      kdf: Kdf;
+      wrappedKey: string;
+      recoveryWrappedKey: string;
+      entries: { encrypted: number; plaintext: number };
+    };
+
+// scrypt cost for new passphrases: 32 MiB and a few seconds on a phone
+const KDF_COST = { N: 2 ** 15, r: 8, p: 1 };
+export const MIN_PASSPHRASE_LENGTH = 8;
+
+// Thrown when a passphrase or recovery key doesn't open the wrapped key
+export class WrongKeyError extends Error {}
+
+// In chunks, as spreading a long entry into one call can overflow the stack
+const toBase64 = (bytes: Uint8Array) => {
+  let binary = "";
+  for (let i = 0; i < bytes.length; i += 0x8000) binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  return btoa(binary);
+};
+const fromBase64 = (s: string) => Uint8Array.from(atob(s), (c) => c.charCodeAt(0));
+
+// `v1.<nonce>.<ciphertext>`; XChaCha20-Poly1305's 24 byte nonces are safe to pick at random
+const seal = (key: Uint8Array, plaintext: Uint8Array) => {
+  const nonce = getRandomBytes(24);
+  return `v1.${toBase64(nonce)}.${toBase64(xchacha20poly1305(key, nonce).encrypt(plaintext))}`;
+};
+const unseal = (key: Uint8Array, sealed: string) => {
+  const [version, nonce, ciphertext] = sealed.split(".");
+  if (version !== "v1") throw new Error(`Unknown cipher version ${version}`);
+  try {
+    return xchacha20poly1305(key, fromBase64(nonce)).decrypt(fromBase64(ciphertext));
+  } catch {
+    throw new WrongKeyError("Wrong key");
+  }
+};
+
+// Separate keys for separate jobs, all from the one master key
+const subkey = (ikm: Uint8Array, purpose: string) => hkdf(sha256, ikm, undefined, utf8ToBytes(purpose), 32);
+const verifierOf = (master: Uint8Array) => bytesToHex(subkey(master, "journal-key-verifier"));
+
+const stretch = (passphrase: string, kdf: Kdf) =>
+  scryptAsync(utf8ToBytes(passphrase.normalize("NFKC")), fromBase64(kdf.salt), {
+    N: kdf.N,
+    r: kdf.r,
+    p: kdf.p,
+    dkLen: 32,
+  });
+
+const wrapWithPassphrase = async (master: Uint8Array, passphrase: string) => {
+  const kdf: Kdf = { name: "scrypt", salt: toBase64(getRandomBytes(16)), ...KDF_COST };
+  return { kdf, wrappedKey: seal(await stretch(passphrase, kdf), master) };
+};
+
+// Recovery keys are shown as 16 groups of 4 hex digits
+const formatRecoveryKey = (bytes: Uint8Array) => bytesToHex(bytes).match(/.{4}/g)!.join("-");
+const parseRecoveryKey = (text: string) => {
+  const hex = text.toLowerCase().replace(/[^0-9a-f]/g, "");
+  if (hex.length !== 64) throw new WrongKeyError("A recovery key has 64 digits");
+  return hexToBytes(hex);
+};
+const recoveryWrap = (recovery: Uint8Array) => subkey(recovery, "journal-recovery");
+
+let state = { enabled: null as boolean | null, unlocked: false };
+let masterKey: Uint8Array | null = null;
+let entryKey: Uint8Array | null = null;
+const listeners = new Set<() => void>();
+
+const setState = (changes: Partial<typeof state>) => {
+  state = { ...state, ...changes };
+  listeners.forEach((listener) => listener());
+};
+
+const unlockWith = (master: Uint8Array) => {
+  masterKey = master;
+  entryKey = subkey(master, "journal-entries");
+  setState({ enabled: true, unlocked: true });
+};
+
+export const lockJournal = () => {
+  masterKey = null;
+  entryKey = null;
+  setState({ unlocked: false });
+};
+
+// Whether encryption is set up (null until known) and whether it is unlocked
+export const useJournalEncryption = () =>
+  useSyncExternalStore(
+    (listener) => {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+    () => state
+  );
+
+export const fetchEncryptionStatus = async (): Promise<EncryptionStatus> => {
+  const res = await authFetch("api/journals/encryption");
+  if (!res.ok) throw new Error(`HTTP ${res.status}`);
+  const status: EncryptionStatus = await res.json();
+  setState({ enabled: status.enabled });
+  if (!status.enabled) lockJournal();
+  return status;
+};
+
+const sendKeys = async (method: "POST" | "PATCH", body: object) => {
+  const res = await authFetch("api/journals/encryption", {
+    method,
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body),
+  });
+  if (!res.ok) throw new Error(`HTTP ${res.status}`);
+};
+
+// Turns encryption on and unlocks it; returns the recovery key to show the user once
+export const setUpEncryption = async (passphrase: string) => {
+  const master = getRandomBytes(32);
+  const recovery = getRandomBytes(32);
+  await sendKeys("POST", {
+    ...(await wrapWithPassphrase(master, passphrase)),
+    recoveryWrappedKey: seal(recoveryWrap(recovery), master),
+    verifier: verifierOf(master),
+  });
+  unlockWith(master);
+  return formatRecoveryKey(recovery);
+};
+
+// Throws WrongKeyError for a wrong passphrase
+export const unlockJournal = async (passphrase: string, status: EncryptionStatus) => {
+  if (!status.enabled) throw new Error("Encryption is not set up");
+  unlockWith(unseal(await stretch(passphrase, status.kdf), status.wrappedKey));
+};
+
+// Opens the key with the recovery key and sets a new passphrase for it
+export const recoverJournal = async (recoveryKey: string, passphrase: string, status: EncryptionStatus) => {
+  if (!status.enabled) throw new Error("Encryption is not set up");
+  const master = unseal(recoveryWrap(parseRecoveryKey(recoveryKey)), status.recoveryWrappedKey);
+  await sendKeys("PATCH", { ...(await wrapWithPassphrase(master, passphrase)), verifier: verifierOf(master) });
+  unlockWith(master);
+};
+
+// The entries stay as they are; only the wrapping of their key changes
+export const changePassphrase = async (current: string, next: string, status: EncryptionStatus) => {
+  if (!status.enabled) throw new Error("Encryption is not set up");
+  const master = unseal(await stretch(current, status.kdf), status.wrappedKey);
+  await sendKeys("PATCH", { ...(await wrapWithPassphrase(master, next)), verifier: verifierOf(master) });
+  unlockWith(master);
+};
+
+// Replaces the recovery key, e.g. when the old one may have been seen; needs the journal unlocked
+export const newRecoveryKey = async () => {
+  if (!masterKey) throw new Error("Journal is locked");
+  const recovery = getRandomBytes(32);
+  await sendKeys("PATCH", { recoveryWrappedKey: seal(recoveryWrap(recovery), masterKey), verifier: verifierOf(masterKey) });
+  return formatRecoveryKey(recovery);
+};
+
+// Deletes the key and every encrypted entry, for when both the passphrase and
+// the recovery key are lost. `password` is the account password.
+export const resetEncryption = async (password: string) => {
+  const res = await authFetch("api/journals/encryption", {
+    method: "DELETE",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ password }),
+  });
+  if (res.status === 403) throw new WrongKeyError("Incorrect password");
+  if (!res.ok) throw new Error(`HTTP ${res.status}`);
+  lockJournal();
+  setState({ enabled: false });
+  return (await res.json()).deleted as number;
+};
+
+export const encryptJournal = (content: { title: string; summary: string }) => {
+  if (!entryKey) throw new Error("Journal is locked");
+  return seal(entryKey, utf8ToBytes(JSON.stringify(content)));
+};
+
+// An entry as shown: decrypted when the journal is unlocked, otherwise (or if
+// it can't be read) marked `locked` with its text left empty
+export const openJournal = <T extends { cipher?: string; title?: string; summary?: string }>(journal: T) => {
+  if (!journal.cipher) return journal;
+  try {
+    if (!entryKey) throw new Error("Journal is locked");
+    const { title, summary } = JSON.parse(bytesToUtf8(unseal(entryKey, journal.cipher)));
+    return { ...journal, title, summary, locked: false };
+  } catch {
+    return { ...journal, title: "", summary: "", locked: true };
+  }
+};
+
+// Encrypts the entries still stored in plaintext, page by page; their earlier
+// versions are dropped by the server. Returns how many were encrypted.
+export const encryptExistingEntries = async (onProgress?: (done: number) => void) => {
+  let done = 0;
+  let before: string | null = null;
+  do {
+    const res = await authFetch(`api/journals?limit=100${before ? `&before=${before}` : ""}`);
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    const page = await res.json();
+    for (const journal of page.journals) {
+      if (journal.cipher) continue;
+      const saved = await authFetch(`api/journals/${journal._id}`, {
+        method: "PUT",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          cipher: encryptJournal({ title: journal.title, summary: journal.summary }),
+          version: journal.version ?? 1,
+        }),
+      });
+      // One edited elsewhere meanwhile (409) is left for the next run
+      if (saved.ok) onProgress?.(++done);
+    }
+    before = page.nextCursor;
+  } while (before);
+  return done;
+};
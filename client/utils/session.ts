@@ -0,0 +1,137 @@
+import { useSyncExternalStore } from "react";
+import { Platform } from "react-native";
+
+// Access tokens are short-lived; the refresh token is rotated on every use,
+// so both are kept together and always replaced as a pair.
+const ACCESS_TOKEN_KEY = "authToken";
+const REFRESH_TOKEN_KEY = "refreshToken";
+
+export const API_BASE = (
+  (process.env.EXPO_PUBLIC_API_URL as string) || ""
+).replace(/\/?$/, "/");
+
+const webStorage = () =>
+  Platform.OS === "web" && typeof window !== "undefined" && window?.localStorage
+    ? window.localStorage
+    : null;
+
+export const getAuthToken = () =>
+  (globalThis as any).authToken as string | undefined;
+
+const getRefreshToken = () =>
+  (globalThis as any).refreshToken as string | undefined;
+
+// Whether a session is held, for anything that has to follow signing in and
+// out however it happens (login, signup, bootstrap, a failed refresh)
+let signedIn = false;
+const listeners = new Set<() => void>();
+
+const setSignedIn = (value: boolean) => {
+  if (value === signedIn) return;
+  signedIn = value;
+  listeners.forEach((listener) => listener());
+};
+
+export const useSignedIn = () =>
+  useSyncExternalStore(
+    (listener) => {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+    () => signedIn
+  );
+
+export const saveSession = (token: string, refreshToken?: string) => {
+  (globalThis as any).authToken = token;
+  if (refreshToken) (globalThis as any).refreshToken = refreshToken;
+  try {
+    webStorage()?.setItem(ACCESS_TOKEN_KEY, token);
+    if (refreshToken) webStorage()?.setItem(REFRESH_TOKEN_KEY, refreshToken);
+  } catch {
+    // ignore storage errors
+  }
+  setSignedIn(true);
+};
+
+// Restores tokens persisted by a previous run; returns true if any were found
+export const loadStoredSession = () => {
+  try {
+    const storage = webStorage();
+    const token = storage?.getItem(ACCESS_TOKEN_KEY);
+    const refreshToken = storage?.getItem(REFRESH_TOKEN_KEY);
+    if (token) (globalThis as any).authToken = token;
+    if (refreshToken) (globalThis as any).refreshToken = refreshToken;
+  } catch {
+    // ignore storage errors
+  }
+  const found = Boolean(getAuthToken() || getRefreshToken());
+  setSignedIn(found);
+  return found;
+};
+
+export const clearSession = () => {
+  (globalThis as any).authToken = undefined;
+  (globalThis as any).refreshToken = undefined;
+  try {
+    webStorage()?.removeItem(ACCESS_TOKEN_KEY);
+    webStorage()?.removeItem(REFRESH_TOKEN_KEY);
+  } catch {
+    // ignore storage errors
+  }
+  setSignedIn(false);
+};
+
+let pendingRefresh: Promise<boolean> | null = null;
+
+// Exchanges the stored refresh token for a new pair. Concurrent callers share
+// one request, since the server invalidates a refresh token once it is used.
+export const refreshSession = async (): Promise<boolean> => {
+  if (pendingRefresh) return pendingRefresh;
+  const refreshToken = getRefreshToken();
+  if (!refreshToken) return false;
+  pendingRefresh = (async () => {
+    try {
+      const res = await fetch(`${API_BASE}api/auth/refresh`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ refreshToken }),
+      });
+      if (!res.ok) {
+        if (res.status === 401) clearSession();
+        return false;
+      }
+      const data = await res.json();
+      if (!data?.token) return false;
+      saveSession(data.token, data.refreshToken);
+      return true;
+    } catch {
+      return false;
+    } finally {
+      pendingRefresh = null;
+    }
+  })();
+  return pendingRefresh;
+};
+
+// fetch() against the API with the bearer token attached; retries once with a
+// refreshed token when the access token has expired.
+export const authFetch = async (path: string, init: RequestInit = {}) => {
+  const send = () => {
+    const token = getAuthToken();
+    return fetch(`${API_BASE}${path.replace(/^\//, "")}`, {
+      ...init,
+      headers: {
+        ...(init.headers as Record<string, string> | undefined),
+        ...(token ? { Authorization: `Bearer ${token}` } : {}),
+      },
+    });
+  };
+  const res = await send();
+  if (res.status !== 401 || !(await refreshSession())) return res;
+  return send();
+};
+
+// Uploaded files (e.g. avatars) are returned as server-relative paths like
+// "/uploads/avatars/..."; absolute and data: URLs pass through unchanged
+export const resolveUploadUrl = (url?: string | null) =>
+  url && url.startsWith("/") ? `${API_BASE}${url.slice(1)}` : url || undefined;
@@ -0,0 +1,42 @@
+// Minimal Server-Sent Events reader for fetch() response bodies. EventSource
+// can't be used because it only does GET and can't send the bearer token.
+export type ServerSentEvent = { event: string; data: any };
+
+const parseEvent = (block: string): ServerSentEvent | null => {
+  let event = "message";
+  const data: string[] = [];
+  for (const line of block.split("\n")) {
+    if (line.startsWith("event:")) event = line.slice(6).trim();
+    else if (line.startsWith("data:")) data.push(line.slice(5).trimStart());
+  }
+  if (!data.length) return null;
+  const raw = data.join("\n");
+  try {
+    return { event, data: JSON.parse(raw) };
+  } catch {
+    return { event, data: raw };
+  }
+};
+
+// Resolves when the stream ends; rejects if it is aborted or the connection drops
+export const readEventStream = async (
+  body: ReadableStream<Uint8Array>,
+  onEvent: (event: ServerSentEvent) => void
+) => {
+  const reader = body.getReader();
+  const decoder = new TextDecoder();
+  let buffered = "";
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    buffered += decoder.decode(value, { stream: true }).replace(/\r\n/g, "\n");
+    let end;
+    while ((end = buffered.indexOf("\n\n")) !== -1) {
+      const parsed = parseEvent(buffered.slice(0, end));
+      buffered = buffered.slice(end + 2);
+      if (parsed) onEvent(parsed);
+    }
+  }
+  const rest = parseEvent(buffered + decoder.decode());
+  if (rest) onEvent(rest);
+};
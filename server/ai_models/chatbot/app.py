@@ -1,4 +1,6 @@
-from flask import Flask, request, jsonify
+from flask import Flask, Response, request, jsonify, stream_with_context
+import json
+import re
 import google.generativeai as genai
 import os
 import sys
@@ -46,34 +48,194 @@ CORS(app, origins=[
     "http://localhost:5000"
 ])
 
+# server/utils/chatModel.js keeps its own copy (CHAT_SYSTEM_PROMPT) for chat on a
+# Node-side provider; change both together
 SYSTEM_PROMPT = """
 You are MindMate++, a warm, empathetic, and encouraging mental wellness friend.
 also keep the answers short and convesational.
 also keep in mind you are interacting to a person living in india
 """
 
+# Appended to SYSTEM_PROMPT for the reply language the Node server picked
+# (server/utils/chatLanguage.js); Hinglish is Hindi in Latin script.
+LANGUAGE_PROMPTS = {
+    "en": "Reply in English.",
+    "hi": "Reply in Hindi, written in Devanagari script.",
+    "hinglish": "Reply in Hinglish: Hindi written in Latin script, mixing in English words the way the user does.",
+    "ta": "Reply in Tamil, written in Tamil script.",
+    "te": "Reply in Telugu, written in Telugu script.",
+    "kn": "Reply in Kannada, written in Kannada script.",
+}
+
+
+# Node trims history to its own token budget; these caps only guard the prompt
+# against oversized or malformed requests.
+MAX_HISTORY_MESSAGES = 40
+MAX_TURN_CHARS = 4000
+MAX_SUMMARY_CHARS = 2000
+MAX_TITLE_CHARS = 80
+
+SUMMARY_PROMPT = """
+Summarize this conversation between a user and MindMate++, a mental wellness companion,
+so the companion can continue it later. Merge it with the existing summary if there is one.
+Keep what matters for support: the user's situation, feelings, people and events they
+mentioned, and anything they asked to be remembered. Write at most 120 words in third person.
+"""
+
+TITLE_PROMPT = """
+Write a short title for this conversation between a user and MindMate++,
+a mental wellness companion, in the language the user writes in. Use at most six words, name the
+topic rather than the user's feelings in detail, and reply with the title only.
+"""
+
+
+def _clean_history(raw):
+    """Keeps well-formed {role, content} turns, newest last."""
+    if not isinstance(raw, list):
+        return []
+    turns = []
+    for entry in raw[-MAX_HISTORY_MESSAGES:]:
+        if not isinstance(entry, dict):
+            continue
+        role = entry.get("role")
+        content = str(entry.get("content") or "").strip()[:MAX_TURN_CHARS]
+        if role in ("user", "assistant") and content:
+            turns.append({"role": role, "content": content})
+    return turns
+
+
+def _format_turns(turns):
+    speaker = {"user": "User", "assistant": "MindMate++"}
+    return "\n".join(f"{speaker[t['role']]}: {t['content']}" for t in turns)
+
+
+def _language_of(data):
+    language = str((data or {}).get("language") or "en")
+    return language if language in LANGUAGE_PROMPTS else "en"
+
+
+def build_chat_prompt(user_message, history=None, summary="", language="en"):
+    prompt = SYSTEM_PROMPT + LANGUAGE_PROMPTS.get(language, LANGUAGE_PROMPTS["en"])
+    if summary:
+        prompt += f"\n\nSummary of the earlier conversation:\n{summary[:MAX_SUMMARY_CHARS]}"
+    if history:
+        prompt += f"\n\nConversation so far:\n{_format_turns(history)}"
+    return prompt + f"\n\nUser: {user_message}\n\nMindMate++:"
+
 
 def _json_error(message, status_code=400):
     return jsonify({"ok": False, "error": message}), status_code
 
-def fallback_reply(user_text):
+# Canned replies for when the model is unavailable, per reply language.
+# Kept in line with FALLBACK_REPLIES in server/utils/chatFallback.js.
+FALLBACK_REPLIES = {
+    "en": {
+        "greeting": "Hello! I'm Mate — your gentle companion here at MindMate++. What's on your mind today?",
+        "anxious": "That sounds really tough. Try taking a few deep breaths with me. What's making you feel this way?",
+        "sad": "I'm sorry you're going through that. Your feelings are valid. Want to share what's on your mind?",
+        "angry": "I can hear that you're feeling frustrated. Sometimes naming our emotions helps. What happened?",
+        "stressed": "That sounds like a lot to handle. Stress can be really overwhelming. What's weighing on you most?",
+        "tired": "It sounds like you're really tired. Rest is so important. Have you been able to take care of yourself today?",
+        "general": "I'm here to listen. What would you like to talk about today?",
+        "error": "I'm here with you. I’m having a small hiccup right now, but I’m listening.",
+    },
+    "hinglish": {
+        "greeting": "Namaste! Main Mate hoon — MindMate++ par aapka saathi. Aaj aapke mann mein kya chal raha hai?",
+        "anxious": "Yeh sach mein mushkil lag raha hai. Chaliye mere saath kuch gehri saansein lijiye. Aapko aisa kyun lag raha hai?",
+        "sad": "Mujhe dukh hai ki aap is sab se guzar rahe hain. Aapki feelings matter karti hain. Kya aap batana chahenge ki mann mein kya hai?",
+        "angry": "Lag raha hai aapko kaafi gussa aur frustration hai. Kabhi kabhi apni feelings ko naam dene se madad milti hai. Kya hua?",
+        "stressed": "Yeh sambhalne ke liye kaafi kuch lagta hai. Stress sach mein bhaari pad sakta hai. Sabse zyada kis baat ka bojh hai?",
+        "tired": "Lagta hai aap bahut thake hue hain. Aaram bahut zaroori hai. Kya aaj aap apna khayal rakh paaye?",
+        "general": "Main sunne ke liye yahan hoon. Aaj aap kis baare mein baat karna chahenge?",
+        "error": "Main aapke saath hoon. Abhi thodi technical dikkat hai, par aap apni baat kehte rahiye.",
+    },
+    "hi": {
+        "greeting": "नमस्ते! मैं Mate हूँ — MindMate++ पर आपका साथी। आज आपके मन में क्या चल रहा है?",
+        "anxious": "यह सच में मुश्किल लग रहा है। आइए मेरे साथ कुछ गहरी साँसें लीजिए। आपको ऐसा क्यों महसूस हो रहा है?",
+        "sad": "मुझे दुख है कि आप इससे गुज़र रहे हैं। आपकी भावनाएँ मायने रखती हैं। क्या आप बताना चाहेंगे कि मन में क्या है?",
+        "angry": "लग रहा है कि आपको काफ़ी गुस्सा और झुँझलाहट है। कभी-कभी अपनी भावनाओं को नाम देने से मदद मिलती है। क्या हुआ?",
+        "stressed": "यह संभालने के लिए बहुत कुछ लगता है। तनाव सच में भारी पड़ सकता है। सबसे ज़्यादा किस बात का बोझ है?",
+        "tired": "लगता है आप बहुत थके हुए हैं। आराम बहुत ज़रूरी है। क्या आज आप अपना ख़्याल रख पाए?",
+        "general": "मैं सुनने के लिए यहाँ हूँ। आज आप किस बारे में बात करना चाहेंगे?",
+        "error": "मैं आपके साथ हूँ। अभी थोड़ी तकनीकी दिक्कत है, पर आप अपनी बात कहते रहिए।",
+    },
+    "ta": {
+        "greeting": "வணக்கம்! நான் Mate — MindMate++ இல் உங்கள் அன்பான துணை. இன்று உங்கள் மனதில் என்ன இருக்கிறது?",
+        "anxious": "இது மிகவும் கடினமாக இருப்பது போல் தெரிகிறது. என்னுடன் சில ஆழ்ந்த மூச்சுகளை எடுத்துப் பாருங்கள். உங்களுக்கு ஏன் இப்படித் தோன்றுகிறது?",
+        "sad": "நீங்கள் இதைச் சந்திப்பதற்கு வருந்துகிறேன். உங்கள் உணர்வுகள் முக்கியமானவை. உங்கள் மனதில் இருப்பதைப் பகிர விரும்புகிறீர்களா?",
+        "angry": "நீங்கள் மிகவும் எரிச்சலாக உணர்கிறீர்கள் என்று புரிகிறது. சில நேரங்களில் நம் உணர்வுகளுக்குப் பெயர் வைப்பது உதவும். என்ன நடந்தது?",
+        "stressed": "இது சமாளிக்க நிறைய போல் தெரிகிறது. மன அழுத்தம் உண்மையில் பாரமாக இருக்கலாம். உங்களை அதிகம் அழுத்துவது எது?",
+        "tired": "நீங்கள் மிகவும் சோர்வாக இருப்பது போல் தெரிகிறது. ஓய்வு மிக முக்கியம். இன்று உங்களை நீங்கள் கவனித்துக்கொள்ள முடிந்ததா?",
+        "general": "நான் கேட்க இங்கே இருக்கிறேன். இன்று எதைப் பற்றிப் பேச விரும்புகிறீர்கள்?",
+        "error": "நான் உங்களுடன் இருக்கிறேன். இப்போது ஒரு சிறிய தொழில்நுட்பச் சிக்கல் உள்ளது, ஆனால் நீங்கள் தொடர்ந்து பேசலாம்.",
+    },
+    "te": {
+        "greeting": "నమస్కారం! నేను Mate — MindMate++ లో మీ ఆత్మీయ తోడు. ఈరోజు మీ మనసులో ఏముంది?",
+        "anxious": "ఇది నిజంగా కష్టంగా అనిపిస్తోంది. నాతో కలిసి కొన్ని లోతైన శ్వాసలు తీసుకోండి. మీకు ఇలా ఎందుకు అనిపిస్తోంది?",
+        "sad": "మీరు ఇలాంటి పరిస్థితిని ఎదుర్కొంటున్నందుకు బాధగా ఉంది. మీ భావాలు ముఖ్యమైనవి. మీ మనసులో ఉన్నది పంచుకోవాలనుకుంటున్నారా?",
+        "angry": "మీకు చాలా చిరాకుగా ఉందని అర్థమవుతోంది. కొన్నిసార్లు మన భావాలకు పేరు పెట్టడం సహాయపడుతుంది. ఏం జరిగింది?",
+        "stressed": "ఇది భరించడానికి చాలా ఎక్కువగా అనిపిస్తోంది. ఒత్తిడి నిజంగా భారంగా ఉంటుంది. మిమ్మల్ని ఎక్కువగా బాధపెడుతున్నది ఏమిటి?",
+        "tired": "మీరు చాలా అలసిపోయినట్టు అనిపిస్తోంది. విశ్రాంతి చాలా ముఖ్యం. ఈరోజు మిమ్మల్ని మీరు చూసుకోగలిగారా?",
+        "general": "నేను వినడానికి ఇక్కడే ఉన్నాను. ఈరోజు మీరు దేని గురించి మాట్లాడాలనుకుంటున్నారు?",
+        "error": "నేను మీతోనే ఉన్నాను. ఇప్పుడు చిన్న సాంకేతిక సమస్య ఉంది, కానీ మీరు మాట్లాడుతూనే ఉండండి.",
+    },
+    "kn": {
+        "greeting": "ನಮಸ್ಕಾರ! ನಾನು Mate — MindMate++ ನಲ್ಲಿ ನಿಮ್ಮ ಆತ್ಮೀಯ ಜೊತೆಗಾರ. ಇಂದು ನಿಮ್ಮ ಮನಸ್ಸಿನಲ್ಲಿ ಏನಿದೆ?",
+        "anxious": "ಇದು ನಿಜವಾಗಿಯೂ ಕಷ್ಟವೆನಿಸುತ್ತದೆ. ನನ್ನೊಂದಿಗೆ ಕೆಲವು ಆಳವಾದ ಉಸಿರುಗಳನ್ನು ತೆಗೆದುಕೊಳ್ಳಿ. ನಿಮಗೆ ಹೀಗೆ ಯಾಕೆ ಅನಿಸುತ್ತಿದೆ?",
+        "sad": "ನೀವು ಇದನ್ನು ಎದುರಿಸುತ್ತಿರುವುದಕ್ಕೆ ನನಗೆ ಬೇಸರವಿದೆ. ನಿಮ್ಮ ಭಾವನೆಗಳು ಮುಖ್ಯ. ನಿಮ್ಮ ಮನಸ್ಸಿನಲ್ಲಿರುವುದನ್ನು ಹಂಚಿಕೊಳ್ಳಲು ಬಯಸುವಿರಾ?",
+        "angry": "ನಿಮಗೆ ತುಂಬಾ ಕಿರಿಕಿರಿಯಾಗಿದೆ ಎಂದು ಅರ್ಥವಾಗುತ್ತದೆ. ಕೆಲವೊಮ್ಮೆ ನಮ್ಮ ಭಾವನೆಗಳಿಗೆ ಹೆಸರಿಡುವುದು ಸಹಾಯ ಮಾಡುತ್ತದೆ. ಏನಾಯಿತು?",
+        "stressed": "ಇದು ನಿಭಾಯಿಸಲು ತುಂಬಾ ಹೆಚ್ಚು ಎನಿಸುತ್ತದೆ. ಒತ್ತಡ ನಿಜವಾಗಿಯೂ ಭಾರವಾಗಬಹುದು. ನಿಮ್ಮನ್ನು ಹೆಚ್ಚು ಕಾಡುತ್ತಿರುವುದು ಏನು?",
+        "tired": "ನೀವು ತುಂಬಾ ದಣಿದಿರುವಂತೆ ಕಾಣುತ್ತದೆ. ವಿಶ್ರಾಂತಿ ತುಂಬಾ ಮುಖ್ಯ. ಇಂದು ನಿಮ್ಮನ್ನು ನೀವು ನೋಡಿಕೊಳ್ಳಲು ಸಾಧ್ಯವಾಯಿತೇ?",
+        "general": "ನಾನು ಕೇಳಲು ಇಲ್ಲಿದ್ದೇನೆ. ಇಂದು ನೀವು ಯಾವುದರ ಬಗ್ಗೆ ಮಾತನಾಡಲು ಬಯಸುತ್ತೀರಿ?",
+        "error": "ನಾನು ನಿಮ್ಮೊಂದಿಗಿದ್ದೇನೆ. ಈಗ ಸಣ್ಣ ತಾಂತ್ರಿಕ ತೊಂದರೆ ಇದೆ, ಆದರೆ ನೀವು ಮಾತನಾಡುತ್ತಲೇ ಇರಿ.",
+    },
+}
+
+GREETINGS = [
+    "hi", "hello", "hey", "good morning", "good afternoon", "good evening", "namaste", "namaskar",
+    "नमस्ते", "नमस्कार", "வணக்கம்", "నమస్కారం", "నమస్తే", "ನಮಸ್ಕಾರ", "ನಮಸ್ತೆ",
+]
+MAX_GREETING_WORDS = 3
+
+# Checked in order against the lower-cased message, in every language at once:
+# people mix languages whatever reply language they get. Indic entries are word
+# stems, so they also match inflected forms.
+FALLBACK_KEYWORDS = [
+    ("anxious", ["anxious", "worry", "panic", "nervous", "chinta", "ghabra",
+                 "चिंता", "घबरा", "கவலை", "பயம்", "பதட்ட", "ఆందోళన", "భయ", "ಆತಂಕ", "ಭಯ"]),
+    ("sad", ["sad", "lonely", "depressed", "upset", "udaas", "udas", "dukhi", "akela",
+             "उदास", "दुखी", "अकेला", "अकेली", "சோக", "தனிமை", "బాధ", "ఒంటరి", "ದುಃಖ", "ಬೇಸರ"]),
+    ("angry", ["angry", "frustrated", "mad", "annoyed", "gussa", "naraz",
+               "गुस्सा", "नाराज", "கோப", "எரிச்சல்", "కోప", "చిరాకు", "ಕೋಪ", "ಸಿಟ್ಟು"]),
+    ("stressed", ["stress", "pressure", "burnout", "overwhelmed", "tension", "pareshan",
+                  "तनाव", "टेंशन", "परेशान", "அழுத்த", "ఒత్తిడి", "ಒತ್ತಡ"]),
+    ("tired", ["tired", "fatigue", "drained", "exhausted", "thak",
+               "थक", "சோர்வ", "களைப்ப", "అలస", "ಆಯಾಸ", "ಸುಸ್ತು"]),
+]
+
+
+def _replies_for(language):
+    return FALLBACK_REPLIES.get(language) or FALLBACK_REPLIES["en"]
+
+
+def _is_greeting(lowered):
+    words = [w for w in re.split(r"[\s,.!?]+", lowered) if w]
+    if len(words) > MAX_GREETING_WORDS:
+        return False
+    phrase = " ".join(words)
+    return any((g in phrase) if " " in g else (g in words) for g in GREETINGS)
+
+
+def fallback_reply(user_text, language="en"):
     """Rule-based fallback when AI model isn't available."""
+    replies = _replies_for(language)
     lowered = user_text.lower()
-    if any(w in lowered for w in ["hi", "hello", "hey", "good morning", "good afternoon", "good evening", "start"]):
-        return "Hello! I'm Mate — your gentle companion here at MindMate++. What's on your mind today?"
-    if any(k in lowered for k in ["anxious", "worry", "panic"]):
-        return "That sounds really tough. Try a few slow breaths with me — inhale 4, hold 4, exhale 6. What’s on your mind right now?"
-    if any(k in lowered for k in ["sad", "lonely", "depressed"]):
-        return "I'm sorry you're going through that. Your feelings make sense. Want to tell me what’s been hardest lately?"
-    if any(k in lowered for k in ["angry", "frustrated", "mad", "annoyed"]):
-        return "It’s okay to feel angry. Emotions have messages. What do you think your anger is trying to tell you?"
-    if any(k in lowered for k in ["stress", "pressure", "burnout", "overwhelmed"]):
-        return "That sounds stressful. What’s been weighing on you the most lately?"
-    if any(k in lowered for k in ["tired", "fatigue", "drained"]):
-        return "You sound really tired. Rest is important — have you had any quiet moments for yourself today?"
-    if any(k in lowered for k in ["help", "support", "advice"]):
-        return "I’m here for you. Sometimes just talking helps. What would you like to share with me?"
-    return "I hear you. I’m here for you. Would you like to tell me a bit more about what’s on your mind?"
+    if _is_greeting(lowered):
+        return replies["greeting"]
+    for category, keywords in FALLBACK_KEYWORDS:
+        if any(k in lowered for k in keywords):
+            return replies[category]
+    return replies["general"]
 
 @app.route("/")
 def home():
@@ -85,6 +247,8 @@ def home():
         "endpoints": {
             "health": "/health",
             "chat": "/chat (POST)",
+            "chat_stream": "/chat/stream (POST)",
+            "summarize": "/summarize (POST)",
             "study_plan": "/studyplan (POST)"
         }
     })
@@ -105,10 +269,12 @@ def chat():
         user_message = data.get("message", "").strip() if data else ""
         if not user_message:
             return jsonify({"error": "Message cannot be empty"}), 400
+        language = _language_of(data)
 
         if model:
             try:
-                prompt = f"{SYSTEM_PROMPT}\n\nUser: {user_message}\n\nMindMate++:"
+                summary = str(data.get("summary") or "").strip()
+                prompt = build_chat_prompt(user_message, _clean_history(data.get("history")), summary, language)
                 response = model.generate_content(prompt)
                 if hasattr(response, "text") and response.text:
                     return jsonify({"reply": response.text.strip(), "source": "ai"})
@@ -116,16 +282,113 @@ def chat():
                 print(f" Gemini response error: {e}")
 
         # Fallback if AI not available or fails
-        return jsonify({"reply": fallback_reply(user_message), "source": "fallback"})
+        return jsonify({"reply": fallback_reply(user_message, language), "source": "fallback"})
 
     except Exception as e:
         print(f"❌ Chat endpoint error: {e}")
         return jsonify({
-            "reply": "I'm here with you. I’m having a small hiccup right now, but I’m listening.",
+            "reply": _replies_for(_language_of(request.get_json(silent=True)))["error"],
             "source": "error"
         }), 500
 
 
+def _ndjson(payload):
+    return json.dumps(payload, ensure_ascii=False) + "\n"
+
+
+def _chunk_text(chunk):
+    # .text raises when a chunk carries no parts (e.g. a safety-blocked candidate)
+    try:
+        return chunk.text or ""
+    except ValueError:
+        return ""
+
+
+@app.route("/chat/stream", methods=["POST"])
+def chat_stream():
+    """Same input as /chat. Answers with newline-delimited JSON: {"delta": text}
+    lines as the model produces them, then {"done": true, "source": ...}, or
+    {"error": ...} if the model fails part-way through."""
+    data = request.get_json(silent=True) or {}
+    user_message = str(data.get("message") or "").strip()
+    if not user_message:
+        return jsonify({"error": "Message cannot be empty"}), 400
+    summary = str(data.get("summary") or "").strip()
+    history = _clean_history(data.get("history"))
+    language = _language_of(data)
+
+    def generate():
+        if model:
+            sent = False
+            try:
+                prompt = build_chat_prompt(user_message, history, summary, language)
+                for chunk in model.generate_content(prompt, stream=True):
+                    text = _chunk_text(chunk)
+                    if text:
+                        sent = True
+                        yield _ndjson({"delta": text})
+                if sent:
+                    yield _ndjson({"done": True, "source": "ai"})
+                    return
+            except Exception as e:
+                print(f" Gemini stream error: {e}")
+                if sent:
+                    yield _ndjson({"error": "Model stream interrupted"})
+                    return
+        # Nothing streamed yet, so the rule-based reply can still stand in
+        yield _ndjson({"delta": fallback_reply(user_message, language)})
+        yield _ndjson({"done": True, "source": "fallback"})
+
+    return Response(stream_with_context(generate()), mimetype="application/x-ndjson")
+
+
+@app.route("/summarize", methods=["POST"])
+def summarize():
+    """Folds older chat turns into the rolling summary kept by the Node server."""
+    data = request.get_json(silent=True) or {}
+    turns = _clean_history(data.get("messages"))
+    if not turns:
+        return _json_error("'messages' must be a non-empty list of {role, content}.")
+    if not model:
+        return _json_error("AI model is not configured.", 503)
+
+    previous = str(data.get("summary") or "").strip()[:MAX_SUMMARY_CHARS]
+    prompt = SUMMARY_PROMPT
+    if previous:
+        prompt += f"\n\nExisting summary:\n{previous}"
+    prompt += f"\n\nNew messages:\n{_format_turns(turns)}\n\nUpdated summary:"
+    try:
+        response = model.generate_content(prompt)
+        summary = (getattr(response, "text", None) or "").strip()
+    except Exception as e:
+        print(f" Gemini summary error: {e}")
+        return _json_error("Failed to summarize the conversation.", 502)
+    if not summary:
+        return _json_error("Model returned an empty summary.", 502)
+    return jsonify({"summary": summary[:MAX_SUMMARY_CHARS]})
+
+
+@app.route("/title", methods=["POST"])
+def title():
+    """Names a conversation thread from its first turns."""
+    data = request.get_json(silent=True) or {}
+    turns = _clean_history(data.get("messages"))
+    if not turns:
+        return _json_error("'messages' must be a non-empty list of {role, content}.")
+    if not model:
+        return _json_error("AI model is not configured.", 503)
+
+    try:
+        response = model.generate_content(f"{TITLE_PROMPT}\n\n{_format_turns(turns)}\n\nTitle:")
+        text = (getattr(response, "text", None) or "").strip()
+    except Exception as e:
+        print(f" Gemini title error: {e}")
+        return _json_error("Failed to title the conversation.", 502)
+    if not text:
+        return _json_error("Model returned an empty title.", 502)
+    return jsonify({"title": text.splitlines()[0][:MAX_TITLE_CHARS]})
+
+
 @app.route("/studyplan", methods=["POST"])
 def study_plan():
     data = request.get_json(silent=True)
@@ -204,7 +467,7 @@ def study_plan():
 
 @app.errorhandler(404)
 def not_found(e):
-    return jsonify({"error": "Endpoint not found", "available_endpoints": ["/", "/health", "/chat"]}), 404
+    return jsonify({"error": "Endpoint not found", "available_endpoints": ["/", "/health", "/chat", "/chat/stream", "/summarize", "/title"]}), 404
 
 @app.errorhandler(500)
 def internal_error(e):
@@ -0,0 +1,115 @@
+import User from '../models/User.js';
+import ChatFeedback from '../models/ChatFeedback.js';
+import ChatReport from '../models/ChatReport.js';
+import { badRequest, notFound } from '../utils/apiError.js';
+import { chatServiceStatus } from '../utils/flask.js';
+
+// GET /api/admin/users?role=&q=&limit=
+export const listUsers = async (req, res) => {
+  const { role, q, limit } = req.query;
+  const filter = {};
+  if (role) filter.role = role;
+  if (q) {
+    const pattern = new RegExp(q.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+    filter.$or = [{ name: pattern }, { email: pattern }];
+  }
+  const users = await User.find(filter)
+    .select('name email role emailVerified createdAt')
+    .sort({ createdAt: -1 })
+    .limit(limit)
+    .lean();
+  return res.json({
+    users: users.map((u) => ({
+      id: u._id,
+      name: u.name,
+      email: u.email,
+      role: u.role || 'user',
+      emailVerified: Boolean(u.emailVerified),
+      createdAt: u.createdAt,
+    })),
+  });
+};
+
+// PATCH /api/admin/users/:id/role { role }
+export const updateUserRole = async (req, res) => {
+  const { id } = req.params;
+  const { role } = req.body;
+  if (String(id) === String(req.userId) && role !== 'admin') {
+    throw badRequest('Admins cannot remove their own admin role');
+  }
+  const user = await User.findByIdAndUpdate(id, { role }, { new: true }).select('name email role');
+  if (!user) throw notFound('User not found');
+  return res.json({ user: { id: user._id, name: user.name, email: user.email, role: user.role } });
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// GET /api/admin/chat-feedback?days=: ratings of Mate's replies given in the
+// last `days` days, by reason for thumbs-down, by what produced the reply and
+// by day, plus the reports filed in that time and the open review queue
+export const getChatFeedbackStats = async (req, res) => {
+  const since = new Date(Date.now() - req.query.days * DAY_MS);
+  const [ratings, daily, reports, openReports] = await Promise.all([
+    ChatFeedback.aggregate([
+      { $match: { updatedAt: { $gte: since } } },
+      { $group: { _id: { rating: '$rating', reason: '$reason', source: '$source' }, count: { $sum: 1 } } },
+    ]),
+    ChatFeedback.aggregate([
+      { $match: { updatedAt: { $gte: since } } },
+      {
+        $group: {
+          _id: { date: { $dateToString: { format: '%Y-%m-%d', date: '$updatedAt' } }, rating: '$rating' },
+          count: { $sum: 1 },
+        },
+      },
+      { $sort: { '_id.date': 1 } },
+    ]),
+    ChatReport.aggregate([
+      { $match: { createdAt: { $gte: since } } },
+      { $group: { _id: { status: '$status', reason: '$reason' }, count: { $sum: 1 } } },
+    ]),
+    ChatReport.countDocuments({ status: 'open' }),
+  ]);
+
+  const totals = { up: 0, down: 0 };
+  const downReasons = {};
+  const bySource = {};
+  for (const { _id, count } of ratings) {
+    totals[_id.rating] += count;
+    const source = _id.source || 'unknown';
+    bySource[source] = bySource[source] || { up: 0, down: 0 };
+    bySource[source][_id.rating] += count;
+    if (_id.rating === 'down') {
+      const reason = _id.reason || 'none';
+      downReasons[reason] = (downReasons[reason] || 0) + count;
+    }
+  }
+  const days = new Map();
+  for (const { _id, count } of daily) {
+    if (!days.has(_id.date)) days.set(_id.date, { date: _id.date, up: 0, down: 0 });
+    days.get(_id.date)[_id.rating] = count;
+  }
+  const reportsByStatus = {};
+  const reportsByReason = {};
+  for (const { _id, count } of reports) {
+    reportsByStatus[_id.status] = (reportsByStatus[_id.status] || 0) + count;
+    reportsByReason[_id.reason] = (reportsByReason[_id.reason] || 0) + count;
+  }
+
+  const rated = totals.up + totals.down;
+  return res.json({
+    rangeStart: since,
+    ratings: totals,
+    // Share of thumbs-up among rated replies, null when nothing was rated
+    satisfaction: rated ? Math.round((totals.up / rated) * 100) / 100 : null,
+    downReasons,
+    bySource,
+    daily: [...days.values()],
+    reports: { byStatus: reportsByStatus, byReason: reportsByReason, open: openReports },
+  });
+};
+
+// Full chat backend state; /api/health leaves out the error details
+export const getChatServiceStatus = async (req, res) => {
+  res.json({ chatbot: chatServiceStatus() });
+};
@@ -0,0 +1,9 @@
+import { ANALYTICS_SOURCE_NAMES, resolveRange, wellbeingAnalytics } from '../utils/wellbeingAnalytics.js';
+
+// GET /api/analytics/wellbeing (auth required)
+export async function getWellbeingAnalytics(req, res) {
+  const { granularity, tzOffset } = req.query;
+  const { from, to } = resolveRange(req.query);
+  const sources = req.query.sources ? [...new Set(req.query.sources)] : ANALYTICS_SOURCE_NAMES;
+  return res.json(await wellbeingAnalytics(req.userId, { from, to, granularity, tzOffset, sources }));
+}
@@ -1,146 +1,294 @@
 import User from '../models/User.js';
+import Session from '../models/Session.js';
 import bcrypt from 'bcryptjs';
-import generateToken from '../utils/generateToken.js';
+import { issueSession, rotateSession } from '../utils/sessions.js';
+import { sendPasswordResetCode, sendVerificationCode, verifyAuthCode } from '../utils/authCodes.js';
+import { streamUserExport, deletionGraceDays } from '../utils/userData.js';
+import { lockoutRemaining, recordFailedLogin, clearFailedLogins, lockoutMessage } from '../utils/loginLockout.js';
+import { ApiError, badRequest, conflict, notFound, tooManyRequests, unauthorized } from '../utils/apiError.js';
+import { saveAvatar, removeOldAvatars, discardAvatar } from '../utils/avatars.js';
 
-export const signup = async (req, res) => {
-  try {
-    const { name, email, password, age, gender } = req.body;
+// Request bodies are checked against schemas/authSchemas.js before these run.
 
-    if (!name || !email || !password) {
-      return res.status(400).json({ message: 'Missing required fields' });
-    }
+// Accounts listed in ADMIN_EMAILS are promoted to admin once they have verified the
+// address (on verification or a later login), which is how the first admin is
+// created; further roles are managed via /api/admin. An unverified address proves
+// nothing, as anyone can sign up with or change their email to one on the list.
+const applyBootstrapRole = async (user) => {
+  if (!user.emailVerified) return;
+  const admins = String(process.env.ADMIN_EMAILS || '')
+    .split(',')
+    .map((e) => e.trim().toLowerCase())
+    .filter(Boolean);
+  if (admins.includes(user.email) && user.role !== 'admin') {
+    user.role = 'admin';
+    await user.save();
+  }
+};
 
-    if (age !== undefined) {
-      const parsedAge = Number(age);
-      if (Number.isNaN(parsedAge) ) {
-        return res.status(400).json({ message: 'Age must be a number between 13 and 120' });
-      }
-    }
+const PROFILE_FIELDS = 'name email emailVerified role age gender phone emergencyContactName emergencyContactPhone concerns avatarUrl avatarThumbnails language';
 
-    if (gender !== undefined) {
-      const allowed = ['male', 'female', 'other'];
-      if (!allowed.includes(String(gender).toLowerCase())) {
-        return res.status(400).json({ message: 'Gender must be male, female, or other' });
-      }
-    }
+const toProfile = (user) => ({
+  id: user._id,
+  name: user.name,
+  email: user.email,
+  emailVerified: Boolean(user.emailVerified),
+  role: user.role || 'user',
+  age: user.age,
+  gender: user.gender,
+  phone: user.phone,
+  emergencyContactName: user.emergencyContactName || null,
+  emergencyContactPhone: user.emergencyContactPhone || null,
+  concerns: user.concerns || [],
+  avatarUrl: user.avatarUrl || null,
+  avatarThumbnails: user.avatarThumbnails?.small ? { small: user.avatarThumbnails.small, medium: user.avatarThumbnails.medium } : null,
+  language: user.language || 'en',
+});
 
-    const existing = await User.findOne({ email });
-    if (existing) {
-      return res.status(409).json({ message: 'Email already registered' });
-    }
+export const signup = async (req, res) => {
+  const { name, email, password, age, gender } = req.body;
 
-    const passwordHash = await bcrypt.hash(password, 10);
-    const user = await User.create({
-      name,
-      email,
-      passwordHash,
-      age: age !== undefined ? Number(age) : undefined,
-      gender: gender !== undefined ? String(gender).toLowerCase() : undefined,
-    });
-
-    return res.status(201).json({
-      user: { id: user._id, name: user.name, email: user.email, age: user.age, gender: user.gender },
-      token: generateToken(user._id, user.email),
-    });
-  } catch (err) {
-    console.error(err);
-    console.log(err);
-    return res.status(500).json({ message: 'Internal server error' });
+  const existing = await User.findOne({ email });
+  if (existing) throw conflict('Email already registered');
+
+  const passwordHash = await bcrypt.hash(password, 10);
+  const user = await User.create({ name, email, passwordHash, age, gender });
+
+  try {
+    await sendVerificationCode(user);
+  } catch (mailErr) {
+    console.error('Failed to send verification email:', mailErr?.message);
   }
+
+  const { token, refreshToken } = await issueSession(user, req);
+  return res.status(201).json({
+    user: { id: user._id, name: user.name, email: user.email, emailVerified: false, role: user.role, age: user.age, gender: user.gender },
+    token,
+    refreshToken,
+  });
 };
 
+const invalidCredentials = () => unauthorized('Invalid email or password', 'INVALID_CREDENTIALS');
+
 export const login = async (req, res) => {
-  try {
-    const { email, password } = req.body;
-    if (!email || !password) {
-      return res.status(400).json({ message: 'Missing credentials' });
-    }
+  const { email, password } = req.body;
 
-    const user = await User.findOne({ email });
-    if (!user) return res.status(401).json({ message: 'Invalid email or password' });
+  const user = await User.findOne({ email });
+  if (!user) throw invalidCredentials();
 
-    const valid = await bcrypt.compare(password, user.passwordHash);
-    if (!valid) return res.status(401).json({ message: 'Invalid email or password' });
+  const lockedFor = lockoutRemaining(user);
+  if (lockedFor) throw tooManyRequests(lockoutMessage(lockedFor), lockedFor, 'ACCOUNT_LOCKED');
 
-    return res.status(200).json({
-      user: { id: user._id, name: user.name, email: user.email },
-      token: generateToken(user._id, user.email),
-    });
-  } catch (err) {
-    console.error(err);
-    return res.status(500).json({ message: 'Internal server error' });
+  const valid = await bcrypt.compare(password, user.passwordHash);
+  if (!valid) {
+    const lockedNow = await recordFailedLogin(user);
+    if (lockedNow) throw tooManyRequests(lockoutMessage(lockedNow), lockedNow, 'ACCOUNT_LOCKED');
+    throw invalidCredentials();
+  }
+  await clearFailedLogins(user);
+
+  // Logging in during the deletion grace period cancels the pending deletion
+  const accountRestored = Boolean(user.deletionScheduledFor);
+  if (accountRestored) {
+    user.deletionRequestedAt = undefined;
+    user.deletionScheduledFor = undefined;
+    await user.save();
   }
+
+  await applyBootstrapRole(user);
+
+  const { token, refreshToken } = await issueSession(user, req);
+  return res.status(200).json({
+    user: { id: user._id, name: user.name, email: user.email, emailVerified: Boolean(user.emailVerified), role: user.role },
+    token,
+    refreshToken,
+    ...(accountRestored ? { accountRestored } : {}),
+  });
 };
 
 export const me = async (req, res) => {
-  try {
-    const user = await User.findById(req.userId).select('name email age gender phone emergencyContactName emergencyContactPhone concerns avatarUrl language');
-    if (!user) return res.status(404).json({ message: 'User not found' });
-    return res.json({
-      user: {
-        id: user._id,
-        name: user.name,
-        email: user.email,
-        age: user.age,
-        gender: user.gender,
-        phone: user.phone,
-        emergencyContactName: user.emergencyContactName || null,
-        emergencyContactPhone: user.emergencyContactPhone || null,
-        concerns: user.concerns || [],
-        avatarUrl: user.avatarUrl || null,
-        language: user.language || 'en',
-      },
-    });
-  } catch (err) {
-    console.error(err);
-    return res.status(500).json({ message: 'Internal server error' });
-  }
+  const user = await User.findById(req.userId).select(PROFILE_FIELDS);
+  if (!user) throw notFound('User not found');
+  return res.json({ user: toProfile(user) });
 };
 
 export const updateMe = async (req, res) => {
-  try {
-    const { name, age, gender, phone, concerns, email, avatarUrl, emergencyContactName, emergencyContactPhone, language } = req.body || {};
-    const update = {};
-    if (name !== undefined) update.name = String(name);
-    if (email !== undefined) update.email = String(email).toLowerCase();
-    if (age !== undefined) {
-      const parsed = Number(age);
-      if (!Number.isNaN(parsed)) update.age = parsed;
-    }
-    if (gender !== undefined) update.gender = String(gender).toLowerCase();
-    if (phone !== undefined) update.phone = String(phone);
-    if (concerns !== undefined && Array.isArray(concerns)) {
-      update.concerns = concerns.map(c => String(c).toLowerCase());
-    }
-    if (avatarUrl !== undefined) update.avatarUrl = String(avatarUrl);
-    if (emergencyContactName !== undefined) update.emergencyContactName = String(emergencyContactName);
-    if (emergencyContactPhone !== undefined) update.emergencyContactPhone = String(emergencyContactPhone);
-    if (language !== undefined) {
-      const allowedLanguages = ['en', 'hi', 'ta', 'te', 'kn'];
-      if (allowedLanguages.includes(String(language))) {
-        update.language = String(language);
-      }
+  const update = { ...req.body };
+  if (update.email !== undefined) {
+    // A changed address has to be confirmed again
+    const current = await User.findById(req.userId).select('email');
+    if (current && current.email !== update.email) {
+      const taken = await User.exists({ email: update.email, _id: { $ne: req.userId } });
+      if (taken) throw conflict('Email already registered');
+      update.emailVerified = false;
     }
+  }
+  // null clears an optional field
+  for (const field of ['phone', 'emergencyContactName', 'emergencyContactPhone']) {
+    if (update[field] === null) update[field] = '';
+  }
+
+  const user = await User.findByIdAndUpdate(req.userId, update, { new: true, runValidators: true }).select(PROFILE_FIELDS);
+  if (!user) throw notFound('User not found');
+  return res.json({ user: toProfile(user) });
+};
+
+export const refresh = async (req, res) => {
+  const rotated = await rotateSession(req.body.refreshToken, req);
+  if (!rotated) throw unauthorized('Invalid refresh token', 'INVALID_REFRESH_TOKEN');
+  return res.json(rotated);
+};
 
-    const user = await User.findByIdAndUpdate(req.userId, update, { new: true }).select('name email age gender phone emergencyContactName emergencyContactPhone concerns avatarUrl language');
-    if (!user) return res.status(404).json({ message: 'User not found' });
-    return res.json({
-      user: {
-        id: user._id,
-        name: user.name,
-        email: user.email,
-        age: user.age,
-        gender: user.gender,
-        phone: user.phone,
-        emergencyContactName: user.emergencyContactName || null,
-        emergencyContactPhone: user.emergencyContactPhone || null,
-        concerns: user.concerns || [],
-        avatarUrl: user.avatarUrl || null,
-        language: user.language || 'en',
-      },
-    });
+export const logout = async (req, res) => {
+  await Session.updateOne(
+    { _id: req.sessionId, userId: req.userId, revokedAt: null },
+    { revokedAt: new Date() }
+  );
+  return res.json({ success: true });
+};
+
+export const getSessions = async (req, res) => {
+  const sessions = await Session.find({
+    userId: req.userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  })
+    .sort({ lastUsedAt: -1 })
+    .lean();
+  return res.json({
+    sessions: sessions.map((s) => ({
+      id: s._id,
+      deviceName: s.deviceName || null,
+      userAgent: s.userAgent || null,
+      ip: s.ip || null,
+      createdAt: s.createdAt,
+      lastUsedAt: s.lastUsedAt,
+      current: String(s._id) === String(req.sessionId),
+    })),
+  });
+};
+
+export const revokeSession = async (req, res) => {
+  const result = await Session.updateOne(
+    { _id: req.params.id, userId: req.userId, revokedAt: null },
+    { revokedAt: new Date() }
+  );
+  if (result.matchedCount === 0) throw notFound('Session not found');
+  return res.json({ success: true });
+};
+
+// DELETE /api/auth/sessions: sign out every other device, keeping the caller's session
+export const revokeOtherSessions = async (req, res) => {
+  const result = await Session.updateMany(
+    { userId: req.userId, _id: { $ne: req.sessionId }, revokedAt: null },
+    { revokedAt: new Date() }
+  );
+  return res.json({ success: true, revoked: result.modifiedCount });
+};
+
+// POST /api/auth/password/forgot: always answers the same way so the endpoint
+// can't be used to find out which emails are registered
+export const requestPasswordReset = async (req, res) => {
+  const user = await User.findOne({ email: req.body.email });
+  if (user) await sendPasswordResetCode(user);
+  return res.json({ success: true, message: 'If that email is registered, a reset code has been sent' });
+};
+
+const codeErrors = {
+  invalid: ['CODE_INVALID', 'Invalid code'],
+  expired: ['CODE_EXPIRED', 'Code is invalid or has expired. Please request a new one.'],
+  locked: ['CODE_LOCKED', 'Too many incorrect attempts. Please request a new code.'],
+};
+
+const codeError = (result) => new ApiError(400, ...codeErrors[result]);
+
+export const resetPassword = async (req, res) => {
+  const { email, code, password } = req.body;
+  const user = await User.findOne({ email });
+  if (!user) throw codeError('expired');
+
+  const result = await verifyAuthCode(user._id, 'password_reset', code);
+  if (result !== 'ok') throw codeError(result);
+
+  user.passwordHash = await bcrypt.hash(password, 10);
+  user.failedLoginAttempts = 0;
+  user.lockedUntil = undefined;
+  // Receiving the code proves ownership of the inbox
+  if (!user.emailVerified) {
+    user.emailVerified = true;
+    user.emailVerifiedAt = new Date();
+  }
+  await user.save();
+  // Sign out everywhere: whoever knew the old password loses access
+  await Session.updateMany({ userId: user._id, revokedAt: null }, { revokedAt: new Date() });
+  return res.json({ success: true });
+};
+
+export const requestEmailVerification = async (req, res) => {
+  const user = await User.findById(req.userId).select('name email emailVerified');
+  if (!user) throw notFound('User not found');
+  if (user.emailVerified) return res.json({ success: true, alreadyVerified: true });
+  const { sent, retryAfter } = await sendVerificationCode(user);
+  if (!sent) throw tooManyRequests(`Please wait ${retryAfter}s before requesting another code`, retryAfter);
+  return res.json({ success: true });
+};
+
+export const verifyEmail = async (req, res) => {
+  const user = await User.findById(req.userId).select('email emailVerified role');
+  if (!user) throw notFound('User not found');
+  if (user.emailVerified) return res.json({ success: true, emailVerified: true });
+
+  const result = await verifyAuthCode(user._id, 'email_verification', req.body.code);
+  if (result !== 'ok') throw codeError(result);
+
+  user.emailVerified = true;
+  user.emailVerifiedAt = new Date();
+  await user.save();
+  await applyBootstrapRole(user);
+  return res.json({ success: true, emailVerified: true });
+};
+
+// POST /api/auth/me/avatar (multipart field "avatar"): the image is re-encoded into
+// square WebP sizes and the previous avatar's files are removed once the user points
+// at the new ones
+export const uploadAvatar = async (req, res) => {
+  if (!req.file) throw badRequest('avatar file is required');
+  const user = await User.findById(req.userId).select('avatarUrl avatarThumbnails');
+  if (!user) throw notFound('User not found');
+
+  const { prefix, urls } = await saveAvatar(req.userId, req.file.buffer);
+  try {
+    user.avatarUrl = urls.large;
+    user.avatarThumbnails = { small: urls.small, medium: urls.medium };
+    await user.save();
   } catch (err) {
-    console.error(err);
-    return res.status(500).json({ message: 'Internal server error' });
+    await discardAvatar(req.userId, prefix).catch(() => {});
+    throw err;
   }
+  await removeOldAvatars(req.userId, prefix);
+
+  return res.status(201).json({ avatarUrl: user.avatarUrl, avatarThumbnails: user.avatarThumbnails });
+};
+
+// GET /api/auth/me/export: zip with a JSON file per collection plus uploaded files
+export const exportMe = async (req, res) => {
+  const found = await streamUserExport(req.userId, res);
+  if (!found) throw notFound('User not found');
+};
+
+// DELETE /api/auth/me: schedules the account for deletion and signs out every
+// device. Logging in again before the grace period ends cancels it.
+export const deleteMe = async (req, res) => {
+  const user = await User.findById(req.userId);
+  if (!user) throw notFound('User not found');
+  const valid = await bcrypt.compare(req.body.password, user.passwordHash);
+  if (!valid) throw unauthorized('Incorrect password', 'INVALID_CREDENTIALS');
+
+  const now = new Date();
+  user.deletionRequestedAt = now;
+  user.deletionScheduledFor = new Date(now.getTime() + deletionGraceDays() * 24 * 60 * 60 * 1000);
+  await user.save();
+  await Session.updateMany({ userId: user._id, revokedAt: null }, { revokedAt: now });
+
+  return res.json({ success: true, deletionScheduledFor: user.deletionScheduledFor });
 };
@@ -3,9 +3,8 @@ import multer from "multer";
 import path from "path";
 import fs from "fs";
 import User from "../models/User.js";
-import { GoogleGenerativeAI } from "@google/generative-ai";
-import dotenv from "dotenv";
-dotenv.config();
+import { ApiError, notFound } from "../utils/apiError.js";
+import { getLlm } from "../utils/llm.js";
 
 const CATEGORIES = [
   "anger",
@@ -35,7 +34,7 @@ const storage = multer.diskStorage({
 const fileFilter = (req, file, cb) => {
   const allowed = ["image/jpeg", "image/png", "image/gif", "image/webp"];
   if (allowed.includes(file.mimetype)) return cb(null, true);
-  cb(new Error("Only image files are allowed"));
+  cb(new ApiError(400, "UNSUPPORTED_FILE_TYPE", "Only image files are allowed"));
 };
 
 export const upload = multer({
@@ -45,66 +44,36 @@ export const upload = multer({
 });
 
 export const getBlogs = async (req, res) => {
-  try {
-    const user = await User.findById(req.userId);
-    if (!user) {
-      return res.status(404).json({ message: "User not found" });
-    }
-    const concerns = user.concerns || [];
-    if (concerns.length === 0) {
-      return res.json([]);
-    }
-    const blogs = await Blog.find({ category: { $in: concerns } });
-    res.json(blogs);
-  } catch (err) {
-    res.status(500).json({ message: "Failed to fetch blogs" });
+  const user = await User.findById(req.userId);
+  if (!user) throw notFound("User not found");
+  const concerns = user.concerns || [];
+  if (concerns.length === 0) {
+    return res.json([]);
   }
+  const blogs = await Blog.find({ category: { $in: concerns } });
+  res.json(blogs);
 };
 
 export const getBlogById = async (req, res) => {
-  try {
-    const { id } = req.params;
-    const blog = await Blog.findById(id).lean();
-    if (!blog) return res.status(404).json({ message: "Blog not found" });
-    res.json(blog);
-  } catch (err) {
-    res.status(500).json({ message: "Failed to fetch blog" });
-  }
+  const blog = await Blog.findById(req.params.id).lean();
+  if (!blog) throw notFound("Blog not found");
+  res.json(blog);
 };
 
-// Initialize Gemini only if API key is available
-let genAI = null;
-if (process.env.GEMINI_BLOG_KEY) {
-  try {
-    genAI = new GoogleGenerativeAI(process.env.GEMINI_BLOG_KEY);
-  } catch (err) {
-    console.warn("Failed to initialize Gemini AI:", err);
-  }
-}
+// Same budget as a non-streamed chat reply (utils/chatModel.js)
+const CLASSIFY_TIMEOUT_MS = 15000;
 
-export const createBlog = async (req, res) => {
+// Picks one of CATEGORIES with the `classification` model (see utils/llm.js);
+// falls back to the first category when no model is configured or it fails
+const classifyBlog = async ({ author, title, excerpt }) => {
   try {
-    const { author, title, excerpt, image } = req.body;
-    if (!author || !title || !excerpt) {
-      return res.status(400).json({
-        message: "author, title, and excerpt are required",
-      });
+    const llm = getLlm("classification");
+    if (!llm) {
+      console.warn("No classification model configured, using default category");
+      return CATEGORIES[0];
     }
-    const imageValue =
-      typeof image === "string"
-        ? image
-        : req.file
-        ? `/uploads/${req.file.filename}`
-        : "";
-
-    // Determine category - use Gemini if available, otherwise use first category as default
-    let category = CATEGORIES[0]; // Default fallback
-    if (genAI && process.env.GEMINI_BLOG_KEY) {
-      try {
-        console.log("Classifying blog using GEMINI...");
-        const model = genAI.getGenerativeModel({ model: "models/gemini-2.5-flash" });
-
-        const prompt = `
+    console.log(`Classifying blog using ${llm.provider}...`);
+    const prompt = `
 Classify this mental-health related blog into EXACTLY ONE category:
 
 ${CATEGORIES.join("\n")}
@@ -116,55 +85,62 @@ Excerpt: ${excerpt}
 
 Return ONLY the category EXACTLY as written in the list above.
 No explanation.
-        `;
-
-        const result = await model.generateContent(prompt);
-        const geminiCategory = result.response.text().trim().toLowerCase();
-
-        console.log("Gemini Assigned Category:", geminiCategory);
-
-        if (CATEGORIES.includes(geminiCategory)) {
-          category = geminiCategory;
-        } else {
-          console.warn("Gemini returned invalid category, using default:", geminiCategory);
-        }
-      } catch (geminiErr) {
-        console.error("Gemini classification error:", geminiErr)
-      }
-    } else {
-      console.warn("Gemini API key not configured, using default category");
-    }
-
-    // Save blog
-    const created = await Blog.create({
-      author,
-      title,
-      excerpt,
-      image: imageValue,
-      category,
-    });
-
-    res.status(201).json(created);
+      `;
+    const answer = (
+      await llm.complete({
+        messages: [{ role: "user", content: prompt }],
+        signal: AbortSignal.timeout(CLASSIFY_TIMEOUT_MS),
+      })
+    ).toLowerCase();
+    console.log("Model Assigned Category:", answer);
+    if (CATEGORIES.includes(answer)) return answer;
+    console.warn("Model returned invalid category, using default:", answer);
   } catch (err) {
-    console.error("ERROR CREATING BLOG:", err);
-    return res.status(500).json({
-      message: "Failed to create blog",
-      error: err.message,
-    });
+    console.error("Blog classification error:", err);
   }
+  return CATEGORIES[0];
+};
+
+export const createBlog = async (req, res) => {
+  const { author, title, excerpt, image } = req.body;
+  const imageValue =
+    typeof image === "string"
+      ? image
+      : req.file
+      ? `/uploads/${req.file.filename}`
+      : "";
+
+  const category = await classifyBlog({ author, title, excerpt });
+
+  // Save blog
+  const created = await Blog.create({
+    author,
+    title,
+    excerpt,
+    image: imageValue,
+    category,
+    createdBy: req.userId,
+  });
+
+  res.status(201).json(created);
 };
 
 export const likeBlog = async (req, res) => {
-  try {
-    const { id } = req.params;
-    const updated = await Blog.findByIdAndUpdate(
-      id,
-      { $inc: { likes: 1 } },
-      { new: true }
-    ).lean();
-    if (!updated) return res.status(404).json({ message: "Blog not found" });
-    res.json(updated);
-  } catch (err) {
-    res.status(500).json({ message: "Failed to like blog" });
-  }
+  const { id } = req.params;
+  // Each user can like a blog once; repeated likes return the blog unchanged
+  const updated = await Blog.findOneAndUpdate(
+    { _id: id, likedBy: { $ne: req.userId } },
+    { $inc: { likes: 1 }, $addToSet: { likedBy: req.userId } },
+    { new: true }
+  ).lean();
+  const blog = updated || (await Blog.findById(id).lean());
+  if (!blog) throw notFound("Blog not found");
+  delete blog.likedBy;
+  res.json(blog);
+};
+
+export const deleteBlog = async (req, res) => {
+  const deleted = await Blog.findByIdAndDelete(req.params.id).lean();
+  if (!deleted) throw notFound("Blog not found");
+  res.json({ success: true });
 };
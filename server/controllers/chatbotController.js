@@ -1,179 +1,646 @@
-import fetch from 'node-fetch';
 import ChatMessage from '../models/ChatMessage.js';
+import ChatSummary from '../models/ChatSummary.js';
+import Conversation from '../models/Conversation.js';
+import RiskEvent from '../models/RiskEvent.js';
+import ChatFeedback from '../models/ChatFeedback.js';
+import ChatReport from '../models/ChatReport.js';
+import User from '../models/User.js';
+import { ApiError, conflict, notFound } from '../utils/apiError.js';
+import { generateChatReply, streamChatReply } from '../utils/chatModel.js';
+import { openEventStream } from '../utils/sse.js';
+import { buildChatContext, clientChatContext, refreshChatSummary } from '../utils/chatMemory.js';
+import {
+  deleteConversations,
+  deleteMessageRecords,
+  findConversation,
+  nameConversation,
+  olderThan,
+  startConversation,
+  toConversation,
+  touchConversation,
+} from '../utils/conversations.js';
+import { applyChatRetention, chatExpiry, chatRetentionFor, DEFAULT_CHAT_RETENTION } from '../utils/chatRetention.js';
+import { assessRisk } from '../utils/riskDetection.js';
+import { classifyMood } from '../utils/moodClassification.js';
+import { replyLanguage } from '../utils/chatLanguage.js';
+import { fallbackReply } from '../utils/chatFallback.js';
+import { crisisCard, safetyReply } from '../utils/crisisSupport.js';
 
-export async function getChatbotReply(req, res) {
+// Where an exchange is stored: { userId, retention, conversation }, or null when
+// it isn't (signed out, incognito or history off). `conversation` is null until
+// the first exchange of a new thread creates it. Looked up before the model is
+// called so a conversationId that isn't the user's fails as a 404 first.
+async function chatStoreFor(req) {
+  const retention = await chatRetentionFor(req);
+  if (!retention) return null;
+  const { conversationId } = req.body;
+  const conversation = conversationId ? await findConversation(req.userId, conversationId) : null;
+  return { userId: req.userId, retention, conversation };
+}
+
+// Stores both sides of an exchange in its conversation, then lets the rolling
+// summary (and a new thread's title) catch up in the background so the reply
+// isn't held back by more model calls. Resolves with the stored messages and
+// the conversation, or null if they couldn't be saved.
+async function saveExchange(store, message, reply, { source, label = '', flagged = false } = {}) {
+  const { userId, retention } = store;
+  let userMessage;
+  let replyMessage;
+  let conversation = store.conversation;
+  const untitled = !conversation?.title;
   try {
-    const { message } = req.body || {};
-    if (!message || typeof message !== 'string' || !message.trim()) {
-      console.log('Invalid message:', message);
-      return res.status(400).json({ 
-        error: 'Message is required and must be a non-empty string' 
-      });
-    }
+    const { mood, confidence, intensity } = await classifyMood(message);
+    const expiresAt = chatExpiry(retention);
+    conversation = conversation || (await startConversation(userId, expiresAt));
+    const conversationId = conversation._id;
+    userMessage = await ChatMessage.create({
+      userId,
+      conversationId,
+      role: 'user',
+      content: message,
+      mood,
+      moodConfidence: confidence,
+      moodIntensity: intensity,
+      expiresAt,
+    });
+    replyMessage = await ChatMessage.create({
+      userId,
+      conversationId,
+      role: 'assistant',
+      content: reply,
+      source,
+      mood: 'neutral',
+      expiresAt,
+    });
+    conversation = await touchConversation(conversation, { message, expiresAt, flagged });
+  } catch (persistErr) {
+    console.error(`Failed to persist chat messages${label}:`, persistErr?.message);
+    return null;
+  }
+  const logFailure = (what) => (err) => {
+    if (err?.name !== 'CircuitOpenError') console.error(`Failed to ${what}:`, err?.message);
+  };
+  refreshChatSummary(userId, conversation._id).catch(logFailure('update chat summary'));
+  if (untitled && conversation.title) nameConversation(conversation._id).catch(logFailure('title conversation'));
+  return { userMessage, replyMessage, conversation: { id: conversation._id, title: conversation.title } };
+}
 
-    const flaskUrl = process.env.FLASK_CHATBOT_URL || 'http://localhost:5001';
-    
-    try {
-      // Try to communicate with Flask service
-      const controller = new AbortController();
-      const timeoutId = setTimeout(() => controller.abort(), 15000);
-      const flaskResponse = await fetch(`${flaskUrl}/chat`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({ message: message.trim() }),
-        signal: controller.signal,
-      });
-      clearTimeout(timeoutId);
-
-      if (flaskResponse.ok) {
-        const data = await flaskResponse.json();
-        if (req.userId) {
-          try {
-            const userMood = inferMoodFromText(message);
-            await ChatMessage.create({ userId: req.userId, role: 'user', content: message.trim(), mood: userMood });
-            await ChatMessage.create({ userId: req.userId, role: 'assistant', content: data.reply, mood: 'neutral' });
-          } catch (persistErr) {
-            console.error('Failed to persist chat messages:', persistErr?.message);
-          }
-        }
-        return res.json({
-          reply: data.reply,
-          source: data.source || 'flask',
-          ai_enabled: data.source === 'ai'
-        });
-      } else {
-        console.error(`Flask returned error: ${flaskResponse.status} ${flaskResponse.statusText}`);
-        const errorData = await flaskResponse.json().catch(() => ({}));
-        throw new Error(`Flask service returned ${flaskResponse.status}: ${errorData.error || 'Unknown error'}`);
-      }
-    } catch (flaskError) {
-      if (flaskError.name === 'AbortError') {
-        console.error('Flask service timeout');
-      } else {
-        console.error('Flask service unavailable:', flaskError.message);
-      }
-      
-      // Fallback to simple responses if Flask is unavailable
-      const fallbackReply = getFallbackReply(message);
-      console.log(`🔄 Using Node.js fallback: "${fallbackReply}"`);
-      if (req.userId) {
-        try {
-          const userMood = inferMoodFromText(message);
-          await ChatMessage.create({ userId: req.userId, role: 'user', content: message.trim(), mood: userMood });
-          await ChatMessage.create({ userId: req.userId, role: 'assistant', content: fallbackReply, mood: 'neutral' });
-        } catch (persistErr) {
-          console.error('Failed to persist chat messages (fallback):', persistErr?.message);
-        }
-      }
+// The account language, or for signed-out users the app language the client sends
+async function preferredLanguageFor(req) {
+  const user = req.userId ? await User.findById(req.userId).select('language').lean() : null;
+  return user?.language || req.body.language || 'en';
+}
+
+// Flagged messages never reach the model: Mate answers with a fixed safety
+// message in the user's language, plus helplines and their emergency contact
+// for the app to offer as one-tap actions.
+async function safetyResponse(req, store, message, risk) {
+  const user = req.userId
+    ? await User.findById(req.userId).select('language emergencyContactName emergencyContactPhone').lean()
+    : null;
+  const language = replyLanguage(user?.language || req.body.language, message);
+  const reply = safetyReply(language);
+  const saved = store
+    ? await saveExchange(store, message, reply, { source: 'safety', label: ' (safety)', flagged: true })
+    : null;
+
+  let event = null;
+  try {
+    event = await RiskEvent.create({
+      userId: req.userId || null,
+      level: risk.level,
+      score: risk.score,
+      rules: risk.rules,
+      chatMessageId: saved?.userMessage._id || null,
+    });
+  } catch (logErr) {
+    console.error('Failed to log risk event:', logErr?.message);
+  }
+
+  return {
+    reply,
+    source: 'safety',
+    ai_enabled: false,
+    language,
+    messageId: saved?.replyMessage._id || null,
+    conversation: saved?.conversation || null,
+    risk: crisisCard(risk, event, user),
+  };
+}
+
+// Stored conversations get their recent turns (and a summary of older ones) as
+// context from the database; unstored ones send their own recent turns
+const chatContextFor = (req, store) => {
+  if (!store) return clientChatContext(req.body.history);
+  return store.conversation ? buildChatContext(store.conversation._id) : { summary: '', history: [] };
+};
+
+export async function getChatbotReply(req, res) {
+  const message = req.body.message.trim();
+
+  const store = await chatStoreFor(req);
+  const risk = await assessRisk(message);
+  if (risk.level !== 'none') return res.json(await safetyResponse(req, store, message, risk));
+
+  const preferred = await preferredLanguageFor(req);
+  let language = replyLanguage(preferred, message);
+  try {
+    const context = await chatContextFor(req, store);
+    language = replyLanguage(preferred, message, context.history);
+    const data = await generateChatReply({ message, ...context, language });
 
-      return res.json({
-        reply: fallbackReply,
-        source: 'node_fallback',
-        ai_enabled: false,
-        note: 'Flask service unavailable, using fallback responses'
-      });
+    const source = data.source || 'flask';
+    const saved = store ? await saveExchange(store, message, data.reply, { source }) : null;
+    return res.json({
+      reply: data.reply,
+      source,
+      ai_enabled: data.source === 'ai',
+      language,
+      messageId: saved?.replyMessage._id || null,
+      conversation: saved?.conversation || null,
+    });
+  } catch (modelError) {
+    if (modelError.name === 'AbortError' || modelError.name === 'TimeoutError') {
+      console.error('Chat model timeout');
+    } else if (modelError.name !== 'CircuitOpenError') {
+      console.error('Chat model unavailable:', modelError.message);
     }
+    
+    // Fallback to simple responses if the model is unavailable
+    const reply = await fallbackReply(message, language);
+    console.log(`🔄 Using Node.js fallback: "${reply}"`);
+    const saved = store
+      ? await saveExchange(store, message, reply, { source: 'node_fallback', label: ' (fallback)' })
+      : null;
 
-  } catch (error) {
-    console.error(' Chatbot controller error:', error);
-    return res.status(500).json({
-      reply: "I'm here with you. I'm having trouble responding right now, but I'm listening.",
-      source: 'error',
-      ai_enabled: false
+    return res.json({
+      reply,
+      source: 'node_fallback',
+      ai_enabled: false,
+      language,
+      messageId: saved?.replyMessage._id || null,
+      conversation: saved?.conversation || null,
+      note: 'Chat model unavailable, using fallback responses'
     });
   }
 }
 
-function getFallbackReply(userText) {
-  const lowered = userText.toLowerCase();
-  
-  // Greeting responses
-  const greetingWords = ["hi", "hello", "hey", "good morning", "good afternoon", "good evening"];
-  if (greetingWords.some(word => lowered.includes(word)) && userText.split(' ').length <= 3) {
-    return "Hello! I'm Mate — your gentle companion here at MindMate++. What's on your mind today?";
+// POST /api/chatbot/reply/stream: same input as /reply, answered as Server-Sent
+// Events: `delta` ({ text }) while the model writes, then `done` ({ source,
+// ai_enabled, language, messageId, conversation }) or `error` ({ code, message }). Flagged messages get a `risk`
+// event first. The exchange is only stored once the reply is complete; if the
+// client disconnects the model request is cancelled and nothing is saved.
+export async function streamChatbotReply(req, res) {
+  const message = req.body.message.trim();
+
+  // Everything that can fail before the first event still ends up as a JSON error
+  const store = await chatStoreFor(req);
+  const risk = await assessRisk(message);
+  if (risk.level !== 'none') {
+    const { reply, source, language, messageId, conversation, risk: riskInfo } = await safetyResponse(
+      req,
+      store,
+      message,
+      risk
+    );
+    const stream = openEventStream(res);
+    stream.send('risk', riskInfo);
+    stream.send('delta', { text: reply });
+    stream.send('done', { source, ai_enabled: false, language, messageId, conversation });
+    return stream.close();
   }
-  
-  // Emotional keywords
-  if (lowered.includes('anxious') || lowered.includes('anxiety') || lowered.includes('nervous')) {
-    return "That sounds really tough. Try taking a few deep breaths with me. What's making you feel this way?";
+  const context = await chatContextFor(req, store);
+  const language = replyLanguage(await preferredLanguageFor(req), message, context.history);
+
+  const stream = openEventStream(res);
+  const cancelled = new AbortController();
+  res.on('close', () => {
+    if (!res.writableFinished) cancelled.abort();
+  });
+
+  let reply = '';
+  let source = null;
+  try {
+    for await (const event of streamChatReply({ message, ...context, language }, { signal: cancelled.signal })) {
+      if (event.error) throw new Error(event.error);
+      if (event.delta) {
+        reply += event.delta;
+        stream.send('delta', { text: event.delta });
+      }
+      if (event.done) source = event.source || 'flask';
+    }
+    if (!source) throw new Error('Reply stream ended without a done event');
+  } catch (modelError) {
+    if (cancelled.signal.aborted) return;
+    if (modelError.name !== 'CircuitOpenError') console.error('Reply stream failed:', modelError.message);
+    if (reply) {
+      // Part of the answer is already on screen; a canned reply can't follow it
+      stream.send('error', { code: 'UPSTREAM_UNAVAILABLE', message: 'The reply was interrupted' });
+      return stream.close();
+    }
+    reply = await fallbackReply(message, language);
+    source = 'node_fallback';
+    stream.send('delta', { text: reply });
   }
-  
-  if (lowered.includes('sad') || lowered.includes('down') || lowered.includes('upset') || lowered.includes('lonely')) {
-    return "I'm sorry you're going through that. Your feelings are valid. Want to share what's on your mind?";
+
+  const saved = store
+    ? await saveExchange(store, message, reply, { source, label: source === 'node_fallback' ? ' (fallback)' : '' })
+    : null;
+  stream.send('done', {
+    source,
+    ai_enabled: source === 'ai',
+    language,
+    messageId: saved?.replyMessage._id || null,
+    conversation: saved?.conversation || null,
+  });
+  stream.close();
+}
+
+// POST /api/chatbot/risk-events/:id/escalations (auth required): records what the
+// user did from the safety card, e.g. calling their emergency contact
+export async function recordRiskEscalation(req, res) {
+  const { action, helplineId } = req.body;
+  const result = await RiskEvent.updateOne(
+    { _id: req.params.id, userId: req.userId },
+    { $push: { escalations: { action, helplineId, at: new Date() } } }
+  );
+  if (result.matchedCount === 0) throw notFound('Risk event not found');
+  return res.status(201).json({ success: true });
+}
+
+const MAX_HISTORY_MESSAGES = 2000;
+
+// `feedback` is from feedbackFor(); replies carry the user's rating of their current version
+const toChatMessage = (d, feedback = {}) => ({
+  id: d._id,
+  conversationId: d.conversationId,
+  role: d.role,
+  text: d.content,
+  mood: d.mood,
+  ...(d.role === 'assistant' ? { feedback: feedback[d._id] || null, regenerated: replyVersion(d) > 0 } : {}),
+  createdAt: d.createdAt,
+});
+
+// Regenerating a reply starts a new version of it, rated and reported separately
+const replyVersion = (d) => d.previousReplies?.length || 0;
+
+// { [messageId]: { rating, reason } } for the current version of the replies among `docs`
+const feedbackFor = async (docs) => {
+  const replies = docs.filter((d) => d.role === 'assistant');
+  if (!replies.length) return {};
+  const versions = new Map(replies.map((d) => [String(d._id), replyVersion(d)]));
+  const feedback = await ChatFeedback.find({ messageId: { $in: replies.map((d) => d._id) } })
+    .select('messageId version rating reason')
+    .lean();
+  return Object.fromEntries(
+    feedback
+      .filter((f) => versions.get(String(f.messageId)) === f.version)
+      .map((f) => [f.messageId, { rating: f.rating, reason: f.reason || null }])
+  );
+};
+
+// The TTL monitor only runs once a minute, so reads check expiry as well
+const notExpired = () => ({ $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }] });
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// GET /api/chatbot/history (auth required): stored chat in ascending time, as far
+// back as the user's retention setting keeps it
+export async function getChatHistory(req, res) {
+  const docs = await ChatMessage.find({ userId: req.userId, ...notExpired() })
+    .sort({ createdAt: -1 })
+    .limit(MAX_HISTORY_MESSAGES)
+    .lean();
+  docs.reverse();
+  const feedback = await feedbackFor(docs);
+  return res.json({ messages: docs.map((d) => toChatMessage(d, feedback)) });
+}
+
+// GET /api/chatbot/conversations (auth required): the user's threads, most
+// recently active first. Pages continue from `before`, the nextCursor of the
+// previous page.
+export async function listConversations(req, res) {
+  const { archived, limit, before } = req.query;
+  const cursor = before
+    ? await Conversation.findOne({ _id: before, userId: req.userId }).select('lastMessageAt').lean()
+    : null;
+  if (before && !cursor) throw notFound('Conversation not found');
+  const docs = await Conversation.find({
+    userId: req.userId,
+    archived,
+    $and: [notExpired(), olderThan(cursor, 'lastMessageAt')],
+  })
+    .sort({ lastMessageAt: -1, _id: -1 })
+    .limit(limit + 1)
+    .lean();
+  const page = docs.slice(0, limit);
+  return res.json({
+    conversations: page.map(toConversation),
+    nextCursor: docs.length > limit ? page[page.length - 1]._id : null,
+  });
+}
+
+// POST /api/chatbot/conversations (auth required): starts an empty thread; one
+// is also started by sending a message without a conversationId
+export async function createConversation(req, res) {
+  const retention = await chatRetentionFor(req);
+  if (!retention) throw conflict('Chat history is turned off');
+  const { title } = req.body;
+  const conversation = await Conversation.create({
+    userId: req.userId,
+    title: title || '',
+    titleSource: title ? 'user' : 'auto',
+    expiresAt: chatExpiry(retention),
+  });
+  return res.status(201).json({ conversation: toConversation(conversation) });
+}
+
+// PATCH /api/chatbot/conversations/:id (auth required): rename and/or archive.
+// A renamed thread keeps its name; it is no longer titled automatically.
+export async function updateConversation(req, res) {
+  const { title, archived } = req.body;
+  const update = {};
+  if (title !== undefined) Object.assign(update, { title, titleSource: 'user' });
+  if (archived !== undefined) update.archived = archived;
+  const conversation = await Conversation.findOneAndUpdate({ _id: req.params.id, userId: req.userId }, update, {
+    new: true,
+    runValidators: true,
+  }).lean();
+  if (!conversation) throw notFound('Conversation not found');
+  return res.json({ conversation: toConversation(conversation) });
+}
+
+// DELETE /api/chatbot/conversations/:id (auth required): the thread and its messages
+export async function deleteConversation(req, res) {
+  await findConversation(req.userId, req.params.id);
+  const { deleted, keptForReview } = await deleteConversations(req.userId, { _id: req.params.id });
+  return res.json({ success: true, deleted, keptForReview });
+}
+
+// GET /api/chatbot/conversations/:id/messages (auth required): the newest
+// `limit` messages, oldest first; earlier pages continue from `before`
+export async function getConversationMessages(req, res) {
+  const { limit, before } = req.query;
+  const conversation = await findConversation(req.userId, req.params.id);
+  const cursor = before
+    ? await ChatMessage.findOne({ _id: before, conversationId: conversation._id }).select('createdAt').lean()
+    : null;
+  if (before && !cursor) throw notFound('Message not found');
+  const docs = await ChatMessage.find({
+    conversationId: conversation._id,
+    $and: [notExpired(), olderThan(cursor, 'createdAt')],
+  })
+    .sort({ createdAt: -1, _id: -1 })
+    .limit(limit + 1)
+    .lean();
+  const page = docs.slice(0, limit);
+  const nextCursor = docs.length > limit ? page[page.length - 1]._id : null;
+  page.reverse();
+  const feedback = await feedbackFor(page);
+  return res.json({
+    conversation: toConversation(conversation),
+    messages: page.map((d) => toChatMessage(d, feedback)),
+    nextCursor,
+  });
+}
+
+const MAX_REGENERATIONS = 5;
+
+// One of the user's stored replies, or a 404
+const findReply = async (userId, messageId) => {
+  const reply = await ChatMessage.findOne({ _id: messageId, userId, role: 'assistant', ...notExpired() }).lean();
+  if (!reply) throw notFound('Message not found');
+  return reply;
+};
+
+// The user message a reply answers
+const turnOf = (reply) =>
+  ChatMessage.findOne({ conversationId: reply.conversationId, role: 'user', _id: { $lt: reply._id } })
+    .sort({ _id: -1 })
+    .lean();
+
+// PUT /api/chatbot/messages/:id/feedback (auth required): thumbs up or down on
+// a reply, with an optional reason. Rating again replaces the earlier rating.
+export async function setReplyFeedback(req, res) {
+  const { rating, reason } = req.body;
+  const reply = await findReply(req.userId, req.params.id);
+  const feedback = await ChatFeedback.findOneAndUpdate(
+    { messageId: reply._id, version: replyVersion(reply) },
+    { userId: req.userId, rating, reason: reason ?? null, source: reply.source },
+    { upsert: true, new: true, runValidators: true, setDefaultsOnInsert: true }
+  ).lean();
+  return res.json({ feedback: { rating: feedback.rating, reason: feedback.reason || null } });
+}
+
+// DELETE /api/chatbot/messages/:id/feedback (auth required)
+export async function clearReplyFeedback(req, res) {
+  const reply = await findReply(req.userId, req.params.id);
+  await ChatFeedback.deleteOne({ messageId: reply._id, version: replyVersion(reply) });
+  return res.json({ success: true });
+}
+
+// POST /api/chatbot/messages/:id/regenerate (auth required): answers the same
+// message again and replaces the reply, keeping the old one in previousReplies.
+// Only the latest reply of a conversation can be regenerated, and never a
+// safety reply.
+export async function regenerateReply(req, res) {
+  const reply = await findReply(req.userId, req.params.id);
+  if (await ChatMessage.exists({ conversationId: reply.conversationId, _id: { $gt: reply._id } })) {
+    throw conflict('Only the latest reply can be regenerated');
   }
-  
-  if (lowered.includes('angry') || lowered.includes('frustrated') || lowered.includes('mad')) {
-    return "I can hear that you're feeling frustrated. Sometimes naming our emotions helps. What happened?";
+  if (replyVersion(reply) >= MAX_REGENERATIONS) throw conflict('This reply cannot be regenerated again');
+  const turn = await turnOf(reply);
+  if (!turn) throw conflict('The message this reply answers is no longer stored');
+  if (reply.source === 'safety' || (await RiskEvent.exists({ chatMessageId: turn._id }))) {
+    throw conflict('Safety replies cannot be regenerated');
   }
-  
-  if (lowered.includes('stressed') || lowered.includes('overwhelmed') || lowered.includes('pressure')) {
-    return "That sounds like a lot to handle. Stress can be really overwhelming. What's weighing on you most?";
+
+  const context = await buildChatContext(reply.conversationId, { before: turn.createdAt });
+  const language = replyLanguage(await preferredLanguageFor(req), turn.content, context.history);
+  let data;
+  try {
+    data = await generateChatReply({ message: turn.content, ...context, language });
+  } catch (modelError) {
+    if (modelError.name !== 'CircuitOpenError') console.error('Chat model unavailable:', modelError.message);
   }
-  
-  if (lowered.includes('tired') || lowered.includes('exhausted') || lowered.includes('drained')) {
-    return "It sounds like you're really tired. Rest is so important. Have you been able to take care of yourself today?";
+  // Flask answers with its canned replies when it has no model; those are no alternative
+  if (!data?.reply || data.source === 'fallback' || data.source === 'error') {
+    throw new ApiError(503, 'UPSTREAM_UNAVAILABLE', 'The chat model is unavailable. Please try again later.');
   }
-  
-  // General supportive response
-  return "I'm here to listen. What would you like to talk about today?";
+
+  // Matching on the content makes a concurrent regenerate of the same reply fail
+  const updated = await ChatMessage.findOneAndUpdate(
+    { _id: reply._id, content: reply.content },
+    {
+      content: data.reply,
+      source: data.source || 'flask',
+      $push: { previousReplies: { content: reply.content, source: reply.source, replacedAt: new Date() } },
+    },
+    { new: true }
+  ).lean();
+  if (!updated) throw conflict('The reply was changed in the meantime');
+  return res.json({ message: toChatMessage(updated), language });
 }
 
-// Simple keyword-based mood inference for analytics; not clinical-grade.
-function inferMoodFromText(text) {
-  const t = String(text || '').toLowerCase();
-  if (!t.trim()) return 'unknown';
-  if (/(anxious|anxiety|nervous|panic)/.test(t)) return 'anxious';
-  if (/(sad|down|upset|lonely|depressed|unhappy)/.test(t)) return 'sad';
-  if (/(angry|frustrated|mad|irritated|annoyed|furious)/.test(t)) return 'angry';
-  if (/(stressed|overwhelmed|pressure|burned out|burnt out)/.test(t)) return 'stressed';
-  if (/(tired|exhausted|drained|sleepy|fatigued)/.test(t)) return 'tired';
-  if (/(great|good|happy|calm|relaxed|okay|fine)/.test(t)) return 'positive';
-  return 'neutral';
+// POST /api/chatbot/messages/:id/reports (auth required): queues the reply,
+// together with the message it answers, for moderator review
+export async function reportReply(req, res) {
+  const { reason, details } = req.body;
+  const reply = await findReply(req.userId, req.params.id);
+  const version = replyVersion(reply);
+  if (await ChatReport.exists({ messageId: reply._id, version })) throw conflict('This reply has already been reported');
+  const turn = await turnOf(reply);
+  const report = await ChatReport.create({
+    userId: req.userId,
+    messageId: reply._id,
+    version,
+    conversationId: reply.conversationId,
+    reason,
+    details,
+    exchange: { message: turn?.content || '', reply: reply.content, source: reply.source },
+  });
+  return res.status(201).json({ report: { id: report._id, status: report.status, createdAt: report.createdAt } });
 }
 
-// GET /api/chatbot/history (auth required): return last 7 days chat in ascending time
-export async function getChatHistory(req, res) {
-  try {
-    if (!req.userId) return res.status(401).json({ message: 'Unauthorized' });
-    const since = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000);
-    const docs = await ChatMessage.find({ userId: req.userId, createdAt: { $gte: since } })
-      .sort({ createdAt: 1 })
-      .lean();
-    return res.json({ messages: docs.map(d => ({ id: d._id, role: d.role, text: d.content, mood: d.mood, createdAt: d.createdAt })) });
-  } catch (err) {
-    console.error('getChatHistory error:', err);
-    return res.status(500).json({ message: 'Internal server error' });
-  }
+const toChatReport = (r) => ({
+  id: r._id,
+  userId: r.userId,
+  messageId: r.messageId,
+  reason: r.reason,
+  details: r.details,
+  exchange: r.exchange,
+  status: r.status,
+  reviewedBy: r.reviewedBy || null,
+  reviewedAt: r.reviewedAt || null,
+  reviewNote: r.reviewNote || '',
+  createdAt: r.createdAt,
+});
+
+// GET /api/chatbot/reports (moderators): the review queue, newest first
+export async function listChatReports(req, res) {
+  const { status, limit, before } = req.query;
+  const cursor = before ? await ChatReport.findById(before).select('createdAt').lean() : null;
+  if (before && !cursor) throw notFound('Report not found');
+  const docs = await ChatReport.find({ ...(status ? { status } : {}), ...olderThan(cursor, 'createdAt') })
+    .sort({ createdAt: -1, _id: -1 })
+    .limit(limit + 1)
+    .lean();
+  const page = docs.slice(0, limit);
+  return res.json({
+    reports: page.map(toChatReport),
+    nextCursor: docs.length > limit ? page[page.length - 1]._id : null,
+  });
+}
+
+// PATCH /api/chatbot/reports/:id (moderators): closes a report, or reopens it
+export async function reviewChatReport(req, res) {
+  const { status, note } = req.body;
+  const update =
+    status === 'open'
+      ? { status, $unset: { reviewedBy: 1, reviewedAt: 1 } }
+      : { status, reviewedBy: req.userId, reviewedAt: new Date() };
+  if (note !== undefined) update.reviewNote = note;
+  const report = await ChatReport.findByIdAndUpdate(req.params.id, update, { new: true, runValidators: true }).lean();
+  if (!report) throw notFound('Report not found');
+  return res.json({ report: toChatReport(report) });
+}
+
+// Deleted messages must not live on in the summaries Mate is given, so those of
+// the conversations they were in go too (the next exchanges rebuild them), as
+// do conversations left without any messages and the messages' own records
+const deleteChatMessages = async (filter) => {
+  const conversationIds = await ChatMessage.find(filter).distinct('conversationId');
+  const messageIds = await ChatMessage.find(filter).distinct('_id');
+  const keptForReview = await deleteMessageRecords(filter.userId, messageIds);
+  const { deletedCount } = await ChatMessage.deleteMany(filter);
+  const remaining = await ChatMessage.find({ conversationId: { $in: conversationIds } }).distinct('conversationId');
+  await Promise.all([
+    ChatSummary.deleteMany({ conversationId: { $in: conversationIds } }),
+    Conversation.deleteMany({ _id: { $in: conversationIds, $nin: remaining } }),
+  ]);
+  return { deleted: deletedCount, keptForReview };
+};
+
+// DELETE /api/chatbot/history (auth required): deletes all stored chat, every
+// conversation included, with all of the user's chat feedback, closed reports
+// and risk flags. `keptForReview` counts reports still open for moderators.
+export async function deleteChatHistory(req, res) {
+  const keptForReview = await deleteMessageRecords(req.userId);
+  const [deleted] = await Promise.all([
+    ChatMessage.deleteMany({ userId: req.userId }).then((r) => r.deletedCount),
+    ChatSummary.deleteMany({ userId: req.userId }),
+    Conversation.deleteMany({ userId: req.userId }),
+  ]);
+  return res.json({ success: true, deleted, keptForReview });
 }
 
-// GET /api/chatbot/analytics (auth required): basic mood counts and daily totals
+// DELETE /api/chatbot/history/:date (auth required): deletes one day, given as
+// YYYY-MM-DD in the client's time zone (`tzOffset` in minutes, as returned by
+// Date#getTimezoneOffset)
+export async function deleteChatHistoryDay(req, res) {
+  const start = new Date(Date.parse(`${req.params.date}T00:00:00Z`) + req.query.tzOffset * 60 * 1000);
+  const { deleted, keptForReview } = await deleteChatMessages({
+    userId: req.userId,
+    createdAt: { $gte: start, $lt: new Date(start.getTime() + DAY_MS) },
+  });
+  return res.json({ success: true, deleted, keptForReview });
+}
+
+// GET /api/chatbot/settings (auth required)
+export async function getChatSettings(req, res) {
+  const user = await User.findById(req.userId).select('chatRetention').lean();
+  if (!user) throw notFound('User not found');
+  return res.json({ retention: user.chatRetention || DEFAULT_CHAT_RETENTION });
+}
+
+// PUT /api/chatbot/settings (auth required): changing retention also applies to
+// history already stored, and 'off' deletes it
+export async function updateChatSettings(req, res) {
+  const { retention } = req.body;
+  const user = await User.findByIdAndUpdate(req.userId, { chatRetention: retention }, { new: true, runValidators: true })
+    .select('chatRetention')
+    .lean();
+  if (!user) throw notFound('User not found');
+  const keptForReview = await applyChatRetention(req.userId, retention);
+  return res.json({ retention: user.chatRetention, keptForReview });
+}
+
+// GET /api/chatbot/analytics (auth required): basic mood counts and daily totals.
+// `moodDetails` adds the average confidence and intensity behind each count.
+// Longer ranges, journals and exercises are in GET /api/analytics/wellbeing.
 export async function getChatAnalytics(req, res) {
-  try {
-    if (!req.userId) return res.status(401).json({ message: 'Unauthorized' });
-    const since = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000);
-    const [moodCounts, dailyCounts] = await Promise.all([
-      ChatMessage.aggregate([
-        { $match: { userId: new ChatMessage.db.Types.ObjectId(req.userId), role: 'user', createdAt: { $gte: since } } },
-        { $group: { _id: '$mood', count: { $sum: 1 } } },
-      ]),
-      ChatMessage.aggregate([
-        { $match: { userId: new ChatMessage.db.Types.ObjectId(req.userId), createdAt: { $gte: since } } },
-        { $group: { _id: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt' } }, messages: { $sum: 1 } } },
-        { $sort: { _id: 1 } },
-      ]),
-    ]);
-
-    const moodMap = {};
-    for (const m of moodCounts) moodMap[m._id || 'unknown'] = m.count;
-    return res.json({
-      rangeStart: since,
-      moods: moodMap,
-      daily: dailyCounts.map(d => ({ date: d._id, messages: d.messages })),
-    });
-  } catch (err) {
-    console.error('getChatAnalytics error:', err);
-    return res.status(500).json({ message: 'Internal server error' });
+  const since = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000);
+  const [moodCounts, dailyCounts] = await Promise.all([
+    ChatMessage.aggregate([
+      { $match: { userId: new ChatMessage.db.Types.ObjectId(req.userId), role: 'user', createdAt: { $gte: since } } },
+      {
+        $group: {
+          _id: '$mood',
+          count: { $sum: 1 },
+          confidence: { $avg: '$moodConfidence' },
+          intensity: { $avg: '$moodIntensity' },
+        },
+      },
+    ]),
+    ChatMessage.aggregate([
+      { $match: { userId: new ChatMessage.db.Types.ObjectId(req.userId), createdAt: { $gte: since } } },
+      { $group: { _id: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt' } }, messages: { $sum: 1 } } },
+      { $sort: { _id: 1 } },
+    ]),
+  ]);
+
+  const round = (n) => (n == null ? null : Math.round(n * 100) / 100);
+  const moodMap = {};
+  const moodDetails = {};
+  for (const m of moodCounts) {
+    const mood = m._id || 'unknown';
+    moodMap[mood] = m.count;
+    // Messages stored before classification had confidence average to null
+    moodDetails[mood] = { count: m.count, confidence: round(m.confidence), intensity: round(m.intensity) };
   }
+  return res.json({
+    rangeStart: since,
+    moods: moodMap,
+    moodDetails,
+    daily: dailyCounts.map(d => ({ date: d._id, messages: d.messages })),
+  });
 }
\ No newline at end of file
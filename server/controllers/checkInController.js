@@ -0,0 +1,89 @@
+import Journal from '../models/Journal.js';
+import MoodCheckIn from '../models/MoodCheckIn.js';
+import { badRequest, forbidden, notFound } from '../utils/apiError.js';
+import { olderThan } from '../utils/conversations.js';
+import { rangeBounds, resolveRange } from '../utils/wellbeingAnalytics.js';
+import { checkInTrends } from '../utils/checkInTrends.js';
+
+const findCheckIn = async (id, userId) => {
+  const checkIn = await MoodCheckIn.findById(id).lean();
+  if (!checkIn) throw notFound('Check-in not found');
+  if (String(checkIn.userId) !== String(userId)) throw forbidden();
+  return checkIn;
+};
+
+// Check-ins may only link the user's own entries
+const assertOwnJournal = async (journalId, userId) => {
+  if (journalId && !(await Journal.exists({ _id: journalId, userId }))) throw notFound('Journal not found');
+};
+
+// GET /api/checkins (auth required): newest first, optionally only those
+// between the local days `from` and `to`. Pages continue from `before`.
+export async function getCheckIns(req, res) {
+  const { from, to, tzOffset, limit, before } = req.query;
+  if (from && to && from > to) throw badRequest('from must not be after to');
+  const cursor = before
+    ? await MoodCheckIn.findOne({ _id: before, userId: req.userId }).select('checkedInAt').lean()
+    : null;
+  if (before && !cursor) throw notFound('Check-in not found');
+
+  const checkedInAt = {};
+  if (from) checkedInAt.$gte = rangeBounds(from, from, tzOffset).start;
+  if (to) checkedInAt.$lt = rangeBounds(to, to, tzOffset).end;
+  const docs = await MoodCheckIn.find({
+    userId: req.userId,
+    ...(from || to ? { checkedInAt } : {}),
+    ...olderThan(cursor, 'checkedInAt'),
+  })
+    .sort({ checkedInAt: -1, _id: -1 })
+    .limit(limit + 1)
+    .lean();
+  const page = docs.slice(0, limit);
+  return res.json({ checkIns: page, nextCursor: docs.length > limit ? page[page.length - 1]._id : null });
+}
+
+// GET /api/checkins/trends (auth required)
+export async function getCheckInTrends(req, res) {
+  const { granularity, tzOffset } = req.query;
+  const { from, to } = resolveRange(req.query);
+  return res.json(await checkInTrends(req.userId, { from, to, granularity, tzOffset }));
+}
+
+// POST /api/checkins (auth required)
+export async function createCheckIn(req, res) {
+  await assertOwnJournal(req.body.journalId, req.userId);
+  const checkIn = await MoodCheckIn.create({ ...req.body, userId: req.userId });
+  return res.status(201).json(checkIn);
+}
+
+// GET /api/checkins/:id (auth required)
+export async function getCheckIn(req, res) {
+  return res.json(await findCheckIn(req.params.id, req.userId));
+}
+
+// PATCH /api/checkins/:id (auth required): null clears energy, sleep, the note
+// or the journal link
+export async function updateCheckIn(req, res) {
+  const checkIn = await findCheckIn(req.params.id, req.userId);
+  await assertOwnJournal(req.body.journalId, req.userId);
+  const $set = {};
+  const $unset = {};
+  for (const [field, value] of Object.entries(req.body)) {
+    if (value === undefined) continue;
+    if (value === null || value === '') $unset[field] = 1;
+    else $set[field] = value;
+  }
+  const updated = await MoodCheckIn.findByIdAndUpdate(
+    checkIn._id,
+    { $set, ...(Object.keys($unset).length ? { $unset } : {}) },
+    { new: true, runValidators: true }
+  ).lean();
+  return res.json(updated);
+}
+
+// DELETE /api/checkins/:id (auth required)
+export async function deleteCheckIn(req, res) {
+  const checkIn = await findCheckIn(req.params.id, req.userId);
+  await MoodCheckIn.deleteOne({ _id: checkIn._id });
+  return res.json({ success: true });
+}
@@ -0,0 +1,178 @@
+import Exercise from '../models/Exercise.js';
+import RiskEvent from '../models/RiskEvent.js';
+import User from '../models/User.js';
+import { conflict, notFound } from '../utils/apiError.js';
+import { olderThan } from '../utils/conversations.js';
+import { assessRisk } from '../utils/riskDetection.js';
+import { crisisCard } from '../utils/crisisSupport.js';
+import {
+  EXERCISE_FLOWS,
+  answerLabel,
+  answerText,
+  answersByStep,
+  findStep,
+  firstStep,
+  flowClosing,
+  flowTitle,
+  flowView,
+  normalizeAnswer,
+  stepAfter,
+  stepCount,
+  stepView,
+} from '../utils/exerciseFlows.js';
+
+const toExercise = (doc) => {
+  const flow = EXERCISE_FLOWS[doc.flow];
+  const { language } = doc;
+  const completed = doc.status === 'completed';
+  return {
+    id: doc._id,
+    flow: doc.flow,
+    title: flowTitle(flow, language),
+    language,
+    status: doc.status,
+    step: completed ? null : stepView(flow, doc.currentStep, language),
+    progress: { answered: doc.answers.length, total: stepCount(flow, answersByStep(doc.answers)) },
+    answers: doc.answers.map((a) => ({
+      step: a.step,
+      prompt: stepView(flow, a.step, language).prompt,
+      value: a.value,
+      label: answerLabel(flow, a.step, a.value, language),
+      answeredAt: a.answeredAt,
+    })),
+    closing: completed ? flowClosing(flow, language) : null,
+    startedAt: doc.createdAt,
+    updatedAt: doc.updatedAt,
+    completedAt: doc.completedAt,
+  };
+};
+
+const findExercise = async (userId, id) => {
+  const exercise = await Exercise.findOne({ _id: id, userId }).lean();
+  if (!exercise) throw notFound('Exercise not found');
+  return exercise;
+};
+
+// GET /api/chatbot/exercises/flows (auth required): the exercises on offer, in
+// the user's language unless another app language is asked for
+export async function listExerciseFlows(req, res) {
+  const user = await User.findById(req.userId).select('language').lean();
+  const language = req.query.language || user?.language || 'en';
+  return res.json({ flows: Object.values(EXERCISE_FLOWS).map((flow) => flowView(flow, language)) });
+}
+
+// GET /api/chatbot/exercises (auth required): runs in progress, most recently
+// touched first, or completed ones, most recently finished first
+export async function listExercises(req, res) {
+  const { status, limit, before } = req.query;
+  const field = status === 'completed' ? 'completedAt' : 'updatedAt';
+  const cursor = before ? await Exercise.findOne({ _id: before, userId: req.userId }).select(field).lean() : null;
+  if (before && !cursor) throw notFound('Exercise not found');
+  const docs = await Exercise.find({ userId: req.userId, status, ...olderThan(cursor, field) })
+    .sort({ [field]: -1, _id: -1 })
+    .limit(limit + 1)
+    .lean();
+  const page = docs.slice(0, limit);
+  return res.json({
+    exercises: page.map(toExercise),
+    nextCursor: docs.length > limit ? page[page.length - 1]._id : null,
+  });
+}
+
+// POST /api/chatbot/exercises (auth required): starts a flow, or resumes the
+// run of it already in progress (200 instead of 201)
+export async function startExercise(req, res) {
+  const { flow, language } = req.body;
+  const existing = await Exercise.findOne({ userId: req.userId, flow, status: 'active' }).lean();
+  if (existing) return res.json({ exercise: toExercise(existing) });
+  const user = await User.findById(req.userId).select('language').lean();
+  const exercise = await Exercise.create({
+    userId: req.userId,
+    flow,
+    language: language || user?.language || 'en',
+    currentStep: firstStep(EXERCISE_FLOWS[flow]),
+  });
+  return res.status(201).json({ exercise: toExercise(exercise.toObject()) });
+}
+
+// GET /api/chatbot/exercises/:id (auth required)
+export async function getExercise(req, res) {
+  const exercise = await findExercise(req.userId, req.params.id);
+  return res.json({ exercise: toExercise(exercise) });
+}
+
+// Words in an answer that read as a crisis get the same safety card as a chat
+// message would, and are logged as a risk event. The run carries on either way.
+async function screenAnswer(req, exercise, text) {
+  if (!text) return null;
+  const risk = await assessRisk(text);
+  if (risk.level === 'none') return null;
+  const user = await User.findById(req.userId).select('emergencyContactName emergencyContactPhone').lean();
+  let event = null;
+  try {
+    event = await RiskEvent.create({
+      userId: req.userId,
+      source: 'exercise',
+      level: risk.level,
+      score: risk.score,
+      rules: risk.rules,
+      exerciseId: exercise._id,
+    });
+  } catch (logErr) {
+    console.error('Failed to log risk event:', logErr?.message);
+  }
+  return crisisCard(risk, event, user);
+}
+
+// POST /api/chatbot/exercises/:id/answers (auth required): answers the current
+// step and moves on. `step` must be the step waiting for an answer, so a
+// repeated submit can't answer the next one too.
+export async function answerExercise(req, res) {
+  const { step: stepId, value } = req.body;
+  const exercise = await findExercise(req.userId, req.params.id);
+  if (exercise.status !== 'active') throw conflict('Exercise is already completed');
+  if (exercise.currentStep !== stepId) throw conflict('That step is not the current one');
+
+  const flow = EXERCISE_FLOWS[exercise.flow];
+  const step = findStep(flow, stepId);
+  const answer = normalizeAnswer(step, value);
+  const next = stepAfter(flow, stepId, { ...answersByStep(exercise.answers), [stepId]: answer });
+  const update = {
+    $push: { answers: { step: stepId, value: answer, answeredAt: new Date() } },
+    $set: next ? { currentStep: next } : { currentStep: null, status: 'completed', completedAt: new Date() },
+  };
+  const updated = await Exercise.findOneAndUpdate(
+    { _id: exercise._id, status: 'active', currentStep: stepId },
+    update,
+    { new: true }
+  ).lean();
+  if (!updated) throw conflict('That step is not the current one');
+
+  const risk = await screenAnswer(req, exercise, answerText(step, answer));
+  return res.json({ exercise: toExercise(updated), ...(risk ? { risk } : {}) });
+}
+
+// POST /api/chatbot/exercises/:id/back (auth required): takes back the last
+// answer of a run in progress; the step view carries it to edit
+export async function stepBackExercise(req, res) {
+  const exercise = await findExercise(req.userId, req.params.id);
+  if (exercise.status !== 'active') throw conflict('Exercise is already completed');
+  const last = exercise.answers[exercise.answers.length - 1];
+  if (!last) throw conflict('Already at the first step');
+  const updated = await Exercise.findOneAndUpdate(
+    { _id: exercise._id, status: 'active', currentStep: exercise.currentStep, answers: { $size: exercise.answers.length } },
+    { $pop: { answers: 1 }, $set: { currentStep: last.step } },
+    { new: true }
+  ).lean();
+  if (!updated) throw conflict('Exercise was changed, reload it');
+  const view = toExercise(updated);
+  return res.json({ exercise: { ...view, step: { ...view.step, answer: last.value } } });
+}
+
+// DELETE /api/chatbot/exercises/:id (auth required): abandons a run in
+// progress or removes a completed one
+export async function deleteExercise(req, res) {
+  const result = await Exercise.deleteOne({ _id: req.params.id, userId: req.userId });
+  if (result.deletedCount === 0) throw notFound('Exercise not found');
+  return res.json({ success: true });
+}
@@ -1,80 +1,80 @@
 import { google } from 'googleapis';
 import User from '../models/User.js';
+import { ApiError } from '../utils/apiError.js';
 
 function getOAuth2Client() {
   const clientId = process.env.EXPO_PUBLIC_GOOGLE_CLIENT_ID;
   const clientSecret = process.env.EXPO_PUBLIC_GOOGLE_CLIENT_SECRET;
   const redirectUri = process.env.EXPO_PUBLIC_GOOGLE_REDIRECT_URI;
   if (!clientId || !redirectUri) {
-    throw new Error('Missing GOOGLE_CLIENT_ID or GOOGLE_REDIRECT_URI');
+    throw new ApiError(503, 'GOOGLE_NOT_CONFIGURED', 'Missing GOOGLE_CLIENT_ID or GOOGLE_REDIRECT_URI');
   }
   return new google.auth.OAuth2(clientId, clientSecret || undefined, redirectUri);
 }
 
+// Failures reported by Google itself surface as 502s with Google's description
+const toGoogleError = (err) => {
+  if (err instanceof ApiError) return err;
+  console.error('Google API error:', {
+    message: err?.message,
+    code: err?.code,
+    response: err?.response?.data
+  });
+  const message = err?.response?.data?.error_description || err?.message || 'Google request failed';
+  return new ApiError(502, 'GOOGLE_API_ERROR', message);
+};
+
 export async function exchangeGoogleCode(req, res) {
+  const { code } = req.body;
+
+  // Check if user already has Google credentials
+  const existingUser = await User.findById(req.userId).lean();
+  if (existingUser?.google?.refreshToken) {
+    console.log('User already has Google credentials, skipping exchange');
+    return res.json({ connected: true, hasRefreshToken: true, alreadyConnected: true });
+  }
+
+  const oauth2 = getOAuth2Client();
+
   try {
-    if (!req.userId) return res.status(401).json({ message: 'Unauthorized' });
-    const { code } = req.body || {};
-    if (!code) return res.status(400).json({ message: 'Missing code' });
-    
-    // Check if user already has Google credentials
-    const existingUser = await User.findById(req.userId).lean();
-    if (existingUser?.google?.refreshToken) {
-      console.log('User already has Google credentials, skipping exchange');
-      return res.json({ connected: true, hasRefreshToken: true, alreadyConnected: true });
+    const { tokens } = await oauth2.getToken({ code });
+    const { refresh_token, access_token, expiry_date, scope } = tokens;
+
+    if (!refresh_token && !access_token) {
+      throw new ApiError(502, 'GOOGLE_API_ERROR', 'No tokens returned from Google');
     }
-    
-    const oauth2 = getOAuth2Client();
-    
-    try {
-      const { tokens } = await oauth2.getToken({ code });
-      const { refresh_token, access_token, expiry_date, scope } = tokens;
-      
-      if (!refresh_token && !access_token) {
-        return res.status(400).json({ message: 'No tokens returned from Google' });
-      }
-      
-      const update = {
-        'google.refreshToken': refresh_token || undefined,
-        'google.accessToken': access_token || undefined,
-        'google.tokenExpiry': expiry_date ? new Date(expiry_date) : undefined,
-        'google.scope': scope,
-      };
-      
-      await User.findByIdAndUpdate(req.userId, update, { new: true });
-      console.log('Google credentials saved successfully for user:', req.userId);
-      return res.json({ connected: true, hasRefreshToken: Boolean(refresh_token) });
-    } catch (tokenError) {
-      // Handle invalid_grant error - code already used or expired
-      if (tokenError?.response?.data?.error === 'invalid_grant') {
-        console.warn('invalid_grant error - code may have been used or expired');
-        // Check if tokens were saved anyway (race condition where first request succeeded)
-        const user = await User.findById(req.userId).lean();
-        if (user?.google?.refreshToken) {
-          console.log('Tokens already exist despite invalid_grant error');
-          return res.json({ connected: true, hasRefreshToken: true, alreadyConnected: true });
-        }
-        return res.status(400).json({ 
-          message: 'Authorization code expired or already used. Please try connecting again.',
-          error: 'invalid_grant'
-        });
+
+    const update = {
+      'google.refreshToken': refresh_token || undefined,
+      'google.accessToken': access_token || undefined,
+      'google.tokenExpiry': expiry_date ? new Date(expiry_date) : undefined,
+      'google.scope': scope,
+    };
+
+    await User.findByIdAndUpdate(req.userId, update, { new: true });
+    console.log('Google credentials saved successfully for user:', req.userId);
+    return res.json({ connected: true, hasRefreshToken: Boolean(refresh_token) });
+  } catch (tokenError) {
+    // Handle invalid_grant error - code already used or expired
+    if (tokenError?.response?.data?.error === 'invalid_grant') {
+      console.warn('invalid_grant error - code may have been used or expired');
+      // Check if tokens were saved anyway (race condition where first request succeeded)
+      const user = await User.findById(req.userId).lean();
+      if (user?.google?.refreshToken) {
+        console.log('Tokens already exist despite invalid_grant error');
+        return res.json({ connected: true, hasRefreshToken: true, alreadyConnected: true });
       }
-      throw tokenError;
+      throw new ApiError(400, 'GOOGLE_INVALID_GRANT', 'Authorization code expired or already used. Please try connecting again.');
     }
-  } catch (err) {
-    console.error('exchangeGoogleCode error:', {
-      message: err?.message,
-      code: err?.code,
-      response: err?.response?.data
-    });
-    const errorMessage = err?.response?.data?.error_description || err?.message || 'Internal server error';
-    return res.status(500).json({ message: errorMessage });
+    throw toGoogleError(tokenError);
   }
 }
 
 async function getAuthedCalendarForUser(userId) {
   const user = await User.findById(userId).lean();
-  if (!user?.google?.refreshToken) throw new Error('Google not connected');
+  if (!user?.google?.refreshToken) {
+    throw new ApiError(400, 'GOOGLE_NOT_CONNECTED', 'Google not connected');
+  }
   const oauth2 = getOAuth2Client();
   oauth2.setCredentials({ refresh_token: user.google.refreshToken });
   const calendar = google.calendar({ version: 'v3', auth: oauth2 });
@@ -82,10 +82,9 @@ async function getAuthedCalendarForUser(userId) {
 }
 
 export async function listCalendarEvents(req, res) {
+  const { calendar } = await getAuthedCalendarForUser(req.userId);
+  const now = new Date();
   try {
-    if (!req.userId) return res.status(401).json({ message: 'Unauthorized' });
-    const { calendar } = await getAuthedCalendarForUser(req.userId);
-    const now = new Date();
     const { data } = await calendar.events.list({
       calendarId: 'primary',
       timeMin: now.toISOString(),
@@ -95,45 +94,30 @@ export async function listCalendarEvents(req, res) {
     });
     return res.json({ events: data.items || [] });
   } catch (err) {
-    console.error('listCalendarEvents error:', err?.message || err);
-    const status = /not connected/i.test(String(err?.message)) ? 400 : 500;
-    return res.status(status).json({ message: err?.message || 'Internal server error' });
+    throw toGoogleError(err);
   }
 }
 
 export async function createCalendarEvent(req, res) {
+  const { summary, description, startIso, endIso, timeZone } = req.body;
+  const { calendar } = await getAuthedCalendarForUser(req.userId);
+  const event = {
+    summary,
+    description,
+    start: { dateTime: startIso, timeZone: timeZone || 'UTC' },
+    end: { dateTime: endIso, timeZone: timeZone || 'UTC' },
+  };
   try {
-    if (!req.userId) return res.status(401).json({ message: 'Unauthorized' });
-    const { summary, description, startIso, endIso, timeZone } = req.body || {};
-    if (!summary || !startIso || !endIso) {
-      return res.status(400).json({ message: 'summary, startIso, endIso are required' });
-    }
-    const { calendar } = await getAuthedCalendarForUser(req.userId);
-    const event = {
-      summary,
-      description,
-      start: { dateTime: startIso, timeZone: timeZone || 'UTC' },
-      end: { dateTime: endIso, timeZone: timeZone || 'UTC' },
-    };
     const { data } = await calendar.events.insert({ calendarId: 'primary', requestBody: event });
     return res.status(201).json({ event: data });
   } catch (err) {
-    console.error('createCalendarEvent error:', err?.message || err);
-    const status = /not connected/i.test(String(err?.message)) ? 400 : 500;
-    return res.status(status).json({ message: err?.message || 'Internal server error' });
+    throw toGoogleError(err);
   }
 }
 
 export async function disconnectGoogle(req, res) {
-  try {
-    if (!req.userId) return res.status(401).json({ message: 'Unauthorized' });
-    await User.findByIdAndUpdate(req.userId, {
-      $unset: { google: 1 },
-    });
-    return res.json({ disconnected: true });
-  } catch (err) {
-    return res.status(500).json({ message: 'Internal server error' });
-  }
+  await User.findByIdAndUpdate(req.userId, {
+    $unset: { google: 1 },
+  });
+  return res.json({ disconnected: true });
 }
-
-
@@ -1,51 +1,328 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import bcrypt from 'bcryptjs';
 import Journal from '../models/Journal.js';
+import JournalVersion from '../models/JournalVersion.js';
+import JournalKey from '../models/JournalKey.js';
+import MoodCheckIn from '../models/MoodCheckIn.js';
+import User from '../models/User.js';
+import { badRequest, conflict, forbidden, notFound } from '../utils/apiError.js';
+import { classifyMood } from '../utils/moodClassification.js';
+import { olderThan } from '../utils/conversations.js';
+import { highlight, searchTerms, snippet } from '../utils/journalSearch.js';
+import { ANALYTICS_SOURCES, localDate } from '../utils/wellbeingAnalytics.js';
+import { JOURNAL_PROMPTS, moodBand, promptOfTheDay, promptView, promptsFor } from '../utils/journalPrompts.js';
 
+const DAY_MS = 24 * 60 * 60 * 1000;
+// How far back the recent mood for the daily prompt looks
+const PROMPT_MOOD_DAYS = 7;
+
+// The instant local day `day` (YYYY-MM-DD) starts at, for a Date#getTimezoneOffset style offset
+const localDayStart = (day, tzOffset) => new Date(Date.parse(`${day}T00:00:00Z`) + tzOffset * 60 * 1000);
+
+const tagsFilter = (tags) => (tags?.length ? { tags: { $all: tags } } : {});
+
+// The user's entries, newest first, optionally only those written between the
+// local days `from` and `to` and having all of `tags`. Pages continue from
+// `before`, the nextCursor of the previous page.
 export const getJournals = async (req, res) => {
-  try {
-    // Only return journals belonging to the authenticated user
-    const userFilter = req.userId ? { userId: req.userId } : { _id: null }; // fallback to empty result if no user
-    const journals = await Journal.find(userFilter).sort({ createdAt: -1 }).lean();
-    res.json(journals);
-  } catch (err) {
-    res.status(500).json({ message: 'Failed to fetch journals' });
-  }
+  const { from, to, tzOffset, tags, limit, before } = req.query;
+  if (from && to && from > to) throw badRequest('from must not be after to');
+  const cursor = before ? await Journal.findOne({ _id: before, userId: req.userId }).select('writtenAt').lean() : null;
+  if (before && !cursor) throw notFound('Journal not found');
+
+  const writtenAt = {};
+  if (from) writtenAt.$gte = localDayStart(from, tzOffset);
+  if (to) writtenAt.$lt = new Date(localDayStart(to, tzOffset).getTime() + DAY_MS);
+  const docs = await Journal.find({
+    userId: req.userId,
+    ...(from || to ? { writtenAt } : {}),
+    ...tagsFilter(tags),
+    ...olderThan(cursor, 'writtenAt'),
+  })
+    .sort({ writtenAt: -1, _id: -1 })
+    .limit(limit + 1)
+    .lean();
+  const page = docs.slice(0, limit);
+  res.json({ journals: page, nextCursor: docs.length > limit ? page[page.length - 1]._id : null });
+};
+
+// Encrypted entries can only be read with a key the user has set up
+const assertEncryptionSetUp = async (userId) => {
+  if (!(await JournalKey.exists({ userId }))) throw badRequest('Set up journal encryption first');
 };
 
 export const createJournal = async (req, res) => {
-  try {
-    const { title, date, time, summary } = req.body || {};
-    if (!title || !summary) {
-      return res.status(400).json({ message: 'title and summary are required' });
-    }
-    if (!req.userId) {
-      return res.status(401).json({ message: 'Unauthorized' });
-    }
-    const now = new Date();
-    const fallbackDate = date && String(date).trim().length > 0 ? date : now.toLocaleDateString(undefined, { year: 'numeric', month: 'short', day: 'numeric' });
-    const fallbackTime = time && String(time).trim().length > 0 ? time : now.toLocaleTimeString(undefined, { hour: '2-digit', minute: '2-digit' });
-    const created = await Journal.create({ title, date: fallbackDate, time: fallbackTime, summary, userId: req.userId });
-    res.status(201).json(created);
-  } catch (err) {
-    res.status(500).json({ message: 'Failed to create journal' });
+  const { title, writtenAt, date, time, summary, cipher, tags, promptId } = req.body;
+  if (cipher) await assertEncryptionSetUp(req.userId);
+  const { mood, intensity } = cipher ? { mood: 'unknown' } : await classifyMood(`${title}\n${summary}`);
+  const created = await Journal.create({
+    title,
+    writtenAt: writtenAt || new Date(),
+    date,
+    time,
+    summary,
+    cipher,
+    tags,
+    promptId,
+    mood,
+    moodIntensity: intensity,
+    userId: req.userId,
+  });
+  res.status(201).json(created);
+};
+
+export const listJournalPrompts = async (req, res) => {
+  const { concern } = req.query;
+  const user = await User.findById(req.userId).select('language').lean();
+  const language = req.query.language || user?.language || 'en';
+  const prompts = concern ? JOURNAL_PROMPTS.filter((prompt) => prompt.concerns.includes(concern)) : JOURNAL_PROMPTS;
+  res.json({ prompts: prompts.map((prompt) => promptView(prompt, language)) });
+};
+
+// The average score of the user's journal entries and mood check-ins over the
+// last few days, as in the wellbeing analytics; null if there's nothing to go on
+const recentMoodScore = async (userId) => {
+  const end = new Date();
+  const start = new Date(end.getTime() - PROMPT_MOOD_DAYS * DAY_MS);
+  const points = (
+    await Promise.all([ANALYTICS_SOURCES.journal(userId, start, end), ANALYTICS_SOURCES.checkin(userId, start, end)])
+  ).flat();
+  const scores = points.map((point) => point.score).filter((score) => score != null);
+  return scores.length ? scores.reduce((sum, score) => sum + score, 0) / scores.length : null;
+};
+
+// The same prompt all day (in the user's timezone), a different one the next.
+// `mood` is the recent mood band the prompt was picked for.
+export const getDailyJournalPrompt = async (req, res) => {
+  const user = await User.findById(req.userId).select('concerns language').lean();
+  const language = req.query.language || user?.language || 'en';
+  const mood = moodBand(await recentMoodScore(req.userId));
+  const day = localDate(new Date(), req.query.tzOffset).toISOString().slice(0, 10);
+  const prompt = promptOfTheDay(promptsFor(user?.concerns, mood), req.userId, day);
+  res.json({ date: day, mood, prompt: promptView(prompt, language) });
+};
+
+// Best matches first, each with its title and an excerpt of its text split
+// into highlighted segments. Relevance has no stable cursor, so pages are
+// offsets; nextOffset is null on the last one.
+export const searchJournals = async (req, res) => {
+  const { q, tags, limit, offset } = req.query;
+  const docs = await Journal.find(
+    { userId: req.userId, $text: { $search: q }, ...tagsFilter(tags) },
+    { score: { $meta: 'textScore' } }
+  )
+    .sort({ score: { $meta: 'textScore' }, writtenAt: -1 })
+    .skip(offset)
+    .limit(limit + 1)
+    .lean();
+  const terms = searchTerms(q);
+  const page = docs.slice(0, limit);
+  res.json({
+    results: page.map((journal) => ({
+      ...journal,
+      highlights: { title: highlight(journal.title, terms), summary: snippet(journal.summary, terms) },
+    })),
+    nextOffset: docs.length > limit ? offset + limit : null,
+  });
+};
+
+export const listJournalTags = async (req, res) => {
+  const tags = await Journal.aggregate([
+    { $match: { userId: new mongoose.Types.ObjectId(String(req.userId)) } },
+    { $unwind: '$tags' },
+    { $group: { _id: '$tags', count: { $sum: 1 }, lastUsedAt: { $max: '$writtenAt' } } },
+    { $sort: { count: -1, _id: 1 } },
+  ]);
+  res.json({ tags: tags.map((t) => ({ name: t._id, count: t.count, lastUsedAt: t.lastUsedAt })) });
+};
+
+export const renameJournalTag = async (req, res) => {
+  const { tag } = req.params;
+  const { name } = req.body;
+  const count = await Journal.countDocuments({ userId: req.userId, tags: tag });
+  if (!count) throw notFound('Tag not found');
+  if (name !== tag) {
+    // Entries that already have `name` just lose `tag`
+    await Journal.updateMany({ userId: req.userId, tags: tag }, { $addToSet: { tags: name } });
+    await Journal.updateMany({ userId: req.userId, tags: tag }, { $pull: { tags: tag } });
   }
+  res.json({ name, count });
 };
 
-export const deleteJournal = async (req, res) => {
-  try {
-    const { id } = req.params;
-    if (!req.userId) {
-      return res.status(401).json({ message: 'Unauthorized' });
-    }
-    const journal = await Journal.findById(id);
-    if (!journal) return res.status(404).json({ message: 'Not found' });
-    if (String(journal.userId) !== String(req.userId)) {
-      return res.status(403).json({ message: 'Forbidden' });
+export const deleteJournalTag = async (req, res) => {
+  const { modifiedCount } = await Journal.updateMany(
+    { userId: req.userId, tags: req.params.tag },
+    { $pull: { tags: req.params.tag } }
+  );
+  if (!modifiedCount) throw notFound('Tag not found');
+  res.json({ success: true, count: modifiedCount });
+};
+
+const CONTENT_FIELDS = ['title', 'writtenAt', 'date', 'time', 'summary', 'cipher'];
+const sameValue = (a, b) => (a instanceof Date || b instanceof Date ? new Date(a).getTime() === new Date(b).getTime() : a === b);
+// Older versions beyond this many are dropped as new ones are saved
+const MAX_JOURNAL_VERSIONS = 50;
+
+const findOwnJournal = async (id, userId) => {
+  const journal = await Journal.findById(id).lean();
+  if (!journal) throw notFound('Journal not found');
+  if (String(journal.userId) !== String(userId)) throw forbidden();
+  return journal;
+};
+
+// Applies `changes` to the entry and keeps its previous content as a version.
+// The write only lands on the version that was read, so of two concurrent
+// edits the second gets a 409 instead of silently overwriting the first.
+const reviseJournal = async (journal, changes) => {
+  const current = journal.version || 1;
+  const update = {};
+  for (const key of CONTENT_FIELDS) {
+    if (changes[key] !== undefined && !sameValue(changes[key], journal[key])) update[key] = changes[key];
+  }
+  // Tags aren't versioned, so a change to them alone is saved as is
+  const tagsChanged = changes.tags !== undefined && changes.tags.join('\n') !== (journal.tags || []).join('\n');
+  if (!Object.keys(update).length) {
+    if (!tagsChanged) return journal;
+    return Journal.findByIdAndUpdate(journal._id, { tags: changes.tags }, { new: true }).lean();
+  }
+  if (tagsChanged) update.tags = changes.tags;
+
+  // Encrypting an entry drops its plaintext and the mood classified from it;
+  // decrypting one drops the ciphertext
+  const $unset = {};
+  const encrypting = update.cipher !== undefined && !journal.cipher;
+  if (update.cipher !== undefined) {
+    Object.assign($unset, { title: 1, summary: 1, moodIntensity: 1 });
+    update.mood = 'unknown';
+  } else if (journal.cipher && (update.title !== undefined || update.summary !== undefined)) {
+    $unset.cipher = 1;
+  }
+
+  if (update.cipher === undefined && (update.title !== undefined || update.summary !== undefined)) {
+    if (changes.mood) {
+      update.mood = changes.mood;
+      update.moodIntensity = changes.moodIntensity;
+    } else {
+      const { mood, intensity } = await classifyMood(`${update.title ?? journal.title}\n${update.summary ?? journal.summary}`);
+      update.mood = mood;
+      update.moodIntensity = intensity;
     }
-    await Journal.deleteOne({ _id: id });
-    return res.json({ success: true });
-  } catch (err) {
-    res.status(500).json({ message: 'Failed to delete journal' });
   }
+
+  // Entries from before versioning have no version stored
+  const versionFilter = current === 1 ? { $in: [1, null] } : current;
+  const revised = await Journal.findOneAndUpdate(
+    { _id: journal._id, version: versionFilter },
+    { $set: { ...update, version: current + 1 }, ...(Object.keys($unset).length ? { $unset } : {}) },
+    { new: true, runValidators: true }
+  ).lean();
+  if (!revised) throw conflict('Journal was changed elsewhere, reload it and try again');
+
+  // Nothing of an encrypted entry stays readable, earlier versions included
+  if (encrypting) {
+    await JournalVersion.deleteMany({ journalId: journal._id });
+    return revised;
+  }
+  await JournalVersion.create({
+    journalId: journal._id,
+    userId: journal.userId,
+    version: current,
+    title: journal.title,
+    writtenAt: journal.writtenAt,
+    date: journal.date,
+    time: journal.time,
+    summary: journal.summary,
+    cipher: journal.cipher,
+    mood: journal.mood,
+    moodIntensity: journal.moodIntensity,
+  });
+  await JournalVersion.deleteMany({ journalId: journal._id, version: { $lte: current - MAX_JOURNAL_VERSIONS } });
+  return revised;
 };
 
+export const updateJournal = async (req, res) => {
+  const journal = await findOwnJournal(req.params.id, req.userId);
+  if (req.body.version !== undefined && req.body.version !== (journal.version || 1)) {
+    throw conflict('Journal was changed elsewhere, reload it and try again');
+  }
+  if (req.body.cipher) await assertEncryptionSetUp(req.userId);
+  // The server can't merge a partial edit into text it can't read
+  if (journal.cipher && !req.body.cipher && (req.body.title === undefined) !== (req.body.summary === undefined)) {
+    throw badRequest('Encrypted entries take both title and summary to be stored in plaintext again');
+  }
+  res.json(await reviseJournal(journal, req.body));
+};
 
+export const getJournalVersions = async (req, res) => {
+  const journal = await findOwnJournal(req.params.id, req.userId);
+  const versions = await JournalVersion.find({ journalId: journal._id })
+    .select('-userId -__v')
+    .sort({ version: -1 })
+    .lean();
+  res.json({ journalId: journal._id, version: journal.version || 1, versions });
+};
+
+// Restoring is an edit like any other, so the content it replaces becomes a version too
+export const restoreJournalVersion = async (req, res) => {
+  const journal = await findOwnJournal(req.params.id, req.userId);
+  const version = await JournalVersion.findOne({ _id: req.params.versionId, journalId: journal._id }).lean();
+  if (!version) throw notFound('Version not found');
+  res.json(await reviseJournal(journal, version));
+};
+
+export const deleteJournal = async (req, res) => {
+  const journal = await findOwnJournal(req.params.id, req.userId);
+  await Journal.deleteOne({ _id: journal._id });
+  await JournalVersion.deleteMany({ journalId: journal._id });
+  await MoodCheckIn.updateMany({ journalId: journal._id }, { $unset: { journalId: 1 } });
+  return res.json({ success: true });
+};
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+// Only wrapped keys, which the device unwraps with the passphrase or recovery
+// key, and how many entries are encrypted so far
+export const getJournalEncryption = async (req, res) => {
+  const key = await JournalKey.findOne({ userId: req.userId }).select('-verifierHash -userId -__v').lean();
+  if (!key) return res.json({ enabled: false });
+  const [encrypted, plaintext] = await Promise.all([
+    Journal.countDocuments({ userId: req.userId, cipher: { $exists: true } }),
+    Journal.countDocuments({ userId: req.userId, cipher: { $exists: false } }),
+  ]);
+  res.json({ enabled: true, ...key, entries: { encrypted, plaintext } });
+};
+
+export const setUpJournalEncryption = async (req, res) => {
+  const { kdf, wrappedKey, recoveryWrappedKey, verifier } = req.body;
+  if (await JournalKey.exists({ userId: req.userId })) throw conflict('Journal encryption is already set up');
+  await JournalKey.create({ userId: req.userId, kdf, wrappedKey, recoveryWrappedKey, verifierHash: sha256(verifier) });
+  res.status(201).json({ success: true });
+};
+
+export const updateJournalEncryption = async (req, res) => {
+  const { verifier, kdf, wrappedKey, recoveryWrappedKey } = req.body;
+  const key = await JournalKey.findOne({ userId: req.userId });
+  if (!key) throw notFound('Journal encryption is not set up');
+  const valid = crypto.timingSafeEqual(Buffer.from(sha256(verifier), 'hex'), Buffer.from(key.verifierHash, 'hex'));
+  if (!valid) throw forbidden('The journal key does not match');
+  if (wrappedKey) Object.assign(key, { kdf, wrappedKey });
+  if (recoveryWrappedKey) key.recoveryWrappedKey = recoveryWrappedKey;
+  await key.save();
+  res.json({ success: true });
+};
+
+// For a forgotten passphrase and lost recovery key: the encrypted entries can
+// never be read again, so they go with the key. Takes the account password.
+export const resetJournalEncryption = async (req, res) => {
+  const user = await User.findById(req.userId).select('passwordHash');
+  if (!user) throw notFound('User not found');
+  if (!(await bcrypt.compare(req.body.password, user.passwordHash))) throw forbidden('Incorrect password');
+
+  const encrypted = await Journal.find({ userId: req.userId, cipher: { $exists: true } }).distinct('_id');
+  await Journal.deleteMany({ _id: { $in: encrypted } });
+  await JournalVersion.deleteMany({ userId: req.userId, $or: [{ journalId: { $in: encrypted } }, { cipher: { $exists: true } }] });
+  await MoodCheckIn.updateMany({ journalId: { $in: encrypted } }, { $unset: { journalId: 1 } });
+  await JournalKey.deleteOne({ userId: req.userId });
+  res.json({ success: true, deleted: encrypted.length });
+};
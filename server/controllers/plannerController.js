@@ -1,12 +1,13 @@
 import path from 'path';
 import fs from 'fs';
-import mongoose from 'mongoose';
 import { google } from 'googleapis';
 import AcademicSubject from '../models/AcademicSubject.js';
 import AcademicNote from '../models/AcademicNote.js';
 import StudyPlan from '../models/StudyPlan.js';
 import User from '../models/User.js';
 import { uploadsRoot, ensureDir } from '../utils/upload.js';
+import { ApiError, badRequest, notFound } from '../utils/apiError.js';
+import { getLlm } from '../utils/llm.js';
 
 const FIXED_BREAKS = [
   { title: 'Lunch Break', startHour: 13, endHour: 14 },
@@ -16,26 +17,12 @@ const FIXED_BREAKS = [
 
 const MIN_BLOCK_MINUTES = 60;
 const MAX_BLOCK_MINUTES = 120;
-const MAX_STUDY_HOURS_PER_DAY = 8;
-const MAX_PLANNED_DAYS = 60;
+export const MAX_STUDY_HOURS_PER_DAY = 8;
+export const MAX_PLANNED_DAYS = 60;
 
+// `value` is an HH:MM string already checked by the request schema
 const parseTimeString = (value) => {
-  if (typeof value !== 'string') {
-    throw new Error('Time must be in HH:MM format');
-  }
-  const [hoursStr, minutesStr] = value.split(':');
-  const hours = Number(hoursStr);
-  const minutes = Number(minutesStr);
-  if (
-    Number.isNaN(hours) ||
-    Number.isNaN(minutes) ||
-    hours < 0 ||
-    hours > 23 ||
-    minutes < 0 ||
-    minutes > 59
-  ) {
-    throw new Error(`Invalid time format: ${value}`);
-  }
+  const [hours, minutes] = value.split(':').map(Number);
   return { hours, minutes };
 };
 
@@ -229,550 +216,463 @@ const buildStructuredPlan = ({
   return items;
 };
 
-// Subjects
-export const getSubjects = async (req, res) => {
+const PLAN_ATTEMPTS = 3;
+const PLAN_TIMEOUT_MS = 60000;
+
+const breakItem = (brk) => ({ subjectId: null, title: brk.title, start: brk.start, end: brk.end, completed: false });
+
+// The day windows, fixed breaks and study windows a plan has to fit, the same
+// ones buildStructuredPlan fills
+const planDays = ({ anchorDate, totalDays, startTime, endTime }) => {
+  const baseDate = new Date(anchorDate);
+  baseDate.setHours(0, 0, 0, 0);
+  return Array.from({ length: totalDays }, (_, dayIndex) => {
+    const { dayStart, dayEnd } = getDailyWindow(baseDate, dayIndex, startTime, endTime);
+    const breaks = buildBreaksForDay(baseDate, dayIndex, dayStart, dayEnd);
+    return { breaks, windows: buildStudyWindows(dayStart, dayEnd, breaks) };
+  });
+};
+
+const planPrompt = ({ subjectNames, maxStudyMinutesPerDay }, days) => `You are a strict study planner.
+Spread study sessions for these subjects over the study windows below.
+
+SUBJECTS: ${JSON.stringify(subjectNames)}
+STUDY WINDOWS (one list per day): ${JSON.stringify(
+  days.map((day) => day.windows.map((w) => ({ start: w.start.toISOString(), end: w.end.toISOString() })))
+)}
+
+Rules:
+- Every session is ${MIN_BLOCK_MINUTES} or ${MAX_BLOCK_MINUTES} minutes and lies inside one study window
+- Sessions never overlap
+- At most ${maxStudyMinutesPerDay} minutes of study per day
+- Give every subject a fair share of the time
+- subject is one of SUBJECTS, exactly as written
+
+Return ONLY JSON: {"sessions":[{"subject":"...","startISO":"...","endISO":"..."}]}`;
+
+// The model's sessions as plan items with the day's breaks added, or an Error
+// saying which rule they broke
+const checkModelPlan = (answer, days, { subjectNames, maxStudyMinutesPerDay }) => {
+  let sessions;
   try {
-    const items = await AcademicSubject.find({ userId: req.userId }).sort({ createdAt: -1 });
-    res.json(items);
-  } catch (err) {
-    console.error('getSubjects error:', err);
-    res.status(500).json({ message: 'Internal server error' });
+    sessions = JSON.parse(answer.slice(answer.indexOf('{'), answer.lastIndexOf('}') + 1)).sessions;
+  } catch {
+    return new Error('the answer was not the JSON asked for');
   }
+  if (!Array.isArray(sessions) || !sessions.length) return new Error('there were no sessions');
+
+  const subjectsByName = new Map(subjectNames.map((name) => [name.toLowerCase(), name]));
+  const minutesByDay = new Map();
+  const items = [];
+  for (const session of sessions) {
+    const subject = subjectsByName.get(String(session?.subject || '').toLowerCase());
+    const start = new Date(session?.startISO);
+    const end = new Date(session?.endISO);
+    if (!subject) return new Error(`"${session?.subject}" is not one of the subjects`);
+    if (isNaN(start) || isNaN(end)) return new Error('a session had an invalid time');
+    const minutes = minutesBetweenDates(start, end);
+    if (minutes !== MIN_BLOCK_MINUTES && minutes !== MAX_BLOCK_MINUTES) {
+      return new Error(`a session was ${minutes} minutes long`);
+    }
+    const day = days.findIndex((d) => d.windows.some((w) => w.start <= start && end <= w.end));
+    if (day === -1) return new Error(`the session at ${start.toISOString()} is outside the study windows`);
+    minutesByDay.set(day, (minutesByDay.get(day) || 0) + minutes);
+    if (minutesByDay.get(day) > maxStudyMinutesPerDay) return new Error('a day had too many study minutes');
+    items.push({ subjectId: null, title: `Study ${subject}`, start, end, completed: false });
+  }
+  items.sort((a, b) => a.start - b.start);
+  if (items.some((item, i) => i && item.start < items[i - 1].end)) return new Error('sessions overlapped');
+
+  return [...items, ...days.flatMap((day) => day.breaks.map(breakItem))].sort((a, b) => a.start - b.start);
 };
 
-export const createSubject = async (req, res) => {
+// Plan items from the `planning` model (utils/llm.js) when one is configured.
+// Its sessions are checked against the same windows, breaks and daily cap the
+// rules use, and it is asked again with the reason when they don't fit; after
+// PLAN_ATTEMPTS, or if the model fails, the rule-built plan is used.
+const buildPlan = async (options) => {
+  const llm = getLlm('planning');
+  if (!llm) return buildStructuredPlan(options);
+
+  const days = planDays(options);
+  let prompt = planPrompt(options, days);
   try {
-    const name = (req.body?.name || '').trim();
-    if (!name) return res.status(400).json({ message: 'Name required' });
-    const created = await AcademicSubject.create({ userId: req.userId, name });
-    res.status(201).json(created);
+    for (let attempt = 1; attempt <= PLAN_ATTEMPTS; attempt++) {
+      const answer = await llm.complete({
+        messages: [{ role: 'user', content: prompt }],
+        signal: AbortSignal.timeout(PLAN_TIMEOUT_MS),
+      });
+      const result = checkModelPlan(answer, days, options);
+      if (!(result instanceof Error)) return result;
+      console.warn(`Study plan from ${llm.provider} rejected (attempt ${attempt}): ${result.message}`);
+      prompt += `\n\nYour last plan was rejected because ${result.message}. Follow every rule and return ONLY JSON.`;
+    }
   } catch (err) {
-    console.error('createSubject error:', err);
-    res.status(500).json({ message: 'Internal server error' });
+    console.error('Study plan model error:', err?.message);
   }
+  console.warn('Using the rule-built study plan');
+  return buildStructuredPlan(options);
+};
+
+// Subjects
+export const getSubjects = async (req, res) => {
+  const items = await AcademicSubject.find({ userId: req.userId }).sort({ createdAt: -1 });
+  res.json(items);
+};
+
+export const createSubject = async (req, res) => {
+  const created = await AcademicSubject.create({ userId: req.userId, name: req.body.name });
+  res.status(201).json(created);
 };
 
 export const deleteSubject = async (req, res) => {
-  try {
-    const subjectId = req.params.id;
-    if (!subjectId) {
-      return res.status(400).json({ message: 'Subject ID is required' });
-    }
-    
-    // Validate ObjectId format
-    if (!mongoose.Types.ObjectId.isValid(subjectId)) {
-      return res.status(400).json({ message: 'Invalid subject ID format' });
-    }
-    
-    // Check if subject exists and belongs to user
-    const subject = await AcademicSubject.findOne({ _id: subjectId, userId: req.userId });
-    if (!subject) {
-      return res.status(404).json({ message: 'Subject not found' });
-    }
-  
-    // Find all notes for this subject
-    const notes = await AcademicNote.find({ subjectId, userId: req.userId });
-    
-    // Delete all associated files from filesystem
-    let deletedFiles = 0;
-    for (const note of notes) {
-      try {
-        if (note.filePath && fs.existsSync(note.filePath)) {
-          fs.unlinkSync(note.filePath);
-          deletedFiles++;
-        }
-      } catch (fileErr) {
-        console.error('Error deleting file:', fileErr);
+  const subjectId = req.params.id;
+
+  // Check if subject exists and belongs to user
+  const subject = await AcademicSubject.findOne({ _id: subjectId, userId: req.userId });
+  if (!subject) throw notFound('Subject not found');
+
+  // Find all notes for this subject
+  const notes = await AcademicNote.find({ subjectId, userId: req.userId });
+
+  // Delete all associated files from filesystem
+  let deletedFiles = 0;
+  for (const note of notes) {
+    try {
+      if (note.filePath && fs.existsSync(note.filePath)) {
+        fs.unlinkSync(note.filePath);
+        deletedFiles++;
       }
+    } catch (fileErr) {
+      console.error('Error deleting file:', fileErr);
     }
-    
-    // Delete all notes from database
-    const deleteNotesResult = await AcademicNote.deleteMany({ subjectId, userId: req.userId });
-    
-    // Delete the subject
-    const deleteSubjectResult = await AcademicSubject.deleteOne({ _id: subjectId, userId: req.userId });
-    
-    if (deleteSubjectResult.deletedCount === 0) {
-      return res.status(404).json({ message: 'Subject not found or already deleted' });
-    }
-    
-    res.json({ 
-      ok: true, 
-      deletedNotes: notes.length,
-      deletedFiles: deletedFiles,
-      message: 'Subject and all associated notes deleted successfully'
-    });
-  } catch (err) {
-    console.error('deleteSubject error:', err);
-    res.status(500).json({ message: err.message || 'Internal server error' });
   }
+
+  // Delete all notes from database
+  await AcademicNote.deleteMany({ subjectId, userId: req.userId });
+
+  // Delete the subject
+  const deleteSubjectResult = await AcademicSubject.deleteOne({ _id: subjectId, userId: req.userId });
+  if (deleteSubjectResult.deletedCount === 0) throw notFound('Subject not found or already deleted');
+
+  res.json({
+    ok: true,
+    deletedNotes: notes.length,
+    deletedFiles: deletedFiles,
+    message: 'Subject and all associated notes deleted successfully'
+  });
 };
 
 // Notes
 export const getNotes = async (req, res) => {
-  try {
-    const subjectId = req.query.subjectId;
-    if (!subjectId) return res.status(400).json({ message: 'subjectId required' });
-    const items = await AcademicNote.find({ userId: req.userId, subjectId }).sort({ createdAt: -1 });
-    res.json(items);
-  } catch (err) {
-    console.error('getNotes error:', err);
-    res.status(500).json({ message: 'Internal server error' });
-  }
+  const items = await AcademicNote.find({ userId: req.userId, subjectId: req.query.subjectId }).sort({ createdAt: -1 });
+  res.json(items);
+};
+
+const uploadedFiles = (req) => {
+  const files = req.files || (req.file ? [req.file] : []);
+  if (!files.length) throw badRequest('file(s) required');
+  return files;
 };
 
 export const uploadNotes = async (req, res) => {
-  try {
-    const subjectId = req.query.subjectId || req.body?.subjectId;
-    if (!subjectId) return res.status(400).json({ message: 'subjectId required' });
-    const files = req.files || (req.file ? [req.file] : []);
-    if (!files.length) return res.status(400).json({ message: 'file(s) required' });
-    
-    const items = await Promise.all(files.map(async (f) => {
-      // Build relative URL that reflects nested folder
-      const rel = f.path.replace(path.join(process.cwd()), '').replace(/\\/g, '/');
-      const url = rel.startsWith('/') ? rel : `/${rel}`;
-      return AcademicNote.create({
-        userId: req.userId,
-        subjectId,
-        originalName: f.originalname,
-        mimeType: f.mimetype,
-        size: f.size,
-        filePath: f.path,
-        url,
-      });
-    }));
-    res.status(201).json(items);
-  } catch (err) {
-    console.error('uploadNotes error:', err);
-    res.status(500).json({ message: 'Internal server error' });
-  }
+  const { subjectId } = req.query;
+  const files = uploadedFiles(req);
+
+  const items = await Promise.all(files.map(async (f) => {
+    // Build relative URL that reflects nested folder
+    const rel = f.path.replace(path.join(process.cwd()), '').replace(/\\/g, '/');
+    const url = rel.startsWith('/') ? rel : `/${rel}`;
+    return AcademicNote.create({
+      userId: req.userId,
+      subjectId,
+      originalName: f.originalname,
+      mimeType: f.mimetype,
+      size: f.size,
+      filePath: f.path,
+      url,
+    });
+  }));
+  res.status(201).json(items);
 };
 
 export const deleteNotes = async (req, res) => {
-  try {
-    const ids = Array.isArray(req.body?.ids) ? req.body.ids : [];
-    if (!ids.length) return res.status(400).json({ message: 'ids required' });
-    const docs = await AcademicNote.find({ _id: { $in: ids }, userId: req.userId });
-    for (const d of docs) {
-      try {
-        if (d.filePath && fs.existsSync(d.filePath)) fs.unlinkSync(d.filePath);
-      } catch {}
-    }
-    await AcademicNote.deleteMany({ _id: { $in: ids }, userId: req.userId });
-    res.json({ ok: true, deleted: ids.length });
-  } catch (err) {
-    console.error('deleteNotes error:', err);
-    res.status(500).json({ message: 'Failed to delete' });
+  const { ids } = req.body;
+  const docs = await AcademicNote.find({ _id: { $in: ids }, userId: req.userId });
+  for (const d of docs) {
+    try {
+      if (d.filePath && fs.existsSync(d.filePath)) fs.unlinkSync(d.filePath);
+    } catch {}
+  }
+  await AcademicNote.deleteMany({ _id: { $in: ids }, userId: req.userId });
+  res.json({ ok: true, deleted: ids.length });
+};
+
+const listUploads = (userId, folder) => {
+  const baseDir = path.join(uploadsRoot, 'planner', String(userId), folder);
+  ensureDir(baseDir);
+  return fs.readdirSync(baseDir).map((name) => {
+    const full = path.join(baseDir, name);
+    const stat = fs.statSync(full);
+    return {
+      originalName: name.replace(/^[0-9]+-[0-9]+-/, ''),
+      url: `/uploads/planner/${userId}/${folder}/${name}`,
+      size: stat.size,
+      name,
+    };
+  });
+};
+
+// `names` are plain file names (checked by the schema), so they can't leave the folder
+const deleteUploads = (userId, folder, names) => {
+  const baseDir = path.join(uploadsRoot, 'planner', String(userId), folder);
+  ensureDir(baseDir);
+  let count = 0;
+  for (const n of names) {
+    const full = path.join(baseDir, n);
+    try {
+      if (fs.existsSync(full)) {
+        fs.unlinkSync(full);
+        count++;
+      }
+    } catch {}
   }
+  return count;
+};
+
+const toUploadSummary = (f) => {
+  const rel = f.path.replace(path.join(process.cwd()), '').replace(/\\/g, '/');
+  const url = rel.startsWith('/') ? rel : `/${rel}`;
+  return { url, originalName: f.originalname };
 };
 
 // Materials
 export const uploadMaterials = async (req, res) => {
-  try {
-    const files = req.files || (req.file ? [req.file] : []);
-    if (!files.length) return res.status(400).json({ message: 'file(s) required' });
-    const items = files.map((f) => {
-      const rel = f.path.replace(path.join(process.cwd()), '').replace(/\\/g, '/');
-      const url = rel.startsWith('/') ? rel : `/${rel}`;
-      return { url, originalName: f.originalname };
-    });
-    res.status(201).json(items);
-  } catch (err) {
-    console.error('uploadMaterials error:', err);
-    res.status(500).json({ message: 'Internal server error' });
-  }
+  res.status(201).json(uploadedFiles(req).map(toUploadSummary));
 };
 
 export const getMaterials = async (req, res) => {
-  try {
-    const baseDir = path.join(uploadsRoot, 'planner', String(req.userId), 'materials');
-    ensureDir(baseDir);
-    const list = fs.readdirSync(baseDir).map((name) => {
-      const full = path.join(baseDir, name);
-      const stat = fs.statSync(full);
-      return {
-        originalName: name.replace(/^[0-9]+-[0-9]+-/, ''),
-        url: `/uploads/planner/${req.userId}/materials/${name}`,
-        size: stat.size,
-        name,
-      };
-    });
-    res.json(list);
-  } catch (err) {
-    console.error('getMaterials error:', err);
-    res.status(500).json({ message: 'Internal server error' });
-  }
+  res.json(listUploads(req.userId, 'materials'));
 };
 
 export const deleteMaterials = async (req, res) => {
-  try {
-    const names = Array.isArray(req.body?.names) ? req.body.names : [];
-    if (!names.length) return res.status(400).json({ message: 'names required' });
-    const baseDir = path.join(uploadsRoot, 'planner', String(req.userId), 'materials');
-    ensureDir(baseDir);
-    let count = 0;
-    for (const n of names) {
-      const full = path.join(baseDir, n);
-      try {
-        if (fs.existsSync(full)) {
-          fs.unlinkSync(full);
-          count++;
-        }
-      } catch {}
-    }
-    res.json({ ok: true, deleted: count });
-  } catch (err) {
-    console.error('deleteMaterials error:', err);
-    res.status(500).json({ message: 'Internal server error' });
-  }
+  res.json({ ok: true, deleted: deleteUploads(req.userId, 'materials', req.body.names) });
 };
 
 // Datesheet
 export const uploadDatesheet = async (req, res) => {
-  try {
-    const files = req.files || (req.file ? [req.file] : []);
-    if (!files.length) return res.status(400).json({ message: 'file(s) required' });
-    const items = files.map((f) => {
-      const rel = f.path.replace(path.join(process.cwd()), '').replace(/\\/g, '/');
-      const url = rel.startsWith('/') ? rel : `/${rel}`;
-      return { url, originalName: f.originalname };
-    });
-    res.status(201).json(items);
-  } catch (err) {
-    console.error('uploadDatesheet error:', err);
-    res.status(500).json({ message: 'Internal server error' });
-  }
+  res.status(201).json(uploadedFiles(req).map(toUploadSummary));
 };
 
 export const getDatesheet = async (req, res) => {
-  try {
-    const baseDir = path.join(uploadsRoot, 'planner', String(req.userId), 'datesheets');
-    ensureDir(baseDir);
-    const list = fs.readdirSync(baseDir).map((name) => {
-      const full = path.join(baseDir, name);
-      const stat = fs.statSync(full);
-      return {
-        originalName: name.replace(/^[0-9]+-[0-9]+-/, ''),
-        url: `/uploads/planner/${req.userId}/datesheets/${name}`,
-        size: stat.size,
-        name,
-      };
-    });
-    res.json(list);
-  } catch (err) {
-    console.error('getDatesheet error:', err);
-    res.status(500).json({ message: 'Internal server error' });
-  }
+  res.json(listUploads(req.userId, 'datesheets'));
 };
 
 export const deleteDatesheet = async (req, res) => {
-  try {
-    const names = Array.isArray(req.body?.names) ? req.body.names : [];
-    if (!names.length) return res.status(400).json({ message: 'names required' });
-    const baseDir = path.join(uploadsRoot, 'planner', String(req.userId), 'datesheets');
-    ensureDir(baseDir);
-    let count = 0;
-    for (const n of names) {
-      const full = path.join(baseDir, n);
-      try {
-        if (fs.existsSync(full)) {
-          fs.unlinkSync(full);
-          count++;
-        }
-      } catch {}
-    }
-    res.json({ ok: true, deleted: count });
-  } catch (err) {
-    console.error('deleteDatesheet error:', err);
-    res.status(500).json({ message: 'Internal server error' });
-  }
+  res.json({ ok: true, deleted: deleteUploads(req.userId, 'datesheets', req.body.names) });
 };
 
-
+// Body is validated by schemas/plannerSchemas.js: subjects is a non-empty list,
+// times are HH:MM and numDays / maxHoursPerDay are within the limits above
 export const createPlan = async (req, res) => {
-  try {
-    const {
-      subjects: subjectsInput,
-      dailyStartTime = '09:00',
-      dailyEndTime = '17:00',
-      numDays = 1,
-      startDate,
-      maxHoursPerDay,
-      datesheetPath,
-    } = req.body || {};
-
-    let subjectNames = [];
-    if (Array.isArray(subjectsInput)) {
-      subjectNames = subjectsInput.map((s) => String(s).trim()).filter((s) => s.length > 0);
-    } else if (typeof subjectsInput === 'string') {
-      subjectNames = subjectsInput
-        .split(',')
-        .map((s) => s.trim())
-        .filter((s) => s.length > 0);
-    }
-
-    if (!subjectNames.length) {
-      return res.status(400).json({ message: 'At least one subject is required' });
-    }
-
-    const planAnchor = startDate ? new Date(startDate) : new Date();
-    if (Number.isNaN(planAnchor.getTime())) {
-      return res.status(400).json({ message: 'Invalid start date format' });
-    }
-
-    let startTime;
-    let endTime;
-    try {
-      startTime = parseTimeString(dailyStartTime);
-      endTime = parseTimeString(dailyEndTime);
-    } catch (err) {
-      return res.status(400).json({ message: err.message });
-    }
-
-    const requestedDays = parseInt(numDays, 10);
-    const totalDays = Math.max(1, Math.min(MAX_PLANNED_DAYS, Number.isNaN(requestedDays) ? 1 : requestedDays));
-
-    const startMinutes = startTime.hours * 60 + startTime.minutes;
-    const endMinutes = endTime.hours * 60 + endTime.minutes;
-    let windowMinutes = endMinutes - startMinutes;
-    if (windowMinutes <= 0) {
-      windowMinutes += 24 * 60;
-    }
-    if (windowMinutes < MIN_BLOCK_MINUTES) {
-      return res.status(400).json({ message: 'Daily availability window is too short for any study session' });
-    }
-
-    const parsedMaxHours = typeof maxHoursPerDay === 'number' ? maxHoursPerDay : parseFloat(maxHoursPerDay);
-    const fallbackHours = Math.min(MAX_STUDY_HOURS_PER_DAY, windowMinutes / 60);
-    let boundedHours = Number.isFinite(parsedMaxHours) ? parsedMaxHours : fallbackHours;
-    boundedHours = Math.min(MAX_STUDY_HOURS_PER_DAY, Math.max(1, boundedHours));
-    const maxStudyMinutesPerDay = Math.min(Math.round(boundedHours * 60), windowMinutes);
-
-    if (datesheetPath) {
-      console.log(`createPlan requested with datesheet: ${datesheetPath}`);
-    }
+  const {
+    subjects: subjectNames,
+    dailyStartTime,
+    dailyEndTime,
+    numDays: totalDays,
+    startDate,
+    maxHoursPerDay,
+    datesheetPath,
+  } = req.body;
+
+  const planAnchor = startDate ? new Date(startDate) : new Date();
+  const startTime = parseTimeString(dailyStartTime);
+  const endTime = parseTimeString(dailyEndTime);
+
+  const startMinutes = startTime.hours * 60 + startTime.minutes;
+  const endMinutes = endTime.hours * 60 + endTime.minutes;
+  let windowMinutes = endMinutes - startMinutes;
+  if (windowMinutes <= 0) {
+    windowMinutes += 24 * 60;
+  }
+  if (windowMinutes < MIN_BLOCK_MINUTES) {
+    throw badRequest('Daily availability window is too short for any study session');
+  }
 
-    const planItems = buildStructuredPlan({
-      anchorDate: planAnchor,
-      subjectNames,
-      totalDays,
-      startTime,
-      endTime,
-      maxStudyMinutesPerDay,
-    });
+  const boundedHours = maxHoursPerDay ?? Math.min(MAX_STUDY_HOURS_PER_DAY, windowMinutes / 60);
+  const maxStudyMinutesPerDay = Math.min(Math.round(boundedHours * 60), windowMinutes);
 
-    const studyItemCount = planItems.filter((item) => item.title.toLowerCase().startsWith('study')).length;
-    if (!studyItemCount) {
-      return res.status(400).json({
-        message: 'Unable to build a study plan with the provided availability. Try extending your study window or reducing subjects.',
-      });
-    }
+  if (datesheetPath) {
+    console.log(`createPlan requested with datesheet: ${datesheetPath}`);
+  }
 
-    if (planItems.length > 1000) {
-      return res.status(400).json({ message: 'Generated plan is too large. Reduce the planning window or subject list.' });
-    }
+  const planItems = await buildPlan({
+    anchorDate: planAnchor,
+    subjectNames,
+    totalDays,
+    startTime,
+    endTime,
+    maxStudyMinutesPerDay,
+  });
+
+  const studyItemCount = planItems.filter((item) => item.title.toLowerCase().startsWith('study')).length;
+  if (!studyItemCount) {
+    throw badRequest('Unable to build a study plan with the provided availability. Try extending your study window or reducing subjects.');
+  }
 
-    const plan = await StudyPlan.create({ userId: req.userId, items: planItems });
-    res.status(201).json(plan);
-  } catch (err) {
-    console.error('createPlan error:', err);
-    res.status(500).json({ message: 'Internal server error', error: err.message });
+  if (planItems.length > 1000) {
+    throw badRequest('Generated plan is too large. Reduce the planning window or subject list.');
   }
+
+  const plan = await StudyPlan.create({ userId: req.userId, items: planItems });
+  res.status(201).json(plan);
 };
 
 export const getPlan = async (req, res) => {
-  try {
-    const latest = await StudyPlan.findOne({ userId: req.userId }).sort({ createdAt: -1 });
-    res.json(latest || { items: [] });
-  } catch (err) {
-    console.error('getPlan error:', err);
-    res.status(500).json({ message: 'Internal server error' });
-  }
+  const latest = await StudyPlan.findOne({ userId: req.userId }).sort({ createdAt: -1 });
+  res.json(latest || { items: [] });
 };
 
 export const updatePlanItemCompletion = async (req, res) => {
-  try {
-    const { itemId } = req.params;
-    const { completed } = req.body ?? {};
+  const { itemId } = req.params;
+  const { completed } = req.body;
 
-    if (typeof completed !== 'boolean') {
-      return res.status(400).json({ message: 'completed must be a boolean' });
-    }
-
-    const plan = await StudyPlan.findOne({ userId: req.userId }).sort({ createdAt: -1 });
-    if (!plan) {
-      return res.status(404).json({ message: 'No study plan found' });
-    }
+  const plan = await StudyPlan.findOne({ userId: req.userId }).sort({ createdAt: -1 });
+  if (!plan) throw notFound('No study plan found');
 
-    const item = plan.items.id(itemId);
-    if (!item) {
-      return res.status(404).json({ message: 'Plan item not found' });
-    }
+  const item = plan.items.id(itemId);
+  if (!item) throw notFound('Plan item not found');
 
-    item.completed = completed;
-    await plan.save();
+  item.completed = completed;
+  await plan.save();
 
-    res.json({ ok: true, item });
-  } catch (err) {
-    console.error('updatePlanItemCompletion error:', err);
-    res.status(500).json({ message: 'Internal server error' });
-  }
+  res.json({ ok: true, item });
 };
 
 export const checkGoogleConnection = async (req, res) => {
-  try {
-    const user = await User.findById(req.userId).select('google');
-    const connected = !!(user?.google?.refreshToken || user?.google?.accessToken);
-    res.json({ connected });
-  } catch (err) {
-    console.error('checkGoogleConnection error:', err);
-    res.status(500).json({ message: 'Internal server error' });
-  }
+  const user = await User.findById(req.userId).select('google');
+  const connected = !!(user?.google?.refreshToken || user?.google?.accessToken);
+  res.json({ connected });
 };
 
 export const disconnectGoogle = async (req, res) => {
-  try {
-    const user = await User.findById(req.userId);
-    if (!user) {
-      return res.status(404).json({ message: 'User not found' });
-    }
+  const user = await User.findById(req.userId);
+  if (!user) throw notFound('User not found');
 
-    user.google = undefined;
-    user.markModified('google');
-    await user.save();
+  user.google = undefined;
+  user.markModified('google');
+  await user.save();
 
-    res.json({ ok: true });
-  } catch (err) {
-    console.error('disconnectGoogle error:', err);
-    res.status(500).json({ message: 'Internal server error' });
-  }
+  res.json({ ok: true });
 };
 
 export const pushPlanToGoogle = async (req, res) => {
-  try {
-    const user = await User.findById(req.userId);
-    if (!user) {
-      return res.status(404).json({ message: 'User not found' });
-    }
+  const user = await User.findById(req.userId);
+  if (!user) throw notFound('User not found');
 
-    // Check if user has Google credentials (refreshToken is the key indicator)
-    if (!user.google?.refreshToken) {
-      return res.status(400).json({ message: 'Google Calendar not connected. Please connect your Google account first.' });
-    }
+  // Check if user has Google credentials (refreshToken is the key indicator)
+  if (!user.google?.refreshToken) {
+    throw new ApiError(400, 'GOOGLE_NOT_CONNECTED', 'Google Calendar not connected. Please connect your Google account first.');
+  }
 
-    const clientId = process.env.EXPO_PUBLIC_GOOGLE_CLIENT_ID;
-    const clientSecret = process.env.EXPO_PUBLIC_GOOGLE_CLIENT_SECRET;
-    const redirectUri = process.env.EXPO_PUBLIC_GOOGLE_REDIRECT_URI;
+  const clientId = process.env.EXPO_PUBLIC_GOOGLE_CLIENT_ID;
+  const clientSecret = process.env.EXPO_PUBLIC_GOOGLE_CLIENT_SECRET;
+  const redirectUri = process.env.EXPO_PUBLIC_GOOGLE_REDIRECT_URI;
 
-    if (!clientId || !redirectUri) {
-      return res.status(500).json({ message: 'Google OAuth configuration missing' });
-    }
+  if (!clientId || !redirectUri) {
+    throw new ApiError(503, 'GOOGLE_NOT_CONFIGURED', 'Google OAuth configuration missing');
+  }
 
-    const oauth2Client = new google.auth.OAuth2(clientId, clientSecret, redirectUri);
-    
-    // Set credentials and refresh token if needed
-    let accessToken = user.google.accessToken;
-    const refreshToken = user.google.refreshToken;
-    const tokenExpiry = user.google.tokenExpiry;
-
-    // Check if token needs refresh
-    if (!accessToken || !tokenExpiry || new Date() >= new Date(tokenExpiry)) {
-      oauth2Client.setCredentials({ refresh_token: refreshToken });
-      try {
-        const tokenResponse = await oauth2Client.getAccessToken();
-        accessToken = tokenResponse.token;
-        const newTokenExpiry = new Date(Date.now() + 55 * 60 * 1000);
-        
-        // Update user with new token
-        user.google.accessToken = accessToken;
-        user.google.tokenExpiry = newTokenExpiry;
-        await user.save();
-      } catch (refreshError) {
-        console.error('Error refreshing access token:', refreshError);
-        return res.status(401).json({ 
-          message: 'Failed to refresh Google token. Please reconnect your Google account.',
-          error: refreshError?.message 
-        });
-      }
-    } else {
-      oauth2Client.setCredentials({
-        access_token: accessToken,
-        refresh_token: refreshToken,
-      });
-    }
+  const oauth2Client = new google.auth.OAuth2(clientId, clientSecret, redirectUri);
 
-    // Get the study plan
-    const plan = await StudyPlan.findOne({ userId: req.userId }).sort({ createdAt: -1 });
-    if (!plan || !plan.items?.length) {
-      console.log("No study plan found for user:", req.userId);
-      return res.status(400).json({ message: 'No study plan found. Please create a study plan first.' });
-    }
+  // Set credentials and refresh token if needed
+  let accessToken = user.google.accessToken;
+  const refreshToken = user.google.refreshToken;
+  const tokenExpiry = user.google.tokenExpiry;
 
-    // Use Google Calendar API
-    const calendar = google.calendar({ version: 'v3', auth: oauth2Client });
-    
-    let created = 0;
-    const errors = [];
-
-    for (const item of plan.items) {
-      try {
-        const startDate = new Date(item.start);
-        const endDate = new Date(item.end);
-
-        // Validate dates
-        if (isNaN(startDate.getTime()) || isNaN(endDate.getTime())) {
-          errors.push(`Invalid date for: ${item.title}`);
-          continue;
-        }
+  // Check if token needs refresh
+  if (!accessToken || !tokenExpiry || new Date() >= new Date(tokenExpiry)) {
+    oauth2Client.setCredentials({ refresh_token: refreshToken });
+    try {
+      const tokenResponse = await oauth2Client.getAccessToken();
+      accessToken = tokenResponse.token;
+      const newTokenExpiry = new Date(Date.now() + 55 * 60 * 1000);
+
+      // Update user with new token
+      user.google.accessToken = accessToken;
+      user.google.tokenExpiry = newTokenExpiry;
+      await user.save();
+    } catch (refreshError) {
+      console.error('Error refreshing access token:', refreshError);
+      // Not a 401: that status is reserved for the app's own session
+      throw new ApiError(400, 'GOOGLE_REAUTH_REQUIRED', 'Failed to refresh Google token. Please reconnect your Google account.');
+    }
+  } else {
+    oauth2Client.setCredentials({
+      access_token: accessToken,
+      refresh_token: refreshToken,
+    });
+  }
 
-        const event = {
-          summary: item.title || 'Study Session',
-          start: {
-            dateTime: startDate.toISOString(),
-            timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC',
-          },
-          end: {
-            dateTime: endDate.toISOString(),
-            timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC',
-          },
-        };
-
-        const response = await calendar.events.insert({
-          calendarId: 'primary',
-          requestBody: event,
-        });
+  // Get the study plan
+  const plan = await StudyPlan.findOne({ userId: req.userId }).sort({ createdAt: -1 });
+  if (!plan || !plan.items?.length) {
+    console.log("No study plan found for user:", req.userId);
+    throw new ApiError(400, 'NO_STUDY_PLAN', 'No study plan found. Please create a study plan first.');
+  }
 
-        if (response.data) {
-          created++;
-        }
-      } catch (e) {
-        console.error('Error creating calendar event:', e);
-        errors.push(`${item.title}: ${e?.message || 'Unknown error'}`);
+  // Use Google Calendar API
+  const calendar = google.calendar({ version: 'v3', auth: oauth2Client });
+
+  let created = 0;
+  const errors = [];
+
+  for (const item of plan.items) {
+    try {
+      const startDate = new Date(item.start);
+      const endDate = new Date(item.end);
+
+      // Validate dates
+      if (isNaN(startDate.getTime()) || isNaN(endDate.getTime())) {
+        errors.push(`Invalid date for: ${item.title}`);
+        continue;
       }
-    }
 
-    if (created === 0 && errors.length > 0) {
-      return res.status(400).json({ 
-        message: 'Failed to create events',
-        errors: errors.slice(0, 5), // Return first 5 errors
-        created: 0
+      const event = {
+        summary: item.title || 'Study Session',
+        start: {
+          dateTime: startDate.toISOString(),
+          timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC',
+        },
+        end: {
+          dateTime: endDate.toISOString(),
+          timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC',
+        },
+      };
+
+      const response = await calendar.events.insert({
+        calendarId: 'primary',
+        requestBody: event,
       });
-    }
 
-    res.json({ 
-      ok: true, 
-      created,
-      total: plan.items.length,
-      errors: errors.length > 0 ? errors.slice(0, 5) : undefined
-    });
-  } catch (err) {
-    console.error('pushPlanToGoogle error:', err);
-    res.status(500).json({ 
-      message: err?.message || 'Internal server error',
-      error: err?.toString()
-    });
+      if (response.data) {
+        created++;
+      }
+    } catch (e) {
+      console.error('Error creating calendar event:', e);
+      errors.push(`${item.title}: ${e?.message || 'Unknown error'}`);
+    }
   }
-};
 
+  if (created === 0 && errors.length > 0) {
+    // First 5 errors only
+    throw new ApiError(502, 'GOOGLE_API_ERROR', 'Failed to create events', { errors: errors.slice(0, 5), created: 0 });
+  }
 
+  res.json({
+    ok: true,
+    created,
+    total: plan.items.length,
+    errors: errors.length > 0 ? errors.slice(0, 5) : undefined
+  });
+};
@@ -1,16 +1,17 @@
+import { ApiError } from '../utils/apiError.js';
+
 export const getDailyQuote = async (req, res) => {
+    let data;
     try {
       const response = await fetch('https://zenquotes.io/api/random');
-      const data = await response.json();
-  
-      if (!data?.length) {
-        return res.status(500).json({ content: '', author: 'Unknown' });
-      }
-  
-      res.json({ content: data[0].q, author: data[0].a });
+      data = await response.json();
     } catch (err) {
       console.error('Error fetching quote:', err);
-      res.status(500).json({ content: '', author: 'Unknown' });
     }
+
+    if (!data?.length) {
+      throw new ApiError(502, 'UPSTREAM_UNAVAILABLE', 'Quote service unavailable');
+    }
+
+    res.json({ content: data[0].q, author: data[0].a });
   };
-  
\ No newline at end of file
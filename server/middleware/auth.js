@@ -1,28 +1,53 @@
 import jwt from 'jsonwebtoken';
+import { isSessionActive } from '../utils/sessions.js';
+import { unauthorized, forbidden } from '../utils/apiError.js';
 
-export const requireAuth = (req, res, next) => {
+export const requireAuth = async (req, _res, next) => {
   const auth = req.headers.authorization || '';
   const token = auth.startsWith('Bearer ') ? auth.slice(7) : null;
-  if (!token) return res.status(401).json({ message: 'Unauthorized' });
+  if (!token) return next(unauthorized());
+  let decoded;
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    req.userId = decoded.sub;
-    return next();
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
   } catch (e) {
-    return res.status(401).json({ message: 'Invalid token' });
+    return next(unauthorized('Invalid token', 'INVALID_TOKEN'));
+  }
+  // Access tokens are only honoured while their device session is alive,
+  // so revoking a session locks out its token before it expires.
+  if (!(await isSessionActive(decoded.sid, decoded.sub))) {
+    return next(unauthorized('Session revoked', 'SESSION_REVOKED'));
   }
+  req.userId = decoded.sub;
+  req.sessionId = decoded.sid;
+  req.userRole = decoded.role || 'user';
+  return next();
 };
 
-export const tryAuth = (req, _res, next) => {
+export const tryAuth = async (req, _res, next) => {
   const auth = req.headers.authorization || '';
   const token = auth.startsWith('Bearer ') ? auth.slice(7) : null;
   if (!token) return next();
   try {
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    req.userId = decoded.sub;
+    if (await isSessionActive(decoded.sid, decoded.sub)) {
+      req.userId = decoded.sub;
+      req.sessionId = decoded.sid;
+      req.userRole = decoded.role || 'user';
+    }
   } catch (_) {
     // ignore token errors; just proceed unauthenticated
   }
   return next();
 };
 
+// Use after requireAuth. Admins pass every role check.
+// `roles` is kept on the middleware for the OpenAPI document.
+export const requireRole = (...roles) => {
+  const middleware = (req, _res, next) => {
+    if (!req.userId) return next(unauthorized());
+    if (req.userRole === 'admin' || roles.includes(req.userRole)) return next();
+    return next(forbidden());
+  };
+  middleware.roles = roles;
+  return middleware;
+};
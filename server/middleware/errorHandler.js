@@ -0,0 +1,52 @@
+import mongoose from 'mongoose';
+import multer from 'multer';
+import { z } from 'zod';
+import { ApiError } from '../utils/apiError.js';
+
+// Maps library errors onto ApiError so every failure leaves in the same shape
+const toApiError = (err) => {
+  if (err instanceof ApiError) return err;
+  if (err instanceof z.ZodError) {
+    const details = err.issues.map((i) => ({ path: i.path.join('.'), message: i.message }));
+    return new ApiError(400, 'VALIDATION_ERROR', 'Request validation failed', details);
+  }
+  if (err instanceof mongoose.Error.CastError) {
+    return new ApiError(400, 'INVALID_ID', `Invalid ${err.path}`);
+  }
+  if (err instanceof mongoose.Error.ValidationError) {
+    const details = Object.values(err.errors).map((e) => ({ path: e.path, message: e.message }));
+    return new ApiError(400, 'VALIDATION_ERROR', 'Validation failed', details);
+  }
+  if (err?.code === 11000) {
+    return new ApiError(409, 'CONFLICT', 'A record with these values already exists');
+  }
+  if (err instanceof multer.MulterError) {
+    if (err.code === 'LIMIT_FILE_SIZE') return new ApiError(413, 'FILE_TOO_LARGE', 'File is too large');
+    return new ApiError(400, 'UPLOAD_ERROR', err.message);
+  }
+  // body-parser errors (malformed JSON, oversized bodies) carry a status and are safe to expose
+  if (err?.type === 'entity.parse.failed') return new ApiError(400, 'INVALID_JSON', 'Malformed JSON body');
+  if (err?.type === 'entity.too.large') return new ApiError(413, 'PAYLOAD_TOO_LARGE', 'Request body is too large');
+  if (err?.expose && err.status >= 400 && err.status < 500) {
+    return new ApiError(err.status, 'BAD_REQUEST', err.message);
+  }
+  return new ApiError(500, 'INTERNAL_ERROR', 'Internal server error');
+};
+
+export const notFoundHandler = (req, _res, next) => {
+  next(new ApiError(404, 'NOT_FOUND', `Route ${req.method} ${req.originalUrl.split('?')[0]} not found`));
+};
+
+// Express only treats four-argument middleware as an error handler, so `next` stays
+export const errorHandler = (err, req, res, next) => {
+  const apiError = toApiError(err);
+  if (apiError.status >= 500) console.error(`${req.method} ${req.originalUrl} failed:`, err);
+  // A streamed response (e.g. the data export) can't be turned into JSON any more
+  if (res.headersSent) return res.destroy(err);
+  if (apiError.status === 429 && apiError.details?.retryAfter) {
+    res.set('Retry-After', String(apiError.details.retryAfter));
+  }
+  return res.status(apiError.status).json({
+    error: { code: apiError.code, message: apiError.message, details: apiError.details ?? null },
+  });
+};
@@ -0,0 +1,56 @@
+import { getDefaultStore } from '../utils/rateLimitStores.js';
+import { tooManyRequests } from '../utils/apiError.js';
+
+const keyResolvers = {
+  ip: (req) => `ip:${req.ip}`,
+  // Falls back to the IP for anonymous requests (e.g. chatbot replies via tryAuth)
+  user: (req) => (req.userId ? `user:${req.userId}` : `ip:${req.ip}`),
+};
+
+// rateLimit({ name, windowMs, max, keyBy: 'ip' | 'user' | (req) => string, store })
+// `max` may be a function so limits can come from env vars read at request time.
+// Place after requireAuth/tryAuth when keying by user.
+export const rateLimit = ({ name, windowMs, max, keyBy = 'ip', store, message }) => {
+  const resolveKey = typeof keyBy === 'function' ? keyBy : keyResolvers[keyBy];
+  if (!resolveKey) throw new Error(`Unknown rate limit key: ${keyBy}`);
+
+  const middleware = async (req, res, next) => {
+    let result;
+    try {
+      const key = `${name}:${resolveKey(req)}`;
+      result = await (store || getDefaultStore()).increment(key, windowMs);
+    } catch (err) {
+      // A broken store should not take the API down with it
+      console.error(`Rate limit store error (${name}):`, err?.message);
+      return next();
+    }
+
+    const limit = typeof max === 'function' ? max(req) : max;
+    const retryAfter = Math.max(1, Math.ceil((new Date(result.resetAt).getTime() - Date.now()) / 1000));
+    res.set('RateLimit-Limit', String(limit));
+    res.set('RateLimit-Remaining', String(Math.max(0, limit - result.count)));
+    res.set('RateLimit-Reset', String(retryAfter));
+
+    if (result.count > limit) {
+      return next(tooManyRequests(message || 'Too many requests. Please try again later.', retryAfter));
+    }
+    return next();
+  };
+  // Read by utils/openapi.js to document the 429 response
+  middleware.rateLimitName = name;
+  return middleware;
+};
+
+const MINUTE = 60 * 1000;
+
+// Shared limiter presets so each router applies the same budgets
+export const authLimiter = rateLimit({ name: 'auth', windowMs: 15 * MINUTE, max: 20, keyBy: 'ip' });
+export const passwordResetLimiter = rateLimit({ name: 'password-reset', windowMs: 60 * MINUTE, max: 5, keyBy: 'ip' });
+export const aiLimiter = rateLimit({
+  name: 'ai',
+  windowMs: MINUTE,
+  max: () => Number(process.env.AI_RATE_LIMIT_PER_MINUTE) || 10,
+  keyBy: 'user',
+  message: 'You are sending messages too quickly. Please wait a moment.',
+});
+export const blogCreateLimiter = rateLimit({ name: 'blog-create', windowMs: 60 * MINUTE, max: 10, keyBy: 'user' });
@@ -0,0 +1,33 @@
+import { ApiError } from '../utils/apiError.js';
+
+const PARTS = ['params', 'query', 'body'];
+
+// validate({ summary, params, query, body, multipart })
+// Parses each request part with its zod schema and replaces it with the parsed
+// (coerced, defaulted, stripped) value. Failures from all parts are collected
+// into one VALIDATION_ERROR. The same object is read back by utils/openapi.js,
+// so `summary` and `multipart` only affect the generated docs.
+export const validate = (spec = {}) => {
+  const middleware = (req, _res, next) => {
+    const issues = [];
+    for (const part of PARTS) {
+      const schema = spec[part];
+      if (!schema) continue;
+      const result = schema.safeParse(req[part] ?? {});
+      if (!result.success) {
+        for (const issue of result.error.issues) {
+          issues.push({ in: part, path: issue.path.join('.'), message: issue.message });
+        }
+        continue;
+      }
+      // Express 5 exposes req.query through a getter, so it is redefined instead of assigned
+      Object.defineProperty(req, part, { value: result.data, writable: true, configurable: true, enumerable: true });
+    }
+    if (issues.length) {
+      return next(new ApiError(400, 'VALIDATION_ERROR', 'Request validation failed', issues));
+    }
+    return next();
+  };
+  middleware.apiSpec = spec;
+  return middleware;
+};
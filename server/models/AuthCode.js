@@ -0,0 +1,23 @@
+import mongoose from 'mongoose';
+
+// One-time codes for password reset and email verification. Only a hash of
+// the code is stored; the plain code goes out by mail.
+const authCodeSchema = new mongoose.Schema(
+  {
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+    purpose: { type: String, enum: ['password_reset', 'email_verification'], required: true },
+    codeHash: { type: String, required: true },
+    attempts: { type: Number, default: 0 },
+    expiresAt: { type: Date, required: true },
+    consumedAt: { type: Date, default: null },
+  },
+  { timestamps: true }
+);
+
+authCodeSchema.index({ userId: 1, purpose: 1, createdAt: -1 });
+// TTL index: codes disappear once expired
+authCodeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const AuthCode = mongoose.model('AuthCode', authCodeSchema);
+
+export default AuthCode;
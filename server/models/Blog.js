@@ -7,6 +7,8 @@ const blogSchema = new mongoose.Schema(
     image: { type: String, default: '' },
     excerpt: { type: String, required: true },
     likes: { type: Number, default: 0 },
+    likedBy: { type: [mongoose.Schema.Types.ObjectId], ref: 'User', default: [], select: false },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
     category: { type: String, required: true }, 
   },
   { timestamps: true }
@@ -0,0 +1,28 @@
+import mongoose from 'mongoose';
+
+export const FEEDBACK_RATINGS = ['up', 'down'];
+export const FEEDBACK_REASONS = ['unhelpful', 'incorrect', 'inappropriate', 'wrong_language', 'too_long', 'other'];
+
+// A user's rating of one of Mate's replies. Holds no chat text, so it outlives
+// the message under the user's chat retention setting and keeps the admin
+// feedback stats (GET /api/admin/chat-feedback) complete.
+const chatFeedbackSchema = new mongoose.Schema(
+  {
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+    messageId: { type: mongoose.Schema.Types.ObjectId, ref: 'ChatMessage', required: true },
+    // Which version of the reply was rated: the number of times it had been regenerated
+    version: { type: Number, default: 0 },
+    rating: { type: String, enum: FEEDBACK_RATINGS, required: true },
+    reason: { type: String, enum: FEEDBACK_REASONS },
+    // Copied from the reply so stats can be split by what produced it
+    source: { type: String },
+  },
+  { timestamps: true }
+);
+
+chatFeedbackSchema.index({ messageId: 1, version: 1 }, { unique: true });
+chatFeedbackSchema.index({ updatedAt: -1 });
+
+const ChatFeedback = mongoose.model('ChatFeedback', chatFeedbackSchema);
+
+export default ChatFeedback;
@@ -1,19 +1,36 @@
 import mongoose from 'mongoose';
 
+export const MOODS = ['positive', 'neutral', 'negative', 'anxious', 'sad', 'angry', 'stressed', 'tired', 'unknown'];
+
 const chatMessageSchema = new mongoose.Schema(
   {
     userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', index: true, required: true },
+    // Missing only on messages stored before threads existed, until migrated
+    conversationId: { type: mongoose.Schema.Types.ObjectId, ref: 'Conversation' },
     role: { type: String, enum: ['user', 'assistant'], required: true },
     content: { type: String, required: true },
-    mood: { type: String, enum: ['positive', 'neutral', 'negative', 'anxious', 'sad', 'angry', 'stressed', 'tired', 'unknown'], default: 'unknown', index: true },
+    mood: { type: String, enum: MOODS, default: 'unknown', index: true },
+    // Set on user messages by utils/moodClassification.js, both 0..1
+    moodConfidence: { type: Number, min: 0, max: 1 },
+    moodIntensity: { type: Number, min: 0, max: 1 },
+    // Assistant messages: what produced the reply ('ai', 'flask', 'node_fallback', 'safety', ...)
+    source: { type: String },
+    // Assistant messages: the replies this one replaced through regenerate, oldest first
+    previousReplies: {
+      type: [{ _id: false, content: { type: String }, source: { type: String }, replacedAt: { type: Date } }],
+      default: undefined,
+    },
     createdAt: { type: Date, default: Date.now },
+    // From the user's chat retention setting (utils/chatRetention.js); null keeps it
+    expiresAt: { type: Date, default: null },
   },
   { timestamps: false }
 );
 
-// TTL index: expire documents 7 days after createdAt
-// Note: In MongoDB, TTL index must be created on a field with a BSON date value
-chatMessageSchema.index({ createdAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+// TTL index: documents are removed once expiresAt has passed
+chatMessageSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+chatMessageSchema.index({ userId: 1, createdAt: -1 });
+chatMessageSchema.index({ conversationId: 1, createdAt: -1 });
 
 const ChatMessage = mongoose.model('ChatMessage', chatMessageSchema);
 
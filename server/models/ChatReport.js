@@ -0,0 +1,36 @@
+import mongoose from 'mongoose';
+
+export const REPORT_REASONS = ['harmful', 'inappropriate', 'unsafe_advice', 'incorrect', 'other'];
+export const REPORT_STATUSES = ['open', 'reviewed', 'dismissed'];
+
+// A reply the user reported, queued for moderator review. The exchange is
+// copied in because moderators need to see it after the messages themselves
+// have expired or been deleted.
+const chatReportSchema = new mongoose.Schema(
+  {
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+    messageId: { type: mongoose.Schema.Types.ObjectId, ref: 'ChatMessage', required: true },
+    // See ChatFeedback.version
+    version: { type: Number, default: 0 },
+    conversationId: { type: mongoose.Schema.Types.ObjectId, ref: 'Conversation' },
+    reason: { type: String, enum: REPORT_REASONS, required: true },
+    details: { type: String, trim: true, default: '' },
+    exchange: {
+      message: { type: String, default: '' },
+      reply: { type: String, required: true },
+      source: { type: String },
+    },
+    status: { type: String, enum: REPORT_STATUSES, default: 'open' },
+    reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    reviewedAt: { type: Date },
+    reviewNote: { type: String, trim: true },
+  },
+  { timestamps: true }
+);
+
+chatReportSchema.index({ messageId: 1, version: 1 }, { unique: true });
+chatReportSchema.index({ status: 1, createdAt: -1 });
+
+const ChatReport = mongoose.model('ChatReport', chatReportSchema);
+
+export default ChatReport;
@@ -0,0 +1,22 @@
+import mongoose from 'mongoose';
+
+// Rolling summary of a conversation's messages that have dropped out of the
+// context window sent with each reply (see utils/chatMemory.js)
+const chatSummarySchema = new mongoose.Schema(
+  {
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+    conversationId: { type: mongoose.Schema.Types.ObjectId, ref: 'Conversation', required: true, unique: true },
+    summary: { type: String, default: '' },
+    // createdAt of the newest message folded into the summary
+    coversUntil: { type: Date, required: true },
+    // Same as the newest message it covers, so it never outlives the history
+    expiresAt: { type: Date, default: null },
+  },
+  { timestamps: true }
+);
+
+chatSummarySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const ChatSummary = mongoose.model('ChatSummary', chatSummarySchema);
+
+export default ChatSummary;
@@ -0,0 +1,25 @@
+import mongoose from 'mongoose';
+
+// A chat thread with Mate. Messages point to it through ChatMessage.conversationId;
+// context and the rolling summary are kept per conversation (utils/chatMemory.js).
+const conversationSchema = new mongoose.Schema(
+  {
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    // Empty until the first exchange is stored; see utils/conversations.js
+    title: { type: String, trim: true, default: '' },
+    // 'auto' titles are replaced by a model-written one, 'user' titles never are
+    titleSource: { type: String, enum: ['auto', 'user'], default: 'auto' },
+    archived: { type: Boolean, default: false },
+    lastMessageAt: { type: Date, default: Date.now },
+    // Follows the newest message, so a thread goes once all of its messages have
+    expiresAt: { type: Date, default: null },
+  },
+  { timestamps: true }
+);
+
+conversationSchema.index({ userId: 1, archived: 1, lastMessageAt: -1 });
+conversationSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const Conversation = mongoose.model('Conversation', conversationSchema);
+
+export default Conversation;
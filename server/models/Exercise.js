@@ -0,0 +1,42 @@
+import mongoose from 'mongoose';
+import { LANGUAGES } from './User.js';
+import { EXERCISE_IDS } from '../utils/exerciseFlows.js';
+
+export const EXERCISE_STATUSES = ['active', 'completed'];
+
+// One run of a guided exercise (utils/exerciseFlows.js). An active run can be
+// picked up again from any device until it is completed or deleted; completed
+// runs are kept and shown alongside the user's journals.
+const exerciseSchema = new mongoose.Schema(
+  {
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    flow: { type: String, enum: EXERCISE_IDS, required: true },
+    // Prompts are shown in the language the run was started in
+    language: { type: String, enum: LANGUAGES, default: 'en' },
+    status: { type: String, enum: EXERCISE_STATUSES, default: 'active' },
+    // The step waiting for an answer; null once completed
+    currentStep: { type: String, default: null },
+    // In the order they were given; going back removes the last one
+    answers: {
+      type: [
+        {
+          _id: false,
+          step: { type: String, required: true },
+          value: { type: mongoose.Schema.Types.Mixed },
+          answeredAt: { type: Date, default: Date.now },
+        },
+      ],
+      default: [],
+    },
+    completedAt: { type: Date, default: null },
+  },
+  { timestamps: true }
+);
+
+// At most one run of each flow in progress, so starting it again resumes that one
+exerciseSchema.index({ userId: 1, flow: 1 }, { unique: true, partialFilterExpression: { status: 'active' } });
+exerciseSchema.index({ userId: 1, status: 1, updatedAt: -1 });
+
+const Exercise = mongoose.model('Exercise', exerciseSchema);
+
+export default Exercise;
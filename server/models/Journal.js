@@ -1,16 +1,45 @@
 import mongoose from 'mongoose';
+import { MOODS } from './ChatMessage.js';
+import { PROMPT_IDS } from '../utils/journalPrompts.js';
 
 const journalSchema = new mongoose.Schema(
   {
-    title: { type: String, required: true, trim: true },
-    date: { type: String, required: true },
+    // Either title and summary, or for an end-to-end encrypted entry `cipher`
+    // holding both; schemas/journalSchemas.js checks which
+    title: { type: String, trim: true },
+    // When the entry was written; what the journal is sorted and filtered by
+    writtenAt: { type: Date, required: true, default: Date.now },
+    // Display strings sent by older app versions, kept so they still show them
+    date: { type: String },
     time: { type: String, default: '' },
-    summary: { type: String, required: true },
+    summary: { type: String },
+    // Title and summary encrypted on the device (see models/JournalKey.js), as
+    // `v1.<nonce>.<ciphertext>` in base64. The server can't read it, so such
+    // entries get no mood and aren't found by text search.
+    cipher: { type: String },
     userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    // Classified from the entry by utils/moodClassification.js, for the wellbeing analytics
+    mood: { type: String, enum: MOODS, default: 'unknown' },
+    moodIntensity: { type: Number, min: 0, max: 1 },
+    // User-defined, normalized by schemas/journalSchemas.js. Not versioned:
+    // changing them doesn't create a JournalVersion.
+    tags: { type: [String], default: [] },
+    // The prompt (utils/journalPrompts.js) the entry was written from, if any
+    promptId: { type: String, enum: PROMPT_IDS },
+    // Bumped on every edit; earlier versions are kept in JournalVersion
+    version: { type: Number, default: 1 },
   },
   { timestamps: true }
 );
 
+journalSchema.index({ userId: 1, writtenAt: -1, _id: -1 });
+journalSchema.index({ userId: 1, tags: 1 });
+// For search; matches in the title rank higher than in the text
+journalSchema.index(
+  { title: 'text', summary: 'text' },
+  { weights: { title: 3, summary: 1 }, default_language: 'english', name: 'journal_text' }
+);
+
 const Journal = mongoose.model('Journal', journalSchema);
 export default Journal;
 
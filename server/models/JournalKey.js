@@ -0,0 +1,31 @@
+import mongoose from 'mongoose';
+
+export const KDF_NAMES = ['scrypt'];
+
+// A user's end-to-end encryption key material for journal entries. The entry
+// key itself never reaches the server: it is generated on the device and only
+// stored here encrypted ("wrapped") twice, with a key derived from the user's
+// passphrase and with their recovery key, so the server can't read either.
+const journalKeySchema = new mongoose.Schema(
+  {
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, unique: true },
+    // How the passphrase is stretched into the key wrapping `wrappedKey`
+    kdf: {
+      _id: false,
+      name: { type: String, enum: KDF_NAMES, required: true },
+      salt: { type: String, required: true },
+      N: { type: Number, required: true },
+      r: { type: Number, required: true },
+      p: { type: Number, required: true },
+    },
+    wrappedKey: { type: String, required: true },
+    recoveryWrappedKey: { type: String, required: true },
+    // SHA-256 of a value only derivable from the entry key; changing the key
+    // material takes that value, so a stolen session alone can't replace it
+    verifierHash: { type: String, required: true },
+  },
+  { timestamps: true }
+);
+
+const JournalKey = mongoose.model('JournalKey', journalKeySchema);
+export default JournalKey;
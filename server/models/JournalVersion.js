@@ -0,0 +1,27 @@
+import mongoose from 'mongoose';
+import { MOODS } from './ChatMessage.js';
+
+// An earlier state of a journal entry, saved whenever the entry is edited or
+// restored. `version` is the entry's version number while it held this content.
+const journalVersionSchema = new mongoose.Schema(
+  {
+    journalId: { type: mongoose.Schema.Types.ObjectId, ref: 'Journal', required: true },
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+    version: { type: Number, required: true },
+    title: { type: String },
+    writtenAt: { type: Date },
+    date: { type: String },
+    time: { type: String, default: '' },
+    summary: { type: String },
+    // For versions of encrypted entries, in place of title and summary
+    cipher: { type: String },
+    mood: { type: String, enum: MOODS, default: 'unknown' },
+    moodIntensity: { type: Number, min: 0, max: 1 },
+  },
+  { timestamps: true }
+);
+
+journalVersionSchema.index({ journalId: 1, version: -1 }, { unique: true });
+
+const JournalVersion = mongoose.model('JournalVersion', journalVersionSchema);
+export default JournalVersion;
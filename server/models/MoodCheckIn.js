@@ -0,0 +1,48 @@
+import mongoose from 'mongoose';
+
+// The rating scale: 1 is very low, 3 okay and 5 great
+export const MOOD_SCALE = { min: 1, max: 5 };
+export const CHECKIN_EMOTIONS = [
+  'happy',
+  'calm',
+  'grateful',
+  'hopeful',
+  'proud',
+  'excited',
+  'tired',
+  'bored',
+  'anxious',
+  'stressed',
+  'sad',
+  'lonely',
+  'angry',
+  'overwhelmed',
+];
+
+// A check-in rating on the -1..1 scale the wellbeing analytics use
+export const moodCheckInScore = (mood) => (mood - 3) / 2;
+
+// A quick self-report of how the user is doing. Unlike the moods classified
+// from chats and journals, everything here is the user's own rating.
+const moodCheckInSchema = new mongoose.Schema(
+  {
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    mood: { type: Number, min: MOOD_SCALE.min, max: MOOD_SCALE.max, required: true },
+    emotions: { type: [{ type: String, enum: CHECKIN_EMOTIONS }], default: [] },
+    // 1 (drained) to 5 (energetic)
+    energy: { type: Number, min: 1, max: 5 },
+    // Slept the night before
+    sleepHours: { type: Number, min: 0, max: 24 },
+    note: { type: String, trim: true },
+    // A journal entry written about it; unset when that entry is deleted
+    journalId: { type: mongoose.Schema.Types.ObjectId, ref: 'Journal' },
+    checkedInAt: { type: Date, required: true, default: Date.now },
+  },
+  { timestamps: true }
+);
+
+moodCheckInSchema.index({ userId: 1, checkedInAt: -1, _id: -1 });
+moodCheckInSchema.index({ journalId: 1 }, { sparse: true });
+
+const MoodCheckIn = mongoose.model('MoodCheckIn', moodCheckInSchema);
+export default MoodCheckIn;
@@ -0,0 +1,15 @@
+import mongoose from 'mongoose';
+
+// Counter documents backing the Mongo rate-limit store (utils/rateLimitStores.js)
+const rateLimitHitSchema = new mongoose.Schema({
+  key: { type: String, required: true, unique: true },
+  count: { type: Number, default: 0 },
+  resetAt: { type: Date, required: true },
+});
+
+// TTL index: expired windows are cleaned up by MongoDB
+rateLimitHitSchema.index({ resetAt: 1 }, { expireAfterSeconds: 0 });
+
+const RateLimitHit = mongoose.model('RateLimitHit', rateLimitHitSchema);
+
+export default RateLimitHit;
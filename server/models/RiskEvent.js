@@ -0,0 +1,35 @@
+import mongoose from 'mongoose';
+
+export const ESCALATION_ACTIONS = ['called_contact', 'texted_contact', 'called_helpline'];
+
+// One flagged chat message or exercise answer (see utils/riskDetection.js). The
+// text itself is not copied here; it is linked through chatMessageId or exerciseId.
+const riskEventSchema = new mongoose.Schema(
+  {
+    // null for chats from signed-out visitors
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', index: true, default: null },
+    source: { type: String, enum: ['chat', 'exercise'], default: 'chat' },
+    level: { type: String, enum: ['elevated', 'high'], required: true, index: true },
+    score: { type: Number, required: true },
+    rules: { type: [String], default: [] },
+    chatMessageId: { type: mongoose.Schema.Types.ObjectId, ref: 'ChatMessage', default: null },
+    exerciseId: { type: mongoose.Schema.Types.ObjectId, ref: 'Exercise', default: null },
+    // What the user did from the safety card, reported by the app
+    escalations: {
+      type: [
+        {
+          _id: false,
+          action: { type: String, enum: ESCALATION_ACTIONS, required: true },
+          helplineId: { type: String },
+          at: { type: Date, default: Date.now },
+        },
+      ],
+      default: [],
+    },
+  },
+  { timestamps: true }
+);
+
+const RiskEvent = mongoose.model('RiskEvent', riskEventSchema);
+
+export default RiskEvent;
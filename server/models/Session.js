@@ -0,0 +1,26 @@
+import mongoose from 'mongoose';
+
+const sessionSchema = new mongoose.Schema(
+  {
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+    // sha256 of the current refresh token secret; the raw token is only ever sent to the device
+    refreshTokenHash: { type: String, required: true },
+    // Hashes of the most recent tokens this session rotated out, so a replayed one
+    // can be told apart from a token that never belonged to it
+    rotatedTokenHashes: { type: [String], default: [] },
+    deviceName: { type: String, trim: true, default: '' },
+    userAgent: { type: String, trim: true, default: '' },
+    ip: { type: String, trim: true, default: '' },
+    lastUsedAt: { type: Date, default: Date.now },
+    expiresAt: { type: Date, required: true },
+    revokedAt: { type: Date, default: null },
+  },
+  { timestamps: true }
+);
+
+// TTL index: drop sessions once the refresh window has passed
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const Session = mongoose.model('Session', sessionSchema);
+
+export default Session;
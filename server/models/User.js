@@ -1,10 +1,21 @@
 import mongoose from 'mongoose';
 
+export const ROLES = ['user', 'moderator', 'admin', 'therapist'];
+// App languages; the UI and Mate's replies follow the chosen one
+export const LANGUAGES = ['en', 'hi', 'ta', 'te', 'kn'];
+// How long chat history is kept; 'off' stores none (see utils/chatRetention.js)
+export const CHAT_RETENTION = ['off', '7d', '30d', '90d', 'forever'];
+
 const userSchema = new mongoose.Schema(
   {
     name: { type: String, required: true, trim: true },
     email: { type: String, required: true, unique: true, lowercase: true, trim: true },
     passwordHash: { type: String, required: true },
+    emailVerified: { type: Boolean, default: false },
+    emailVerifiedAt: { type: Date },
+    failedLoginAttempts: { type: Number, default: 0 },
+    lockedUntil: { type: Date },
+    role: { type: String, enum: ROLES, default: 'user', index: true },
     age: { type: Number, min: 13 },
     gender: { type: String, enum: ['male', 'female', 'other'] },
     phone: { type: String, trim: true },
@@ -12,7 +23,16 @@ const userSchema = new mongoose.Schema(
     emergencyContactPhone: { type: String, trim: true },
     concerns: { type: [String], default: [] },
     avatarUrl: { type: String, trim: true },
-    language: { type: String, enum: ['en', 'hi', 'ta', 'te', 'kn'], default: 'en' },
+    // Smaller renditions written alongside avatarUrl by POST /api/auth/me/avatar
+    avatarThumbnails: {
+      small: { type: String },
+      medium: { type: String },
+    },
+    language: { type: String, enum: LANGUAGES, default: 'en' },
+    chatRetention: { type: String, enum: CHAT_RETENTION, default: '7d' },
+    // Set by DELETE /api/auth/me; the account is purged once the grace period ends
+    deletionRequestedAt: { type: Date },
+    deletionScheduledFor: { type: Date, index: true },
     google: {
       refreshToken: { type: String },
       accessToken: { type: String },
@@ -0,0 +1,16 @@
+import express from 'express';
+import { listUsers, updateUserRole, getChatFeedbackStats, getChatServiceStatus } from '../controllers/adminController.js';
+import { requireAuth, requireRole } from '../middleware/auth.js';
+import { validate } from '../middleware/validate.js';
+import * as schemas from '../schemas/adminSchemas.js';
+
+const router = express.Router();
+
+router.use(requireAuth, requireRole('admin'));
+
+router.get('/users', validate(schemas.listUsers), listUsers);
+router.patch('/users/:id/role', validate(schemas.updateUserRole), updateUserRole);
+router.get('/chat-feedback', validate(schemas.getChatFeedbackStats), getChatFeedbackStats);
+router.get('/chat-service', validate(schemas.getChatServiceStatus), getChatServiceStatus);
+
+export default router;
@@ -0,0 +1,11 @@
+import express from 'express';
+import { getWellbeingAnalytics } from '../controllers/analyticsController.js';
+import { requireAuth } from '../middleware/auth.js';
+import { validate } from '../middleware/validate.js';
+import * as schemas from '../schemas/analyticsSchemas.js';
+
+const router = express.Router();
+
+router.get('/wellbeing', requireAuth, validate(schemas.getWellbeingAnalytics), getWellbeingAnalytics);
+
+export default router;
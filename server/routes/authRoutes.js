@@ -1,12 +1,48 @@
 import express from 'express';
-import { signup, login, me, updateMe } from '../controllers/authController.js';
+import {
+  signup,
+  login,
+  me,
+  updateMe,
+  refresh,
+  logout,
+  getSessions,
+  revokeSession,
+  revokeOtherSessions,
+  requestPasswordReset,
+  resetPassword,
+  requestEmailVerification,
+  verifyEmail,
+  exportMe,
+  deleteMe,
+  uploadAvatar,
+} from '../controllers/authController.js';
 import { requireAuth } from '../middleware/auth.js';
+import { authLimiter, passwordResetLimiter } from '../middleware/rateLimit.js';
+import { validate } from '../middleware/validate.js';
+import * as schemas from '../schemas/authSchemas.js';
+import { createAvatarUpload } from '../utils/upload.js';
 
 const router = express.Router();
+const avatarUpload = createAvatarUpload();
 
-router.post('/signup', signup);
-router.post('/login', login);
-router.get('/me', requireAuth, me);
-router.put('/me', requireAuth, updateMe);
+router.post('/signup', authLimiter, validate(schemas.signup), signup);
+router.post('/login', authLimiter, validate(schemas.login), login);
+router.post('/refresh', validate(schemas.refresh), refresh);
+router.post('/logout', requireAuth, validate(schemas.logout), logout);
+router.post('/password/forgot', passwordResetLimiter, validate(schemas.requestPasswordReset), requestPasswordReset);
+router.post('/password/reset', passwordResetLimiter, validate(schemas.resetPassword), resetPassword);
+router.post('/email/verification', requireAuth, authLimiter, validate(schemas.requestEmailVerification), requestEmailVerification);
+router.post('/email/verify', requireAuth, authLimiter, validate(schemas.verifyEmail), verifyEmail);
+router.get('/me', requireAuth, validate(schemas.me), me);
+router.put('/me', requireAuth, validate(schemas.updateMe), updateMe);
+router.delete('/me', requireAuth, validate(schemas.deleteMe), deleteMe);
+router.post('/me/avatar', requireAuth, validate(schemas.uploadAvatar), avatarUpload.single('avatar'), uploadAvatar);
+router.get('/me/export', requireAuth, validate(schemas.exportMe), exportMe);
+
+// Device sessions
+router.get('/sessions', requireAuth, validate(schemas.getSessions), getSessions);
+router.delete('/sessions', requireAuth, validate(schemas.revokeOtherSessions), revokeOtherSessions);
+router.delete('/sessions/:id', requireAuth, validate(schemas.revokeSession), revokeSession);
 
 export default router;
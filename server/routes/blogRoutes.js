@@ -1,12 +1,17 @@
 import express from 'express';
-import { getBlogs, getBlogById, createBlog, upload, likeBlog } from '../controllers/blogController.js';
-import { requireAuth } from '../middleware/auth.js';
+import { getBlogs, getBlogById, createBlog, upload, likeBlog, deleteBlog } from '../controllers/blogController.js';
+import { requireAuth, requireRole } from '../middleware/auth.js';
+import { blogCreateLimiter } from '../middleware/rateLimit.js';
+import { validate } from '../middleware/validate.js';
+import * as schemas from '../schemas/blogSchemas.js';
 
 const router = express.Router();
 
-router.get('/', requireAuth,getBlogs);
-router.get('/:id', getBlogById);
-router.post('/', createBlog);
-router.post('/:id/like', likeBlog);
+router.get('/', requireAuth, validate(schemas.getBlogs), getBlogs);
+router.get('/:id', requireAuth, validate(schemas.getBlogById), getBlogById);
+// Content management: publishing is limited to moderators and therapists
+router.post('/', requireAuth, requireRole('moderator', 'therapist'), blogCreateLimiter, validate(schemas.createBlog), createBlog);
+router.post('/:id/like', requireAuth, validate(schemas.likeBlog), likeBlog);
+router.delete('/:id', requireAuth, requireRole('moderator'), validate(schemas.deleteBlog), deleteBlog);
 
 export default router;
@@ -1,9 +1,11 @@
 import express from 'express';
 import { handleGoogleCallback } from '../controllers/calendarController.js';
+import { validate } from '../middleware/validate.js';
+import * as schemas from '../schemas/calendarSchemas.js';
 
 const router = express.Router();
 
-router.get('/callback', handleGoogleCallback);
+router.get('/callback', validate(schemas.handleGoogleCallback), handleGoogleCallback);
 
 export default router;
 
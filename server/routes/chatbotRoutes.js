@@ -1,12 +1,71 @@
 import express from 'express';
-import { getChatbotReply, getChatHistory, getChatAnalytics } from '../controllers/chatbotController.js';
-import { requireAuth, tryAuth } from '../middleware/auth.js';
+import {
+  getChatbotReply,
+  streamChatbotReply,
+  getChatHistory,
+  deleteChatHistory,
+  deleteChatHistoryDay,
+  getChatAnalytics,
+  getChatSettings,
+  updateChatSettings,
+  listConversations,
+  createConversation,
+  updateConversation,
+  deleteConversation,
+  getConversationMessages,
+  setReplyFeedback,
+  clearReplyFeedback,
+  regenerateReply,
+  reportReply,
+  listChatReports,
+  reviewChatReport,
+  recordRiskEscalation,
+} from '../controllers/chatbotController.js';
+import {
+  listExerciseFlows,
+  listExercises,
+  startExercise,
+  getExercise,
+  answerExercise,
+  stepBackExercise,
+  deleteExercise,
+} from '../controllers/exerciseController.js';
+import { requireAuth, requireRole, tryAuth } from '../middleware/auth.js';
+import { aiLimiter } from '../middleware/rateLimit.js';
+import { validate } from '../middleware/validate.js';
+import * as schemas from '../schemas/chatbotSchemas.js';
 
 const router = express.Router();
 
-router.post('/reply', tryAuth, getChatbotReply);
-router.get('/history', requireAuth, getChatHistory);
-router.get('/analytics', requireAuth, getChatAnalytics);
+router.post('/reply', tryAuth, aiLimiter, validate(schemas.getChatbotReply), getChatbotReply);
+router.post('/reply/stream', tryAuth, aiLimiter, validate(schemas.streamChatbotReply), streamChatbotReply);
+router.post('/risk-events/:id/escalations', requireAuth, validate(schemas.recordRiskEscalation), recordRiskEscalation);
+router.get('/history', requireAuth, validate(schemas.getChatHistory), getChatHistory);
+router.delete('/history', requireAuth, validate(schemas.deleteChatHistory), deleteChatHistory);
+router.delete('/history/:date', requireAuth, validate(schemas.deleteChatHistoryDay), deleteChatHistoryDay);
+router.get('/conversations', requireAuth, validate(schemas.listConversations), listConversations);
+router.post('/conversations', requireAuth, validate(schemas.createConversation), createConversation);
+router.patch('/conversations/:id', requireAuth, validate(schemas.updateConversation), updateConversation);
+router.delete('/conversations/:id', requireAuth, validate(schemas.deleteConversation), deleteConversation);
+router.get('/conversations/:id/messages', requireAuth, validate(schemas.getConversationMessages), getConversationMessages);
+router.put('/messages/:id/feedback', requireAuth, validate(schemas.setReplyFeedback), setReplyFeedback);
+router.delete('/messages/:id/feedback', requireAuth, validate(schemas.clearReplyFeedback), clearReplyFeedback);
+router.post('/messages/:id/regenerate', requireAuth, aiLimiter, validate(schemas.regenerateReply), regenerateReply);
+router.post('/messages/:id/reports', requireAuth, validate(schemas.reportReply), reportReply);
+// Review queue for reported replies
+router.get('/reports', requireAuth, requireRole('moderator'), validate(schemas.listChatReports), listChatReports);
+router.patch('/reports/:id', requireAuth, requireRole('moderator'), validate(schemas.reviewChatReport), reviewChatReport);
+// Guided exercises (utils/exerciseFlows.js)
+router.get('/exercises/flows', requireAuth, validate(schemas.listExerciseFlows), listExerciseFlows);
+router.get('/exercises', requireAuth, validate(schemas.listExercises), listExercises);
+router.post('/exercises', requireAuth, validate(schemas.startExercise), startExercise);
+router.get('/exercises/:id', requireAuth, validate(schemas.getExercise), getExercise);
+router.post('/exercises/:id/answers', requireAuth, validate(schemas.answerExercise), answerExercise);
+router.post('/exercises/:id/back', requireAuth, validate(schemas.stepBackExercise), stepBackExercise);
+router.delete('/exercises/:id', requireAuth, validate(schemas.deleteExercise), deleteExercise);
+router.get('/analytics', requireAuth, validate(schemas.getChatAnalytics), getChatAnalytics);
+router.get('/settings', requireAuth, validate(schemas.getChatSettings), getChatSettings);
+router.put('/settings', requireAuth, validate(schemas.updateChatSettings), updateChatSettings);
 
 export default router;
 
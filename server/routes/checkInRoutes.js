@@ -0,0 +1,23 @@
+import express from 'express';
+import {
+  getCheckIns,
+  getCheckInTrends,
+  createCheckIn,
+  getCheckIn,
+  updateCheckIn,
+  deleteCheckIn,
+} from '../controllers/checkInController.js';
+import { requireAuth } from '../middleware/auth.js';
+import { validate } from '../middleware/validate.js';
+import * as schemas from '../schemas/checkInSchemas.js';
+
+const router = express.Router();
+
+router.get('/', requireAuth, validate(schemas.getCheckIns), getCheckIns);
+router.post('/', requireAuth, validate(schemas.createCheckIn), createCheckIn);
+router.get('/trends', requireAuth, validate(schemas.getCheckInTrends), getCheckInTrends);
+router.get('/:id', requireAuth, validate(schemas.getCheckIn), getCheckIn);
+router.patch('/:id', requireAuth, validate(schemas.updateCheckIn), updateCheckIn);
+router.delete('/:id', requireAuth, validate(schemas.deleteCheckIn), deleteCheckIn);
+
+export default router;
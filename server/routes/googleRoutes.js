@@ -1,13 +1,15 @@
 import express from 'express';
 import { exchangeGoogleCode, listCalendarEvents, createCalendarEvent, disconnectGoogle } from '../controllers/googleController.js';
 import { requireAuth } from '../middleware/auth.js';
+import { validate } from '../middleware/validate.js';
+import * as schemas from '../schemas/googleSchemas.js';
 
 const router = express.Router();
 
-router.post('/exchange', requireAuth, exchangeGoogleCode);
-router.get('/events', requireAuth, listCalendarEvents);
-router.post('/events', requireAuth, createCalendarEvent);
-router.post('/disconnect', requireAuth, disconnectGoogle);
+router.post('/exchange', requireAuth, validate(schemas.exchangeGoogleCode), exchangeGoogleCode);
+router.get('/events', requireAuth, validate(schemas.listCalendarEvents), listCalendarEvents);
+router.post('/events', requireAuth, validate(schemas.createCalendarEvent), createCalendarEvent);
+router.post('/disconnect', requireAuth, validate(schemas.disconnectGoogle), disconnectGoogle);
 
 export default router;
 
@@ -1,12 +1,44 @@
 import express from 'express';
-import { getJournals, createJournal, deleteJournal } from '../controllers/journalController.js';
+import {
+  getJournals,
+  searchJournals,
+  listJournalPrompts,
+  getDailyJournalPrompt,
+  listJournalTags,
+  renameJournalTag,
+  deleteJournalTag,
+  createJournal,
+  updateJournal,
+  getJournalVersions,
+  restoreJournalVersion,
+  deleteJournal,
+  getJournalEncryption,
+  setUpJournalEncryption,
+  updateJournalEncryption,
+  resetJournalEncryption,
+} from '../controllers/journalController.js';
 import { requireAuth } from '../middleware/auth.js';
+import { validate } from '../middleware/validate.js';
+import * as schemas from '../schemas/journalSchemas.js';
 
 const router = express.Router();
 
-router.get('/', requireAuth, getJournals);
-router.post('/', requireAuth, createJournal);
-router.delete('/:id', requireAuth, deleteJournal);
+router.get('/', requireAuth, validate(schemas.getJournals), getJournals);
+router.post('/', requireAuth, validate(schemas.createJournal), createJournal);
+router.get('/search', requireAuth, validate(schemas.searchJournals), searchJournals);
+router.get('/prompts', requireAuth, validate(schemas.listJournalPrompts), listJournalPrompts);
+router.get('/prompts/daily', requireAuth, validate(schemas.getDailyJournalPrompt), getDailyJournalPrompt);
+router.get('/tags', requireAuth, validate(schemas.listJournalTags), listJournalTags);
+router.patch('/tags/:tag', requireAuth, validate(schemas.renameJournalTag), renameJournalTag);
+router.delete('/tags/:tag', requireAuth, validate(schemas.deleteJournalTag), deleteJournalTag);
+router.get('/encryption', requireAuth, validate(schemas.getJournalEncryption), getJournalEncryption);
+router.post('/encryption', requireAuth, validate(schemas.setUpJournalEncryption), setUpJournalEncryption);
+router.patch('/encryption', requireAuth, validate(schemas.updateJournalEncryption), updateJournalEncryption);
+router.delete('/encryption', requireAuth, validate(schemas.resetJournalEncryption), resetJournalEncryption);
+router.put('/:id', requireAuth, validate(schemas.updateJournal), updateJournal);
+router.get('/:id/versions', requireAuth, validate(schemas.getJournalVersions), getJournalVersions);
+router.post('/:id/versions/:versionId/restore', requireAuth, validate(schemas.restoreJournalVersion), restoreJournalVersion);
+router.delete('/:id', requireAuth, validate(schemas.deleteJournal), deleteJournal);
 
 export default router;
 
@@ -1,6 +1,8 @@
 import express from 'express';
 import { requireAuth } from '../middleware/auth.js';
+import { validate } from '../middleware/validate.js';
 import { createPlannerUpload } from '../utils/upload.js';
+import * as schemas from '../schemas/plannerSchemas.js';
 import {
   getSubjects,
   createSubject,
@@ -26,34 +28,34 @@ const router = express.Router();
 const upload = createPlannerUpload();
 
 // Subjects
-router.get('/subjects', requireAuth, getSubjects);
-router.post('/subjects', requireAuth, createSubject);
-router.delete('/deletesubject/:id', requireAuth, deleteSubject);
+router.get('/subjects', requireAuth, validate(schemas.getSubjects), getSubjects);
+router.post('/subjects', requireAuth, validate(schemas.createSubject), createSubject);
+router.delete('/deletesubject/:id', requireAuth, validate(schemas.deleteSubject), deleteSubject);
 
 // Notes
-router.get('/notes', requireAuth, getNotes);
-router.post('/notes', requireAuth, upload.any(), uploadNotes);
-router.delete('/notes', requireAuth, deleteNotes);
+router.get('/notes', requireAuth, validate(schemas.getNotes), getNotes);
+router.post('/notes', requireAuth, validate(schemas.uploadNotes), upload.any(), uploadNotes);
+router.delete('/notes', requireAuth, validate(schemas.deleteNotes), deleteNotes);
 
 // Materials
-router.post('/materials', requireAuth, upload.any(), uploadMaterials);
-router.get('/materials', requireAuth, getMaterials);
-router.delete('/materials', requireAuth, deleteMaterials);
+router.post('/materials', requireAuth, validate(schemas.uploadMaterials), upload.any(), uploadMaterials);
+router.get('/materials', requireAuth, validate(schemas.getMaterials), getMaterials);
+router.delete('/materials', requireAuth, validate(schemas.deleteMaterials), deleteMaterials);
 
 // Datesheet
-router.post('/datesheet', requireAuth, upload.any(), uploadDatesheet);
-router.get('/datesheet', requireAuth, getDatesheet);
-router.delete('/datesheet', requireAuth, deleteDatesheet);
+router.post('/datesheet', requireAuth, validate(schemas.uploadDatesheet), upload.any(), uploadDatesheet);
+router.get('/datesheet', requireAuth, validate(schemas.getDatesheet), getDatesheet);
+router.delete('/datesheet', requireAuth, validate(schemas.deleteDatesheet), deleteDatesheet);
 
 // Study Plan
-router.post('/plan', requireAuth, createPlan);
-router.get('/plan', requireAuth, getPlan);
-router.patch('/plan/items/:itemId', requireAuth, updatePlanItemCompletion);
+router.post('/plan', requireAuth, validate(schemas.createPlan), createPlan);
+router.get('/plan', requireAuth, validate(schemas.getPlan), getPlan);
+router.patch('/plan/items/:itemId', requireAuth, validate(schemas.updatePlanItemCompletion), updatePlanItemCompletion);
 
 // Google Calendar
-router.get('/google/status', requireAuth, checkGoogleConnection);
-router.post('/google/disconnect', requireAuth, disconnectGoogle);
-router.post('/google/push', requireAuth, pushPlanToGoogle);
+router.get('/google/status', requireAuth, validate(schemas.checkGoogleConnection), checkGoogleConnection);
+router.post('/google/disconnect', requireAuth, validate(schemas.disconnectGoogle), disconnectGoogle);
+router.post('/google/push', requireAuth, validate(schemas.pushPlanToGoogle), pushPlanToGoogle);
 
 export default router;
 
@@ -1,10 +1,12 @@
 import express from 'express';
 import { getDailyQuote } from '../controllers/quoteController.js';
+import { validate } from '../middleware/validate.js';
+import * as schemas from '../schemas/quoteSchemas.js';
 
 const router = express.Router();
 
 
-router.get('/', getDailyQuote);
+router.get('/', validate(schemas.getDailyQuote), getDailyQuote);
 
 export default router;
 
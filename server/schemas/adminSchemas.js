@@ -0,0 +1,27 @@
+import { z } from 'zod';
+import { idParams } from './common.js';
+import { ROLES } from '../models/User.js';
+
+export const listUsers = {
+  summary: 'Search users (admins)',
+  query: z.object({
+    role: z.enum(ROLES).optional(),
+    q: z.string().trim().max(100).optional(),
+    limit: z.coerce.number().int().min(1).max(100).default(50),
+  }),
+};
+
+export const updateUserRole = {
+  summary: 'Change a user\'s role (admins)',
+  params: idParams,
+  body: z.object({ role: z.enum(ROLES) }),
+};
+
+export const getChatFeedbackStats = {
+  summary: 'Aggregate feedback on chatbot replies (admins)',
+  query: z.object({ days: z.coerce.number().int().min(1).max(365).default(30) }),
+};
+
+export const getChatServiceStatus = {
+  summary: 'Chat backend and circuit breaker state, with the last error (admins)',
+};
@@ -0,0 +1,16 @@
+import { z } from 'zod';
+import { stringList } from './common.js';
+import { ANALYTICS_SOURCE_NAMES, GRANULARITIES } from '../utils/wellbeingAnalytics.js';
+
+export const getWellbeingAnalytics = {
+  summary: 'Mood trends, streaks and time-of-day patterns across chat, journals, exercises and check-ins',
+  query: z.object({
+    // Local days, inclusive; `to` defaults to today and `from` to 29 days before it
+    from: z.iso.date('Date must be YYYY-MM-DD').optional(),
+    to: z.iso.date('Date must be YYYY-MM-DD').optional(),
+    granularity: z.enum(GRANULARITIES).default('day'),
+    tzOffset: z.coerce.number().int().min(-840).max(840).default(0),
+    // Comma separated; all sources when left out
+    sources: stringList(z.array(z.enum(ANALYTICS_SOURCE_NAMES)).min(1)).optional(),
+  }),
+};
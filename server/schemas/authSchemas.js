@@ -0,0 +1,84 @@
+import { z } from 'zod';
+import { email, password, oneTimeCode, deviceName, idParams, optionalText } from './common.js';
+import { LANGUAGES } from '../models/User.js';
+
+const GENDERS = ['male', 'female', 'other'];
+
+const age = z.coerce.number().int().min(13, 'Age must be a number between 13 and 120').max(120, 'Age must be a number between 13 and 120');
+const gender = z.string().trim().toLowerCase().pipe(z.enum(GENDERS, 'Gender must be male, female, or other'));
+
+export const signup = {
+  summary: 'Create an account and start a device session',
+  body: z.object({
+    name: z.string().trim().min(1, 'Name is required').max(100),
+    email,
+    password,
+    age: age.optional(),
+    gender: gender.optional(),
+    deviceName,
+  }),
+};
+
+export const login = {
+  summary: 'Log in and start a device session',
+  body: z.object({
+    email,
+    password: z.string().min(1, 'Password is required'),
+    deviceName,
+  }),
+};
+
+export const refresh = {
+  summary: 'Exchange a refresh token for a new token pair',
+  body: z.object({ refreshToken: z.string().min(1, 'refreshToken is required') }),
+};
+
+export const logout = { summary: 'Revoke the current device session' };
+
+export const requestPasswordReset = {
+  summary: 'Email a password reset code',
+  body: z.object({ email }),
+};
+
+export const resetPassword = {
+  summary: 'Set a new password using an emailed reset code',
+  body: z.object({ email, code: oneTimeCode, password }),
+};
+
+export const requestEmailVerification = { summary: 'Email a new verification code' };
+
+export const verifyEmail = {
+  summary: 'Confirm the email address with a verification code',
+  body: z.object({ code: oneTimeCode }),
+};
+
+export const me = { summary: 'Current user profile' };
+
+export const updateMe = {
+  summary: 'Update the current user profile',
+  body: z.object({
+    name: z.string().trim().min(1).max(100).optional(),
+    email: email.optional(),
+    age: age.optional(),
+    gender: gender.optional(),
+    phone: optionalText(30),
+    concerns: z.array(z.string().trim().toLowerCase().min(1).max(60)).max(20).optional(),
+    emergencyContactName: optionalText(100),
+    emergencyContactPhone: optionalText(30),
+    language: z.enum(LANGUAGES).optional(),
+  }),
+};
+
+// Checked before multer buffers the file; the image itself is validated in utils/avatars.js
+export const uploadAvatar = { summary: 'Upload a new avatar image', multipart: { avatar: 'file' } };
+
+export const deleteMe = {
+  summary: 'Schedule the account for deletion',
+  body: z.object({ password: z.string().min(1, 'password is required') }),
+};
+
+export const exportMe = { summary: 'Download all account data as a zip archive' };
+
+export const getSessions = { summary: 'List active device sessions' };
+export const revokeOtherSessions = { summary: 'Sign out every other device' };
+export const revokeSession = { summary: 'Sign out one device', params: idParams };
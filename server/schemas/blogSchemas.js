@@ -0,0 +1,18 @@
+import { z } from 'zod';
+import { idParams } from './common.js';
+
+export const getBlogs = { summary: 'Blogs matching the current user\'s concerns' };
+export const getBlogById = { summary: 'Get one blog', params: idParams };
+
+export const createBlog = {
+  summary: 'Publish a blog (moderators and therapists)',
+  body: z.object({
+    author: z.string().trim().min(1, 'author is required').max(100),
+    title: z.string().trim().min(1, 'title is required').max(200),
+    excerpt: z.string().trim().min(1, 'excerpt is required').max(20000),
+    image: z.string().trim().max(2000).optional(),
+  }),
+};
+
+export const likeBlog = { summary: 'Like a blog once', params: idParams };
+export const deleteBlog = { summary: 'Delete a blog (moderators)', params: idParams };
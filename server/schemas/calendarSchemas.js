@@ -0,0 +1,11 @@
+import { z } from 'zod';
+
+export const handleGoogleCallback = {
+  summary: 'Google OAuth redirect target; forwards the result to the client app',
+  query: z.object({
+    code: z.string().optional(),
+    state: z.string().optional(),
+    scope: z.string().optional(),
+    error: z.string().optional(),
+  }),
+};
@@ -0,0 +1,175 @@
+import { z } from 'zod';
+import { idParams, objectId } from './common.js';
+import { ESCALATION_ACTIONS } from '../models/RiskEvent.js';
+import { CHAT_RETENTION, LANGUAGES } from '../models/User.js';
+import { FEEDBACK_RATINGS, FEEDBACK_REASONS } from '../models/ChatFeedback.js';
+import { REPORT_REASONS, REPORT_STATUSES } from '../models/ChatReport.js';
+import { EXERCISE_STATUSES } from '../models/Exercise.js';
+import { EXERCISE_IDS } from '../utils/exerciseFlows.js';
+
+const chatMessageBody = z.object({
+  message: z.string().trim().min(1, 'Message is required and must be a non-empty string').max(4000),
+  // Thread to continue; without one a stored exchange starts a new conversation
+  conversationId: objectId.optional(),
+  // Neither stored nor added to the stored conversation's context
+  incognito: z.boolean().optional(),
+  // The app language; Mate's default reply language when signed out
+  language: z.enum(LANGUAGES).optional(),
+  // Recent turns, oldest first, for conversations the server doesn't store
+  // (signed out, incognito or history off); ignored otherwise
+  history: z
+    .array(z.object({ role: z.enum(['user', 'assistant']), content: z.string().max(4000) }))
+    .max(40)
+    .optional(),
+});
+
+export const getChatbotReply = {
+  summary: 'Send a message to Mate and get a reply',
+  body: chatMessageBody,
+};
+
+export const streamChatbotReply = {
+  summary: 'Send a message to Mate and stream the reply as Server-Sent Events',
+  body: chatMessageBody,
+};
+
+export const recordRiskEscalation = {
+  summary: 'Record an action taken from the crisis support card',
+  params: idParams,
+  body: z.object({
+    action: z.enum(ESCALATION_ACTIONS),
+    helplineId: z.string().trim().max(40).optional(),
+  }),
+};
+
+export const getChatHistory = { summary: 'Stored chat messages, oldest first' };
+
+export const deleteChatHistory = { summary: 'Delete all stored chat messages' };
+
+export const deleteChatHistoryDay = {
+  summary: 'Delete the chat messages of one day',
+  params: z.object({
+    date: z.iso.date('Date must be YYYY-MM-DD'),
+  }),
+  query: z.object({
+    tzOffset: z.coerce.number().int().min(-840).max(840).default(0),
+  }),
+};
+
+const conversationTitle = z.string().trim().min(1).max(100);
+
+export const listConversations = {
+  summary: 'List chat conversations, most recently active first',
+  query: z.object({
+    archived: z.stringbool().default(false),
+    limit: z.coerce.number().int().min(1).max(100).default(30),
+    before: objectId.optional(),
+  }),
+};
+
+export const createConversation = {
+  summary: 'Start a new chat conversation',
+  body: z.object({ title: conversationTitle.optional() }),
+};
+
+export const updateConversation = {
+  summary: 'Rename or archive a chat conversation',
+  params: idParams,
+  body: z
+    .object({ title: conversationTitle.optional(), archived: z.boolean().optional() })
+    .refine((b) => b.title !== undefined || b.archived !== undefined, 'Nothing to update'),
+};
+
+export const deleteConversation = {
+  summary: 'Delete a chat conversation and its messages',
+  params: idParams,
+};
+
+export const getConversationMessages = {
+  summary: 'Messages of a chat conversation, newest page first',
+  params: idParams,
+  query: z.object({
+    limit: z.coerce.number().int().min(1).max(100).default(50),
+    before: objectId.optional(),
+  }),
+};
+
+export const setReplyFeedback = {
+  summary: 'Rate one of Mate\'s replies',
+  params: idParams,
+  body: z.object({ rating: z.enum(FEEDBACK_RATINGS), reason: z.enum(FEEDBACK_REASONS).optional() }),
+};
+
+export const clearReplyFeedback = {
+  summary: 'Remove the rating of a reply',
+  params: idParams,
+};
+
+export const regenerateReply = {
+  summary: 'Replace the latest reply of a conversation with a new one',
+  params: idParams,
+};
+
+export const reportReply = {
+  summary: 'Report a reply for moderator review',
+  params: idParams,
+  body: z.object({ reason: z.enum(REPORT_REASONS), details: z.string().trim().max(1000).optional() }),
+};
+
+export const listChatReports = {
+  summary: 'Reported replies awaiting review (moderators)',
+  query: z.object({
+    status: z.enum(REPORT_STATUSES).optional(),
+    limit: z.coerce.number().int().min(1).max(100).default(50),
+    before: objectId.optional(),
+  }),
+};
+
+export const reviewChatReport = {
+  summary: 'Mark a reported reply as reviewed or dismissed (moderators)',
+  params: idParams,
+  body: z.object({ status: z.enum(REPORT_STATUSES), note: z.string().trim().max(1000).optional() }),
+};
+
+export const getChatSettings = { summary: 'Chat history settings' };
+
+export const updateChatSettings = {
+  summary: 'Change how long chat history is kept',
+  body: z.object({ retention: z.enum(CHAT_RETENTION) }),
+};
+export const getChatAnalytics = { summary: 'Mood counts and daily message totals for the last 7 days' };
+
+export const listExerciseFlows = {
+  summary: 'Guided exercises Mate can walk the user through',
+  query: z.object({ language: z.enum(LANGUAGES).optional() }),
+};
+
+export const listExercises = {
+  summary: 'Exercise runs in progress, or completed ones',
+  query: z.object({
+    status: z.enum(EXERCISE_STATUSES).default('active'),
+    limit: z.coerce.number().int().min(1).max(100).default(20),
+    before: objectId.optional(),
+  }),
+};
+
+export const startExercise = {
+  summary: 'Start a guided exercise, or resume the run of it in progress',
+  body: z.object({ flow: z.enum(EXERCISE_IDS), language: z.enum(LANGUAGES).optional() }),
+};
+
+export const getExercise = { summary: 'An exercise run with its answers', params: idParams };
+
+export const answerExercise = {
+  summary: 'Answer the current step of an exercise',
+  params: idParams,
+  // Checked against the step's type by utils/exerciseFlows.js
+  body: z.object({
+    step: z.string().min(1).max(50),
+    value: z.union([z.string().max(4000), z.number(), z.array(z.string().max(400)).max(10), z.null()]),
+  }),
+};
+
+export const stepBackExercise = { summary: 'Take back the last answer of an exercise', params: idParams };
+
+export const deleteExercise = { summary: 'Abandon or delete an exercise run', params: idParams };
@@ -0,0 +1,80 @@
+import { z } from 'zod';
+import { idParams, objectId, optionalText } from './common.js';
+import { CHECKIN_EMOTIONS, MOOD_SCALE } from '../models/MoodCheckIn.js';
+import { GRANULARITIES } from '../utils/wellbeingAnalytics.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const localDay = z.iso.date('Date must be YYYY-MM-DD');
+const tzOffset = z.coerce.number().int().min(-840).max(840).default(0);
+
+export const getCheckIns = {
+  summary: 'List the current user\'s mood check-ins, newest first',
+  query: z.object({
+    // Local days (inclusive) in the user's timezone; tzOffset as Date#getTimezoneOffset gives it
+    from: localDay.optional(),
+    to: localDay.optional(),
+    tzOffset,
+    limit: z.coerce.number().int().min(1).max(100).default(30),
+    before: objectId.optional(),
+  }),
+};
+
+export const getCheckInTrends = {
+  summary: 'Average mood, energy and sleep per day, week or month, with the most felt emotions',
+  query: z.object({
+    // Local days, inclusive; `to` defaults to today and `from` to 29 days before it
+    from: localDay.optional(),
+    to: localDay.optional(),
+    granularity: z.enum(GRANULARITIES).default('day'),
+    tzOffset,
+  }),
+};
+
+const mood = z.number().int().min(MOOD_SCALE.min).max(MOOD_SCALE.max);
+const emotions = z
+  .array(z.enum(CHECKIN_EMOTIONS))
+  .max(CHECKIN_EMOTIONS.length)
+  .transform((list) => [...new Set(list)]);
+const energy = z.number().int().min(1).max(5);
+// In quarter hours, as the app's stepper gives them
+const sleepHours = z.number().min(0).max(24).multipleOf(0.25);
+const checkedInAt = z.iso
+  .datetime({ offset: true })
+  .transform((s) => new Date(s))
+  .refine((d) => d.getTime() <= Date.now() + DAY_MS, 'checkedInAt cannot be in the future');
+
+export const createCheckIn = {
+  summary: 'Record a mood check-in',
+  body: z.object({
+    mood,
+    emotions: emotions.optional(),
+    energy: energy.optional(),
+    sleepHours: sleepHours.optional(),
+    note: z.string().trim().max(1000).optional(),
+    // One of the user's own journal entries
+    journalId: objectId.optional(),
+    // Defaults to now
+    checkedInAt: checkedInAt.optional(),
+  }),
+};
+
+export const getCheckIn = { summary: 'Get a mood check-in', params: idParams };
+
+export const updateCheckIn = {
+  summary: 'Edit a mood check-in; null clears an optional field',
+  params: idParams,
+  body: z
+    .object({
+      mood: mood.optional(),
+      emotions: emotions.optional(),
+      energy: energy.nullable().optional(),
+      sleepHours: sleepHours.nullable().optional(),
+      note: optionalText(1000),
+      journalId: objectId.nullable().optional(),
+      checkedInAt: checkedInAt.optional(),
+    })
+    .refine((b) => Object.values(b).some((v) => v !== undefined), 'Nothing to update'),
+};
+
+export const deleteCheckIn = { summary: 'Delete a mood check-in', params: idParams };
@@ -0,0 +1,20 @@
+import { z } from 'zod';
+
+export const objectId = z.string().regex(/^[a-f\d]{24}$/i, 'Invalid id');
+export const idParams = z.object({ id: objectId });
+
+export const email = z.string().trim().toLowerCase().pipe(z.email('Invalid email address'));
+export const password = z.string().min(6, 'Password must contain at least 6 characters').max(200);
+export const oneTimeCode = z.string().trim().regex(/^\d{6}$/, 'Code must be 6 digits');
+export const deviceName = z.string().max(100).optional();
+
+// Optional free-text profile field; null clears it
+export const optionalText = (max) => z.string().trim().max(max).nullable().optional();
+
+// Accepts a JSON array or a comma separated string (form posts send the latter);
+// blank entries are dropped either way
+const splitList = (value) => {
+  const list = typeof value === 'string' ? value.split(',') : value;
+  return Array.isArray(list) ? list.filter((s) => typeof s !== 'string' || s.trim()) : list;
+};
+export const stringList = (arraySchema) => z.preprocess(splitList, arraySchema);
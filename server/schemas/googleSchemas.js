@@ -0,0 +1,21 @@
+import { z } from 'zod';
+
+export const exchangeGoogleCode = {
+  summary: 'Exchange a Google OAuth code and store the calendar credentials',
+  body: z.object({ code: z.string().min(1, 'Missing code') }),
+};
+
+export const listCalendarEvents = { summary: 'Upcoming events from the primary Google calendar' };
+
+export const createCalendarEvent = {
+  summary: 'Create an event in the primary Google calendar',
+  body: z.object({
+    summary: z.string().trim().min(1, 'summary is required').max(500),
+    description: z.string().max(5000).optional(),
+    startIso: z.iso.datetime({ offset: true }),
+    endIso: z.iso.datetime({ offset: true }),
+    timeZone: z.string().max(100).optional(),
+  }),
+};
+
+export const disconnectGoogle = { summary: 'Forget the stored Google credentials' };
@@ -0,0 +1,197 @@
+import { z } from 'zod';
+import { idParams, objectId, stringList } from './common.js';
+import { KDF_NAMES } from '../models/JournalKey.js';
+import { LANGUAGES } from '../models/User.js';
+import { PROMPT_CONCERNS, PROMPT_IDS } from '../utils/journalPrompts.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const MAX_JOURNAL_TAGS = 10;
+
+// Tags are kept lowercase without a leading #, so "#Exams" and "exams" are one tag
+const journalTag = z
+  .string()
+  .trim()
+  .transform((s) => s.replace(/^#+/, '').replace(/\s+/g, ' ').trim().toLowerCase())
+  .pipe(
+    z
+      .string()
+      .min(1, 'Tags cannot be empty')
+      .max(30)
+      .regex(/^[\p{L}\p{N}\p{M} _-]+$/u, 'Tags may only contain letters, numbers, spaces, - and _')
+  );
+const journalTags = z
+  .array(journalTag)
+  .max(MAX_JOURNAL_TAGS, `At most ${MAX_JOURNAL_TAGS} tags per entry`)
+  .transform((tags) => [...new Set(tags)]);
+// Filters take entries having all of the given tags
+const tagFilter = stringList(z.array(journalTag).max(MAX_JOURNAL_TAGS)).optional();
+
+export const getJournals = {
+  summary: 'List the current user\'s journal entries, newest first',
+  query: z.object({
+    // Local days (inclusive) in the user's timezone; tzOffset as Date#getTimezoneOffset gives it
+    from: z.iso.date('from must be YYYY-MM-DD').optional(),
+    to: z.iso.date('to must be YYYY-MM-DD').optional(),
+    tzOffset: z.coerce.number().int().min(-840).max(840).default(0),
+    tags: tagFilter,
+    limit: z.coerce.number().int().min(1).max(100).default(30),
+    before: objectId.optional(),
+  }),
+};
+
+export const searchJournals = {
+  summary: 'Full-text search over journal titles and text, best matches first',
+  query: z.object({
+    q: z.string().trim().min(1, 'q is required').max(200),
+    tags: tagFilter,
+    limit: z.coerce.number().int().min(1).max(50).default(20),
+    offset: z.coerce.number().int().min(0).max(1000).default(0),
+  }),
+};
+
+export const listJournalPrompts = {
+  summary: 'The journaling prompt library, in the user\'s language unless another app language is asked for',
+  query: z.object({
+    concern: z.enum(PROMPT_CONCERNS).optional(),
+    language: z.enum(LANGUAGES).optional(),
+  }),
+};
+
+export const getDailyJournalPrompt = {
+  summary: 'Today\'s journaling prompt, picked for the user\'s concerns and recent mood',
+  query: z.object({
+    tzOffset: z.coerce.number().int().min(-840).max(840).default(0),
+    language: z.enum(LANGUAGES).optional(),
+  }),
+};
+
+export const listJournalTags = { summary: 'The tags used on the current user\'s journal entries, most used first' };
+
+const tagParams = z.object({ tag: journalTag });
+
+export const renameJournalTag = {
+  summary: 'Rename a tag on every entry; renaming to an existing tag merges them',
+  params: tagParams,
+  body: z.object({ name: journalTag }),
+};
+
+export const deleteJournalTag = { summary: 'Remove a tag from every entry', params: tagParams };
+
+const journalTitle = z.string().trim().min(1, 'title is required').max(200);
+const journalSummary = z.string().trim().min(1, 'summary is required').max(20000);
+const journalDate = z.string().trim().max(50);
+const journalTime = z.string().trim().max(20);
+const writtenAt = z.iso
+  .datetime({ offset: true })
+  .transform((s) => new Date(s))
+  .refine((d) => d.getTime() <= Date.now() + DAY_MS, 'writtenAt cannot be in the future');
+
+// Encrypted on the device as `v1.<nonce>.<ciphertext>`, base64; the same
+// format holds the wrapped keys of models/JournalKey.js
+const sealed = (max) =>
+  z
+    .string()
+    .max(max)
+    .regex(/^v1\.[A-Za-z0-9+/]+={0,2}\.[A-Za-z0-9+/]+={0,2}$/, 'Must be an encrypted v1 payload');
+// Title and summary of an encrypted entry, at their longest
+const journalCipher = sealed(120000);
+
+export const createJournal = {
+  summary: 'Create a journal entry, either in plaintext or encrypted on the device',
+  body: z
+    .object({
+      title: journalTitle.optional(),
+      summary: journalSummary.optional(),
+      cipher: journalCipher.optional(),
+      // Defaults to now; date and time are the display strings older app versions send
+      writtenAt: writtenAt.optional(),
+      date: journalDate.optional(),
+      time: journalTime.optional(),
+      tags: journalTags.optional(),
+      // Set when the entry was written from a prompt
+      promptId: z.enum(PROMPT_IDS).optional(),
+    })
+    .refine(
+      (b) => (b.cipher ? b.title === undefined && b.summary === undefined : b.title && b.summary),
+      'Send title and summary, or cipher for an encrypted entry'
+    ),
+};
+
+export const updateJournal = {
+  summary: 'Edit a journal entry, keeping the previous content as a version',
+  params: idParams,
+  body: z
+    .object({
+      title: journalTitle.optional(),
+      summary: journalSummary.optional(),
+      // Replaces title and summary, encrypting the entry; sending both of
+      // those instead for an encrypted entry stores it in plaintext again
+      cipher: journalCipher.optional(),
+      writtenAt: writtenAt.optional(),
+      date: journalDate.optional(),
+      time: journalTime.optional(),
+      tags: journalTags.optional(),
+      // The version the edit was based on; a stale one is rejected with 409
+      version: z.number().int().min(1).optional(),
+    })
+    .refine(
+      (b) => ['title', 'summary', 'cipher', 'writtenAt', 'date', 'time', 'tags'].some((k) => b[k] !== undefined),
+      'Nothing to update'
+    )
+    .refine((b) => !b.cipher || (b.title === undefined && b.summary === undefined), 'Send cipher or title and summary, not both'),
+};
+
+export const getJournalVersions = { summary: 'Earlier versions of a journal entry, newest first', params: idParams };
+
+export const restoreJournalVersion = {
+  summary: 'Restore an earlier version of a journal entry',
+  params: z.object({ id: objectId, versionId: objectId }),
+};
+
+export const deleteJournal = { summary: 'Delete a journal entry', params: idParams };
+
+const keyDerivation = z.object({
+  name: z.enum(KDF_NAMES),
+  salt: z.base64().min(16).max(100),
+  // scrypt cost parameters; N at least 2^14 so passphrases can't be cheaply guessed
+  N: z
+    .number()
+    .int()
+    .min(2 ** 14)
+    .max(2 ** 20)
+    .refine((n) => (n & (n - 1)) === 0, 'N must be a power of two'),
+  r: z.number().int().min(1).max(32),
+  p: z.number().int().min(1).max(16),
+});
+const wrappedKey = sealed(500);
+// Hex SHA-256 sized value the device derives from the entry key
+const verifier = z.string().regex(/^[a-f\d]{64}$/i, 'Invalid key verifier');
+
+export const getJournalEncryption = {
+  summary: 'The current user\'s wrapped journal key, if they set up encryption',
+};
+
+export const setUpJournalEncryption = {
+  summary: 'Turn on end-to-end encryption with a key wrapped on the device',
+  body: z.object({ kdf: keyDerivation, wrappedKey, recoveryWrappedKey: wrappedKey, verifier }),
+};
+
+export const updateJournalEncryption = {
+  summary: 'Rewrap the journal key after a passphrase change, recovery or a new recovery key',
+  body: z
+    .object({
+      verifier,
+      // A new passphrase comes with the salt and cost it was stretched with
+      kdf: keyDerivation.optional(),
+      wrappedKey: wrappedKey.optional(),
+      recoveryWrappedKey: wrappedKey.optional(),
+    })
+    .refine((b) => !b.kdf === !b.wrappedKey, 'kdf and wrappedKey go together')
+    .refine((b) => b.wrappedKey || b.recoveryWrappedKey, 'Nothing to update'),
+};
+
+export const resetJournalEncryption = {
+  summary: 'Turn encryption off for a lost key, deleting every encrypted entry',
+  body: z.object({ password: z.string().min(1, 'password is required') }),
+};
@@ -0,0 +1,58 @@
+import { z } from 'zod';
+import { idParams, objectId, stringList } from './common.js';
+import { MAX_PLANNED_DAYS, MAX_STUDY_HOURS_PER_DAY } from '../controllers/plannerController.js';
+
+const time = z.string().regex(/^([01]?\d|2[0-3]):[0-5]\d$/, 'Time must be in HH:MM format');
+// Stored upload names; anything with a path separator or a bare "." / ".." is rejected
+const fileName = z.string().regex(/^(?!\.{1,2}$)[\w.-]+$/, 'Invalid file name');
+const fileNames = z.object({ names: z.array(fileName).min(1, 'names required') });
+
+export const getSubjects = { summary: 'List study subjects' };
+export const createSubject = {
+  summary: 'Add a study subject',
+  body: z.object({ name: z.string().trim().min(1, 'Name required').max(100) }),
+};
+export const deleteSubject = { summary: 'Delete a subject and its notes', params: idParams };
+
+export const getNotes = { summary: 'List notes for a subject', query: z.object({ subjectId: objectId }) };
+// Checked before multer runs, since the upload folder is derived from subjectId
+export const uploadNotes = {
+  summary: 'Upload notes for a subject',
+  multipart: true,
+  query: z.object({ subjectId: objectId }),
+};
+export const deleteNotes = {
+  summary: 'Delete notes',
+  body: z.object({ ids: z.array(objectId).min(1, 'ids required') }),
+};
+
+export const uploadMaterials = { summary: 'Upload study materials', multipart: true };
+export const getMaterials = { summary: 'List study materials' };
+export const deleteMaterials = { summary: 'Delete study materials', body: fileNames };
+
+export const uploadDatesheet = { summary: 'Upload exam date sheets', multipart: true };
+export const getDatesheet = { summary: 'List exam date sheets' };
+export const deleteDatesheet = { summary: 'Delete exam date sheets', body: fileNames };
+
+export const createPlan = {
+  summary: 'Generate a study plan',
+  body: z.object({
+    subjects: stringList(z.array(z.string().trim().min(1).max(100)).min(1, 'At least one subject is required')),
+    dailyStartTime: time.default('09:00'),
+    dailyEndTime: time.default('17:00'),
+    numDays: z.coerce.number().int().min(1).max(MAX_PLANNED_DAYS).default(1),
+    startDate: z.union([z.iso.date(), z.iso.datetime({ offset: true })], 'Invalid start date format').optional(),
+    maxHoursPerDay: z.coerce.number().min(1).max(MAX_STUDY_HOURS_PER_DAY).optional(),
+    datesheetPath: z.string().max(500).optional(),
+  }),
+};
+export const getPlan = { summary: 'The latest study plan' };
+export const updatePlanItemCompletion = {
+  summary: 'Mark a plan item done or not done',
+  params: z.object({ itemId: objectId }),
+  body: z.object({ completed: z.boolean('completed must be a boolean') }),
+};
+
+export const checkGoogleConnection = { summary: 'Whether Google Calendar is connected' };
+export const disconnectGoogle = { summary: 'Disconnect Google Calendar' };
+export const pushPlanToGoogle = { summary: 'Copy the latest study plan into Google Calendar' };
@@ -0,0 +1 @@
+export const getDailyQuote = { summary: 'A random motivational quote' };
@@ -4,6 +4,11 @@ import dotenv from 'dotenv';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import connectDB from './config/db.js';
+import { startAccountPurgeJob } from './utils/userData.js';
+import { chatServiceStatus, startFlaskHealthPolling } from './utils/flask.js';
+import { migrateChatExpiry } from './utils/chatRetention.js';
+import { migrateChatConversations } from './utils/conversations.js';
+import { migrateJournalDates } from './utils/journalDates.js';
 
 // Resolve __dirname in ES modules
 const __filename = fileURLToPath(import.meta.url);
@@ -17,14 +22,25 @@ if (envResult.error) {
 
 const app = express();
 
+// Needed behind a reverse proxy so req.ip (used for rate limiting) is the client's address
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', process.env.TRUST_PROXY === 'true' ? true : process.env.TRUST_PROXY);
+}
+
 // Middleware
 app.use(cors());
-// Increase body size limits to handle base64 avatar data
-app.use(express.json({ limit: '10mb' }));
-app.use(express.urlencoded({ limit: '10mb', extended: true }));
+// Files go through multipart routes (see utils/upload.js), so JSON bodies stay small
+app.use(express.json({ limit: '1mb' }));
+app.use(express.urlencoded({ limit: '1mb', extended: true }));
 
 // Connect DB
 connectDB();
+startAccountPurgeJob();
+migrateChatExpiry()
+  .then(migrateChatConversations)
+  .catch((err) => console.error('Chat history migration failed:', err?.message));
+migrateJournalDates().catch((err) => console.error('Journal date migration failed:', err?.message));
+startFlaskHealthPolling();
 
 // Routes
 import authRoutes from './routes/authRoutes.js';
@@ -35,21 +51,45 @@ import blogRoutes from './routes/blogRoutes.js';
 import googleRoutes from './routes/googleRoutes.js';
 import calendarRoutes from './routes/calendarRoutes.js';
 import plannerRoutes from './routes/plannerRoutes.js';
-app.use('/api/auth', authRoutes);
-app.use('/api/quotes', quoteRoutes);
-app.use('/api/chatbot', chatbotRoutes);
-app.use('/api/journals', journalRoutes);
+import adminRoutes from './routes/adminRoutes.js';
+import analyticsRoutes from './routes/analyticsRoutes.js';
+import checkInRoutes from './routes/checkInRoutes.js';
+import { notFoundHandler, errorHandler } from './middleware/errorHandler.js';
+import { openApiHandler } from './utils/openapi.js';
+
+// Also the source of the OpenAPI document
+const apiRouters = [
+  ['/api/auth', authRoutes],
+  ['/api/quotes', quoteRoutes],
+  ['/api/chatbot', chatbotRoutes],
+  ['/api/journals', journalRoutes],
+  ['/api/blogs', blogRoutes],
+  ['/api/google', googleRoutes],
+  ['/api/v1/calendar', calendarRoutes],
+  ['/api/planner', plannerRoutes],
+  ['/api/admin', adminRoutes],
+  ['/api/analytics', analyticsRoutes],
+  ['/api/checkins', checkInRoutes],
+];
 app.use('/uploads', express.static(path.join(process.cwd(), 'uploads')));
-app.use('/api/blogs', blogRoutes);
-app.use('/api/google', googleRoutes);
-app.use('/api/v1/calendar', calendarRoutes);
-app.use('/api/planner', plannerRoutes);
+for (const [basePath, router] of apiRouters) {
+  app.use(basePath, router);
+}
+
+app.get('/api/openapi.json', openApiHandler(apiRouters, { title: 'MindMate++ API', version: '1.0.0' }));
 
-// Health check
+// Health check. 'degraded' means the API is up but chat is answering with
+// canned fallback replies; the app shows a banner for it.
 app.get('/api/health', (req, res) => {
-  res.json({ status: 'ok' });
+  const { available, aiEnabled, circuit, retryAt } = chatServiceStatus();
+  const degraded = !available || aiEnabled === false;
+  res.json({ status: degraded ? 'degraded' : 'ok', services: { chatbot: { available, circuit, retryAt } } });
 });
 
+// Unknown API routes and every thrown error leave as { error: { code, message, details } }
+app.use('/api', notFoundHandler);
+app.use(errorHandler);
+
 // Start server
 const PORT = process.env.PORT || 5000;
 app.listen(PORT, () => console.log(`Server running on port ${PORT}`));
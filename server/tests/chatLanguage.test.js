@@ -0,0 +1,39 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { detectLanguage, replyLanguage } from '../utils/chatLanguage.js';
+
+test('detectLanguage tells scripts apart', () => {
+  assert.equal(detectLanguage('मुझे नींद नहीं आ रही'), 'hi');
+  assert.equal(detectLanguage('எனக்கு தூக்கம் வரவில்லை'), 'ta');
+  assert.equal(detectLanguage('నాకు నిద్ర రావడం లేదు'), 'te');
+  assert.equal(detectLanguage('ನನಗೆ ನಿದ್ರೆ ಬರುತ್ತಿಲ್ಲ'), 'kn');
+});
+
+test('detectLanguage tells Hinglish from English', () => {
+  assert.equal(detectLanguage('I could not sleep last night'), 'en');
+  assert.equal(detectLanguage('yaar mujhe neend nahi aa rahi'), 'hinglish');
+});
+
+test('mixed messages go by the script with more words', () => {
+  assert.equal(detectLanguage('मैं आज बहुत stressed हूँ'), 'hi');
+  assert.equal(detectLanguage('feeling really stressed about exams today मैं'), 'en');
+});
+
+test('short Latin messages are undecided', () => {
+  assert.equal(detectLanguage('ok'), null);
+  assert.equal(detectLanguage('hi there'), null);
+  assert.equal(detectLanguage(''), null);
+});
+
+test('replyLanguage prefers the message, then recent turns, then the account language', () => {
+  const tamil = [{ role: 'user', content: 'எனக்கு தூக்கம் வரவில்லை' }, { role: 'assistant', content: 'I see' }];
+  assert.equal(replyLanguage('en', 'मुझे नींद नहीं आ रही'), 'hi');
+  assert.equal(replyLanguage('en', 'ok', tamil), 'ta');
+  assert.equal(replyLanguage('kn', 'ok'), 'kn');
+  assert.equal(replyLanguage('fr', 'ok'), 'en');
+});
+
+test('replyLanguage ignores the assistant turns', () => {
+  const history = [{ role: 'assistant', content: 'நீங்கள் எப்படி இருக்கிறீர்கள்?' }];
+  assert.equal(replyLanguage('te', 'ok', history), 'te');
+});
@@ -0,0 +1,89 @@
+import { afterEach, mock, test } from 'node:test';
+import assert from 'node:assert/strict';
+import MoodCheckIn from '../models/MoodCheckIn.js';
+import { checkInTrends } from '../utils/checkInTrends.js';
+
+let query;
+
+// Serves `checkIns` as the result of MoodCheckIn.find and keeps the filter it was given
+const stored = (checkIns) =>
+  mock.method(MoodCheckIn, 'find', (filter) => {
+    query = filter;
+    return { select: () => ({ lean: async () => checkIns }) };
+  });
+
+afterEach(() => mock.restoreAll());
+
+const at = (iso) => new Date(iso);
+
+test('averages each metric per period and overall', async () => {
+  stored([
+    { checkedInAt: at('2024-03-01T09:00:00Z'), mood: 2, energy: 2, sleepHours: 6, emotions: [] },
+    { checkedInAt: at('2024-03-01T20:00:00Z'), mood: 4, energy: 3, sleepHours: 7, emotions: [] },
+    { checkedInAt: at('2024-03-03T09:00:00Z'), mood: 5, energy: 5, sleepHours: 8.5, emotions: [] },
+  ]);
+  const trends = await checkInTrends('user-1', { from: '2024-03-01', to: '2024-03-03', granularity: 'day', tzOffset: 0 });
+
+  assert.deepEqual(trends.overall, { count: 3, mood: 3.67, energy: 3.33, sleepHours: 7.17 });
+  assert.deepEqual(trends.series, [
+    { period: '2024-03-01', count: 2, mood: 3, energy: 2.5, sleepHours: 6.5 },
+    { period: '2024-03-02', count: 0, mood: null, energy: null, sleepHours: null },
+    { period: '2024-03-03', count: 1, mood: 5, energy: 5, sleepHours: 8.5 },
+  ]);
+});
+
+test('check-ins without a metric do not count towards its average', async () => {
+  stored([
+    { checkedInAt: at('2024-03-01T09:00:00Z'), mood: 2, energy: 4, emotions: [] },
+    { checkedInAt: at('2024-03-01T10:00:00Z'), mood: 4, energy: null, sleepHours: 6, emotions: [] },
+  ]);
+  const { overall } = await checkInTrends('user-1', { from: '2024-03-01', to: '2024-03-01', granularity: 'day', tzOffset: 0 });
+  assert.deepEqual(overall, { count: 2, mood: 3, energy: 4, sleepHours: 6 });
+});
+
+test('emotions are counted, most picked first, and unpicked ones left out', async () => {
+  stored([
+    { checkedInAt: at('2024-03-01T09:00:00Z'), mood: 2, emotions: ['tired', 'stressed'] },
+    { checkedInAt: at('2024-03-02T09:00:00Z'), mood: 3, emotions: ['stressed'] },
+    { checkedInAt: at('2024-03-03T09:00:00Z'), mood: 4 },
+  ]);
+  const { emotions } = await checkInTrends('user-1', { from: '2024-03-01', to: '2024-03-03', granularity: 'day', tzOffset: 0 });
+  assert.deepEqual(emotions, [
+    { name: 'stressed', count: 2 },
+    { name: 'tired', count: 1 },
+  ]);
+});
+
+test('check-ins are bucketed by the local day of tzOffset', async () => {
+  // 20:00 UTC on the 1st is already the 2nd in IST
+  stored([{ checkedInAt: at('2024-03-01T20:00:00Z'), mood: 5, emotions: [] }]);
+  const { series } = await checkInTrends('user-1', { from: '2024-03-01', to: '2024-03-02', granularity: 'day', tzOffset: -330 });
+  assert.deepEqual(
+    series.map(({ period, count }) => [period, count]),
+    [
+      ['2024-03-01', 0],
+      ['2024-03-02', 1],
+    ]
+  );
+  assert.equal(query.checkedInAt.$gte.toISOString(), '2024-02-29T18:30:00.000Z');
+  assert.equal(query.checkedInAt.$lt.toISOString(), '2024-03-02T18:30:00.000Z');
+});
+
+test('weeks and months group their days', async () => {
+  stored([
+    { checkedInAt: at('2024-03-04T09:00:00Z'), mood: 2, emotions: [] },
+    { checkedInAt: at('2024-03-10T09:00:00Z'), mood: 4, emotions: [] },
+    { checkedInAt: at('2024-03-11T09:00:00Z'), mood: 5, emotions: [] },
+  ]);
+  const range = { from: '2024-03-04', to: '2024-03-17', tzOffset: 0 };
+  const weeks = await checkInTrends('user-1', { ...range, granularity: 'week' });
+  assert.deepEqual(
+    weeks.series.map(({ period, count, mood }) => [period, count, mood]),
+    [
+      ['2024-03-04', 2, 3],
+      ['2024-03-11', 1, 5],
+    ]
+  );
+  const months = await checkInTrends('user-1', { ...range, granularity: 'month' });
+  assert.deepEqual(months.series.map(({ period, count }) => [period, count]), [['2024-03', 3]]);
+});
@@ -0,0 +1,70 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CircuitOpenError, createCircuitBreaker } from '../utils/circuitBreaker.js';
+
+const failTimes = (breaker, n) => {
+  for (let i = 0; i < n; i++) breaker.recordFailure(new Error(`failure ${i + 1}`));
+};
+
+test('opens after the failure threshold and refuses requests', () => {
+  const changes = [];
+  const breaker = createCircuitBreaker({ name: 'flask', failureThreshold: 2, onStateChange: (next) => changes.push(next) });
+  breaker.recordFailure(new Error('timed out'));
+  assert.equal(breaker.allowRequest(), true);
+  breaker.recordFailure(new Error('connection refused'));
+  assert.equal(breaker.allowRequest(), false);
+  assert.deepEqual(changes, ['open']);
+
+  const { state, failures, retryAt, lastError } = breaker.snapshot();
+  assert.equal(state, 'open');
+  assert.equal(failures, 2);
+  assert.ok(retryAt instanceof Date);
+  assert.equal(lastError, 'connection refused');
+
+  const err = breaker.openError();
+  assert.ok(err instanceof CircuitOpenError);
+  assert.equal(err.retryAt.getTime(), retryAt.getTime());
+});
+
+test('a success resets the failure count', () => {
+  const breaker = createCircuitBreaker({ name: 'flask', failureThreshold: 2 });
+  failTimes(breaker, 1);
+  breaker.recordSuccess();
+  failTimes(breaker, 1);
+  assert.equal(breaker.snapshot().state, 'closed');
+});
+
+test('after the cooldown one probe goes through and decides the state', () => {
+  const breaker = createCircuitBreaker({ name: 'flask', failureThreshold: 1, cooldownMs: 0 });
+  failTimes(breaker, 1);
+  assert.equal(breaker.allowRequest(), true);
+  assert.equal(breaker.snapshot().state, 'half_open');
+  // Only the one probe while it is outstanding
+  assert.equal(breaker.allowRequest(), false);
+  breaker.recordSuccess();
+  assert.equal(breaker.snapshot().state, 'closed');
+  assert.equal(breaker.snapshot().retryAt, null);
+});
+
+test('a failed probe opens the circuit again', () => {
+  const breaker = createCircuitBreaker({ name: 'flask', failureThreshold: 3, cooldownMs: 60 * 1000 });
+  failTimes(breaker, 3);
+  breaker.markRecovering();
+  assert.equal(breaker.allowRequest(), true);
+  failTimes(breaker, 1);
+  assert.equal(breaker.snapshot().state, 'open');
+  assert.equal(breaker.allowRequest(), false);
+});
+
+test('a probe that never reports back stops blocking after probeTimeoutMs', () => {
+  const breaker = createCircuitBreaker({ name: 'flask', failureThreshold: 1, cooldownMs: 0, probeTimeoutMs: 0 });
+  failTimes(breaker, 1);
+  assert.equal(breaker.allowRequest(), true);
+  assert.equal(breaker.allowRequest(), true);
+});
+
+test('markRecovering only affects an open circuit', () => {
+  const breaker = createCircuitBreaker({ name: 'flask' });
+  breaker.markRecovering();
+  assert.equal(breaker.snapshot().state, 'closed');
+});
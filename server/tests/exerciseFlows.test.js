@@ -0,0 +1,59 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ApiError } from '../utils/apiError.js';
+import { EXERCISE_FLOWS, answersByStep, findStep, firstStep, normalizeAnswer, stepAfter, stepCount } from '../utils/exerciseFlows.js';
+
+const thoughtRecord = EXERCISE_FLOWS.thought_record;
+const grounding = EXERCISE_FLOWS.grounding_54321;
+const activation = EXERCISE_FLOWS.behavioural_activation;
+
+const rejects = (step, value) => assert.throws(() => normalizeAnswer(step, value), ApiError);
+
+test('text answers are trimmed and required unless optional', () => {
+  const situation = findStep(thoughtRecord, 'situation');
+  assert.equal(normalizeAnswer(situation, '  missed the bus  '), 'missed the bus');
+  rejects(situation, '   ');
+  rejects(situation, 42);
+  rejects(situation, 'x'.repeat(2001));
+
+  const obstacle = findStep(activation, 'obstacle');
+  assert.equal(normalizeAnswer(obstacle, ''), null);
+  assert.equal(normalizeAnswer(obstacle, null), null);
+  rejects(obstacle, 42);
+});
+
+test('scale answers must be whole numbers in range', () => {
+  const intensity = findStep(thoughtRecord, 'intensity');
+  assert.equal(normalizeAnswer(intensity, 0), 0);
+  assert.equal(normalizeAnswer(intensity, 10), 10);
+  rejects(intensity, 11);
+  rejects(intensity, 4.5);
+  rejects(intensity, '5');
+});
+
+test('choice answers must be one of the options', () => {
+  const emotion = findStep(thoughtRecord, 'emotion');
+  assert.equal(normalizeAnswer(emotion, 'sad'), 'sad');
+  rejects(emotion, 'bored');
+});
+
+test('list answers need exactly `count` non-empty entries', () => {
+  const hear = findStep(grounding, 'hear');
+  assert.deepEqual(normalizeAnswer(hear, [' birds', 'fan ', 'traffic']), ['birds', 'fan', 'traffic']);
+  rejects(hear, ['birds', 'fan']);
+  rejects(hear, ['birds', '', 'traffic']);
+  rejects(hear, 'birds, fan, traffic');
+});
+
+test('stepAfter walks the steps in order and ends with null', () => {
+  assert.equal(firstStep(thoughtRecord), 'situation');
+  assert.equal(stepAfter(thoughtRecord, 'situation', {}), 'emotion');
+  assert.equal(stepAfter(thoughtRecord, 'intensity_after', {}), null);
+});
+
+test('stepAfter skips conditional steps that do not apply', () => {
+  assert.equal(stepAfter(activation, 'obstacle', answersByStep([{ step: 'obstacle', value: null }])), null);
+  assert.equal(stepAfter(activation, 'obstacle', answersByStep([{ step: 'obstacle', value: 'rain' }])), 'plan');
+  assert.equal(stepCount(activation, {}), activation.steps.length - 1);
+  assert.equal(stepCount(activation, { obstacle: 'rain' }), activation.steps.length);
+});
@@ -0,0 +1,59 @@
+import { afterEach, beforeEach, mock, test } from 'node:test';
+import assert from 'node:assert/strict';
+import User from '../models/User.js';
+import { clearFailedLogins, lockoutRemaining, recordFailedLogin } from '../utils/loginLockout.js';
+
+// The stored counter, updated the way MongoDB would apply $inc
+let stored;
+let updates;
+
+const query = (value) => ({ select: () => ({ lean: async () => value }) });
+
+beforeEach(() => {
+  stored = { failedLoginAttempts: 0 };
+  updates = [];
+  mock.method(User, 'findOneAndUpdate', (filter, update) => {
+    stored.failedLoginAttempts += update.$inc.failedLoginAttempts;
+    return query({ ...stored });
+  });
+  mock.method(User, 'updateOne', async (filter, update) => {
+    updates.push(update);
+    return { acknowledged: true };
+  });
+});
+
+afterEach(() => mock.restoreAll());
+
+const user = { _id: 'user-1', failedLoginAttempts: 0 };
+
+test('the first failures only count', async () => {
+  for (let i = 0; i < 4; i++) assert.equal(await recordFailedLogin(user), 0);
+  assert.equal(stored.failedLoginAttempts, 4);
+  assert.deepEqual(updates, []);
+});
+
+test('parallel failures all count and the fifth locks the account', async () => {
+  const results = await Promise.all(Array.from({ length: 5 }, () => recordFailedLogin(user)));
+  assert.equal(stored.failedLoginAttempts, 5);
+  assert.deepEqual(results.sort(), [0, 0, 0, 0, 60]);
+  assert.equal(updates.length, 1);
+  assert.ok(updates[0].$max.lockedUntil > new Date());
+});
+
+test('each further failure doubles the lock, up to a day', async () => {
+  stored.failedLoginAttempts = 6;
+  assert.equal(await recordFailedLogin(user), 240);
+  stored.failedLoginAttempts = 40;
+  assert.equal(await recordFailedLogin(user), 24 * 60 * 60);
+});
+
+test('clearing resets the stored count whatever the loaded user says', async () => {
+  await clearFailedLogins(user);
+  assert.deepEqual(updates, [{ $set: { failedLoginAttempts: 0 }, $unset: { lockedUntil: 1 } }]);
+});
+
+test('lockoutRemaining counts down to zero', () => {
+  assert.equal(lockoutRemaining({}), 0);
+  assert.equal(lockoutRemaining({ lockedUntil: new Date(Date.now() - 1000) }), 0);
+  assert.equal(lockoutRemaining({ lockedUntil: new Date(Date.now() + 90 * 1000) }), 90);
+});
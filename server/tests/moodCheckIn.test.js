@@ -0,0 +1,60 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import MoodCheckIn, { MOOD_SCALE, moodCheckInScore } from '../models/MoodCheckIn.js';
+import { createCheckIn, updateCheckIn } from '../schemas/checkInSchemas.js';
+
+const userId = new mongoose.Types.ObjectId();
+
+// Paths the model rejects for `fields`, or [] when the check-in is valid
+const invalidPaths = (fields) => Object.keys(new MoodCheckIn({ userId, mood: 3, ...fields }).validateSync()?.errors || {});
+
+test('check-in ratings score from -1 to 1 with the middle as neutral', () => {
+  assert.equal(moodCheckInScore(MOOD_SCALE.min), -1);
+  assert.equal(moodCheckInScore(3), 0);
+  assert.equal(moodCheckInScore(4), 0.5);
+  assert.equal(moodCheckInScore(MOOD_SCALE.max), 1);
+});
+
+test('the model keeps ratings, sleep and emotions within their limits', () => {
+  assert.deepEqual(invalidPaths({ energy: 5, sleepHours: 0, emotions: ['calm', 'tired'] }), []);
+  assert.deepEqual(invalidPaths({ mood: 0 }), ['mood']);
+  assert.deepEqual(invalidPaths({ mood: 6 }), ['mood']);
+  assert.deepEqual(invalidPaths({ energy: 0 }), ['energy']);
+  assert.deepEqual(invalidPaths({ sleepHours: 25 }), ['sleepHours']);
+  assert.deepEqual(invalidPaths({ emotions: ['confused'] }), ['emotions.0']);
+  assert.deepEqual(invalidPaths({ mood: undefined }), ['mood']);
+});
+
+test('the model dates a check-in now unless told otherwise', () => {
+  const checkIn = new MoodCheckIn({ userId, mood: 3 });
+  assert.ok(Date.now() - checkIn.checkedInAt.getTime() < 1000);
+});
+
+test('new check-ins need a whole-number mood on the scale', () => {
+  assert.equal(createCheckIn.body.safeParse({ mood: 3 }).success, true);
+  assert.equal(createCheckIn.body.safeParse({}).success, false);
+  assert.equal(createCheckIn.body.safeParse({ mood: 3.5 }).success, false);
+  assert.equal(createCheckIn.body.safeParse({ mood: 6 }).success, false);
+});
+
+test('sleep is taken in quarter hours and emotions are deduplicated', () => {
+  assert.equal(createCheckIn.body.safeParse({ mood: 3, sleepHours: 7.25 }).success, true);
+  assert.equal(createCheckIn.body.safeParse({ mood: 3, sleepHours: 7.1 }).success, false);
+  const { data } = createCheckIn.body.safeParse({ mood: 3, emotions: ['calm', 'calm', 'tired'] });
+  assert.deepEqual(data.emotions, ['calm', 'tired']);
+  assert.equal(createCheckIn.body.safeParse({ mood: 3, emotions: ['confused'] }).success, false);
+});
+
+test('check-ins cannot be dated in the future', () => {
+  const tomorrow = new Date(Date.now() + 2 * 24 * 60 * 60 * 1000).toISOString();
+  assert.equal(createCheckIn.body.safeParse({ mood: 3, checkedInAt: tomorrow }).success, false);
+  const { data } = createCheckIn.body.safeParse({ mood: 3, checkedInAt: '2024-03-01T09:00:00+05:30' });
+  assert.equal(data.checkedInAt.toISOString(), '2024-03-01T03:30:00.000Z');
+});
+
+test('edits need at least one field and null clears an optional one', () => {
+  assert.equal(updateCheckIn.body.safeParse({}).success, false);
+  assert.deepEqual(updateCheckIn.body.safeParse({ energy: null }).data, { energy: null });
+  assert.equal(updateCheckIn.body.safeParse({ mood: null }).success, false);
+});
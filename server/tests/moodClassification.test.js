@@ -0,0 +1,50 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { classifyMood } from '../utils/moodClassification.js';
+
+const moodOf = async (text) => (await classifyMood(text)).mood;
+
+test('empty text has no mood', async () => {
+  assert.deepEqual(await classifyMood(''), { mood: 'unknown', confidence: 0, intensity: 0 });
+});
+
+test('text without mood words is neutral with low confidence', async () => {
+  assert.deepEqual(await classifyMood('I went to the market'), { mood: 'neutral', confidence: 0.3, intensity: 0 });
+});
+
+test('hopelessness and wanting to die are sad', async () => {
+  for (const text of ['I am so hopeless', "I'm so down", 'I want to kill myself', 'I feel worthless']) {
+    assert.equal(await moodOf(text), 'sad', text);
+  }
+});
+
+test('each lexicon recognises its language', async () => {
+  assert.equal(await moodOf('aaj bahut udaas hoon'), 'sad');
+  assert.equal(await moodOf('मुझे बहुत गुस्सा आ रहा है'), 'angry');
+  assert.equal(await moodOf('ரொம்ப சந்தோஷமா இருக்கு'), 'positive');
+  assert.equal(await moodOf('చాలా ఒత్తిడిగా ఉంది'), 'stressed');
+  assert.equal(await moodOf('ತುಂಬಾ ಆಯಾಸವಾಗಿದೆ'), 'tired');
+});
+
+test('negation flips positive and negative and cancels other moods', async () => {
+  assert.equal(await moodOf('I am not happy'), 'negative');
+  assert.equal(await moodOf('not bad at all'), 'positive');
+  assert.equal(await moodOf("I'm not tired"), 'neutral');
+  assert.equal(await moodOf('main khush nahi hoon'), 'negative');
+});
+
+test('negation does not reach past the end of a clause', async () => {
+  assert.equal(await moodOf('no. I am happy'), 'positive');
+});
+
+test('intensifiers raise intensity', async () => {
+  const plain = await classifyMood('I am sad');
+  const intensified = await classifyMood('I am very sad');
+  assert.equal(plain.mood, 'sad');
+  assert.ok(intensified.intensity > plain.intensity);
+});
+
+test('weak signals lose to strong ones', async () => {
+  assert.equal(await moodOf("I'm fine, just stressed about deadlines"), 'stressed');
+  assert.equal(await moodOf('calm down, I am good'), 'positive');
+});
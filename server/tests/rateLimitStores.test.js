@@ -0,0 +1,46 @@
+import { afterEach, mock, test } from 'node:test';
+import assert from 'node:assert/strict';
+import RateLimitHit from '../models/RateLimitHit.js';
+import { createMemoryStore, createMongoStore } from '../utils/rateLimitStores.js';
+
+afterEach(() => mock.restoreAll());
+
+test('the memory store counts hits per key within a window', async () => {
+  const store = createMemoryStore();
+  assert.equal((await store.increment('a', 60 * 1000)).count, 1);
+  assert.equal((await store.increment('a', 60 * 1000)).count, 2);
+  assert.equal((await store.increment('b', 60 * 1000)).count, 1);
+  await store.reset('a');
+  assert.equal((await store.increment('a', 60 * 1000)).count, 1);
+});
+
+test('the memory store starts a new window once the old one has passed', async () => {
+  const store = createMemoryStore();
+  await store.increment('a', 0);
+  assert.equal((await store.increment('a', 60 * 1000)).count, 1);
+});
+
+test('the Mongo store retries a hit that lost the race to insert the key', async () => {
+  const resetAt = new Date(Date.now() + 60 * 1000);
+  let calls = 0;
+  mock.method(RateLimitHit, 'updateOne', async () => ({ matchedCount: 0 }));
+  mock.method(RateLimitHit, 'findOneAndUpdate', () => ({
+    lean: async () => {
+      calls += 1;
+      if (calls === 1) throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+      return { key: 'a', count: 2, resetAt };
+    },
+  }));
+  assert.deepEqual(await createMongoStore().increment('a', 60 * 1000), { count: 2, resetAt });
+  assert.equal(calls, 2);
+});
+
+test('the Mongo store passes on other errors', async () => {
+  mock.method(RateLimitHit, 'updateOne', async () => ({ matchedCount: 0 }));
+  mock.method(RateLimitHit, 'findOneAndUpdate', () => ({
+    lean: async () => {
+      throw new Error('connection lost');
+    },
+  }));
+  await assert.rejects(createMongoStore().increment('a', 60 * 1000), /connection lost/);
+});
@@ -0,0 +1,67 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { assessRisk, levelForScore } from '../utils/riskDetection.js';
+
+test('levelForScore maps scores onto levels', () => {
+  assert.equal(levelForScore(0), 'none');
+  assert.equal(levelForScore(2.4), 'none');
+  assert.equal(levelForScore(2.5), 'elevated');
+  assert.equal(levelForScore(3), 'high');
+});
+
+test('ordinary messages are not flagged', async () => {
+  const result = await assessRisk('I had a long day at college but dinner was nice');
+  assert.deepEqual(result, { level: 'none', score: 0, rules: [] });
+});
+
+test('suicidal intent is high risk in every language', async () => {
+  for (const text of [
+    'I want to kill myself',
+    'I feel suicidal',
+    'मैं आत्महत्या के बारे में सोच रहा हूँ',
+    'mujhe marna chahta hoon',
+    'தற்கொலை செய்ய தோன்றுகிறது',
+    'నాకు చనిపోవాలని ఉంది',
+    'ನನಗೆ ಸಾಯಬೇಕು',
+  ]) {
+    const result = await assessRisk(text);
+    assert.equal(result.level, 'high', text);
+    assert.ok(result.rules.includes('suicidal_intent'), text);
+  }
+});
+
+test('self-harm alone is elevated, and combined signals add up', async () => {
+  assert.equal((await assessRisk('I keep wanting to hurt myself')).level, 'elevated');
+  const combined = await assessRisk('I feel hopeless and I have pills ready');
+  assert.deepEqual(combined.rules, ['hopelessness', 'plan_or_means']);
+  assert.equal(combined.level, 'elevated');
+});
+
+test('phrases only match at the start of a word', async () => {
+  assert.deepEqual((await assessRisk('I feel hopeless about the ropes course')).rules, ['hopelessness']);
+  assert.deepEqual((await assessRisk('I feel hopeless and bought a rope')).rules, ['hopelessness', 'plan_or_means']);
+});
+
+test('means and timing words alone are not flagged', async () => {
+  for (const text of [
+    'need rope for camping tonight',
+    'forgot to take my pills tonight',
+    'bought rat poison for the kitchen right now',
+    'new razor blades for shaving',
+    'aaj raat fansi wali movie dekhi',
+  ]) {
+    assert.deepEqual(await assessRisk(text), { level: 'none', score: 0, rules: [] }, text);
+  }
+});
+
+test('means and timing add to intent', async () => {
+  const result = await assessRisk('I want to end it all tonight, I have the pills');
+  assert.deepEqual(result.rules, ['suicidal_intent', 'plan_or_means', 'imminence']);
+  assert.equal(result.score, 5.5);
+  assert.equal(result.level, 'high');
+});
+
+test('curly apostrophes and case are normalised', async () => {
+  const result = await assessRisk('I DON’T WANT TO LIVE anymore');
+  assert.ok(result.rules.includes('suicidal_intent'));
+});
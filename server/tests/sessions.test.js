@@ -0,0 +1,95 @@
+import { afterEach, beforeEach, mock, test } from 'node:test';
+import assert from 'node:assert/strict';
+import Session from '../models/Session.js';
+import User from '../models/User.js';
+import { isSessionActive, issueSession, rotateSession } from '../utils/sessions.js';
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+// Session documents kept in memory. Filters and updates are applied the way
+// MongoDB applies the ones rotateSession sends.
+let sessions;
+
+const matches = (doc, filter) =>
+  Object.entries(filter).every(([field, condition]) => {
+    const value = doc[field];
+    if (condition && typeof condition === 'object' && '$gt' in condition) return value > condition.$gt;
+    if (Array.isArray(value)) return value.includes(condition);
+    if (condition === null) return value == null;
+    return String(value) === String(condition);
+  });
+
+const applyUpdate = (doc, { $set = {}, $push = {} }) => {
+  Object.assign(doc, $set);
+  for (const [field, { $each, $slice }] of Object.entries($push)) {
+    doc[field] = [...(doc[field] || []), ...$each].slice($slice);
+  }
+};
+
+const user = { _id: 'user-1', email: 'a@example.com', role: 'user' };
+const req = { body: {}, headers: { 'user-agent': 'test' }, ip: '127.0.0.1' };
+
+beforeEach(() => {
+  sessions = [];
+  mock.method(Session, 'create', async (doc) => {
+    sessions.push({ rotatedTokenHashes: [], revokedAt: null, ...doc });
+  });
+  mock.method(Session, 'findOneAndUpdate', async (filter, update) => {
+    const doc = sessions.find((s) => matches(s, filter));
+    if (!doc) return null;
+    applyUpdate(doc, update);
+    return doc;
+  });
+  mock.method(Session, 'exists', async (filter) => (sessions.find((s) => matches(s, filter)) ? { _id: filter._id } : null));
+  mock.method(User, 'findById', () => ({ select: async () => user }));
+  mock.method(console, 'warn', () => {});
+});
+
+afterEach(() => mock.restoreAll());
+
+test('a refresh token is exchanged for a new pair', async () => {
+  const issued = await issueSession(user, req);
+  const rotated = await rotateSession(issued.refreshToken, req);
+  assert.ok(rotated.token);
+  assert.notEqual(rotated.refreshToken, issued.refreshToken);
+  assert.equal(rotated.refreshToken.split('.')[0], issued.refreshToken.split('.')[0]);
+});
+
+test('the current token keeps working after each rotation', async () => {
+  let { refreshToken } = await issueSession(user, req);
+  for (let i = 0; i < 3; i++) {
+    ({ refreshToken } = await rotateSession(refreshToken, req));
+  }
+  assert.equal(sessions[0].revokedAt, null);
+  assert.equal(sessions[0].rotatedTokenHashes.length, 3);
+});
+
+test('a rotated-out token is rejected and revokes the session', async () => {
+  const issued = await issueSession(user, req);
+  const rotated = await rotateSession(issued.refreshToken, req);
+
+  assert.equal(await rotateSession(issued.refreshToken, req), null);
+  assert.ok(sessions[0].revokedAt instanceof Date);
+  // The token the legitimate device holds dies with the session
+  assert.equal(await rotateSession(rotated.refreshToken, req), null);
+  assert.equal(await isSessionActive(sessions[0]._id, user._id), false);
+});
+
+test('a token that never belonged to the session is rejected without revoking it', async () => {
+  const issued = await issueSession(user, req);
+  const [sessionId] = issued.refreshToken.split('.');
+
+  assert.equal(await rotateSession(`${sessionId}.${'0'.repeat(96)}`, req), null);
+  assert.equal(sessions[0].revokedAt, null);
+  assert.ok(await rotateSession(issued.refreshToken, req));
+});
+
+test('malformed and expired tokens are rejected', async () => {
+  assert.equal(await rotateSession('', req), null);
+  assert.equal(await rotateSession('not-an-id.secret', req), null);
+
+  const issued = await issueSession(user, req);
+  sessions[0].expiresAt = new Date(Date.now() - 1000);
+  assert.equal(await rotateSession(issued.refreshToken, req), null);
+  assert.equal(sessions[0].revokedAt, null);
+});
@@ -0,0 +1,72 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ApiError } from '../utils/apiError.js';
+import { moodScore, periodKey, periodKeys, rangeBounds, resolveRange, streaksOf } from '../utils/wellbeingAnalytics.js';
+
+const day = (iso) => new Date(`${iso}T00:00:00Z`);
+
+test('periodKey buckets by day, Monday-start week and month', () => {
+  // 2024-03-03 is a Sunday
+  assert.equal(periodKey(day('2024-03-03'), 'day'), '2024-03-03');
+  assert.equal(periodKey(day('2024-03-03'), 'week'), '2024-02-26');
+  assert.equal(periodKey(day('2024-03-04'), 'week'), '2024-03-04');
+  assert.equal(periodKey(day('2024-03-03'), 'month'), '2024-03');
+});
+
+test('periodKeys lists every period of the range, empty ones included', () => {
+  assert.deepEqual(periodKeys('2024-02-28', '2024-03-02', 'day'), ['2024-02-28', '2024-02-29', '2024-03-01', '2024-03-02']);
+  assert.deepEqual(periodKeys('2024-01-15', '2024-03-02', 'month'), ['2024-01', '2024-02', '2024-03']);
+});
+
+test('resolveRange defaults to the 30 days up to today', () => {
+  const { from, to } = resolveRange({ to: '2024-03-30', granularity: 'day', tzOffset: 0 });
+  assert.equal(to, '2024-03-30');
+  assert.equal(from, '2024-03-01');
+  const today = resolveRange({ granularity: 'day', tzOffset: 0 });
+  assert.equal(today.to, new Date().toISOString().slice(0, 10));
+});
+
+test('resolveRange rejects reversed and over-long ranges', () => {
+  assert.throws(() => resolveRange({ from: '2024-03-02', to: '2024-03-01', granularity: 'day', tzOffset: 0 }), ApiError);
+  assert.throws(() => resolveRange({ from: '2022-01-01', to: '2024-01-01', granularity: 'day', tzOffset: 0 }), ApiError);
+  assert.doesNotThrow(() => resolveRange({ from: '2022-01-01', to: '2024-01-01', granularity: 'week', tzOffset: 0 }));
+});
+
+test('rangeBounds turns local days into instants', () => {
+  // IST is 330 minutes ahead of UTC, so its days start at 18:30 UTC the day before
+  const { start, end } = rangeBounds('2024-03-01', '2024-03-02', -330);
+  assert.equal(start.toISOString(), '2024-02-29T18:30:00.000Z');
+  assert.equal(end.toISOString(), '2024-03-02T18:30:00.000Z');
+});
+
+test('streaks count consecutive active days', () => {
+  const active = new Set(['2024-03-01', '2024-03-02', '2024-03-03', '2024-03-05', '2024-03-06']);
+  assert.deepEqual(streaksOf(active, '2024-03-01', '2024-03-06'), {
+    current: 2,
+    longest: 3,
+    activeDays: 5,
+    lastActiveDay: '2024-03-06',
+  });
+});
+
+test('the current streak survives a last day with nothing on it yet', () => {
+  const active = new Set(['2024-03-04', '2024-03-05']);
+  assert.equal(streaksOf(active, '2024-03-01', '2024-03-06').current, 2);
+  assert.equal(streaksOf(active, '2024-03-01', '2024-03-07').current, 0);
+});
+
+test('no activity means no streaks', () => {
+  assert.deepEqual(streaksOf(new Set(), '2024-03-01', '2024-03-06'), {
+    current: 0,
+    longest: 0,
+    activeDays: 0,
+    lastActiveDay: null,
+  });
+});
+
+test('moodScore scales valence by intensity', () => {
+  assert.equal(moodScore('positive', 1), 1);
+  assert.equal(moodScore('sad', 0), -0.5);
+  assert.equal(moodScore('tired'), -0.5);
+  assert.equal(moodScore('unknown', 1), null);
+});
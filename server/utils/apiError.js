@@ -0,0 +1,20 @@
+// Errors thrown (or passed to next) from routes and middleware. The central
+// error handler renders them as { error: { code, message, details } }.
+export class ApiError extends Error {
+  constructor(status, code, message, details = null) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+export const badRequest = (message, details) => new ApiError(400, 'BAD_REQUEST', message, details);
+export const unauthorized = (message = 'Unauthorized', code = 'UNAUTHORIZED') => new ApiError(401, code, message);
+export const forbidden = (message = 'Forbidden') => new ApiError(403, 'FORBIDDEN', message);
+export const notFound = (message = 'Not found') => new ApiError(404, 'NOT_FOUND', message);
+export const conflict = (message) => new ApiError(409, 'CONFLICT', message);
+// Retry-After is set from details.retryAfter by the error handler
+export const tooManyRequests = (message, retryAfter, code = 'RATE_LIMITED') =>
+  new ApiError(429, code, message, { retryAfter });
@@ -0,0 +1,79 @@
+import crypto from 'crypto';
+import AuthCode from '../models/AuthCode.js';
+import { hashToken } from './generateToken.js';
+import { sendMail } from './mailer.js';
+
+const CODE_TTL_MINUTES = 15;
+const MAX_ATTEMPTS = 5;
+const RESEND_COOLDOWN_SECONDS = 60;
+
+const hashCode = (userId, purpose, code) => hashToken(`${userId}:${purpose}:${code}`);
+
+// Creates a fresh 6-digit code, replacing any earlier one for the same purpose.
+// Returns { retryAfter } instead when a code was sent too recently.
+export const issueAuthCode = async (userId, purpose) => {
+  const latest = await AuthCode.findOne({ userId, purpose }).sort({ createdAt: -1 }).lean();
+  if (latest) {
+    const elapsed = (Date.now() - new Date(latest.createdAt).getTime()) / 1000;
+    if (elapsed < RESEND_COOLDOWN_SECONDS) {
+      return { code: null, retryAfter: Math.ceil(RESEND_COOLDOWN_SECONDS - elapsed) };
+    }
+  }
+  await AuthCode.deleteMany({ userId, purpose });
+  const code = String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+  await AuthCode.create({
+    userId,
+    purpose,
+    codeHash: hashCode(userId, purpose, code),
+    expiresAt: new Date(Date.now() + CODE_TTL_MINUTES * 60 * 1000),
+  });
+  return { code, retryAfter: 0 };
+};
+
+// Checks a submitted code. Resolves to 'ok', 'invalid', 'expired' or 'locked';
+// every wrong guess counts towards MAX_ATTEMPTS, after which the code is dead.
+export const verifyAuthCode = async (userId, purpose, code) => {
+  const record = await AuthCode.findOneAndUpdate(
+    { userId, purpose, consumedAt: null, expiresAt: { $gt: new Date() } },
+    { $inc: { attempts: 1 } },
+    { new: true, sort: { createdAt: -1 } }
+  );
+  if (!record) return 'expired';
+  if (record.attempts > MAX_ATTEMPTS) return 'locked';
+  if (record.codeHash !== hashCode(userId, purpose, String(code || '').trim())) {
+    return record.attempts >= MAX_ATTEMPTS ? 'locked' : 'invalid';
+  }
+  const consumed = await AuthCode.updateOne(
+    { _id: record._id, consumedAt: null },
+    { consumedAt: new Date() }
+  );
+  return consumed.modifiedCount === 1 ? 'ok' : 'expired';
+};
+
+export const sendPasswordResetCode = async (user) => {
+  const { code, retryAfter } = await issueAuthCode(user._id, 'password_reset');
+  if (!code) return { sent: false, retryAfter };
+  await sendMail({
+    to: user.email,
+    subject: 'Your MindMate++ password reset code',
+    text:
+      `Hi ${user.name || 'there'},\n\n` +
+      `Use this code to reset your MindMate++ password: ${code}\n\n` +
+      `It expires in ${CODE_TTL_MINUTES} minutes. If you didn't ask for this, you can ignore this email.`,
+  });
+  return { sent: true, retryAfter: 0 };
+};
+
+export const sendVerificationCode = async (user) => {
+  const { code, retryAfter } = await issueAuthCode(user._id, 'email_verification');
+  if (!code) return { sent: false, retryAfter };
+  await sendMail({
+    to: user.email,
+    subject: 'Confirm your MindMate++ email',
+    text:
+      `Hi ${user.name || 'there'},\n\n` +
+      `Your MindMate++ verification code is: ${code}\n\n` +
+      `It expires in ${CODE_TTL_MINUTES} minutes.`,
+  });
+  return { sent: true, retryAfter: 0 };
+};
@@ -0,0 +1,51 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import sharp from 'sharp';
+import { uploadsRoot, ensureDir } from './upload.js';
+import { ApiError } from './apiError.js';
+
+// Square WebP renditions written for every avatar. `large` becomes the user's
+// avatarUrl, the smaller ones are stored as avatarThumbnails.
+export const AVATAR_SIZES = { small: 96, medium: 256, large: 512 };
+
+export const avatarDir = (userId) => path.join(uploadsRoot, 'avatars', String(userId));
+
+// Decodes the upload (its mimetype is only what the client claimed) and writes
+// one file per size. Returns the URLs plus the shared file prefix.
+export const saveAvatar = async (userId, buffer) => {
+  const meta = await sharp(buffer).metadata().catch(() => null);
+  if (!meta?.width || !meta?.height) {
+    throw new ApiError(400, 'INVALID_IMAGE', 'File is not a readable image');
+  }
+
+  const dir = avatarDir(userId);
+  ensureDir(dir);
+  const prefix = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+  const urls = {};
+  for (const [name, size] of Object.entries(AVATAR_SIZES)) {
+    const file = `${prefix}-${size}.webp`;
+    await sharp(buffer)
+      .rotate()
+      .resize(size, size, { fit: 'cover', position: 'attention' })
+      .webp({ quality: 82 })
+      .toFile(path.join(dir, file));
+    urls[name] = `/uploads/avatars/${userId}/${file}`;
+  }
+  return { prefix, urls };
+};
+
+const removeFiles = async (userId, shouldRemove) => {
+  const dir = avatarDir(userId);
+  const names = await fs.promises.readdir(dir).catch(() => []);
+  const doomed = names.filter(shouldRemove);
+  await Promise.all(doomed.map((name) => fs.promises.rm(path.join(dir, name), { force: true })));
+};
+
+// Deletes the files of every avatar except the one saved under `keepPrefix`
+export const removeOldAvatars = (userId, keepPrefix) =>
+  removeFiles(userId, (name) => !name.startsWith(`${keepPrefix}-`));
+
+// Deletes the files of one saved avatar, e.g. when storing it on the user failed
+export const discardAvatar = (userId, prefix) =>
+  removeFiles(userId, (name) => name.startsWith(`${prefix}-`));
@@ -0,0 +1,85 @@
+import { classifyMood } from './moodClassification.js';
+
+// Canned replies for when no chat model is reachable, in every reply language
+// (utils/chatLanguage.js). The mood classifier picks the reply, so it reacts
+// to feelings in any of the languages it knows. Kept in line with
+// FALLBACK_REPLIES in ai_models/chatbot/app.py.
+
+const FALLBACK_REPLIES = {
+  en: {
+    greeting: "Hello! I'm Mate — your gentle companion here at MindMate++. What's on your mind today?",
+    anxious: "That sounds really tough. Try taking a few deep breaths with me. What's making you feel this way?",
+    sad: "I'm sorry you're going through that. Your feelings are valid. Want to share what's on your mind?",
+    angry: "I can hear that you're feeling frustrated. Sometimes naming our emotions helps. What happened?",
+    stressed: "That sounds like a lot to handle. Stress can be really overwhelming. What's weighing on you most?",
+    tired: "It sounds like you're really tired. Rest is so important. Have you been able to take care of yourself today?",
+    general: "I'm here to listen. What would you like to talk about today?",
+  },
+  hinglish: {
+    greeting: 'Namaste! Main Mate hoon — MindMate++ par aapka saathi. Aaj aapke mann mein kya chal raha hai?',
+    anxious: 'Yeh sach mein mushkil lag raha hai. Chaliye mere saath kuch gehri saansein lijiye. Aapko aisa kyun lag raha hai?',
+    sad: 'Mujhe dukh hai ki aap is sab se guzar rahe hain. Aapki feelings matter karti hain. Kya aap batana chahenge ki mann mein kya hai?',
+    angry: 'Lag raha hai aapko kaafi gussa aur frustration hai. Kabhi kabhi apni feelings ko naam dene se madad milti hai. Kya hua?',
+    stressed: 'Yeh sambhalne ke liye kaafi kuch lagta hai. Stress sach mein bhaari pad sakta hai. Sabse zyada kis baat ka bojh hai?',
+    tired: 'Lagta hai aap bahut thake hue hain. Aaram bahut zaroori hai. Kya aaj aap apna khayal rakh paaye?',
+    general: 'Main sunne ke liye yahan hoon. Aaj aap kis baare mein baat karna chahenge?',
+  },
+  hi: {
+    greeting: 'नमस्ते! मैं Mate हूँ — MindMate++ पर आपका साथी। आज आपके मन में क्या चल रहा है?',
+    anxious: 'यह सच में मुश्किल लग रहा है। आइए मेरे साथ कुछ गहरी साँसें लीजिए। आपको ऐसा क्यों महसूस हो रहा है?',
+    sad: 'मुझे दुख है कि आप इससे गुज़र रहे हैं। आपकी भावनाएँ मायने रखती हैं। क्या आप बताना चाहेंगे कि मन में क्या है?',
+    angry: 'लग रहा है कि आपको काफ़ी गुस्सा और झुँझलाहट है। कभी-कभी अपनी भावनाओं को नाम देने से मदद मिलती है। क्या हुआ?',
+    stressed: 'यह संभालने के लिए बहुत कुछ लगता है। तनाव सच में भारी पड़ सकता है। सबसे ज़्यादा किस बात का बोझ है?',
+    tired: 'लगता है आप बहुत थके हुए हैं। आराम बहुत ज़रूरी है। क्या आज आप अपना ख़्याल रख पाए?',
+    general: 'मैं सुनने के लिए यहाँ हूँ। आज आप किस बारे में बात करना चाहेंगे?',
+  },
+  ta: {
+    greeting: 'வணக்கம்! நான் Mate — MindMate++ இல் உங்கள் அன்பான துணை. இன்று உங்கள் மனதில் என்ன இருக்கிறது?',
+    anxious: 'இது மிகவும் கடினமாக இருப்பது போல் தெரிகிறது. என்னுடன் சில ஆழ்ந்த மூச்சுகளை எடுத்துப் பாருங்கள். உங்களுக்கு ஏன் இப்படித் தோன்றுகிறது?',
+    sad: 'நீங்கள் இதைச் சந்திப்பதற்கு வருந்துகிறேன். உங்கள் உணர்வுகள் முக்கியமானவை. உங்கள் மனதில் இருப்பதைப் பகிர விரும்புகிறீர்களா?',
+    angry: 'நீங்கள் மிகவும் எரிச்சலாக உணர்கிறீர்கள் என்று புரிகிறது. சில நேரங்களில் நம் உணர்வுகளுக்குப் பெயர் வைப்பது உதவும். என்ன நடந்தது?',
+    stressed: 'இது சமாளிக்க நிறைய போல் தெரிகிறது. மன அழுத்தம் உண்மையில் பாரமாக இருக்கலாம். உங்களை அதிகம் அழுத்துவது எது?',
+    tired: 'நீங்கள் மிகவும் சோர்வாக இருப்பது போல் தெரிகிறது. ஓய்வு மிக முக்கியம். இன்று உங்களை நீங்கள் கவனித்துக்கொள்ள முடிந்ததா?',
+    general: 'நான் கேட்க இங்கே இருக்கிறேன். இன்று எதைப் பற்றிப் பேச விரும்புகிறீர்கள்?',
+  },
+  te: {
+    greeting: 'నమస్కారం! నేను Mate — MindMate++ లో మీ ఆత్మీయ తోడు. ఈరోజు మీ మనసులో ఏముంది?',
+    anxious: 'ఇది నిజంగా కష్టంగా అనిపిస్తోంది. నాతో కలిసి కొన్ని లోతైన శ్వాసలు తీసుకోండి. మీకు ఇలా ఎందుకు అనిపిస్తోంది?',
+    sad: 'మీరు ఇలాంటి పరిస్థితిని ఎదుర్కొంటున్నందుకు బాధగా ఉంది. మీ భావాలు ముఖ్యమైనవి. మీ మనసులో ఉన్నది పంచుకోవాలనుకుంటున్నారా?',
+    angry: 'మీకు చాలా చిరాకుగా ఉందని అర్థమవుతోంది. కొన్నిసార్లు మన భావాలకు పేరు పెట్టడం సహాయపడుతుంది. ఏం జరిగింది?',
+    stressed: 'ఇది భరించడానికి చాలా ఎక్కువగా అనిపిస్తోంది. ఒత్తిడి నిజంగా భారంగా ఉంటుంది. మిమ్మల్ని ఎక్కువగా బాధపెడుతున్నది ఏమిటి?',
+    tired: 'మీరు చాలా అలసిపోయినట్టు అనిపిస్తోంది. విశ్రాంతి చాలా ముఖ్యం. ఈరోజు మిమ్మల్ని మీరు చూసుకోగలిగారా?',
+    general: 'నేను వినడానికి ఇక్కడే ఉన్నాను. ఈరోజు మీరు దేని గురించి మాట్లాడాలనుకుంటున్నారు?',
+  },
+  kn: {
+    greeting: 'ನಮಸ್ಕಾರ! ನಾನು Mate — MindMate++ ನಲ್ಲಿ ನಿಮ್ಮ ಆತ್ಮೀಯ ಜೊತೆಗಾರ. ಇಂದು ನಿಮ್ಮ ಮನಸ್ಸಿನಲ್ಲಿ ಏನಿದೆ?',
+    anxious: 'ಇದು ನಿಜವಾಗಿಯೂ ಕಷ್ಟವೆನಿಸುತ್ತದೆ. ನನ್ನೊಂದಿಗೆ ಕೆಲವು ಆಳವಾದ ಉಸಿರುಗಳನ್ನು ತೆಗೆದುಕೊಳ್ಳಿ. ನಿಮಗೆ ಹೀಗೆ ಯಾಕೆ ಅನಿಸುತ್ತಿದೆ?',
+    sad: 'ನೀವು ಇದನ್ನು ಎದುರಿಸುತ್ತಿರುವುದಕ್ಕೆ ನನಗೆ ಬೇಸರವಿದೆ. ನಿಮ್ಮ ಭಾವನೆಗಳು ಮುಖ್ಯ. ನಿಮ್ಮ ಮನಸ್ಸಿನಲ್ಲಿರುವುದನ್ನು ಹಂಚಿಕೊಳ್ಳಲು ಬಯಸುವಿರಾ?',
+    angry: 'ನಿಮಗೆ ತುಂಬಾ ಕಿರಿಕಿರಿಯಾಗಿದೆ ಎಂದು ಅರ್ಥವಾಗುತ್ತದೆ. ಕೆಲವೊಮ್ಮೆ ನಮ್ಮ ಭಾವನೆಗಳಿಗೆ ಹೆಸರಿಡುವುದು ಸಹಾಯ ಮಾಡುತ್ತದೆ. ಏನಾಯಿತು?',
+    stressed: 'ಇದು ನಿಭಾಯಿಸಲು ತುಂಬಾ ಹೆಚ್ಚು ಎನಿಸುತ್ತದೆ. ಒತ್ತಡ ನಿಜವಾಗಿಯೂ ಭಾರವಾಗಬಹುದು. ನಿಮ್ಮನ್ನು ಹೆಚ್ಚು ಕಾಡುತ್ತಿರುವುದು ಏನು?',
+    tired: 'ನೀವು ತುಂಬಾ ದಣಿದಿರುವಂತೆ ಕಾಣುತ್ತದೆ. ವಿಶ್ರಾಂತಿ ತುಂಬಾ ಮುಖ್ಯ. ಇಂದು ನಿಮ್ಮನ್ನು ನೀವು ನೋಡಿಕೊಳ್ಳಲು ಸಾಧ್ಯವಾಯಿತೇ?',
+    general: 'ನಾನು ಕೇಳಲು ಇಲ್ಲಿದ್ದೇನೆ. ಇಂದು ನೀವು ಯಾವುದರ ಬಗ್ಗೆ ಮಾತನಾಡಲು ಬಯಸುತ್ತೀರಿ?',
+  },
+};
+
+// Greetings in any language; only short messages count as one
+const GREETINGS = [
+  'hi', 'hello', 'hey', 'good morning', 'good afternoon', 'good evening', 'namaste', 'namaskar',
+  'नमस्ते', 'नमस्कार', 'வணக்கம்', 'నమస్కారం', 'నమస్తే', 'ನಮಸ್ಕಾರ', 'ನಮಸ್ತೆ',
+];
+const MAX_GREETING_WORDS = 3;
+
+const isGreeting = (text) => {
+  const words = text.toLowerCase().split(/[\s,.!?]+/).filter(Boolean);
+  if (words.length > MAX_GREETING_WORDS) return false;
+  const phrase = words.join(' ');
+  return GREETINGS.some((greeting) => (greeting.includes(' ') ? phrase.includes(greeting) : words.includes(greeting)));
+};
+
+// Resolves with a canned reply to `message` in `language`
+export const fallbackReply = async (message, language) => {
+  const replies = FALLBACK_REPLIES[language] || FALLBACK_REPLIES.en;
+  if (isGreeting(message)) return replies.greeting;
+  const { mood } = await classifyMood(message);
+  return replies[mood] || replies.general;
+};
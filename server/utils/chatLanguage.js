@@ -0,0 +1,53 @@
+// Which language Mate replies in. The account language (User.language, or the
+// app language a signed-out client sends) is the default; a message clearly
+// written in another language is answered in that one instead. Replies can
+// also be in Hinglish, Hindi written in Latin script, which has no app
+// language of its own.
+
+export const REPLY_LANGUAGES = ['en', 'hi', 'ta', 'te', 'kn', 'hinglish'];
+
+const SCRIPTS = [
+  ['hi', /[\u0900-\u097F]/],
+  ['ta', /[\u0B80-\u0BFF]/],
+  ['te', /[\u0C00-\u0C7F]/],
+  ['kn', /[\u0C80-\u0CFF]/],
+];
+
+// Common Hindi words that aren't also English words, to tell Hinglish from English
+const HINGLISH_WORDS = new Set([
+  'hai', 'hain', 'nahi', 'nahin', 'kya', 'kyun', 'kyu', 'mera', 'meri', 'mere', 'mujhe', 'mujhko', 'tum', 'aap',
+  'kuch', 'bahut', 'bohot', 'raha', 'rahi', 'rahe', 'tha', 'thi', 'hoon', 'yaar', 'kaise', 'kaisa', 'bhi',
+  'lekin', 'aur', 'abhi', 'aaj', 'accha', 'acha', 'achha', 'theek', 'thik', 'kaafi', 'samajh',
+]);
+
+// Latin-script messages shorter than this ("ok", "hi there") say too little
+const MIN_LATIN_WORDS = 3;
+
+// The language `text` is written in, or null if it can't be told
+export const detectLanguage = (text) => {
+  const scriptWords = Object.fromEntries(SCRIPTS.map(([language]) => [language, 0]));
+  const latin = [];
+  for (const word of String(text || '').toLowerCase().split(/\s+/)) {
+    const script = SCRIPTS.find(([, pattern]) => pattern.test(word));
+    if (script) scriptWords[script[0]] += 1;
+    else if (/[a-z]/.test(word)) latin.push(word.replace(/[^a-z]/g, ''));
+  }
+  const [script, count] = Object.entries(scriptWords).sort((a, b) => b[1] - a[1])[0];
+  // Mixed messages ("मैं stressed हूँ") go by whichever script has more words
+  if (count && count >= latin.length) return script;
+  if (latin.length < MIN_LATIN_WORDS) return null;
+  const hindi = latin.filter((w) => HINGLISH_WORDS.has(w)).length;
+  return hindi >= 2 || hindi / latin.length >= 0.25 ? 'hinglish' : 'en';
+};
+
+// The language to answer `message` in. When the message itself is too short
+// to tell, the user's recent turns in `history` decide, so a Tamil
+// conversation doesn't switch to the account language on an "ok".
+export const replyLanguage = (preferred, message, history = []) => {
+  const recent = history
+    .filter((turn) => turn.role === 'user')
+    .slice(-3)
+    .map((turn) => turn.content)
+    .join('\n');
+  return detectLanguage(message) || detectLanguage(recent) || (REPLY_LANGUAGES.includes(preferred) ? preferred : 'en');
+};
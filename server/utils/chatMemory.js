@@ -0,0 +1,87 @@
+import ChatMessage from '../models/ChatMessage.js';
+import ChatSummary from '../models/ChatSummary.js';
+import { summarizeChat } from './chatModel.js';
+
+// Conversation memory for Mate, kept per conversation thread. Each reply is
+// generated from:
+//   - the newest stored messages that fit in CHAT_CONTEXT_TOKENS, and
+//   - a rolling summary of older messages, refreshed in the background once
+//     SUMMARY_BATCH messages have fallen out of that window.
+// Messages covered by the summary never appear in the window as well.
+
+const MAX_WINDOW_MESSAGES = 40;
+const SUMMARY_BATCH = 10;
+const MAX_SUMMARY_INPUT = 60;
+
+const contextTokenBudget = () => Number(process.env.CHAT_CONTEXT_TOKENS) || 1500;
+
+// Rough estimate (about 4 characters per token for English); only used to keep
+// the prompt bounded, so it errs on the generous side
+export const estimateTokens = (text) => Math.ceil(String(text || '').length / 4);
+
+// Newest-first messages after `after`, trimmed to the token budget and returned
+// oldest-first. Starts on a user turn so the model never sees a reply without
+// its question.
+const recentWindow = (messages, budget) => {
+  const window = [];
+  let used = 0;
+  for (const m of messages) {
+    used += estimateTokens(m.content);
+    if (used > budget) break;
+    window.unshift(m);
+  }
+  while (window.length && window[0].role !== 'user') window.shift();
+  return window;
+};
+
+const newerThan = (date) => (date ? { createdAt: { $gt: date } } : {});
+
+// { summary, history: [{ role, content }] } to send along with the next message,
+// or with `before` set, with the stored message created then (for regenerating
+// its reply)
+export const buildChatContext = async (conversationId, { before } = {}) => {
+  const summaryDoc = await ChatSummary.findOne({ conversationId }).lean();
+  const range = newerThan(summaryDoc?.coversUntil);
+  if (before) range.createdAt = { ...range.createdAt, $lt: before };
+  const messages = await ChatMessage.find({ conversationId, ...range })
+    .sort({ createdAt: -1, _id: -1 })
+    .limit(MAX_WINDOW_MESSAGES)
+    .select('role content')
+    .lean();
+  const history = recentWindow(messages, contextTokenBudget()).map((m) => ({ role: m.role, content: m.content }));
+  return { summary: summaryDoc?.summary || '', history };
+};
+
+// The same shape for a conversation that isn't stored (signed out, incognito or
+// history turned off): the client sends its recent turns, oldest first
+export const clientChatContext = (turns = []) => ({
+  summary: '',
+  history: recentWindow([...turns].reverse(), contextTokenBudget()).map((m) => ({ role: m.role, content: m.content })),
+});
+
+// Folds messages that are outside the window and not yet summarised into the
+// summary. Called after a reply is stored; failures only mean the summary lags.
+export const refreshChatSummary = async (userId, conversationId) => {
+  const summaryDoc = await ChatSummary.findOne({ conversationId }).lean();
+  const messages = await ChatMessage.find({ conversationId, ...newerThan(summaryDoc?.coversUntil) })
+    .sort({ createdAt: -1, _id: -1 })
+    .limit(MAX_WINDOW_MESSAGES + MAX_SUMMARY_INPUT)
+    .select('role content createdAt expiresAt')
+    .lean();
+  const windowSize = recentWindow(messages.slice(0, MAX_WINDOW_MESSAGES), contextTokenBudget()).length;
+  // Anything older than this batch is skipped rather than summarised late
+  const stale = messages.slice(windowSize).reverse();
+  if (stale.length < SUMMARY_BATCH) return;
+
+  const summary = await summarizeChat({
+    summary: summaryDoc?.summary || '',
+    messages: stale.map((m) => ({ role: m.role, content: m.content })),
+  });
+  if (!summary) return;
+  const newest = stale[stale.length - 1];
+  await ChatSummary.updateOne(
+    { conversationId },
+    { userId, summary, coversUntil: newest.createdAt, expiresAt: newest.expiresAt || null },
+    { upsert: true }
+  );
+};
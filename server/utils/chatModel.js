@@ -0,0 +1,121 @@
+import { getLlm } from './llm.js';
+import { postToFlask, streamFromFlask } from './flask.js';
+
+// Where Mate's replies and conversation summaries come from. With a provider
+// configured for the `chat` feature (utils/llm.js) the model is called from
+// Node; otherwise requests go to the Flask service as before. Both paths take
+// and return the same shapes, so controllers don't know which one answered.
+
+// Kept in line with SYSTEM_PROMPT / LANGUAGE_PROMPTS / SUMMARY_PROMPT / TITLE_PROMPT in ai_models/chatbot/app.py
+const CHAT_SYSTEM_PROMPT = `You are MindMate++, a warm, empathetic, and encouraging mental wellness friend.
+Keep your answers short and conversational.
+Keep in mind that you are talking to a person living in India.`;
+
+// Appended to the system prompt for the reply language (utils/chatLanguage.js)
+const LANGUAGE_PROMPTS = {
+  en: 'Reply in English.',
+  hi: 'Reply in Hindi, written in Devanagari script.',
+  hinglish: 'Reply in Hinglish: Hindi written in Latin script, mixing in English words the way the user does.',
+  ta: 'Reply in Tamil, written in Tamil script.',
+  te: 'Reply in Telugu, written in Telugu script.',
+  kn: 'Reply in Kannada, written in Kannada script.',
+};
+
+const SUMMARY_SYSTEM_PROMPT = `Summarize this conversation between a user and MindMate++, a mental wellness companion,
+so the companion can continue it later. Merge it with the existing summary if there is one.
+Keep what matters for support: the user's situation, feelings, people and events they
+mentioned, and anything they asked to be remembered. Write at most 120 words in third person.`;
+
+const TITLE_SYSTEM_PROMPT = `Write a short title for this conversation between a user and MindMate++,
+a mental wellness companion, in the language the user writes in. Use at most six words, name the
+topic rather than the user's feelings in detail, and reply with the title only.`;
+
+const MAX_SUMMARY_CHARS = 2000;
+const MAX_TITLE_CHARS = 80;
+// Matches the Flask path: 15s for a whole reply; a stream may run longer as
+// long as it finishes within a minute
+const COMPLETE_TIMEOUT_MS = 15000;
+const STREAM_TIMEOUT_MS = 60000;
+
+const chatRequest = ({ message, history = [], summary = '', language = 'en' }) => {
+  let system = `${CHAT_SYSTEM_PROMPT}\n${LANGUAGE_PROMPTS[language] || LANGUAGE_PROMPTS.en}`;
+  if (summary) system += `\n\nSummary of the earlier conversation:\n${summary.slice(0, MAX_SUMMARY_CHARS)}`;
+  return { system, messages: [...history, { role: 'user', content: message }] };
+};
+
+// `source` as reported to the client: 'ai' for a real model
+const sourceOf = (llm) => (llm.provider === 'mock' ? 'mock' : 'ai');
+
+// `language` is the reply language from utils/chatLanguage.js -> { reply, source }
+export const generateChatReply = async ({ message, history, summary, language }) => {
+  const llm = getLlm('chat');
+  if (!llm) return postToFlask('/chat', { message, history, summary, language });
+  const reply = await llm.complete({
+    ...chatRequest({ message, history, summary, language }),
+    signal: AbortSignal.timeout(COMPLETE_TIMEOUT_MS),
+  });
+  if (!reply) throw new Error(`${llm.provider} returned an empty reply`);
+  return { reply, source: sourceOf(llm) };
+};
+
+// Yields { delta } events and then { done: true, source }, the same events
+// Flask's /chat/stream sends; { error } means the reply broke off part-way
+export async function* streamChatReply({ message, history, summary, language }, { signal } = {}) {
+  const llm = getLlm('chat');
+  if (!llm) {
+    yield* streamFromFlask('/chat/stream', { message, history, summary, language }, { signal });
+    return;
+  }
+  const timeout = AbortSignal.timeout(STREAM_TIMEOUT_MS);
+  const request = {
+    ...chatRequest({ message, history, summary, language }),
+    signal: signal ? AbortSignal.any([signal, timeout]) : timeout,
+  };
+  let sent = false;
+  try {
+    for await (const text of llm.stream(request)) {
+      sent = true;
+      yield { delta: text };
+    }
+  } catch (err) {
+    if (!sent || signal?.aborted) throw err;
+    console.error(`${llm.provider} stream failed:`, err?.message);
+    yield { error: 'Model stream interrupted' };
+    return;
+  }
+  if (!sent) throw new Error(`${llm.provider} returned an empty reply`);
+  yield { done: true, source: sourceOf(llm) };
+}
+
+const transcriptOf = (messages) =>
+  messages.map((m) => `${m.role === 'user' ? 'User' : 'MindMate++'}: ${m.content}`).join('\n');
+
+// Folds `messages` into `summary` and resolves with the new summary
+export const summarizeChat = async ({ summary, messages }) => {
+  const llm = getLlm('chat');
+  if (!llm) return (await postToFlask('/summarize', { summary, messages }))?.summary || '';
+  const prompt = `${summary ? `Existing summary:\n${summary}\n\n` : ''}New messages:\n${transcriptOf(messages)}\n\nUpdated summary:`;
+  const updated = await llm.complete({
+    system: SUMMARY_SYSTEM_PROMPT,
+    messages: [{ role: 'user', content: prompt }],
+    signal: AbortSignal.timeout(COMPLETE_TIMEOUT_MS),
+  });
+  return updated.slice(0, MAX_SUMMARY_CHARS);
+};
+
+// Resolves with a title for a conversation from its first `messages`
+export const titleConversation = async ({ messages }) => {
+  const llm = getLlm('chat');
+  const title = llm
+    ? await llm.complete({
+        system: TITLE_SYSTEM_PROMPT,
+        messages: [{ role: 'user', content: `${transcriptOf(messages)}\n\nTitle:` }],
+        maxTokens: 30,
+        signal: AbortSignal.timeout(COMPLETE_TIMEOUT_MS),
+      })
+    : (await postToFlask('/title', { messages }))?.title;
+  // Models like to quote or punctuate their titles
+  return String(title || '')
+    .replace(/^["'“”‘’\s]+|["'“”‘’.\s]+$/g, '')
+    .slice(0, MAX_TITLE_CHARS);
+};
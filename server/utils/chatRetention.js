@@ -0,0 +1,71 @@
+import ChatMessage from '../models/ChatMessage.js';
+import ChatSummary from '../models/ChatSummary.js';
+import Conversation from '../models/Conversation.js';
+import User from '../models/User.js';
+import { deleteMessageRecords } from './conversations.js';
+
+// How long chat history is kept, chosen per user (User.chatRetention). Stored
+// messages carry an `expiresAt` that a TTL index acts on; null keeps them.
+// The rolling summary expires together with the newest message it covers, a
+// conversation together with its newest message.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const RETENTION_DAYS = { '7d': 7, '30d': 30, '90d': 90, forever: null };
+export const DEFAULT_CHAT_RETENTION = '7d';
+
+// Expiry for something dated `from` under `retention`; null means never
+export const chatExpiry = (retention, from = new Date()) => {
+  const days = RETENTION_DAYS[retention];
+  return days ? new Date(from.getTime() + days * DAY_MS) : null;
+};
+
+// Retention the current exchange is stored under, or null if it isn't stored:
+// signed out, an incognito message, or history turned off
+export const chatRetentionFor = async (req) => {
+  if (!req.userId || req.body?.incognito) return null;
+  const user = await User.findById(req.userId).select('chatRetention').lean();
+  const retention = user?.chatRetention || DEFAULT_CHAT_RETENTION;
+  return retention === 'off' ? null : retention;
+};
+
+const expiryUpdate = (retention, dateField) => {
+  const days = RETENTION_DAYS[retention];
+  return days ? [{ $set: { expiresAt: { $add: [`$${dateField}`, days * DAY_MS] } } }] : { expiresAt: null };
+};
+
+// Applies a changed setting to history that is already stored: 'off' deletes
+// it along with its message records, like deleting the whole history does;
+// anything else re-dates it as if it had been stored under the new setting.
+// Returns how many open reports were kept (see deleteMessageRecords).
+export const applyChatRetention = async (userId, retention) => {
+  if (retention === 'off') {
+    const keptForReview = await deleteMessageRecords(userId);
+    await Promise.all([
+      ChatMessage.deleteMany({ userId }),
+      ChatSummary.deleteMany({ userId }),
+      Conversation.deleteMany({ userId }),
+    ]);
+    return keptForReview;
+  }
+  await Promise.all([
+    ChatMessage.updateMany({ userId }, expiryUpdate(retention, 'createdAt')),
+    ChatSummary.updateMany({ userId }, expiryUpdate(retention, 'coversUntil')),
+    Conversation.updateMany({ userId }, expiryUpdate(retention, 'lastMessageAt')),
+  ]);
+  return 0;
+};
+
+// Chat history used to expire through fixed 7-day TTL indexes. Drops those and
+// gives documents stored under them the 7 days they were promised. Runs at
+// startup and does nothing once done.
+export const migrateChatExpiry = async () => {
+  for (const [model, dateField] of [
+    [ChatMessage, 'createdAt'],
+    [ChatSummary, 'coversUntil'],
+  ]) {
+    await model.collection.dropIndex(`${dateField}_1`).catch((err) => {
+      if (err?.codeName !== 'IndexNotFound' && err?.codeName !== 'NamespaceNotFound') throw err;
+    });
+    await model.updateMany({ expiresAt: { $exists: false } }, expiryUpdate(DEFAULT_CHAT_RETENTION, dateField));
+  }
+};
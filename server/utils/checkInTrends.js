@@ -0,0 +1,48 @@
+import MoodCheckIn, { CHECKIN_EMOTIONS } from '../models/MoodCheckIn.js';
+import { localDate, periodKey, periodKeys, rangeBounds, round } from './wellbeingAnalytics.js';
+
+const METRICS = ['mood', 'energy', 'sleepHours'];
+
+// Running sums of each metric; check-ins without one don't count towards its average
+const totals = () => ({ count: 0, ...Object.fromEntries(METRICS.map((m) => [m, { n: 0, sum: 0 }])) });
+const addCheckIn = (t, checkIn) => {
+  t.count += 1;
+  for (const metric of METRICS) {
+    if (checkIn[metric] == null) continue;
+    t[metric].n += 1;
+    t[metric].sum += checkIn[metric];
+  }
+};
+const averages = (t) => ({
+  count: t.count,
+  ...Object.fromEntries(METRICS.map((m) => [m, t[m].n ? round(t[m].sum / t[m].n) : null])),
+});
+
+// Average mood, energy and sleep for every day, week or month between the
+// local days `from` and `to`, with how often each emotion was picked
+export const checkInTrends = async (userId, { from, to, granularity, tzOffset }) => {
+  const { start, end } = rangeBounds(from, to, tzOffset);
+  const checkIns = await MoodCheckIn.find({ userId, checkedInAt: { $gte: start, $lt: end } })
+    .select('checkedInAt mood energy sleepHours emotions')
+    .lean();
+
+  const periods = new Map(periodKeys(from, to, granularity).map((key) => [key, totals()]));
+  const overall = totals();
+  const emotions = Object.fromEntries(CHECKIN_EMOTIONS.map((name) => [name, 0]));
+  for (const checkIn of checkIns) {
+    const period = periods.get(periodKey(localDate(checkIn.checkedInAt, tzOffset), granularity));
+    if (period) addCheckIn(period, checkIn);
+    addCheckIn(overall, checkIn);
+    for (const name of checkIn.emotions || []) emotions[name] += 1;
+  }
+
+  return {
+    range: { from, to, granularity, tzOffset },
+    overall: averages(overall),
+    series: [...periods].map(([period, t]) => ({ period, ...averages(t) })),
+    emotions: Object.entries(emotions)
+      .filter(([, count]) => count)
+      .sort((a, b) => b[1] - a[1])
+      .map(([name, count]) => ({ name, count })),
+  };
+};
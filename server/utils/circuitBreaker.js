@@ -0,0 +1,90 @@
+// Circuit breaker for a remote dependency.
+//   closed    requests go through; `failureThreshold` failures in a row open it
+//   open      requests are refused straight away until `cooldownMs` has passed
+//   half_open one probe request is let through; success closes the circuit,
+//             failure opens it again for another cooldown
+// Callers ask allowRequest() first and then report recordSuccess() or
+// recordFailure(). A probe that never reports back (e.g. the caller gave up)
+// stops blocking others after `probeTimeoutMs`.
+
+export class CircuitOpenError extends Error {
+  constructor(name, retryAt) {
+    super(`${name} is unavailable (circuit open)`);
+    this.name = 'CircuitOpenError';
+    this.retryAt = retryAt;
+  }
+}
+
+export const createCircuitBreaker = ({
+  name,
+  failureThreshold = 3,
+  cooldownMs = 30 * 1000,
+  probeTimeoutMs = 20 * 1000,
+  onStateChange = () => {},
+}) => {
+  let state = 'closed';
+  let failures = 0;
+  let openedAt = null;
+  let probeStartedAt = null;
+  let lastError = null;
+  let lastFailureAt = null;
+
+  const setState = (next) => {
+    if (next === state) return;
+    const previous = state;
+    state = next;
+    onStateChange(next, previous);
+  };
+
+  const open = () => {
+    openedAt = Date.now();
+    probeStartedAt = null;
+    setState('open');
+  };
+
+  const retryAt = () => (state === 'open' ? new Date(openedAt + cooldownMs) : null);
+
+  return {
+    allowRequest: () => {
+      const now = Date.now();
+      if (state === 'open' && now - openedAt >= cooldownMs) setState('half_open');
+      if (state === 'closed') return true;
+      if (state === 'half_open' && (!probeStartedAt || now - probeStartedAt >= probeTimeoutMs)) {
+        probeStartedAt = now;
+        return true;
+      }
+      return false;
+    },
+
+    // allowRequest() returned false: the error to fail fast with
+    openError: () => new CircuitOpenError(name, retryAt()),
+
+    recordSuccess: () => {
+      failures = 0;
+      openedAt = null;
+      probeStartedAt = null;
+      setState('closed');
+    },
+
+    recordFailure: (err) => {
+      failures += 1;
+      lastError = err?.message || String(err);
+      lastFailureAt = new Date();
+      if (state === 'half_open' || failures >= failureThreshold) open();
+    },
+
+    // The dependency answers again (e.g. its health check passed) but real
+    // traffic hasn't confirmed it yet: skip the rest of the cooldown
+    markRecovering: () => {
+      if (state === 'open') setState('half_open');
+    },
+
+    snapshot: () => ({
+      state,
+      failures,
+      retryAt: retryAt(),
+      lastError,
+      lastFailureAt,
+    }),
+  };
+};
@@ -0,0 +1,145 @@
+import Conversation from '../models/Conversation.js';
+import ChatMessage from '../models/ChatMessage.js';
+import ChatSummary from '../models/ChatSummary.js';
+import ChatFeedback from '../models/ChatFeedback.js';
+import ChatReport from '../models/ChatReport.js';
+import RiskEvent from '../models/RiskEvent.js';
+import { notFound } from './apiError.js';
+import { titleConversation } from './chatModel.js';
+
+// Chat threads. A conversation is created with the first exchange stored in it
+// (or explicitly through POST /api/chatbot/conversations), is titled from its
+// opening message straight away, and gets a model-written title in the
+// background once that first exchange is in.
+
+const MAX_QUICK_TITLE = 60;
+const TITLE_FROM_MESSAGES = 4;
+
+// The opening words of a message, cut at a word boundary
+export const titleFromMessage = (text) => {
+  const clean = String(text || '').replace(/\s+/g, ' ').trim();
+  if (clean.length <= MAX_QUICK_TITLE) return clean;
+  const cut = clean.slice(0, MAX_QUICK_TITLE);
+  const space = cut.lastIndexOf(' ');
+  return `${space > MAX_QUICK_TITLE / 2 ? cut.slice(0, space) : cut}…`;
+};
+
+export const toConversation = (doc) => ({
+  id: doc._id,
+  title: doc.title,
+  archived: doc.archived,
+  lastMessageAt: doc.lastMessageAt,
+  createdAt: doc.createdAt,
+});
+
+// The user's conversation, or a 404 if there is no such conversation of theirs
+export const findConversation = async (userId, conversationId) => {
+  const conversation = await Conversation.findOne({ _id: conversationId, userId }).lean();
+  if (!conversation) throw notFound('Conversation not found');
+  return conversation;
+};
+
+export const startConversation = (userId, expiresAt) => Conversation.create({ userId, expiresAt });
+
+// Brings a conversation up to date after an exchange was stored in it and
+// resolves with it. Crisis exchanges never give a thread its title, since that
+// would put the user's words in the conversation list.
+export const touchConversation = async (conversation, { message, expiresAt, flagged }) => {
+  const update = { lastMessageAt: new Date(), expiresAt, archived: false };
+  if (!conversation.title && !flagged) update.title = titleFromMessage(message);
+  return Conversation.findByIdAndUpdate(conversation._id, update, { new: true }).lean();
+};
+
+// Replaces the quick title with one written by the chat model, unless the user
+// has renamed the conversation in the meantime
+export const nameConversation = async (conversationId) => {
+  const messages = await ChatMessage.find({ conversationId })
+    .sort({ createdAt: 1, _id: 1 })
+    .limit(TITLE_FROM_MESSAGES)
+    .select('role content')
+    .lean();
+  if (!messages.length) return;
+  const title = await titleConversation({ messages: messages.map((m) => ({ role: m.role, content: m.content })) });
+  if (title) await Conversation.updateOne({ _id: conversationId, titleSource: 'auto' }, { title });
+};
+
+// When a user deletes chat, the feedback, reports and risk flags on those
+// messages (all of the user's when messageIds is omitted) go with it. Reports
+// still open for review are the exception: they hold their own copy of the
+// exchange for the moderator. Returns how many of those were kept, so the user
+// can be told.
+export const deleteMessageRecords = async (userId, messageIds) => {
+  const on = (field) => (messageIds ? { [field]: { $in: messageIds } } : {});
+  const [keptForReview] = await Promise.all([
+    ChatReport.countDocuments({ userId, ...on('messageId'), status: 'open' }),
+    ChatReport.deleteMany({ userId, ...on('messageId'), status: { $ne: 'open' } }),
+    ChatFeedback.deleteMany({ userId, ...on('messageId') }),
+    RiskEvent.deleteMany({ userId, source: 'chat', ...on('chatMessageId') }),
+  ]);
+  return keptForReview;
+};
+
+// Deletes the given conversations of a user with their messages, summaries and
+// message records (see deleteMessageRecords)
+export const deleteConversations = async (userId, filter) => {
+  const ids = await Conversation.find({ ...filter, userId }).distinct('_id');
+  const messageIds = await ChatMessage.find({ conversationId: { $in: ids } }).distinct('_id');
+  const keptForReview = await deleteMessageRecords(userId, messageIds);
+  const [messages] = await Promise.all([
+    ChatMessage.deleteMany({ conversationId: { $in: ids } }),
+    ChatSummary.deleteMany({ conversationId: { $in: ids } }),
+    Conversation.deleteMany({ _id: { $in: ids } }),
+  ]);
+  return { deleted: messages.deletedCount, keptForReview };
+};
+
+// Query for the documents after `cursor` in a { [field]: -1, _id: -1 } sort
+export const olderThan = (cursor, field) =>
+  cursor
+    ? { $or: [{ [field]: { $lt: cursor[field] } }, { [field]: cursor[field], _id: { $lt: cursor._id } }] }
+    : {};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Messages stored before threads existed were shown grouped by day, so each
+// user's day becomes a conversation titled from its first message. Their
+// per-user summaries can't be split up and are dropped; they are rebuilt per
+// conversation. Runs at startup and does nothing once done.
+export const migrateChatConversations = async () => {
+  await ChatSummary.collection.dropIndex('userId_1').catch((err) => {
+    if (err?.codeName !== 'IndexNotFound' && err?.codeName !== 'NamespaceNotFound') throw err;
+  });
+  await ChatSummary.deleteMany({ conversationId: { $exists: false } });
+  await ChatSummary.createIndexes();
+
+  const days = await ChatMessage.aggregate([
+    { $match: { conversationId: { $exists: false } } },
+    { $sort: { createdAt: 1 } },
+    {
+      $group: {
+        _id: { userId: '$userId', day: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt' } } },
+        firstMessage: { $first: '$content' },
+        lastMessageAt: { $max: '$createdAt' },
+        expiresAt: { $max: '$expiresAt' },
+      },
+    },
+  ]);
+  for (const day of days) {
+    const conversation = await Conversation.create({
+      userId: day._id.userId,
+      title: titleFromMessage(day.firstMessage),
+      lastMessageAt: day.lastMessageAt,
+      expiresAt: day.expiresAt || null,
+    });
+    const start = new Date(`${day._id.day}T00:00:00Z`);
+    await ChatMessage.updateMany(
+      {
+        userId: day._id.userId,
+        conversationId: { $exists: false },
+        createdAt: { $gte: start, $lt: new Date(start.getTime() + DAY_MS) },
+      },
+      { conversationId: conversation._id }
+    );
+  }
+  if (days.length) console.log(`Moved chat history into ${days.length} conversations`);
+};
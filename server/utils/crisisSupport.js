@@ -0,0 +1,35 @@
+// What Mate shows instead of a model reply when a message is flagged by
+// utils/riskDetection.js. Helplines are for India; `phone` is dialable as-is.
+export const INDIA_HELPLINES = [
+  { id: 'tele-manas', name: 'Tele-MANAS', phone: '14416', display: '14416 / 1800-891-4416', hours: '24x7, multilingual' },
+  { id: 'emergency', name: 'Emergency services', phone: '112', display: '112', hours: '24x7' },
+  { id: 'vandrevala', name: 'Vandrevala Foundation', phone: '+919999666555', display: '+91 99996 66555', hours: '24x7, call or WhatsApp' },
+  { id: 'aasra', name: 'AASRA', phone: '+919820466726', display: '+91 98204 66726', hours: '24x7' },
+  { id: 'icall', name: 'iCall (TISS)', phone: '+919152987821', display: '+91 91529 87821', hours: 'Mon-Sat, 10am-8pm' },
+];
+
+const SAFETY_REPLIES = {
+  en: "I'm really glad you told me, and I'm worried about how you're feeling. You don't have to go through this alone. Please reach out to someone right now: you can call Tele-MANAS at 14416 (free, 24x7, in your language), or 112 if you are in immediate danger. If you can, let someone you trust know how you're feeling. I'm here with you.",
+  hinglish: 'Mujhe batane ke liye shukriya, aur mujhe aapki chinta hai. Aapko yeh akele nahi sehna hai. Please abhi kisi se baat kijiye: Tele-MANAS ko 14416 par call kijiye (free, 24x7, aapki bhasha mein), ya turant khatra ho to 112 par. Ho sake to kisi bharosemand insaan ko bataiye ki aap kaisa mehsoos kar rahe hain. Main aapke saath hoon.',
+  hi: 'मुझे बताने के लिए शुक्रिया, और मुझे आपकी चिंता है। आपको यह अकेले नहीं सहना है। कृपया अभी किसी से बात करें: Tele-MANAS को 14416 पर कॉल करें (मुफ़्त, 24x7, आपकी भाषा में), या तुरंत खतरा हो तो 112 पर। हो सके तो किसी भरोसेमंद व्यक्ति को बताएं कि आप कैसा महसूस कर रहे हैं। मैं आपके साथ हूँ।',
+  ta: 'என்னிடம் சொன்னதற்கு நன்றி, நீங்கள் எப்படி உணர்கிறீர்கள் என்பது குறித்து எனக்குக் கவலையாக இருக்கிறது. இதை நீங்கள் தனியாகச் சமாளிக்க வேண்டியதில்லை. தயவுசெய்து இப்போதே யாரையாவது தொடர்பு கொள்ளுங்கள்: Tele-MANAS-ஐ 14416 என்ற எண்ணில் அழைக்கலாம் (இலவசம், 24x7, உங்கள் மொழியில்), அல்லது உடனடி ஆபத்து இருந்தால் 112. முடிந்தால், நீங்கள் நம்பும் ஒருவரிடம் உங்கள் உணர்வுகளைப் பகிருங்கள். நான் உங்களுடன் இருக்கிறேன்.',
+  te: 'నాతో చెప్పినందుకు ధన్యవాదాలు, మీరు ఎలా ఉన్నారో అని నాకు ఆందోళనగా ఉంది. మీరు దీన్ని ఒంటరిగా ఎదుర్కోవాల్సిన అవసరం లేదు. దయచేసి ఇప్పుడే ఎవరినైనా సంప్రదించండి: Tele-MANAS కు 14416 కి కాల్ చేయండి (ఉచితం, 24x7, మీ భాషలో), లేదా తక్షణ ప్రమాదం ఉంటే 112 కి. వీలైతే, మీరు నమ్మే వ్యక్తికి మీ భావాలను తెలియజేయండి. నేను మీతో ఉన్నాను.',
+  kn: 'ನನಗೆ ಹೇಳಿದ್ದಕ್ಕೆ ಧನ್ಯವಾದಗಳು, ನೀವು ಹೇಗಿದ್ದೀರಿ ಎಂಬುದರ ಬಗ್ಗೆ ನನಗೆ ಕಾಳಜಿಯಿದೆ. ನೀವು ಇದನ್ನು ಒಬ್ಬರೇ ಎದುರಿಸಬೇಕಾಗಿಲ್ಲ. ದಯವಿಟ್ಟು ಈಗಲೇ ಯಾರನ್ನಾದರೂ ಸಂಪರ್ಕಿಸಿ: Tele-MANAS ಗೆ 14416 ಕ್ಕೆ ಕರೆ ಮಾಡಿ (ಉಚಿತ, 24x7, ನಿಮ್ಮ ಭಾಷೆಯಲ್ಲಿ), ಅಥವಾ ತಕ್ಷಣದ ಅಪಾಯವಿದ್ದರೆ 112 ಕ್ಕೆ. ಸಾಧ್ಯವಾದರೆ, ನೀವು ನಂಬುವ ಯಾರಿಗಾದರೂ ನಿಮ್ಮ ಭಾವನೆಗಳನ್ನು ತಿಳಿಸಿ. ನಾನು ನಿಮ್ಮೊಂದಿಗಿದ್ದೇನೆ.',
+};
+
+// `language` is a reply language from utils/chatLanguage.js
+export const safetyReply = (language) => SAFETY_REPLIES[language] || SAFETY_REPLIES.en;
+
+export const emergencyContactOf = (user) =>
+  user?.emergencyContactPhone
+    ? { name: user.emergencyContactName || null, phone: user.emergencyContactPhone }
+    : null;
+
+// The crisis card the app shows with a safety response, for a RiskEvent logged
+// (or null if logging failed) about `user`'s words
+export const crisisCard = (risk, event, user) => ({
+  eventId: event?._id || null,
+  level: risk.level,
+  helplines: INDIA_HELPLINES,
+  emergencyContact: emergencyContactOf(user),
+});
@@ -0,0 +1,442 @@
+import { badRequest } from './apiError.js';
+
+// Guided CBT exercises Mate can walk a user through. Each flow is a list of
+// steps, run in order as a small state machine: a step may have a `when`
+// condition on earlier answers and is skipped when it doesn't hold. Steps are
+// typed so the app knows which input to show and answers can be checked:
+//   text    free text, `optional` ones may be left empty
+//   scale   a whole number from `min` to `max`
+//   choice  one of `options`
+//   list    exactly `count` short entries
+// A scale step with `score` is a self-rating of how the user feels; it maps the
+// answer to -1 (worst) .. 1 (best) for the wellbeing analytics.
+// Exercises run in an app language (models/User.js LANGUAGES); every prompt is
+// written out in each of them. No chat model is involved.
+
+const MAX_TEXT = 2000;
+const MAX_LIST_ENTRY = 200;
+
+const OPTION_LABELS = {
+  anxious: { en: 'Anxious', hi: 'चिंतित', ta: 'பதற்றம்', te: 'ఆందోళన', kn: 'ಆತಂಕ' },
+  sad: { en: 'Sad', hi: 'उदास', ta: 'சோகம்', te: 'బాధ', kn: 'ದುಃಖ' },
+  angry: { en: 'Angry', hi: 'गुस्सा', ta: 'கோபம்', te: 'కోపం', kn: 'ಕೋಪ' },
+  ashamed: { en: 'Ashamed', hi: 'शर्मिंदा', ta: 'அவமானம்', te: 'సిగ్గు', kn: 'ನಾಚಿಕೆ' },
+  guilty: { en: 'Guilty', hi: 'अपराधबोध', ta: 'குற்ற உணர்வு', te: 'అపరాధ భావం', kn: 'ಅಪರಾಧ ಭಾವ' },
+  other: { en: 'Something else', hi: 'कुछ और', ta: 'வேறு ஏதோ', te: 'ఇంకేదో', kn: 'ಬೇರೆ ಏನೋ' },
+  enjoyment: { en: 'Something I enjoy', hi: 'कुछ जो मुझे अच्छा लगे', ta: 'எனக்குப் பிடித்த ஒன்று', te: 'నాకు నచ్చే పని', kn: 'ನನಗೆ ಇಷ್ಟವಾದದ್ದು' },
+  achievement: { en: 'Something I get done', hi: 'कुछ जो मैं पूरा करूँ', ta: 'நான் முடிக்கும் ஒரு வேலை', te: 'నేను పూర్తి చేసే పని', kn: 'ನಾನು ಮುಗಿಸುವ ಕೆಲಸ' },
+  connection: { en: 'Time with someone', hi: 'किसी के साथ समय', ta: 'ஒருவருடன் நேரம்', te: 'ఎవరితోనైనా సమయం', kn: 'ಯಾರೊಂದಿಗಾದರೂ ಸಮಯ' },
+};
+
+const THOUGHT_RECORD = {
+  id: 'thought_record',
+  title: { en: 'Thought record', hi: 'विचार रिकॉर्ड', ta: 'எண்ணப் பதிவு', te: 'ఆలోచనల రికార్డు', kn: 'ಆಲೋಚನೆಗಳ ದಾಖಲೆ' },
+  description: {
+    en: 'Look at a thought that upset you and find a more balanced way to see it.',
+    hi: 'किसी परेशान करने वाले विचार को देखें और उसे देखने का ज़्यादा संतुलित तरीका खोजें।',
+    ta: 'உங்களை வருத்திய ஒரு எண்ணத்தைப் பார்த்து, அதை இன்னும் சமநிலையாகப் பார்க்கும் வழியைக் கண்டறியுங்கள்.',
+    te: 'మిమ్మల్ని బాధపెట్టిన ఒక ఆలోచనను చూసి, దాన్ని మరింత సమతుల్యంగా చూసే మార్గం కనుగొనండి.',
+    kn: 'ನಿಮಗೆ ಬೇಸರ ತಂದ ಒಂದು ಆಲೋಚನೆಯನ್ನು ನೋಡಿ, ಅದನ್ನು ಹೆಚ್ಚು ಸಮತೋಲನದಿಂದ ನೋಡುವ ದಾರಿಯನ್ನು ಕಂಡುಕೊಳ್ಳಿ.',
+  },
+  closing: {
+    en: 'Well done. Noticing a thought and weighing it up takes practice, and you just did it.',
+    hi: 'बहुत बढ़िया। किसी विचार को पहचानना और उसे परखना अभ्यास से आता है, और आपने अभी यही किया।',
+    ta: 'நன்றாகச் செய்தீர்கள். ஒரு எண்ணத்தைக் கவனித்து அதை எடைபோடுவது பயிற்சியால் வருவது, நீங்கள் இப்போது அதைச் செய்தீர்கள்.',
+    te: 'చాలా బాగా చేశారు. ఒక ఆలోచనను గమనించి దాన్ని తూకం వేయడం సాధనతో వస్తుంది, మీరు ఇప్పుడే అది చేశారు.',
+    kn: 'ತುಂಬಾ ಚೆನ್ನಾಗಿ ಮಾಡಿದಿರಿ. ಒಂದು ಆಲೋಚನೆಯನ್ನು ಗಮನಿಸಿ ಅದನ್ನು ತೂಗಿ ನೋಡುವುದು ಅಭ್ಯಾಸದಿಂದ ಬರುತ್ತದೆ, ನೀವು ಈಗ ಅದನ್ನೇ ಮಾಡಿದಿರಿ.',
+  },
+  steps: [
+    {
+      id: 'situation',
+      type: 'text',
+      prompt: {
+        en: 'What happened? Describe the situation briefly: where you were, who was there, what was going on.',
+        hi: 'क्या हुआ? स्थिति को संक्षेप में बताइए: आप कहाँ थे, कौन था, क्या चल रहा था।',
+        ta: 'என்ன நடந்தது? நிலைமையைச் சுருக்கமாகச் சொல்லுங்கள்: நீங்கள் எங்கே இருந்தீர்கள், யார் இருந்தார்கள், என்ன நடந்துகொண்டிருந்தது.',
+        te: 'ఏం జరిగింది? పరిస్థితిని క్లుప్తంగా చెప్పండి: మీరు ఎక్కడ ఉన్నారు, ఎవరు ఉన్నారు, ఏం జరుగుతోంది.',
+        kn: 'ಏನಾಯಿತು? ಪರಿಸ್ಥಿತಿಯನ್ನು ಸಂಕ್ಷಿಪ್ತವಾಗಿ ವಿವರಿಸಿ: ನೀವು ಎಲ್ಲಿದ್ದಿರಿ, ಯಾರಿದ್ದರು, ಏನು ನಡೆಯುತ್ತಿತ್ತು.',
+      },
+    },
+    {
+      id: 'emotion',
+      type: 'choice',
+      options: ['anxious', 'sad', 'angry', 'ashamed', 'guilty', 'other'],
+      prompt: {
+        en: 'Which feeling was strongest?',
+        hi: 'सबसे तीव्र भावना कौन सी थी?',
+        ta: 'எந்த உணர்வு அதிகமாக இருந்தது?',
+        te: 'ఏ భావం ఎక్కువగా ఉంది?',
+        kn: 'ಯಾವ ಭಾವನೆ ಹೆಚ್ಚು ತೀವ್ರವಾಗಿತ್ತು?',
+      },
+    },
+    {
+      id: 'intensity',
+      type: 'scale',
+      min: 0,
+      max: 10,
+      prompt: {
+        en: 'How strong was that feeling, from 0 (not at all) to 10 (the strongest it gets)?',
+        hi: 'वह भावना कितनी तीव्र थी, 0 (बिल्कुल नहीं) से 10 (सबसे ज़्यादा) तक?',
+        ta: 'அந்த உணர்வு எவ்வளவு வலுவாக இருந்தது, 0 (இல்லவே இல்லை) முதல் 10 (மிக அதிகம்) வரை?',
+        te: 'ఆ భావం ఎంత బలంగా ఉంది, 0 (అస్సలు లేదు) నుండి 10 (అత్యధికం) వరకు?',
+        kn: 'ಆ ಭಾವನೆ ಎಷ್ಟು ತೀವ್ರವಾಗಿತ್ತು, 0 (ಇಲ್ಲವೇ ಇಲ್ಲ) ರಿಂದ 10 (ಅತಿ ಹೆಚ್ಚು) ವರೆಗೆ?',
+      },
+    },
+    {
+      id: 'thought',
+      type: 'text',
+      prompt: {
+        en: 'What went through your mind just then? Write the thought down as it came to you.',
+        hi: 'उस समय आपके मन में क्या आया? वह विचार वैसे ही लिखिए जैसे आया था।',
+        ta: 'அந்த நேரத்தில் உங்கள் மனதில் என்ன ஓடியது? அந்த எண்ணம் வந்தபடியே எழுதுங்கள்.',
+        te: 'ఆ సమయంలో మీ మనసులో ఏం మెదిలింది? ఆ ఆలోచన వచ్చినట్టుగానే రాయండి.',
+        kn: 'ಆಗ ನಿಮ್ಮ ಮನಸ್ಸಿನಲ್ಲಿ ಏನು ಬಂತು? ಆ ಆಲೋಚನೆ ಬಂದಂತೆಯೇ ಬರೆಯಿರಿ.',
+      },
+    },
+    {
+      id: 'evidence_for',
+      type: 'text',
+      prompt: {
+        en: 'What supports this thought? List the facts that make it seem true.',
+        hi: 'इस विचार के पक्ष में क्या है? वे तथ्य लिखिए जो इसे सच जैसा दिखाते हैं।',
+        ta: 'இந்த எண்ணத்தை ஆதரிப்பது எது? அதை உண்மையாகத் தோன்றச் செய்யும் உண்மைகளை எழுதுங்கள்.',
+        te: 'ఈ ఆలోచనకు మద్దతుగా ఏముంది? అది నిజమనిపించేలా చేసే వాస్తవాలు రాయండి.',
+        kn: 'ಈ ಆಲೋಚನೆಗೆ ಬೆಂಬಲ ಏನು? ಅದನ್ನು ನಿಜವೆನಿಸುವಂತೆ ಮಾಡುವ ಸಂಗತಿಗಳನ್ನು ಬರೆಯಿರಿ.',
+      },
+    },
+    {
+      id: 'evidence_against',
+      type: 'text',
+      prompt: {
+        en: 'What doesn\'t fit with it? Think of facts that suggest it isn\'t the whole picture.',
+        hi: 'इससे क्या मेल नहीं खाता? ऐसे तथ्य सोचिए जो बताते हैं कि यह पूरी तस्वीर नहीं है।',
+        ta: 'அதோடு ஒத்துப்போகாதது எது? இது முழுச் சித்திரம் அல்ல என்று காட்டும் உண்மைகளை யோசியுங்கள்.',
+        te: 'దానికి సరిపోనిది ఏమిటి? ఇది పూర్తి చిత్రం కాదని చూపే వాస్తవాలు ఆలోచించండి.',
+        kn: 'ಅದಕ್ಕೆ ಹೊಂದದಿರುವುದು ಏನು? ಇದು ಪೂರ್ಣ ಚಿತ್ರಣವಲ್ಲ ಎಂದು ತೋರಿಸುವ ಸಂಗತಿಗಳನ್ನು ಯೋಚಿಸಿ.',
+      },
+    },
+    {
+      id: 'balanced_thought',
+      type: 'text',
+      prompt: {
+        en: 'Taking both sides into account, what is a more balanced way to see it?',
+        hi: 'दोनों पक्षों को ध्यान में रखते हुए, इसे देखने का ज़्यादा संतुलित तरीका क्या है?',
+        ta: 'இரண்டு பக்கங்களையும் கணக்கில் கொண்டால், இதைப் பார்க்க இன்னும் சமநிலையான வழி எது?',
+        te: 'రెండు వైపులా పరిగణిస్తే, దీన్ని చూడడానికి మరింత సమతుల్యమైన మార్గం ఏమిటి?',
+        kn: 'ಎರಡೂ ಕಡೆಗಳನ್ನು ಪರಿಗಣಿಸಿದರೆ, ಇದನ್ನು ನೋಡಲು ಹೆಚ್ಚು ಸಮತೋಲಿತ ದಾರಿ ಯಾವುದು?',
+      },
+    },
+    {
+      id: 'intensity_after',
+      type: 'scale',
+      min: 0,
+      max: 10,
+      score: (value) => -value / 10,
+      prompt: {
+        en: 'How strong is the feeling now, from 0 to 10?',
+        hi: 'अब वह भावना कितनी तीव्र है, 0 से 10 तक?',
+        ta: 'இப்போது அந்த உணர்வு எவ்வளவு வலுவாக இருக்கிறது, 0 முதல் 10 வரை?',
+        te: 'ఇప్పుడు ఆ భావం ఎంత బలంగా ఉంది, 0 నుండి 10 వరకు?',
+        kn: 'ಈಗ ಆ ಭಾವನೆ ಎಷ್ಟು ತೀವ್ರವಾಗಿದೆ, 0 ರಿಂದ 10 ವರೆಗೆ?',
+      },
+    },
+  ],
+};
+
+const GROUNDING = {
+  id: 'grounding_54321',
+  title: { en: '5-4-3-2-1 grounding', hi: '5-4-3-2-1 ग्राउंडिंग', ta: '5-4-3-2-1 நிலைப்படுத்தல்', te: '5-4-3-2-1 గ్రౌండింగ్', kn: '5-4-3-2-1 ಗ್ರೌಂಡಿಂಗ್' },
+  description: {
+    en: 'Bring yourself back to the present moment through your five senses.',
+    hi: 'अपनी पाँचों इंद्रियों के सहारे खुद को इस पल में वापस लाइए।',
+    ta: 'உங்கள் ஐந்து புலன்களின் வழியாக உங்களை இந்தக் கணத்திற்குத் திரும்பக் கொண்டு வாருங்கள்.',
+    te: 'మీ ఐదు ఇంద్రియాల ద్వారా మిమ్మల్ని ఈ క్షణానికి తిరిగి తీసుకురండి.',
+    kn: 'ನಿಮ್ಮ ಐದು ಇಂದ್ರಿಯಗಳ ಮೂಲಕ ನಿಮ್ಮನ್ನು ಈ ಕ್ಷಣಕ್ಕೆ ಮರಳಿ ತನ್ನಿ.',
+  },
+  closing: {
+    en: 'You\'re here, in this moment. Come back to this exercise whenever things feel like too much.',
+    hi: 'आप यहाँ हैं, इस पल में। जब भी सब कुछ बहुत ज़्यादा लगे, इस अभ्यास पर लौट आइए।',
+    ta: 'நீங்கள் இங்கே, இந்தக் கணத்தில் இருக்கிறீர்கள். எல்லாம் அதிகமாகத் தோன்றும்போதெல்லாம் இந்தப் பயிற்சிக்குத் திரும்பி வாருங்கள்.',
+    te: 'మీరు ఇక్కడే, ఈ క్షణంలో ఉన్నారు. అంతా ఎక్కువైపోయినట్టు అనిపించినప్పుడల్లా ఈ అభ్యాసానికి తిరిగి రండి.',
+    kn: 'ನೀವು ಇಲ್ಲಿದ್ದೀರಿ, ಈ ಕ್ಷಣದಲ್ಲಿ. ಎಲ್ಲವೂ ಅತಿಯಾಗಿದೆ ಅನಿಸಿದಾಗಲೆಲ್ಲಾ ಈ ಅಭ್ಯಾಸಕ್ಕೆ ಮರಳಿ ಬನ್ನಿ.',
+  },
+  steps: [
+    {
+      id: 'see',
+      type: 'list',
+      count: 5,
+      prompt: {
+        en: 'Look around you. Name 5 things you can see.',
+        hi: 'अपने चारों ओर देखिए। 5 चीज़ों के नाम बताइए जो आप देख सकते हैं।',
+        ta: 'உங்களைச் சுற்றிப் பாருங்கள். நீங்கள் பார்க்கக்கூடிய 5 பொருட்களைச் சொல்லுங்கள்.',
+        te: 'మీ చుట్టూ చూడండి. మీరు చూడగలిగే 5 వస్తువుల పేర్లు చెప్పండి.',
+        kn: 'ನಿಮ್ಮ ಸುತ್ತಲೂ ನೋಡಿ. ನೀವು ನೋಡಬಹುದಾದ 5 ವಸ್ತುಗಳನ್ನು ಹೆಸರಿಸಿ.',
+      },
+    },
+    {
+      id: 'touch',
+      type: 'list',
+      count: 4,
+      prompt: {
+        en: 'Name 4 things you can feel or touch right now.',
+        hi: '4 चीज़ें बताइए जिन्हें आप अभी महसूस कर सकते हैं या छू सकते हैं।',
+        ta: 'இப்போது நீங்கள் உணரக்கூடிய அல்லது தொடக்கூடிய 4 பொருட்களைச் சொல்லுங்கள்.',
+        te: 'ఇప్పుడు మీరు అనుభూతి చెందగలిగే లేదా తాకగలిగే 4 వస్తువుల పేర్లు చెప్పండి.',
+        kn: 'ಈಗ ನೀವು ಅನುಭವಿಸಬಹುದಾದ ಅಥವಾ ಮುಟ್ಟಬಹುದಾದ 4 ವಸ್ತುಗಳನ್ನು ಹೆಸರಿಸಿ.',
+      },
+    },
+    {
+      id: 'hear',
+      type: 'list',
+      count: 3,
+      prompt: {
+        en: 'Listen for a moment. Name 3 things you can hear.',
+        hi: 'एक पल ध्यान से सुनिए। 3 चीज़ें बताइए जो आप सुन सकते हैं।',
+        ta: 'ஒரு கணம் கவனியுங்கள். நீங்கள் கேட்கக்கூடிய 3 ஒலிகளைச் சொல்லுங்கள்.',
+        te: 'ఒక క్షణం వినండి. మీకు వినిపించే 3 శబ్దాలు చెప్పండి.',
+        kn: 'ಒಂದು ಕ್ಷಣ ಕೇಳಿಸಿಕೊಳ್ಳಿ. ನಿಮಗೆ ಕೇಳಿಸುವ 3 ಶಬ್ದಗಳನ್ನು ಹೆಸರಿಸಿ.',
+      },
+    },
+    {
+      id: 'smell',
+      type: 'list',
+      count: 2,
+      prompt: {
+        en: 'Name 2 things you can smell, or two smells you like.',
+        hi: '2 चीज़ें बताइए जिनकी गंध आप ले सकते हैं, या दो गंध जो आपको पसंद हैं।',
+        ta: 'நீங்கள் நுகரக்கூடிய 2 வாசனைகளை, அல்லது உங்களுக்குப் பிடித்த இரண்டு வாசனைகளைச் சொல்லுங்கள்.',
+        te: 'మీకు వాసన తెలిసే 2 వస్తువులు, లేదా మీకు నచ్చే రెండు వాసనలు చెప్పండి.',
+        kn: 'ನೀವು ವಾಸನೆ ಗ್ರಹಿಸಬಹುದಾದ 2 ವಸ್ತುಗಳನ್ನು, ಅಥವಾ ನಿಮಗೆ ಇಷ್ಟವಾದ ಎರಡು ವಾಸನೆಗಳನ್ನು ಹೆಸರಿಸಿ.',
+      },
+    },
+    {
+      id: 'taste',
+      type: 'list',
+      count: 1,
+      prompt: {
+        en: 'Name 1 thing you can taste, or a taste you enjoy.',
+        hi: '1 चीज़ बताइए जिसका स्वाद आप ले सकते हैं, या कोई स्वाद जो आपको अच्छा लगता है।',
+        ta: 'நீங்கள் சுவைக்கக்கூடிய 1 பொருளை, அல்லது உங்களுக்குப் பிடித்த ஒரு சுவையைச் சொல்லுங்கள்.',
+        te: 'మీరు రుచి చూడగలిగే 1 వస్తువు, లేదా మీకు నచ్చే ఒక రుచి చెప్పండి.',
+        kn: 'ನೀವು ರುಚಿ ನೋಡಬಹುದಾದ 1 ವಸ್ತು, ಅಥವಾ ನಿಮಗೆ ಇಷ್ಟವಾದ ಒಂದು ರುಚಿಯನ್ನು ಹೆಸರಿಸಿ.',
+      },
+    },
+    {
+      id: 'calm',
+      type: 'scale',
+      min: 0,
+      max: 10,
+      score: (value) => (value - 5) / 5,
+      prompt: {
+        en: 'How calm do you feel now, from 0 (not at all) to 10 (completely)?',
+        hi: 'अब आप कितना शांत महसूस कर रहे हैं, 0 (बिल्कुल नहीं) से 10 (पूरी तरह) तक?',
+        ta: 'இப்போது நீங்கள் எவ்வளவு அமைதியாக உணர்கிறீர்கள், 0 (இல்லவே இல்லை) முதல் 10 (முழுமையாக) வரை?',
+        te: 'ఇప్పుడు మీరు ఎంత ప్రశాంతంగా ఉన్నారు, 0 (అస్సలు లేదు) నుండి 10 (పూర్తిగా) వరకు?',
+        kn: 'ಈಗ ನೀವು ಎಷ್ಟು ಶಾಂತವಾಗಿದ್ದೀರಿ, 0 (ಇಲ್ಲವೇ ಇಲ್ಲ) ರಿಂದ 10 (ಸಂಪೂರ್ಣವಾಗಿ) ವರೆಗೆ?',
+      },
+    },
+  ],
+};
+
+const BEHAVIOURAL_ACTIVATION = {
+  id: 'behavioural_activation',
+  title: {
+    en: 'Plan an uplifting activity',
+    hi: 'मन हल्का करने वाली गतिविधि की योजना',
+    ta: 'மனதை உயர்த்தும் ஒரு செயலைத் திட்டமிடுங்கள்',
+    te: 'మనసుకు హాయినిచ్చే పని ప్లాన్ చేయండి',
+    kn: 'ಮನಸ್ಸಿಗೆ ಹಿತ ನೀಡುವ ಚಟುವಟಿಕೆಯನ್ನು ಯೋಜಿಸಿ',
+  },
+  description: {
+    en: 'When mood is low, doing comes before feeling. Pick one small activity and plan when you\'ll do it.',
+    hi: 'जब मन उदास हो, तो करना पहले आता है और अच्छा महसूस करना बाद में। एक छोटी गतिविधि चुनिए और तय कीजिए कि कब करेंगे।',
+    ta: 'மனநிலை தாழ்ந்திருக்கும்போது, உணர்வதற்கு முன் செய்வது வருகிறது. ஒரு சிறிய செயலைத் தேர்ந்தெடுத்து அதை எப்போது செய்வீர்கள் என்று திட்டமிடுங்கள்.',
+    te: 'మనసు బాగోలేనప్పుడు, అనుభూతి కంటే ముందు చేయడం వస్తుంది. ఒక చిన్న పని ఎంచుకుని, దాన్ని ఎప్పుడు చేస్తారో ప్లాన్ చేయండి.',
+    kn: 'ಮನಸ್ಸು ಕುಗ್ಗಿದಾಗ, ಅನುಭವಿಸುವುದಕ್ಕಿಂತ ಮೊದಲು ಮಾಡುವುದು ಬರುತ್ತದೆ. ಒಂದು ಸಣ್ಣ ಚಟುವಟಿಕೆ ಆರಿಸಿ, ಅದನ್ನು ಯಾವಾಗ ಮಾಡುತ್ತೀರಿ ಎಂದು ಯೋಜಿಸಿ.',
+  },
+  closing: {
+    en: 'Your plan is ready. Small steps count, so be kind to yourself whether it goes perfectly or not.',
+    hi: 'आपकी योजना तैयार है। छोटे कदम भी मायने रखते हैं, इसलिए चाहे सब ठीक से हो या नहीं, खुद के साथ नरमी बरतिए।',
+    ta: 'உங்கள் திட்டம் தயார். சிறிய அடிகளும் முக்கியம், எனவே அது சரியாக நடந்தாலும் நடக்காவிட்டாலும் உங்களிடம் அன்பாக இருங்கள்.',
+    te: 'మీ ప్లాన్ సిద్ధంగా ఉంది. చిన్న అడుగులూ ముఖ్యమే, కాబట్టి అది సరిగ్గా జరిగినా జరగకపోయినా మీ పట్ల దయగా ఉండండి.',
+    kn: 'ನಿಮ್ಮ ಯೋಜನೆ ಸಿದ್ಧವಾಗಿದೆ. ಸಣ್ಣ ಹೆಜ್ಜೆಗಳೂ ಮುಖ್ಯ, ಹಾಗಾಗಿ ಅದು ಸರಿಯಾಗಿ ನಡೆಯಲಿ ಬಿಡಲಿ, ನಿಮ್ಮೊಂದಿಗೆ ಮೃದುವಾಗಿರಿ.',
+  },
+  steps: [
+    {
+      id: 'mood',
+      type: 'scale',
+      min: 0,
+      max: 10,
+      score: (value) => (value - 5) / 5,
+      prompt: {
+        en: 'How is your mood right now, from 0 (very low) to 10 (very good)?',
+        hi: 'अभी आपका मन कैसा है, 0 (बहुत उदास) से 10 (बहुत अच्छा) तक?',
+        ta: 'இப்போது உங்கள் மனநிலை எப்படி இருக்கிறது, 0 (மிகவும் தாழ்வு) முதல் 10 (மிகவும் நன்று) வரை?',
+        te: 'ఇప్పుడు మీ మూడ్ ఎలా ఉంది, 0 (చాలా తక్కువ) నుండి 10 (చాలా బాగుంది) వరకు?',
+        kn: 'ಈಗ ನಿಮ್ಮ ಮನಸ್ಥಿತಿ ಹೇಗಿದೆ, 0 (ತುಂಬಾ ಕುಗ್ಗಿದೆ) ರಿಂದ 10 (ತುಂಬಾ ಚೆನ್ನಾಗಿದೆ) ವರೆಗೆ?',
+      },
+    },
+    {
+      id: 'kind',
+      type: 'choice',
+      options: ['enjoyment', 'achievement', 'connection'],
+      prompt: {
+        en: 'What kind of activity would help most today?',
+        hi: 'आज किस तरह की गतिविधि सबसे ज़्यादा मदद करेगी?',
+        ta: 'இன்று எந்த வகையான செயல் அதிகம் உதவும்?',
+        te: 'ఈరోజు ఎలాంటి పని ఎక్కువగా సహాయపడుతుంది?',
+        kn: 'ಇಂದು ಯಾವ ರೀತಿಯ ಚಟುವಟಿಕೆ ಹೆಚ್ಚು ಸಹಾಯ ಮಾಡುತ್ತದೆ?',
+      },
+    },
+    {
+      id: 'activity',
+      type: 'text',
+      prompt: {
+        en: 'Pick one small, doable activity. What will you do?',
+        hi: 'एक छोटी, आसानी से होने वाली गतिविधि चुनिए। आप क्या करेंगे?',
+        ta: 'ஒரு சிறிய, செய்யக்கூடிய செயலைத் தேர்ந்தெடுங்கள். நீங்கள் என்ன செய்வீர்கள்?',
+        te: 'ఒక చిన్న, చేయగలిగే పని ఎంచుకోండి. మీరు ఏం చేస్తారు?',
+        kn: 'ಒಂದು ಸಣ್ಣ, ಮಾಡಬಹುದಾದ ಚಟುವಟಿಕೆ ಆರಿಸಿ. ನೀವು ಏನು ಮಾಡುತ್ತೀರಿ?',
+      },
+    },
+    {
+      id: 'when',
+      type: 'text',
+      prompt: {
+        en: 'When and where will you do it? Be as specific as you can.',
+        hi: 'आप इसे कब और कहाँ करेंगे? जितना हो सके उतना सटीक बताइए।',
+        ta: 'இதை எப்போது, எங்கே செய்வீர்கள்? முடிந்தவரை குறிப்பாகச் சொல்லுங்கள்.',
+        te: 'దీన్ని ఎప్పుడు, ఎక్కడ చేస్తారు? వీలైనంత స్పష్టంగా చెప్పండి.',
+        kn: 'ಇದನ್ನು ಯಾವಾಗ, ಎಲ್ಲಿ ಮಾಡುತ್ತೀರಿ? ಸಾಧ್ಯವಾದಷ್ಟು ನಿಖರವಾಗಿ ಹೇಳಿ.',
+      },
+    },
+    {
+      id: 'obstacle',
+      type: 'text',
+      optional: true,
+      prompt: {
+        en: 'Is there anything that might get in the way? Leave it empty if not.',
+        hi: 'क्या कुछ ऐसा है जो रुकावट बन सकता है? न हो तो खाली छोड़ दीजिए।',
+        ta: 'இதற்குத் தடையாக ஏதாவது வரலாமா? இல்லையென்றால் காலியாக விடுங்கள்.',
+        te: 'దీనికి అడ్డు వచ్చేది ఏదైనా ఉందా? లేకపోతే ఖాళీగా వదిలేయండి.',
+        kn: 'ಇದಕ್ಕೆ ಅಡ್ಡಿಯಾಗಬಹುದಾದದ್ದು ಏನಾದರೂ ಇದೆಯೇ? ಇಲ್ಲದಿದ್ದರೆ ಖಾಲಿ ಬಿಡಿ.',
+      },
+    },
+    {
+      id: 'plan',
+      type: 'text',
+      when: (answers) => Boolean(answers.obstacle),
+      prompt: {
+        en: 'What could you do if that happens?',
+        hi: 'अगर ऐसा हुआ तो आप क्या कर सकते हैं?',
+        ta: 'அப்படி நடந்தால் நீங்கள் என்ன செய்யலாம்?',
+        te: 'అలా జరిగితే మీరు ఏం చేయవచ్చు?',
+        kn: 'ಹಾಗಾದರೆ ನೀವು ಏನು ಮಾಡಬಹುದು?',
+      },
+    },
+  ],
+};
+
+export const EXERCISE_FLOWS = Object.fromEntries(
+  [THOUGHT_RECORD, GROUNDING, BEHAVIOURAL_ACTIVATION].map((flow) => [flow.id, flow])
+);
+export const EXERCISE_IDS = Object.keys(EXERCISE_FLOWS);
+
+const localized = (text, language) => text[language] || text.en;
+
+const applies = (step, answers) => !step.when || step.when(answers);
+
+// Stored answers ([{ step, value }], in the order given) as { [step]: value }
+export const answersByStep = (answers = []) => Object.fromEntries(answers.map((a) => [a.step, a.value]));
+
+export const firstStep = (flow) => flow.steps.find((step) => applies(step, {})).id;
+
+// The step after `stepId` given the answers so far, or null when the flow is done
+export const stepAfter = (flow, stepId, answers) => {
+  const index = flow.steps.findIndex((step) => step.id === stepId);
+  return flow.steps.slice(index + 1).find((step) => applies(step, answers))?.id || null;
+};
+
+// How many steps the flow has with these answers; conditional steps count once they apply
+export const stepCount = (flow, answers) => flow.steps.filter((step) => applies(step, answers)).length;
+
+export const findStep = (flow, stepId) => flow.steps.find((step) => step.id === stepId);
+
+// Checks an answer against its step and returns it cleaned up
+export const normalizeAnswer = (step, value) => {
+  switch (step.type) {
+    case 'text': {
+      const text = typeof value === 'string' ? value.trim() : '';
+      if (text.length > MAX_TEXT) throw badRequest(`Answer must be at most ${MAX_TEXT} characters`);
+      if (text) return text;
+      if (step.optional && (value === null || typeof value === 'string')) return null;
+      throw badRequest('An answer is required');
+    }
+    case 'scale':
+      if (!Number.isInteger(value) || value < step.min || value > step.max) {
+        throw badRequest(`Answer must be a whole number from ${step.min} to ${step.max}`);
+      }
+      return value;
+    case 'choice':
+      if (!step.options.includes(value)) throw badRequest(`Answer must be one of: ${step.options.join(', ')}`);
+      return value;
+    case 'list': {
+      const entries = Array.isArray(value) ? value.map((v) => (typeof v === 'string' ? v.trim() : '')) : [];
+      if (entries.length !== step.count || entries.some((v) => !v || v.length > MAX_LIST_ENTRY)) {
+        throw badRequest(`Answer must be ${step.count} entries of up to ${MAX_LIST_ENTRY} characters`);
+      }
+      return entries;
+    }
+    default:
+      throw badRequest('Unknown step type');
+  }
+};
+
+// The words of an answer, for risk screening; scales and choices have none of the user's own
+export const answerText = (step, value) => {
+  if (step.type === 'text') return value || '';
+  if (step.type === 'list') return value.join('\n');
+  return '';
+};
+
+// A step as the app renders it
+export const stepView = (flow, stepId, language) => {
+  const step = findStep(flow, stepId);
+  return {
+    id: step.id,
+    type: step.type,
+    prompt: localized(step.prompt, language),
+    optional: Boolean(step.optional),
+    ...(step.type === 'scale' ? { min: step.min, max: step.max } : {}),
+    ...(step.type === 'choice'
+      ? { options: step.options.map((value) => ({ value, label: localized(OPTION_LABELS[value], language) })) }
+      : {}),
+    ...(step.type === 'list' ? { count: step.count } : {}),
+  };
+};
+
+// How an answer reads back, e.g. in a completed exercise; choices show their label
+export const answerLabel = (flow, stepId, value, language) => {
+  const step = findStep(flow, stepId);
+  return step?.type === 'choice' && OPTION_LABELS[value] ? localized(OPTION_LABELS[value], language) : value;
+};
+
+// The average of a run's self-ratings, or null if its flow has none
+export const exerciseScore = (flow, answers) => {
+  const scores = answers
+    .map((a) => ({ step: findStep(flow, a.step), value: a.value }))
+    .filter(({ step, value }) => step?.score && typeof value === 'number')
+    .map(({ step, value }) => step.score(value));
+  return scores.length ? scores.reduce((sum, s) => sum + s, 0) / scores.length : null;
+};
+
+export const flowView = (flow, language) => ({
+  id: flow.id,
+  title: localized(flow.title, language),
+  description: localized(flow.description, language),
+  steps: stepCount(flow, {}),
+});
+
+export const flowClosing = (flow, language) => localized(flow.closing, language);
+
+export const flowTitle = (flow, language) => localized(flow.title, language);
@@ -0,0 +1,177 @@
+import fetch from 'node-fetch';
+import { createCircuitBreaker } from './circuitBreaker.js';
+import { getLlm } from './llm.js';
+
+// Client for the Python service in ai_models/chatbot (app.py)
+export const flaskUrl = () => process.env.FLASK_CHATBOT_URL || 'http://localhost:5001';
+
+const envNumber = (name, fallback) => Number(process.env[name]) || fallback;
+
+// Trips when Flask can't be reached or doesn't answer in time, so callers fall
+// back at once instead of each waiting out the timeout. Error replies come
+// from a running service and don't count. Created on first use so the env
+// settings are read after dotenv has loaded.
+let breaker = null;
+const flaskBreaker = () => {
+  breaker =
+    breaker ||
+    createCircuitBreaker({
+      name: 'Chat service',
+      failureThreshold: envNumber('FLASK_FAILURE_THRESHOLD', 3),
+      cooldownMs: envNumber('FLASK_COOLDOWN_MS', 30 * 1000),
+      onStateChange: (state) => console.log(`Chat service circuit ${state.replace('_', '-')}`),
+    });
+  return breaker;
+};
+
+const flaskError = async (response) => {
+  const errorData = await response.json().catch(() => ({}));
+  return new Error(`Flask service returned ${response.status}: ${errorData.error || 'Unknown error'}`);
+};
+
+// POSTs JSON and resolves with the parsed reply. Non-2xx replies and timeouts
+// reject; timeouts surface as an AbortError. While the circuit is open it
+// rejects straight away with a CircuitOpenError.
+export const postToFlask = async (route, body, { timeoutMs = 15000 } = {}) => {
+  const circuit = flaskBreaker();
+  if (!circuit.allowRequest()) throw circuit.openError();
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
+  try {
+    let response;
+    try {
+      response = await fetch(`${flaskUrl()}${route}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body),
+        signal: controller.signal,
+      });
+    } catch (err) {
+      circuit.recordFailure(err);
+      throw err;
+    }
+    circuit.recordSuccess();
+    if (!response.ok) throw await flaskError(response);
+    return await response.json();
+  } finally {
+    clearTimeout(timeoutId);
+  }
+};
+
+// POSTs JSON to a route answering with newline-delimited JSON and yields each
+// parsed line. Aborting `signal` cancels the request, as does `idleTimeoutMs`
+// passing without any new data.
+export async function* streamFromFlask(route, body, { signal, idleTimeoutMs = 15000 } = {}) {
+  const circuit = flaskBreaker();
+  if (!circuit.allowRequest()) throw circuit.openError();
+  const controller = new AbortController();
+  const abort = () => controller.abort();
+  signal?.addEventListener('abort', abort);
+  let idleTimer = setTimeout(abort, idleTimeoutMs);
+  // Only a stall on Flask's side counts against it, not the caller hanging up
+  const recordFailure = (err) => {
+    if (!signal?.aborted) circuit.recordFailure(err);
+  };
+  try {
+    let response;
+    try {
+      response = await fetch(`${flaskUrl()}${route}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body),
+        signal: controller.signal,
+      });
+    } catch (err) {
+      recordFailure(err);
+      throw err;
+    }
+    if (!response.ok) {
+      circuit.recordSuccess();
+      throw await flaskError(response);
+    }
+    const decoder = new TextDecoder();
+    let buffered = '';
+    try {
+      for await (const chunk of response.body) {
+        clearTimeout(idleTimer);
+        idleTimer = setTimeout(abort, idleTimeoutMs);
+        buffered += decoder.decode(chunk, { stream: true });
+        const lines = buffered.split('\n');
+        buffered = lines.pop();
+        for (const line of lines) {
+          if (line.trim()) yield JSON.parse(line);
+        }
+      }
+    } catch (err) {
+      recordFailure(err);
+      throw err;
+    }
+    circuit.recordSuccess();
+    buffered += decoder.decode();
+    if (buffered.trim()) yield JSON.parse(buffered);
+  } finally {
+    clearTimeout(idleTimer);
+    signal?.removeEventListener('abort', abort);
+    // Also closes the upstream response when the caller stops iterating early
+    controller.abort();
+  }
+}
+
+// Latest result of the background /health check
+let lastHealth = { reachable: null, aiEnabled: null, checkedAt: null };
+
+const checkHealth = async (timeoutMs) => {
+  const circuit = flaskBreaker();
+  try {
+    const response = await fetch(`${flaskUrl()}/health`, { signal: AbortSignal.timeout(timeoutMs) });
+    if (!response.ok) throw new Error(`Flask health check returned ${response.status}`);
+    const data = await response.json().catch(() => ({}));
+    lastHealth = { reachable: true, aiEnabled: data.ai_enabled === true, checkedAt: new Date() };
+    // Let the next chat request probe instead of waiting out the cooldown
+    circuit.markRecovering();
+  } catch (err) {
+    lastHealth = { reachable: false, aiEnabled: null, checkedAt: new Date() };
+    // A failed check while closed counts like a failed request; once the
+    // circuit is open, recovery is left to the half-open probe
+    if (circuit.snapshot().state === 'closed') circuit.recordFailure(err);
+  }
+};
+
+// Polls Flask's /health every FLASK_HEALTH_INTERVAL_MS (default 30s). Skipped
+// while chat runs on a Node-side provider, since Flask isn't used then.
+export const startFlaskHealthPolling = ({
+  intervalMs = envNumber('FLASK_HEALTH_INTERVAL_MS', 30 * 1000),
+  timeoutMs = 3000,
+} = {}) => {
+  const run = async () => {
+    try {
+      if (!getLlm('chat')) await checkHealth(timeoutMs);
+    } catch (err) {
+      console.error('Flask health check failed:', err?.message);
+    }
+  };
+  const timer = setInterval(run, intervalMs);
+  timer.unref();
+  run();
+  return timer;
+};
+
+// Chat backend state, including the last Flask error, for the admin endpoint.
+// /api/health only passes on `available`, the circuit state and retryAt.
+// `available` is false while requests are being answered by the Node fallback
+// without trying Flask.
+export const chatServiceStatus = () => {
+  const llm = getLlm('chat');
+  if (llm) return { backend: llm.provider, available: true, aiEnabled: llm.provider !== 'mock' };
+  const { state, retryAt, lastError, lastFailureAt } = flaskBreaker().snapshot();
+  return {
+    backend: 'flask',
+    available: state !== 'open',
+    aiEnabled: state === 'open' ? false : lastHealth.aiEnabled,
+    circuit: state,
+    retryAt,
+    lastError,
+    lastFailureAt,
+    lastCheckedAt: lastHealth.checkedAt,
+  };
+};
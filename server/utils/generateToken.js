@@ -1,11 +1,24 @@
 import jwt from 'jsonwebtoken';
+import crypto from 'crypto';
 
-const generateToken = (id, email) => {
+// Short-lived access token; `sid` ties it to a revocable Session document.
+// `role` is re-read from the user on every refresh, so role changes apply
+// within one access-token lifetime.
+const generateToken = (id, email, sessionId, role = 'user') => {
   return jwt.sign(
-    { sub: id, email },
+    { sub: id, email, sid: sessionId, role },
     process.env.JWT_SECRET,
-    { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
+    { expiresIn: process.env.JWT_EXPIRES_IN || '15m' }
   );
 };
 
+// Opaque refresh token: "<sessionId>.<random secret>"
+export const generateRefreshToken = (sessionId) => {
+  return `${sessionId}.${crypto.randomBytes(48).toString('hex')}`;
+};
+
+export const hashToken = (value) => {
+  return crypto.createHash('sha256').update(String(value)).digest('hex');
+};
+
 export default generateToken;
@@ -0,0 +1,45 @@
+import Journal from '../models/Journal.js';
+
+const BATCH_SIZE = 500;
+
+// Within this of the stored time, a parsed display string is taken to mean the
+// moment the entry was stored (the strings carry no timezone, so that is exact)
+const SAME_MOMENT_MS = 36 * 60 * 60 * 1000;
+
+// Entries written before `writtenAt` existed only have the display strings the
+// app sent, e.g. "October 18, 2026" and "09:41 AM". Those were made when the
+// entry was saved, so `createdAt` is used unless the strings name a clearly
+// different day. Formats Date can't read (other locales, other scripts) fall
+// back to `createdAt` too.
+export const legacyWrittenAt = ({ date, time, createdAt }) => {
+  for (const text of [`${date || ''} ${time || ''}`, date]) {
+    const parsed = text && text.trim() ? new Date(text.trim()) : null;
+    if (!parsed || Number.isNaN(parsed.getTime())) continue;
+    if (createdAt && Math.abs(parsed.getTime() - new Date(createdAt).getTime()) < SAME_MOMENT_MS) return createdAt;
+    return parsed;
+  }
+  return createdAt || new Date();
+};
+
+// Fills in `writtenAt` on entries stored before it existed. Runs at startup and
+// does nothing once done.
+export const migrateJournalDates = async () => {
+  const cursor = Journal.find({ writtenAt: { $exists: false } })
+    .select('date time createdAt')
+    .lean()
+    .cursor();
+  let batch = [];
+  let migrated = 0;
+  const flush = async () => {
+    if (!batch.length) return;
+    await Journal.bulkWrite(batch, { ordered: false });
+    migrated += batch.length;
+    batch = [];
+  };
+  for await (const journal of cursor) {
+    batch.push({ updateOne: { filter: { _id: journal._id }, update: { $set: { writtenAt: legacyWrittenAt(journal) } } } });
+    if (batch.length >= BATCH_SIZE) await flush();
+  }
+  await flush();
+  if (migrated) console.log(`Set writtenAt on ${migrated} journal entries`);
+};
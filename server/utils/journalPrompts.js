@@ -0,0 +1,301 @@
+// Journaling prompts, for a blank page. Each prompt is tagged with the
+// concerns it suits (User.concerns, lowercase as schemas/authSchemas.js stores
+// them) or `general`; one with `moods` is only offered when the user's recent
+// mood is in that band. Every prompt is written out in each app language
+// (models/User.js LANGUAGES).
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const PROMPT_CONCERNS = [
+  'general',
+  'anger',
+  'anxiety',
+  'depression',
+  'eatingdisorder',
+  'selfesteem',
+  'selfharm',
+  'stress',
+  'sleepdisorder',
+];
+export const MOOD_BANDS = ['low', 'steady', 'high'];
+
+export const JOURNAL_PROMPTS = [
+  {
+    id: 'moment_to_remember',
+    concerns: ['general'],
+    text: {
+      en: 'What was one moment today you would like to remember, and why?',
+      hi: 'आज का कौन सा एक पल आप याद रखना चाहेंगे, और क्यों?',
+      ta: 'இன்று நீங்கள் நினைவில் வைத்துக்கொள்ள விரும்பும் ஒரு தருணம் எது, ஏன்?',
+      te: 'ఈ రోజు మీరు గుర్తుంచుకోవాలనుకునే ఒక క్షణం ఏది, ఎందుకు?',
+      kn: 'ಇಂದು ನೀವು ನೆನಪಿಟ್ಟುಕೊಳ್ಳಲು ಬಯಸುವ ಒಂದು ಕ್ಷಣ ಯಾವುದು, ಏಕೆ?',
+    },
+  },
+  {
+    id: 'three_good_things',
+    concerns: ['general', 'depression'],
+    text: {
+      en: 'Name three small things that went well today, and what part you played in them.',
+      hi: 'आज की तीन छोटी अच्छी बातें लिखिए, और उनमें आपकी क्या भूमिका थी।',
+      ta: 'இன்று நன்றாக நடந்த மூன்று சிறிய விஷயங்களையும், அவற்றில் உங்கள் பங்கையும் எழுதுங்கள்.',
+      te: 'ఈ రోజు బాగా జరిగిన మూడు చిన్న విషయాలు, వాటిలో మీ పాత్ర ఏమిటో రాయండి.',
+      kn: 'ಇಂದು ಚೆನ್ನಾಗಿ ನಡೆದ ಮೂರು ಸಣ್ಣ ವಿಷಯಗಳನ್ನು ಮತ್ತು ಅವುಗಳಲ್ಲಿ ನಿಮ್ಮ ಪಾತ್ರವನ್ನು ಬರೆಯಿರಿ.',
+    },
+  },
+  {
+    id: 'how_am_i_really',
+    concerns: ['general'],
+    text: {
+      en: 'How are you really feeling right now? Describe it without judging it.',
+      hi: 'आप अभी सच में कैसा महसूस कर रहे हैं? बिना परखे इसे बताइए।',
+      ta: 'இப்போது நீங்கள் உண்மையில் எப்படி உணர்கிறீர்கள்? மதிப்பிடாமல் அதை விவரியுங்கள்.',
+      te: 'ఇప్పుడు మీరు నిజంగా ఎలా అనిపిస్తోంది? తీర్పు చెప్పకుండా దాన్ని వివరించండి.',
+      kn: 'ಈಗ ನೀವು ನಿಜವಾಗಿ ಹೇಗೆ ಅನುಭವಿಸುತ್ತಿದ್ದೀರಿ? ತೀರ್ಪು ನೀಡದೆ ಅದನ್ನು ವಿವರಿಸಿ.',
+    },
+  },
+  {
+    id: 'gentle_next_hour',
+    concerns: ['general', 'depression', 'stress'],
+    moods: ['low'],
+    text: {
+      en: 'Things may feel heavy lately. What is one gentle thing you could do for yourself in the next hour?',
+      hi: 'हाल में सब भारी लग रहा होगा। अगले एक घंटे में आप अपने लिए कौन सी एक नरम सी चीज़ कर सकते हैं?',
+      ta: 'சமீபத்தில் எல்லாம் கனமாகத் தோன்றலாம். அடுத்த ஒரு மணி நேரத்தில் உங்களுக்காகச் செய்யக்கூடிய ஒரு மென்மையான விஷயம் என்ன?',
+      te: 'ఈ మధ్య అంతా భారంగా అనిపించవచ్చు. వచ్చే గంటలో మీ కోసం చేయగలిగే ఒక సున్నితమైన పని ఏమిటి?',
+      kn: 'ಇತ್ತೀಚೆಗೆ ಎಲ್ಲವೂ ಭಾರವಾಗಿ ಅನಿಸಬಹುದು. ಮುಂದಿನ ಒಂದು ಗಂಟೆಯಲ್ಲಿ ನಿಮಗಾಗಿ ಮಾಡಬಹುದಾದ ಒಂದು ಮೃದುವಾದ ಕೆಲಸ ಯಾವುದು?',
+    },
+  },
+  {
+    id: 'savour_good_days',
+    concerns: ['general'],
+    moods: ['high'],
+    text: {
+      en: 'Things seem to be going better. What has helped, and how could you keep more of it in your days?',
+      hi: 'लगता है चीज़ें बेहतर चल रही हैं। किस बात ने मदद की, और आप इसे अपने दिनों में और कैसे ला सकते हैं?',
+      ta: 'விஷயங்கள் நன்றாகப் போவது போல் தெரிகிறது. எது உதவியது, அதை உங்கள் நாட்களில் இன்னும் எப்படி வைத்துக்கொள்ளலாம்?',
+      te: 'విషయాలు మెరుగ్గా సాగుతున్నట్లు ఉంది. ఏది సహాయపడింది, దాన్ని మీ రోజుల్లో ఇంకా ఎలా ఉంచుకోవచ్చు?',
+      kn: 'ವಿಷಯಗಳು ಉತ್ತಮವಾಗಿ ಸಾಗುತ್ತಿರುವಂತಿದೆ. ಯಾವುದು ಸಹಾಯ ಮಾಡಿತು, ಅದನ್ನು ನಿಮ್ಮ ದಿನಗಳಲ್ಲಿ ಇನ್ನಷ್ಟು ಹೇಗೆ ಉಳಿಸಿಕೊಳ್ಳಬಹುದು?',
+    },
+  },
+  {
+    id: 'worry_to_a_friend',
+    concerns: ['anxiety'],
+    text: {
+      en: 'What is worrying you most right now? What would you tell a friend who had the same worry?',
+      hi: 'अभी आपको सबसे ज़्यादा किस बात की चिंता है? अगर किसी दोस्त को यही चिंता होती, तो आप उससे क्या कहते?',
+      ta: 'இப்போது உங்களை அதிகம் கவலைப்படுத்துவது எது? அதே கவலை உள்ள ஒரு நண்பரிடம் நீங்கள் என்ன சொல்வீர்கள்?',
+      te: 'ఇప్పుడు మిమ్మల్ని ఎక్కువగా ఆందోళనపెడుతున్నది ఏమిటి? అదే ఆందోళన ఉన్న స్నేహితుడికి మీరు ఏం చెబుతారు?',
+      kn: 'ಈಗ ನಿಮ್ಮನ್ನು ಹೆಚ್ಚು ಚಿಂತೆಗೀಡು ಮಾಡುತ್ತಿರುವುದು ಏನು? ಅದೇ ಚಿಂತೆ ಇರುವ ಸ್ನೇಹಿತನಿಗೆ ನೀವು ಏನು ಹೇಳುತ್ತೀರಿ?',
+    },
+  },
+  {
+    id: 'in_my_control',
+    concerns: ['anxiety', 'stress'],
+    text: {
+      en: 'Think of something on your mind. Make two lists: what you can control about it, and what you can\'t.',
+      hi: 'मन में चल रही किसी बात के बारे में सोचिए। दो सूचियाँ बनाइए: उसमें क्या आपके बस में है, और क्या नहीं।',
+      ta: 'மனதில் ஓடும் ஒரு விஷயத்தை நினையுங்கள். இரண்டு பட்டியல்கள் எழுதுங்கள்: அதில் உங்கள் கட்டுப்பாட்டில் இருப்பவை, இல்லாதவை.',
+      te: 'మనసులో ఉన్న ఒక విషయం గురించి ఆలోచించండి. రెండు జాబితాలు రాయండి: అందులో మీ నియంత్రణలో ఉన్నవి, లేనివి.',
+      kn: 'ಮನಸ್ಸಿನಲ್ಲಿರುವ ಒಂದು ವಿಷಯದ ಬಗ್ಗೆ ಯೋಚಿಸಿ. ಎರಡು ಪಟ್ಟಿ ಮಾಡಿ: ಅದರಲ್ಲಿ ನಿಮ್ಮ ನಿಯಂತ್ರಣದಲ್ಲಿರುವುದು ಮತ್ತು ಇಲ್ಲದಿರುವುದು.',
+    },
+  },
+  {
+    id: 'calm_place',
+    concerns: ['anxiety', 'selfharm'],
+    moods: ['low', 'steady'],
+    text: {
+      en: 'Describe a place, person or activity that helps you feel safe and calm. What about it helps?',
+      hi: 'किसी ऐसी जगह, व्यक्ति या काम के बारे में लिखिए जिससे आप सुरक्षित और शांत महसूस करते हैं। उसमें क्या मदद करता है?',
+      ta: 'உங்களைப் பாதுகாப்பாகவும் அமைதியாகவும் உணரவைக்கும் ஓர் இடம், நபர் அல்லது செயலை விவரியுங்கள். அதில் எது உதவுகிறது?',
+      te: 'మీకు సురక్షితంగా, ప్రశాంతంగా అనిపించే ఒక చోటు, వ్యక్తి లేదా పని గురించి రాయండి. అందులో ఏది సహాయపడుతుంది?',
+      kn: 'ನಿಮಗೆ ಸುರಕ್ಷಿತ ಮತ್ತು ಶಾಂತ ಅನುಭವ ನೀಡುವ ಒಂದು ಸ್ಥಳ, ವ್ಯಕ್ತಿ ಅಥವಾ ಚಟುವಟಿಕೆಯನ್ನು ವಿವರಿಸಿ. ಅದರಲ್ಲಿ ಯಾವುದು ಸಹಾಯ ಮಾಡುತ್ತದೆ?',
+    },
+  },
+  {
+    id: 'set_one_thing_down',
+    concerns: ['stress'],
+    text: {
+      en: 'What is on your plate right now? Which one thing could you set down, put off or ask for help with?',
+      hi: 'अभी आपके ऊपर क्या-क्या है? कौन सी एक चीज़ आप छोड़ सकते हैं, टाल सकते हैं या उसमें मदद माँग सकते हैं?',
+      ta: 'இப்போது உங்கள் மேல் என்னென்ன பொறுப்புகள் உள்ளன? எந்த ஒன்றை விட்டுவிடலாம், தள்ளிப்போடலாம் அல்லது உதவி கேட்கலாம்?',
+      te: 'ఇప్పుడు మీ మీద ఏమేమి బాధ్యతలు ఉన్నాయి? ఏ ఒక్కదాన్ని పక్కన పెట్టగలరు, వాయిదా వేయగలరు లేదా సహాయం అడగగలరు?',
+      kn: 'ಈಗ ನಿಮ್ಮ ಮೇಲೆ ಏನೇನು ಜವಾಬ್ದಾರಿಗಳಿವೆ? ಯಾವ ಒಂದನ್ನು ಬಿಡಬಹುದು, ಮುಂದೂಡಬಹುದು ಅಥವಾ ಸಹಾಯ ಕೇಳಬಹುದು?',
+    },
+  },
+  {
+    id: 'what_recharges_me',
+    concerns: ['stress', 'depression'],
+    text: {
+      en: 'What gave you a little energy back recently, even for a few minutes?',
+      hi: 'हाल में किस चीज़ ने आपको थोड़ी ऊर्जा लौटाई, भले ही कुछ मिनटों के लिए?',
+      ta: 'சமீபத்தில் சில நிமிடங்களுக்காவது உங்களுக்குக் கொஞ்சம் ஆற்றல் தந்தது எது?',
+      te: 'ఈ మధ్య కొన్ని నిమిషాలైనా మీకు కొంచెం శక్తిని తిరిగి ఇచ్చింది ఏమిటి?',
+      kn: 'ಇತ್ತೀಚೆಗೆ ಕೆಲವು ನಿಮಿಷಗಳಾದರೂ ನಿಮಗೆ ಸ್ವಲ್ಪ ಶಕ್ತಿ ಮರಳಿ ಕೊಟ್ಟದ್ದು ಯಾವುದು?',
+    },
+  },
+  {
+    id: 'small_win',
+    concerns: ['depression'],
+    moods: ['low', 'steady'],
+    text: {
+      en: 'What is one thing you managed today, however small? Getting up counts.',
+      hi: 'आज आपने कौन सा एक काम किया, चाहे कितना भी छोटा हो? उठ जाना भी गिना जाता है।',
+      ta: 'இன்று நீங்கள் செய்து முடித்த ஒரு விஷயம் என்ன, எவ்வளவு சிறியதாக இருந்தாலும்? எழுந்ததும் கணக்கில் வரும்.',
+      te: 'ఈ రోజు మీరు చేయగలిగిన ఒక పని ఏమిటి, ఎంత చిన్నదైనా సరే? లేవడం కూడా లెక్కలోకి వస్తుంది.',
+      kn: 'ಇಂದು ನೀವು ಮಾಡಿದ ಒಂದು ಕೆಲಸ ಯಾವುದು, ಎಷ್ಟೇ ಸಣ್ಣದಾದರೂ? ಎದ್ದೇಳುವುದೂ ಲೆಕ್ಕಕ್ಕೆ ಬರುತ್ತದೆ.',
+    },
+  },
+  {
+    id: 'anger_underneath',
+    concerns: ['anger'],
+    text: {
+      en: 'What made you angry recently? What need or value of yours felt crossed?',
+      hi: 'हाल में आपको किस बात पर गुस्सा आया? आपकी कौन सी ज़रूरत या मूल्य को ठेस लगी?',
+      ta: 'சமீபத்தில் உங்களுக்கு எதனால் கோபம் வந்தது? உங்களின் எந்தத் தேவை அல்லது மதிப்பு மீறப்பட்டதாக உணர்ந்தீர்கள்?',
+      te: 'ఈ మధ్య మీకు దేని వల్ల కోపం వచ్చింది? మీ ఏ అవసరం లేదా విలువ దెబ్బతిన్నట్లు అనిపించింది?',
+      kn: 'ಇತ್ತೀಚೆಗೆ ನಿಮಗೆ ಯಾವುದರಿಂದ ಕೋಪ ಬಂತು? ನಿಮ್ಮ ಯಾವ ಅಗತ್ಯ ಅಥವಾ ಮೌಲ್ಯಕ್ಕೆ ಧಕ್ಕೆಯಾದಂತೆ ಅನಿಸಿತು?',
+    },
+  },
+  {
+    id: 'anger_in_the_body',
+    concerns: ['anger'],
+    text: {
+      en: 'The last time you felt angry, what did your body do? What helped it settle?',
+      hi: 'पिछली बार जब आपको गुस्सा आया, तो आपके शरीर में क्या हुआ? किस चीज़ से वह शांत हुआ?',
+      ta: 'கடைசியாகக் கோபம் வந்தபோது உங்கள் உடல் என்ன செய்தது? அது அடங்க எது உதவியது?',
+      te: 'చివరిసారి కోపం వచ్చినప్పుడు మీ శరీరంలో ఏం జరిగింది? అది శాంతించడానికి ఏది సహాయపడింది?',
+      kn: 'ಕೊನೆಯ ಬಾರಿ ಕೋಪ ಬಂದಾಗ ನಿಮ್ಮ ದೇಹ ಏನು ಮಾಡಿತು? ಅದು ಶಾಂತವಾಗಲು ಯಾವುದು ಸಹಾಯ ಮಾಡಿತು?',
+    },
+  },
+  {
+    id: 'strength_others_see',
+    concerns: ['selfesteem'],
+    text: {
+      en: 'Write about a strength someone else has noticed in you. When did it show?',
+      hi: 'किसी ऐसी खूबी के बारे में लिखिए जो किसी और ने आप में देखी है। वह कब दिखी?',
+      ta: 'வேறொருவர் உங்களிடம் கவனித்த ஒரு பலத்தைப் பற்றி எழுதுங்கள். அது எப்போது வெளிப்பட்டது?',
+      te: 'వేరొకరు మీలో గమనించిన ఒక బలం గురించి రాయండి. అది ఎప్పుడు కనిపించింది?',
+      kn: 'ಬೇರೆಯವರು ನಿಮ್ಮಲ್ಲಿ ಗಮನಿಸಿದ ಒಂದು ಶಕ್ತಿಯ ಬಗ್ಗೆ ಬರೆಯಿರಿ. ಅದು ಯಾವಾಗ ಕಾಣಿಸಿತು?',
+    },
+  },
+  {
+    id: 'be_your_own_friend',
+    concerns: ['selfesteem', 'depression'],
+    text: {
+      en: 'Think of something you were hard on yourself about. What would a good friend say to you about it?',
+      hi: 'किसी ऐसी बात के बारे में सोचिए जिस पर आप खुद से सख़्त रहे। एक अच्छा दोस्त आपसे इस बारे में क्या कहता?',
+      ta: 'நீங்கள் உங்களிடமே கடுமையாக இருந்த ஒரு விஷயத்தை நினையுங்கள். ஒரு நல்ல நண்பர் அதைப் பற்றி உங்களிடம் என்ன சொல்வார்?',
+      te: 'మీపై మీరే కఠినంగా ఉన్న ఒక విషయాన్ని ఆలోచించండి. ఒక మంచి స్నేహితుడు దాని గురించి మీతో ఏం చెబుతారు?',
+      kn: 'ನಿಮ್ಮ ಬಗ್ಗೆ ನೀವೇ ಕಠಿಣವಾಗಿದ್ದ ಒಂದು ವಿಷಯವನ್ನು ಯೋಚಿಸಿ. ಒಬ್ಬ ಒಳ್ಳೆಯ ಸ್ನೇಹಿತ ಅದರ ಬಗ್ಗೆ ನಿಮಗೆ ಏನು ಹೇಳುತ್ತಾರೆ?',
+    },
+  },
+  {
+    id: 'more_than_looks',
+    concerns: ['eatingdisorder', 'selfesteem'],
+    text: {
+      en: 'Leaving your looks aside, what do you value about yourself?',
+      hi: 'अपने रूप-रंग को छोड़कर, आप अपने बारे में किस बात को महत्व देते हैं?',
+      ta: 'உங்கள் தோற்றத்தை விட்டுவிட்டு, உங்களைப் பற்றி நீங்கள் மதிக்கும் விஷயங்கள் என்ன?',
+      te: 'మీ రూపాన్ని పక్కన పెడితే, మీ గురించి మీరు విలువనిచ్చేది ఏమిటి?',
+      kn: 'ನಿಮ್ಮ ರೂಪವನ್ನು ಬದಿಗಿಟ್ಟು, ನಿಮ್ಮ ಬಗ್ಗೆ ನೀವು ಮೆಚ್ಚುವುದು ಏನು?',
+    },
+  },
+  {
+    id: 'feelings_around_meals',
+    concerns: ['eatingdisorder'],
+    text: {
+      en: 'What feelings came up around meals today? Describe them as they were, without judging yourself.',
+      hi: 'आज खाने के समय कौन सी भावनाएँ उठीं? खुद को परखे बिना, जैसी थीं वैसी बताइए।',
+      ta: 'இன்று உணவு நேரங்களில் என்ன உணர்வுகள் எழுந்தன? உங்களை மதிப்பிடாமல், அவை இருந்தபடியே விவரியுங்கள்.',
+      te: 'ఈ రోజు భోజన సమయాల్లో ఏ భావాలు వచ్చాయి? మిమ్మల్ని మీరు తీర్పు చెప్పకుండా, అవి ఉన్నట్టే వివరించండి.',
+      kn: 'ಇಂದು ಊಟದ ಸಮಯದಲ್ಲಿ ಯಾವ ಭಾವನೆಗಳು ಬಂದವು? ನಿಮ್ಮನ್ನು ತೀರ್ಪು ಮಾಡದೆ, ಇದ್ದಂತೆಯೇ ವಿವರಿಸಿ.',
+    },
+  },
+  {
+    id: 'what_got_me_through',
+    concerns: ['selfharm', 'depression'],
+    text: {
+      en: 'Think of a hard moment you got through. What helped, and who could you reach out to next time?',
+      hi: 'किसी ऐसे मुश्किल पल के बारे में सोचिए जिससे आप निकल आए। किस चीज़ ने मदद की, और अगली बार आप किससे बात कर सकते हैं?',
+      ta: 'நீங்கள் கடந்து வந்த ஒரு கடினமான தருணத்தை நினையுங்கள். எது உதவியது, அடுத்த முறை யாரை அணுகலாம்?',
+      te: 'మీరు దాటి వచ్చిన ఒక కష్టమైన క్షణాన్ని ఆలోచించండి. ఏది సహాయపడింది, వచ్చేసారి ఎవరిని సంప్రదించవచ్చు?',
+      kn: 'ನೀವು ದಾಟಿ ಬಂದ ಒಂದು ಕಷ್ಟದ ಕ್ಷಣವನ್ನು ಯೋಚಿಸಿ. ಯಾವುದು ಸಹಾಯ ಮಾಡಿತು, ಮುಂದಿನ ಬಾರಿ ಯಾರನ್ನು ಸಂಪರ್ಕಿಸಬಹುದು?',
+    },
+  },
+  {
+    id: 'reasons_to_hold_on',
+    concerns: ['selfharm'],
+    text: {
+      en: 'Write down a few things, people or plans that matter to you, big or small.',
+      hi: 'कुछ ऐसी चीज़ें, लोग या योजनाएँ लिखिए जो आपके लिए मायने रखती हैं, बड़ी या छोटी।',
+      ta: 'உங்களுக்கு முக்கியமான சில விஷயங்கள், மனிதர்கள் அல்லது திட்டங்களை எழுதுங்கள், பெரியதோ சிறியதோ.',
+      te: 'మీకు ముఖ్యమైన కొన్ని విషయాలు, మనుషులు లేదా ప్లాన్‌లు రాయండి, పెద్దవైనా చిన్నవైనా.',
+      kn: 'ನಿಮಗೆ ಮುಖ್ಯವಾದ ಕೆಲವು ವಿಷಯಗಳು, ಜನರು ಅಥವಾ ಯೋಜನೆಗಳನ್ನು ಬರೆಯಿರಿ, ದೊಡ್ಡದಾಗಲಿ ಸಣ್ಣದಾಗಲಿ.',
+    },
+  },
+  {
+    id: 'leave_it_on_the_page',
+    concerns: ['sleepdisorder', 'anxiety'],
+    text: {
+      en: 'Before bed, write down everything still on your mind, so it can wait on the page until tomorrow.',
+      hi: 'सोने से पहले, मन में जो कुछ भी चल रहा है सब लिख दीजिए, ताकि वह कल तक पन्ने पर इंतज़ार कर सके।',
+      ta: 'தூங்கும் முன், மனதில் இன்னும் ஓடிக்கொண்டிருப்பதை எல்லாம் எழுதுங்கள்; நாளை வரை அது பக்கத்தில் காத்திருக்கட்டும்.',
+      te: 'నిద్రపోయే ముందు, మనసులో ఇంకా ఉన్నవన్నీ రాసేయండి, రేపటి వరకు అవి పేజీ మీద వేచి ఉంటాయి.',
+      kn: 'ಮಲಗುವ ಮೊದಲು, ಮನಸ್ಸಿನಲ್ಲಿ ಇನ್ನೂ ಇರುವುದೆಲ್ಲವನ್ನೂ ಬರೆದಿಡಿ, ನಾಳೆಯವರೆಗೆ ಅದು ಪುಟದಲ್ಲೇ ಕಾಯಲಿ.',
+    },
+  },
+  {
+    id: 'last_night',
+    concerns: ['sleepdisorder'],
+    text: {
+      en: 'How did you sleep last night? What was your evening like before it, and what might you try tonight?',
+      hi: 'कल रात आपको नींद कैसी आई? उससे पहले आपकी शाम कैसी थी, और आज रात आप क्या आज़मा सकते हैं?',
+      ta: 'நேற்று இரவு எப்படித் தூங்கினீர்கள்? அதற்கு முன் உங்கள் மாலை எப்படி இருந்தது, இன்று இரவு என்ன முயற்சிக்கலாம்?',
+      te: 'నిన్న రాత్రి ఎలా నిద్రపోయారు? దానికి ముందు మీ సాయంత్రం ఎలా గడిచింది, ఈ రాత్రి ఏం ప్రయత్నించవచ్చు?',
+      kn: 'ನಿನ್ನೆ ರಾತ್ರಿ ಹೇಗೆ ನಿದ್ರಿಸಿದಿರಿ? ಅದಕ್ಕೂ ಮೊದಲು ನಿಮ್ಮ ಸಂಜೆ ಹೇಗಿತ್ತು, ಇಂದು ರಾತ್ರಿ ಏನು ಪ್ರಯತ್ನಿಸಬಹುದು?',
+    },
+  },
+];
+
+export const PROMPT_IDS = JOURNAL_PROMPTS.map((prompt) => prompt.id);
+
+export const findPrompt = (id) => JOURNAL_PROMPTS.find((prompt) => prompt.id === id);
+
+// A prompt as the app shows it
+export const promptView = (prompt, language) => ({
+  id: prompt.id,
+  text: prompt.text[language] || prompt.text.en,
+  concerns: prompt.concerns,
+  moods: prompt.moods || null,
+});
+
+// A -1..1 mood score (utils/wellbeingAnalytics.js) as a band, null without one
+export const moodBand = (score) => {
+  if (score == null) return null;
+  if (score <= -0.25) return 'low';
+  return score >= 0.25 ? 'high' : 'steady';
+};
+
+const suitsMood = (prompt, band) => !prompt.moods || prompt.moods.includes(band);
+
+// The prompts to rotate through for these concerns and mood band: those tagged
+// with one of the concerns, or the general ones when none are. General prompts
+// for a mood join in while the user's recent mood is in their band.
+export const promptsFor = (concerns = [], band = null) => {
+  const wanted = new Set(concerns.map((concern) => concern.toLowerCase()));
+  const tailored = JOURNAL_PROMPTS.filter((prompt) => prompt.concerns.some((concern) => wanted.has(concern)));
+  const pool = (tailored.length ? tailored : JOURNAL_PROMPTS.filter((prompt) => prompt.concerns.includes('general')))
+    .filter((prompt) => suitsMood(prompt, band));
+  const forMood = JOURNAL_PROMPTS.filter(
+    (prompt) => prompt.concerns.includes('general') && prompt.moods?.includes(band) && !pool.includes(prompt)
+  );
+  const prompts = [...pool, ...forMood];
+  return prompts.length ? prompts : JOURNAL_PROMPTS.filter((prompt) => prompt.concerns.includes('general') && !prompt.moods);
+};
+
+// Steps through `prompts` a day at a time, from a point that differs per user
+// so not everyone gets the same prompt on the same day. `day` is YYYY-MM-DD.
+export const promptOfTheDay = (prompts, userId, day) => {
+  const offset = [...String(userId)].reduce((sum, c) => (sum * 31 + c.charCodeAt(0)) % 100003, 0);
+  return prompts[(Math.floor(Date.parse(day) / DAY_MS) + offset) % prompts.length];
+};
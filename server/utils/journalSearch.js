@@ -0,0 +1,61 @@
+// Helpers for searching journal entries: turning the query into the words to
+// highlight, and cutting the matching parts of an entry into segments the app
+// can render without parsing markup ({ text, match }).
+
+const WORD_CHAR = '[\\p{L}\\p{N}\\p{M}]';
+const SNIPPET_LENGTH = 160;
+// How much of the text before the first match a snippet keeps
+const SNIPPET_LEAD = 50;
+
+const escapeRegExp = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// The text index stems English words ("exams" finds "exam"), so highlighting
+// matches on a rough stem too; negated terms (-word) are not highlighted.
+export const searchTerms = (q) => {
+  const words = q
+    .replace(/"/g, ' ')
+    .split(/\s+/)
+    .filter((w) => w && !w.startsWith('-'))
+    .map((w) => w.toLowerCase().replace(/^(.{3,}?)(ing|ed|es|s)$/u, '$1'));
+  return [...new Set(words)].sort((a, b) => b.length - a.length);
+};
+
+const termPattern = (terms) =>
+  terms.length
+    ? new RegExp(`(?<!${WORD_CHAR})(?:${terms.map(escapeRegExp).join('|')})${WORD_CHAR}*`, 'giu')
+    : null;
+
+// `text` split into matching and non-matching segments
+export const highlight = (text, terms) => {
+  const pattern = termPattern(terms);
+  if (!pattern || !text) return [{ text: text || '', match: false }];
+  const segments = [];
+  let last = 0;
+  for (const m of text.matchAll(pattern)) {
+    if (m.index > last) segments.push({ text: text.slice(last, m.index), match: false });
+    segments.push({ text: m[0], match: true });
+    last = m.index + m[0].length;
+  }
+  if (last < text.length) segments.push({ text: text.slice(last), match: false });
+  return segments;
+};
+
+// A short excerpt of `text` around its first match, highlighted
+export const snippet = (text, terms) => {
+  const pattern = termPattern(terms);
+  const first = pattern ? text.search(pattern) : -1;
+  let start = Math.max(0, first - SNIPPET_LEAD);
+  if (start > 0) {
+    const space = text.indexOf(' ', start);
+    if (space !== -1 && space < first) start = space + 1;
+  }
+  let end = Math.min(text.length, start + SNIPPET_LENGTH);
+  if (end < text.length) {
+    const space = text.lastIndexOf(' ', end);
+    if (space > start && space > first) end = space;
+  }
+  const segments = highlight(text.slice(start, end), terms);
+  if (start > 0) segments.unshift({ text: '…', match: false });
+  if (end < text.length) segments.push({ text: '…', match: false });
+  return segments;
+};
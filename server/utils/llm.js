@@ -0,0 +1,139 @@
+import { GoogleGenerativeAI } from '@google/generative-ai';
+import OpenAI from 'openai';
+
+// Model access for every feature that needs an LLM. Providers implement
+//   complete({ system, messages, maxTokens, signal }) -> Promise<string>
+//   stream({ system, messages, maxTokens, signal }) -> AsyncIterable<string>
+// with messages as [{ role: 'user' | 'assistant', content }].
+//
+// Each feature picks its provider and model from the environment:
+//   LLM_<FEATURE>_PROVIDER, else LLM_PROVIDER, else the feature default below
+//   LLM_<FEATURE>_MODEL, else the provider's default model
+//   LLM_<FEATURE>_API_KEY, else the provider's usual key (GEMINI_API_KEY, OPENAI_API_KEY)
+// Built in: gemini, openai (any OpenAI-compatible API, see OPENAI_BASE_URL) and
+// mock, a deterministic offline echo for development and tests. Others can be
+// added with registerLlmProvider().
+
+export const LLM_FEATURES = ['chat', 'classification', 'planning'];
+
+// Used when neither LLM_<FEATURE>_PROVIDER nor LLM_PROVIDER is set; null means
+// the feature has no model (chat then goes to the Flask service, see
+// utils/chatModel.js, and study plans are built by rules in plannerController)
+const FEATURE_DEFAULTS = {
+  chat: () => null,
+  // Blog classification predates this module and was enabled by GEMINI_BLOG_KEY alone
+  classification: () => (process.env.GEMINI_BLOG_KEY ? 'gemini' : null),
+  planning: () => null,
+};
+
+const lastUserMessage = (messages) => [...messages].reverse().find((m) => m.role === 'user')?.content || '';
+
+const toGeminiRequest = ({ system, messages, maxTokens }) => ({
+  contents: messages.map((m) => ({ role: m.role === 'assistant' ? 'model' : 'user', parts: [{ text: m.content }] })),
+  ...(system ? { systemInstruction: system } : {}),
+  ...(maxTokens ? { generationConfig: { maxOutputTokens: maxTokens } } : {}),
+});
+
+const toOpenAiRequest = (model, { system, messages, maxTokens }) => ({
+  model,
+  messages: [...(system ? [{ role: 'system', content: system }] : []), ...messages],
+  ...(maxTokens ? { max_tokens: maxTokens } : {}),
+});
+
+const providers = {
+  gemini: ({ model, apiKey }) => {
+    const key = apiKey || process.env.GEMINI_API_KEY;
+    if (!key) throw new Error('GEMINI_API_KEY is not set');
+    const client = new GoogleGenerativeAI(key).getGenerativeModel({ model: model || 'gemini-2.5-flash' });
+    return {
+      model: client.model,
+      complete: async (options) => {
+        const result = await client.generateContent(toGeminiRequest(options), { signal: options.signal });
+        return result.response.text().trim();
+      },
+      stream: async function* (options) {
+        const result = await client.generateContentStream(toGeminiRequest(options), { signal: options.signal });
+        for await (const chunk of result.stream) {
+          const text = chunk.text();
+          if (text) yield text;
+        }
+      },
+    };
+  },
+
+  openai: ({ model, apiKey }) => {
+    const client = new OpenAI({
+      apiKey: apiKey || process.env.OPENAI_API_KEY,
+      baseURL: process.env.OPENAI_BASE_URL || undefined,
+    });
+    const modelName = model || 'gpt-4o-mini';
+    return {
+      model: modelName,
+      complete: async (options) => {
+        const result = await client.chat.completions.create(toOpenAiRequest(modelName, options), {
+          signal: options.signal,
+        });
+        return (result.choices[0]?.message?.content || '').trim();
+      },
+      stream: async function* (options) {
+        const stream = await client.chat.completions.create(
+          { ...toOpenAiRequest(modelName, options), stream: true },
+          { signal: options.signal }
+        );
+        for await (const chunk of stream) {
+          const text = chunk.choices[0]?.delta?.content;
+          if (text) yield text;
+        }
+      },
+    };
+  },
+
+  // Same input always gives the same output, and nothing leaves the machine
+  mock: ({ model }) => {
+    const reply = ({ messages }) => `(mock) You said: ${lastUserMessage(messages)}`;
+    return {
+      model: model || 'echo',
+      complete: async (options) => reply(options),
+      stream: async function* (options) {
+        for (const word of reply(options).split(/(?<= )/)) yield word;
+      },
+    };
+  },
+};
+
+const instances = new Map();
+
+export const registerLlmProvider = (name, factory) => {
+  providers[name] = factory;
+  instances.clear();
+};
+
+const featureEnv = (feature, key) => process.env[`LLM_${feature.toUpperCase()}_${key}`];
+
+// { provider, model, apiKey } for a feature, or null when it has no model configured
+export const llmConfig = (feature) => {
+  if (!FEATURE_DEFAULTS[feature]) throw new Error(`Unknown LLM feature: ${feature}`);
+  const provider = featureEnv(feature, 'PROVIDER') || process.env.LLM_PROVIDER || FEATURE_DEFAULTS[feature]();
+  if (!provider || provider === 'none') return null;
+  const legacyKey = feature === 'classification' && provider === 'gemini' ? process.env.GEMINI_BLOG_KEY : undefined;
+  return {
+    provider,
+    model: featureEnv(feature, 'MODEL') || undefined,
+    apiKey: featureEnv(feature, 'API_KEY') || legacyKey || undefined,
+  };
+};
+
+// Provider instance for a feature (created on first use), or null if none is configured.
+// The instance also carries `provider` and `model` for logging.
+export const getLlm = (feature) => {
+  if (instances.has(feature)) return instances.get(feature);
+  const config = llmConfig(feature);
+  let instance = null;
+  if (config) {
+    const factory = providers[config.provider];
+    if (!factory) throw new Error(`Unknown LLM provider for ${feature}: ${config.provider}`);
+    instance = { ...factory(config), provider: config.provider };
+  }
+  instances.set(feature, instance);
+  return instance;
+};
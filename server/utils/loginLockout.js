@@ -0,0 +1,49 @@
+import User from '../models/User.js';
+
+// Progressive lockout after repeated failed logins: the first LOCKOUT_THRESHOLD
+// failures are free, then each further failure locks the account for twice as
+// long as the previous one (1 min, 2 min, 4 min, ... capped at MAX_LOCK_SECONDS).
+const LOCKOUT_THRESHOLD = 5;
+const BASE_LOCK_SECONDS = 60;
+const MAX_LOCK_SECONDS = 24 * 60 * 60;
+
+// Seconds until the account unlocks, or 0 if it is not locked
+export const lockoutRemaining = (user) => {
+  if (!user?.lockedUntil) return 0;
+  const ms = new Date(user.lockedUntil).getTime() - Date.now();
+  return ms > 0 ? Math.ceil(ms / 1000) : 0;
+};
+
+// Returns the lock duration in seconds if this failure locked the account.
+// The count is incremented in the database, so wrong passwords sent in
+// parallel each count instead of overwriting one another.
+export const recordFailedLogin = async (user) => {
+  const updated = await User.findOneAndUpdate(
+    { _id: user._id },
+    { $inc: { failedLoginAttempts: 1 } },
+    { new: true }
+  )
+    .select('failedLoginAttempts')
+    .lean();
+  const attempts = updated?.failedLoginAttempts || 0;
+  if (attempts < LOCKOUT_THRESHOLD) return 0;
+
+  const lockedFor = Math.min(MAX_LOCK_SECONDS, BASE_LOCK_SECONDS * 2 ** (attempts - LOCKOUT_THRESHOLD));
+  // Racing failures each lock from their own count; $max keeps the longest
+  await User.updateOne({ _id: user._id }, { $max: { lockedUntil: new Date(Date.now() + lockedFor * 1000) } });
+  return lockedFor;
+};
+
+// Goes by the stored count rather than `user`, which may predate failures
+// recorded by other requests
+export const clearFailedLogins = async (user) => {
+  await User.updateOne(
+    { _id: user._id, $or: [{ failedLoginAttempts: { $gt: 0 } }, { lockedUntil: { $exists: true } }] },
+    { $set: { failedLoginAttempts: 0 }, $unset: { lockedUntil: 1 } }
+  );
+};
+
+export const lockoutMessage = (seconds) => {
+  const minutes = Math.ceil(seconds / 60);
+  return `Too many failed login attempts. Try again in ${minutes} minute${minutes === 1 ? '' : 's'}.`;
+};
@@ -0,0 +1,50 @@
+import fs from 'fs';
+import path from 'path';
+import { ensureDir } from './upload.js';
+
+// Transports implement `send({ to, subject, text, html })`. `console` and `file`
+// are meant for local development; a real provider (SMTP, SES, ...) can be
+// plugged in with registerMailTransport() and selected through MAIL_TRANSPORT.
+const transports = {
+  console: () => ({
+    send: async ({ to, subject, text }) => {
+      console.log(`📧 Mail to ${to}: ${subject}\n${text}`);
+    },
+  }),
+  file: () => {
+    const dir = process.env.MAIL_FILE_DIR || path.join(process.cwd(), 'mail-outbox');
+    return {
+      send: async (message) => {
+        ensureDir(dir);
+        const safeTo = String(message.to).replace(/[^a-zA-Z0-9@._-]/g, '_');
+        const file = path.join(dir, `${Date.now()}-${safeTo}.json`);
+        await fs.promises.writeFile(
+          file,
+          JSON.stringify({ ...message, sentAt: new Date().toISOString() }, null, 2)
+        );
+      },
+    };
+  },
+};
+
+let activeTransport = null;
+
+export const registerMailTransport = (name, factory) => {
+  transports[name] = factory;
+  activeTransport = null;
+};
+
+const getTransport = () => {
+  if (!activeTransport) {
+    const name = process.env.MAIL_TRANSPORT || 'console';
+    const factory = transports[name];
+    if (!factory) throw new Error(`Unknown MAIL_TRANSPORT: ${name}`);
+    activeTransport = factory();
+  }
+  return activeTransport;
+};
+
+export const sendMail = async ({ to, subject, text, html }) => {
+  const from = process.env.MAIL_FROM || 'MindMate++ <no-reply@mindmate.example>';
+  return getTransport().send({ from, to, subject, text, html });
+};
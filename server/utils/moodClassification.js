@@ -0,0 +1,222 @@
+// Mood classification for chat messages, used for mood analytics.
+//
+// Classifiers implement `classify(text) -> Promise<{ mood, confidence, intensity }>`
+// where mood is one of the ChatMessage moods, and confidence and intensity
+// are 0..1. The built-in `lexicon` classifier scores per-language word lists;
+// a model based classifier can be plugged in with registerMoodClassifier() and
+// selected through MOOD_CLASSIFIER. If it fails, the lexicon is used instead.
+// Not clinical-grade; crisis language is handled by utils/riskDetection.js.
+
+// Entries match whole words. A trailing `*` also allows the word to continue
+// (frustrat* -> frustrated), which the Dravidian scripts need for case endings.
+// `[entry, weight]` overrides the default weight of 1 for weak signals.
+// Every lexicon is applied to every message: people mix languages and scripts
+// freely (Hinglish especially), so the account language is no guide.
+// Hopelessness and wanting to die count as heavily sad here so mood history
+// reflects them; responding to them is riskDetection's job, not this file's.
+const LEXICONS = {
+  en: {
+    anxious: ['anxious', 'anxiety', 'nervous', 'panic*', 'worried', 'worrying', 'scared', 'afraid', 'fear*', 'uneasy', 'restless', 'on edge'],
+    sad: ['sad*', 'upset', 'lonely', 'alone', 'depressed', 'depressing', 'unhappy', 'heartbroken', 'crying', 'cried', 'miserable', 'empty', 'grief', 'grieving', 'feeling down', 'feel down', 'feeling low', 'feel low', ['down', 0.5], ['low', 0.5],
+      'hopeless*', 'worthless*', 'helpless*', 'useless', 'despair*', 'numb', 'devastated', ['broken', 0.5], 'no hope', 'give up', 'giving up',
+      ['suicid*', 2], ['kill myself', 2], ['end my life', 2], ['end it all', 2], ['want to die', 2], ['wanna die', 2], ['better off dead', 2], ['no reason to live', 2]],
+    angry: ['angry', 'anger', 'frustrat*', 'irritat*', 'annoyed', 'annoying', 'furious', 'pissed', 'rage', 'hate', 'mad at'],
+    stressed: ['stress*', 'overwhelm*', 'pressure', 'burned out', 'burnt out', 'burnout', 'deadline*', 'too much work'],
+    tired: ['tired', 'exhaust*', 'drained', 'sleepy', 'fatigue*', 'worn out', 'no energy', 'insomnia'],
+    negative: ['bad', 'terrible', 'awful', 'horrible', 'worst'],
+    positive: ['happy', 'great', 'good', 'calm', 'relaxed', 'better', 'glad', 'excited', 'grateful', 'thankful', 'peaceful', 'proud', 'joy*', 'awesome', 'amazing', 'wonderful', 'hopeful', ['fine', 0.5], ['okay', 0.5], ['ok', 0.5]],
+  },
+  // Hindi written in Latin script
+  hinglish: {
+    anxious: ['chinta*', 'ghabra*', 'darr*', 'dar lag*', 'bechain*'],
+    sad: ['udaas*', 'udas*', 'dukhi', 'dukh', 'akela', 'akeli', 'akelapan', 'ro raha', 'ro rahi', 'rona aa*', 'nirash*', 'mayoos*', 'mood off', 'dil toot*',
+      'naumeed*', 'naummeed*', 'na umeed', 'bebas', 'lachar', 'lachaar', 'haar gaya', 'haar gayi', 'kisi kaam ka nahi', 'kisi kaam ki nahi',
+      ['khudkushi', 2], ['aatmahatya', 2], ['atmahatya', 2], ['marna chah*', 2], ['mar jaana', 2], ['mar jana', 2], ['jeena nahi chah*', 2], ['jeene ka mann nahi', 2]],
+    angry: ['gussa', 'gusse*', 'naraz*', 'naraaz*', 'chidh*'],
+    stressed: ['tension', 'tanav', 'pareshan*', 'dabav', 'dabaav'],
+    tired: ['thak*', 'thakan', 'thakaan'],
+    negative: ['bura', 'buri', 'kharab', 'bekar', 'bakwas'],
+    positive: ['khush*', 'badhiya', 'badiya', 'mast', 'shaant', 'shant', 'sukoon', 'behtar', 'maza', 'mazaa', ['accha', 0.5], ['acha', 0.5], ['achha', 0.5], ['theek', 0.5], ['thik', 0.5]],
+  },
+  hi: {
+    anxious: ['चिंता*', 'चिन्ता*', 'घबराहट', 'घबरा*', 'डर*', 'बेचैन*'],
+    sad: ['उदास*', 'दुखी', 'दुख*', 'दुःख*', 'अकेला', 'अकेली', 'अकेलापन', 'रो रहा', 'रो रही', 'रोना आ*', 'निराश*', 'मायूस*',
+      'नाउम्मीद*', 'बेबस*', 'लाचार*', 'हार गया', 'हार गई', 'किसी काम का नहीं', 'किसी काम की नहीं',
+      ['आत्महत्या*', 2], ['खुदकुशी', 2], ['ख़ुदकुशी', 2], ['मरना चाह*', 2], ['मर जाना', 2], ['जीना नहीं चाह*', 2], ['जीने का मन नहीं', 2]],
+    angry: ['गुस्सा', 'गुस्से*', 'नाराज़*', 'नाराज*', 'चिढ़*', 'क्रोध*'],
+    stressed: ['तनाव*', 'टेंशन', 'परेशान*', 'दबाव'],
+    tired: ['थका', 'थकी', 'थके', 'थकान', 'थक*'],
+    negative: ['बुरा', 'बुरी', 'खराब', 'ख़राब', 'बेकार'],
+    positive: ['खुश*', 'ख़ुश*', 'बढ़िया', 'शांत', 'सुकून', 'बेहतर', 'मज़ा', 'मजा', ['अच्छा', 0.5], ['अच्छी', 0.5], ['ठीक', 0.5]],
+  },
+  ta: {
+    anxious: ['பயம்*', 'பயமா*', 'பதட்ட*', 'பதற்ற*', 'கவலை*'],
+    sad: ['சோக*', 'வருத்த*', 'தனிமை*', 'அழுகை*', 'அழுகிறேன்', 'மனசு சரியில்லை',
+      'நம்பிக்கையில்லை', 'நம்பிக்கை இல்லை', 'விரக்தி*', 'பயனற்ற*', 'உதவியற்ற*',
+      ['தற்கொலை*', 2], ['சாகணும்', 2], ['சாக வேண்டும்', 2], ['சாகப் போறேன்', 2], ['வாழ பிடிக்கல*', 2]],
+    angry: ['கோப*', 'எரிச்சல்*'],
+    stressed: ['மன அழுத்த*', 'அழுத்த*', 'டென்ஷன்*'],
+    tired: ['சோர்வ*', 'களைப்ப*'],
+    negative: ['மோசம்*', 'மோசமா*'],
+    positive: ['சந்தோஷ*', 'மகிழ்ச்சி*', 'நல்லா*', 'நன்றாக*', 'அமைதி*', 'நிம்மதி*', 'சூப்பர்'],
+  },
+  te: {
+    anxious: ['భయ*', 'ఆందోళన*', 'కంగారు*'],
+    sad: ['బాధ*', 'విచార*', 'దుఃఖ*', 'ఒంటరి*', 'ఏడుపు*', 'ఏడుస్త*',
+      'నిరాశ*', 'నిస్సహాయ*', 'పనికిరాని*', 'ఆశ లేదు',
+      ['ఆత్మహత్య*', 2], ['చనిపోవాల*', 2], ['చచ్చిపోవాల*', 2], ['బ్రతకాలని లేదు', 2]],
+    angry: ['కోప*', 'చిరాకు*'],
+    stressed: ['ఒత్తిడి*', 'టెన్షన్*'],
+    tired: ['అలసట*', 'అలసి*', 'నీరస*'],
+    negative: ['చెడు*', 'బాగాలేదు'],
+    positive: ['సంతోష*', 'ఆనంద*', 'బాగుంది', 'బాగున్నా*', 'ప్రశాంత*', 'హాయి*'],
+  },
+  kn: {
+    anxious: ['ಭಯ*', 'ಆತಂಕ*', 'ಚಿಂತೆ*'],
+    sad: ['ದುಃಖ*', 'ಬೇಸರ*', 'ಒಂಟಿ*', 'ಅಳು*', 'ನೋವು*',
+      'ಹತಾಶ*', 'ನಿರಾಶ*', 'ಅಸಹಾಯ*', 'ನಿಷ್ಪ್ರಯೋಜಕ*',
+      ['ಆತ್ಮಹತ್ಯೆ*', 2], ['ಸಾಯಬೇಕು*', 2], ['ಸಾಯಲು*', 2], ['ಬದುಕಲು ಇಷ್ಟವಿಲ್ಲ', 2]],
+    angry: ['ಕೋಪ*', 'ಸಿಟ್ಟು*', 'ಸಿಡುಕು*'],
+    stressed: ['ಒತ್ತಡ*', 'ಟೆನ್ಶನ್*'],
+    tired: ['ಆಯಾಸ*', 'ದಣಿ*', 'ಸುಸ್ತು*'],
+    negative: ['ಕೆಟ್ಟ*'],
+    positive: ['ಖುಷಿ*', 'ಸಂತೋಷ*', 'ಆನಂದ*', 'ಚೆನ್ನಾಗಿ*', 'ಶಾಂತ*'],
+  },
+};
+
+// English negates before the word ("not happy"); Hindi and the Dravidian
+// languages after it ("khush nahi", "சந்தோஷம் இல்லை", "ಖುಷಿ ಇಲ್ಲ"). The
+// Hindi tag "na" ("accha hai na?") is a question, not a negation.
+const NEGATORS_BEFORE = new Set([
+  'not', 'no', 'never', 'nothing', "don't", 'dont', "doesn't", 'doesnt', "didn't", 'didnt',
+  "isn't", 'isnt', "wasn't", 'wasnt', "aren't", "ain't", "won't", 'hardly',
+]);
+const NEGATORS_AFTER = new Set([
+  'नहीं', 'नही', 'nahi', 'nahin', 'nai',
+  'இல்லை', 'இல்ல', 'கிடையாது', 'లేదు', 'లేను', 'కాదు', 'ಇಲ್ಲ', 'ಅಲ್ಲ',
+]);
+const NEGATION_WINDOW_BEFORE = 3;
+const NEGATION_WINDOW_AFTER = 2;
+
+const INTENSIFIERS = new Set([
+  'very', 'so', 'really', 'extremely', 'too', 'super', 'totally', 'completely', 'incredibly',
+  'bahut', 'bohot', 'bohut', 'bahot', 'bohat', 'zyada', 'jyada', 'बहुत', 'ज़्यादा', 'ज्यादा',
+  'ரொம்ப', 'மிகவும்', 'చాలా', 'ತುಂಬಾ', 'ಬಹಳ',
+]);
+const INTENSIFIER_BOOST = 1.5;
+
+// Ties go to the mood listed first
+const MOODS = ['anxious', 'sad', 'angry', 'stressed', 'tired', 'negative', 'positive'];
+
+// Score at which intensity reaches 1
+const FULL_INTENSITY_SCORE = 3;
+// No mood words at all is only weak evidence that a message is neutral
+const NEUTRAL_CONFIDENCE = 0.3;
+const MAX_TEXT_LENGTH = 4000;
+
+const ENTRIES = Object.values(LEXICONS).flatMap((lexicon) =>
+  Object.entries(lexicon).flatMap(([mood, words]) =>
+    words.map((word) => {
+      const [phrase, weight] = Array.isArray(word) ? word : [word, 1];
+      const prefix = phrase.endsWith('*');
+      return { mood, weight, prefix, tokens: (prefix ? phrase.slice(0, -1) : phrase).split(' ') };
+    })
+  )
+);
+
+// Letters, combining marks (Indic vowel signs), joiners and apostrophes make up
+// a word; punctuation also ends the clause a negation can reach into
+const tokenize = (clause) => clause.split(/[^\p{L}\p{M}'\u200c\u200d]+/u).filter(Boolean);
+const clausesOf = (text) =>
+  String(text || '')
+    .slice(0, MAX_TEXT_LENGTH)
+    .normalize('NFC')
+    .toLowerCase()
+    .replace(/[‘’]/g, "'")
+    .split(/[.!?,;:\n।]+/u)
+    .map(tokenize)
+    .filter((tokens) => tokens.length);
+
+const matchesAt = (tokens, i, entry) =>
+  entry.tokens.every((word, j) => {
+    const token = tokens[i + j];
+    if (token === undefined) return false;
+    return entry.prefix && j === entry.tokens.length - 1 ? token.startsWith(word) : token === word;
+  });
+
+const negated = (tokens, start, end) =>
+  tokens.slice(Math.max(0, start - NEGATION_WINDOW_BEFORE), start).some((t) => NEGATORS_BEFORE.has(t)) ||
+  tokens.slice(end, end + NEGATION_WINDOW_AFTER).some((t) => NEGATORS_AFTER.has(t));
+
+const round = (n) => Math.round(n * 100) / 100;
+
+const lexiconClassifier = () => ({
+  classify: async (text) => {
+    const clauses = clausesOf(text);
+    if (!clauses.length) return { mood: 'unknown', confidence: 0, intensity: 0 };
+
+    const scores = Object.fromEntries(MOODS.map((m) => [m, 0]));
+    for (const tokens of clauses) {
+      for (let i = 0; i < tokens.length; i++) {
+        // Overlapping entries (thak*, thakan) count a word once
+        const matched = new Set();
+        for (const entry of ENTRIES) {
+          if (matched.has(entry.mood) || !matchesAt(tokens, i, entry)) continue;
+          matched.add(entry.mood);
+          const end = i + entry.tokens.length;
+          const weight = entry.weight * (INTENSIFIERS.has(tokens[i - 1]) ? INTENSIFIER_BOOST : 1);
+          if (!negated(tokens, i, end)) {
+            scores[entry.mood] += weight;
+          } else if (entry.mood === 'positive') {
+            // "not happy" leans negative, though less than "unhappy" would
+            scores.negative += weight / 2;
+          } else if (entry.mood === 'negative') {
+            // "not bad"
+            scores.positive += weight / 2;
+          }
+          // Other negated moods ("not tired") say nothing either way
+        }
+      }
+    }
+
+    const total = MOODS.reduce((sum, m) => sum + scores[m], 0);
+    if (!total) return { mood: 'neutral', confidence: NEUTRAL_CONFIDENCE, intensity: 0 };
+    const mood = MOODS.reduce((best, m) => (scores[m] > scores[best] ? m : best));
+    const top = scores[mood];
+    // How clearly this mood beats the others, scaled by how much evidence there is
+    const confidence = (top / total) * (1 - Math.exp(-top));
+    return { mood, confidence: round(confidence), intensity: round(Math.min(1, top / FULL_INTENSITY_SCORE)) };
+  },
+});
+
+const classifiers = {
+  lexicon: lexiconClassifier,
+};
+
+let activeClassifier = null;
+let fallbackClassifier = null;
+
+export const registerMoodClassifier = (name, factory) => {
+  classifiers[name] = factory;
+  activeClassifier = null;
+};
+
+const getClassifier = () => {
+  if (!activeClassifier) {
+    const name = process.env.MOOD_CLASSIFIER || 'lexicon';
+    const factory = classifiers[name];
+    if (!factory) throw new Error(`Unknown MOOD_CLASSIFIER: ${name}`);
+    activeClassifier = factory();
+  }
+  return activeClassifier;
+};
+
+export const classifyMood = async (text) => {
+  try {
+    return await getClassifier().classify(text);
+  } catch (err) {
+    console.error('Mood classifier failed, using the lexicon:', err?.message);
+    fallbackClassifier = fallbackClassifier || lexiconClassifier();
+    return fallbackClassifier.classify(text);
+  }
+};
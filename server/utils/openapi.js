@@ -0,0 +1,143 @@
+import { z } from 'zod';
+import { requireAuth, tryAuth } from '../middleware/auth.js';
+
+// Builds an OpenAPI 3.1 document by walking the mounted routers. Each route's
+// validate() middleware carries its zod schemas (see middleware/validate.js),
+// so the document can't drift from what the API actually accepts.
+
+const errorResponse = (description) => ({
+  description,
+  content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } },
+});
+
+const ERROR_SCHEMA = {
+  type: 'object',
+  required: ['error'],
+  properties: {
+    error: {
+      type: 'object',
+      required: ['code', 'message', 'details'],
+      properties: {
+        code: { type: 'string', examples: ['VALIDATION_ERROR', 'NOT_FOUND', 'RATE_LIMITED'] },
+        message: { type: 'string' },
+        details: {
+          description: 'Field issues for VALIDATION_ERROR, { retryAfter } for 429s, otherwise usually null',
+        },
+      },
+    },
+  },
+};
+
+const toJsonSchema = (schema) => {
+  const { $schema, ...json } = z.toJSONSchema(schema, { io: 'input', unrepresentable: 'any' });
+  return json;
+};
+
+const toParameters = (schema, location) => {
+  if (!schema) return [];
+  const json = toJsonSchema(schema);
+  const required = new Set(json.required || []);
+  return Object.entries(json.properties || {}).map(([name, property]) => ({
+    name,
+    in: location,
+    required: location === 'path' || required.has(name),
+    schema: property,
+  }));
+};
+
+const BINARY = { type: 'string', format: 'binary' };
+
+// `multipart: true` means any number of files under `files`; an object maps each
+// field name to 'file' (exactly one) or 'files'
+const toRequestBody = (spec) => {
+  if (spec.multipart) {
+    const json = spec.body ? toJsonSchema(spec.body) : { type: 'object', properties: {} };
+    const fields = spec.multipart === true ? { files: 'files' } : spec.multipart;
+    for (const [name, kind] of Object.entries(fields)) {
+      json.properties = { ...json.properties, [name]: kind === 'file' ? BINARY : { type: 'array', items: BINARY } };
+      if (kind === 'file') json.required = [...(json.required || []), name];
+    }
+    return { required: true, content: { 'multipart/form-data': { schema: json } } };
+  }
+  if (!spec.body) return undefined;
+  return { required: true, content: { 'application/json': { schema: toJsonSchema(spec.body) } } };
+};
+
+const buildOperation = (tag, path, handlers) => {
+  const spec = handlers.find((h) => h.apiSpec)?.apiSpec || {};
+  const auth = handlers.includes(requireAuth);
+  const optionalAuth = !auth && handlers.includes(tryAuth);
+  const roles = handlers.find((h) => h.roles)?.roles;
+  const rateLimited = handlers.some((h) => h.rateLimitName);
+
+  const parameters = [...toParameters(spec.params, 'path'), ...toParameters(spec.query, 'query')];
+  // Path segments without a params schema are still documented as strings
+  for (const [, name] of path.matchAll(/\{(\w+)\}/g)) {
+    if (!parameters.some((p) => p.in === 'path' && p.name === name)) {
+      parameters.push({ name, in: 'path', required: true, schema: { type: 'string' } });
+    }
+  }
+
+  const responses = { '2XX': { description: 'Success' } };
+  if (spec.params || spec.query || spec.body) responses['400'] = errorResponse('Validation failed');
+  if (auth) responses['401'] = errorResponse('Missing, invalid or revoked access token');
+  if (roles) responses['403'] = errorResponse('Role not allowed');
+  if (rateLimited) responses['429'] = errorResponse('Rate limited; see Retry-After');
+  responses.default = errorResponse('Error');
+
+  const operation = { tags: [tag], summary: spec.summary, responses };
+  if (roles) {
+    const extra = roles.filter((r) => r !== 'admin');
+    operation.description = extra.length ? `Requires role: ${extra.join(' or ')} or admin.` : 'Admins only.';
+  }
+  if (auth) operation.security = [{ bearerAuth: [] }];
+  if (optionalAuth) operation.security = [{ bearerAuth: [] }, {}];
+  if (parameters.length) operation.parameters = parameters;
+  const requestBody = toRequestBody(spec);
+  if (requestBody) operation.requestBody = requestBody;
+  return operation;
+};
+
+// mounts: [[basePath, router], ...] exactly as passed to app.use
+export const buildOpenApiDocument = (mounts, info) => {
+  const paths = {};
+  const tags = [];
+  for (const [base, router] of mounts) {
+    const tag = base.split('/').filter(Boolean).pop();
+    tags.push({ name: tag });
+    // router.use() middleware (e.g. the admin role check) applies to every route below it
+    const shared = [];
+    for (const layer of router.stack) {
+      if (!layer.route) {
+        shared.push(layer.handle);
+        continue;
+      }
+      const routePath = layer.route.path === '/' ? '' : layer.route.path;
+      const path = `${base}${routePath}`.replace(/:(\w+)/g, '{$1}');
+      const handlers = [...shared, ...layer.route.stack.map((l) => l.handle)];
+      paths[path] = paths[path] || {};
+      for (const method of Object.keys(layer.route.methods)) {
+        paths[path][method] = buildOperation(tag, path, handlers);
+      }
+    }
+  }
+  return {
+    openapi: '3.1.0',
+    info,
+    tags,
+    paths,
+    components: {
+      securitySchemes: { bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' } },
+      schemas: { Error: ERROR_SCHEMA },
+    },
+  };
+};
+
+// GET handler serving the document; built on first request, after every router is mounted
+export const openApiHandler = (mounts, info) => {
+  let document;
+  return (_req, res) => {
+    document = document || buildOpenApiDocument(mounts, info);
+    res.json(document);
+  };
+};
@@ -0,0 +1,84 @@
+import RateLimitHit from '../models/RateLimitHit.js';
+
+// A store counts hits per key inside a fixed window:
+//   increment(key, windowMs) -> Promise<{ count, resetAt }>
+//   reset(key) -> Promise<void>
+// The memory store is per-process; use the Mongo store when running several
+// server instances so they share counters.
+
+export const createMemoryStore = () => {
+  const hits = new Map();
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    for (const [key, entry] of hits) {
+      if (entry.resetAt <= now) hits.delete(key);
+    }
+  }, 60 * 1000);
+  sweep.unref();
+
+  return {
+    increment: async (key, windowMs) => {
+      const now = Date.now();
+      let entry = hits.get(key);
+      if (!entry || entry.resetAt <= now) {
+        entry = { count: 0, resetAt: now + windowMs };
+        hits.set(key, entry);
+      }
+      entry.count += 1;
+      return { count: entry.count, resetAt: new Date(entry.resetAt) };
+    },
+    reset: async (key) => {
+      hits.delete(key);
+    },
+  };
+};
+
+const DUPLICATE_KEY = 11000;
+
+export const createMongoStore = () => ({
+  increment: async (key, windowMs) => {
+    const now = new Date();
+    // Start a fresh window if the stored one has lapsed (TTL cleanup is lazy)
+    await RateLimitHit.updateOne(
+      { key, resetAt: { $lte: now } },
+      { count: 0, resetAt: new Date(now.getTime() + windowMs) }
+    );
+    const hit = () =>
+      RateLimitHit.findOneAndUpdate(
+        { key },
+        { $inc: { count: 1 }, $setOnInsert: { resetAt: new Date(now.getTime() + windowMs) } },
+        { new: true, upsert: true }
+      ).lean();
+    let doc;
+    try {
+      doc = await hit();
+    } catch (err) {
+      // Two first hits on a key can both try to insert it; the one that lost
+      // finds the document there now and counts against it
+      if (err?.code !== DUPLICATE_KEY) throw err;
+      doc = await hit();
+    }
+    return { count: doc.count, resetAt: doc.resetAt };
+  },
+  reset: async (key) => {
+    await RateLimitHit.deleteOne({ key });
+  },
+});
+
+const storeFactories = {
+  memory: createMemoryStore,
+  mongo: createMongoStore,
+};
+
+let defaultStore = null;
+
+// Store selected by RATE_LIMIT_STORE (memory | mongo), created on first use
+export const getDefaultStore = () => {
+  if (!defaultStore) {
+    const name = process.env.RATE_LIMIT_STORE || 'memory';
+    const factory = storeFactories[name];
+    if (!factory) throw new Error(`Unknown RATE_LIMIT_STORE: ${name}`);
+    defaultStore = factory();
+  }
+  return defaultStore;
+};
@@ -0,0 +1,145 @@
+// Crisis / self-harm detection for chat messages.
+//
+// Detectors implement `assess(text) -> Promise<{ level, score, rules }>` where
+// level is 'none' | 'elevated' | 'high' and rules lists the ids that matched.
+// The built-in `keywords` detector scores multilingual phrase rules; a model
+// based detector can be plugged in with registerRiskDetector() and selected
+// through RISK_DETECTOR. If it fails, the keyword rules are used instead.
+
+// Phrases match at the start of a word. A trailing `*` also allows the word to
+// continue (suicid* -> suicide, suicidal), which matters for the agglutinative
+// scripts where case endings are attached to the noun.
+// Rules marked `supporting` are everyday words ("rope", "pills", "tonight")
+// that only add to the score of a message that also matches one of the others.
+const RULES = [
+  {
+    id: 'suicidal_intent',
+    weight: 3,
+    phrases: [
+      // English
+      'suicid*', 'kill myself', 'killing myself', 'end my life', 'ending my life', 'end it all',
+      'take my own life', 'want to die', 'wanna die', 'better off dead', 'no reason to live',
+      "don't want to live", 'dont want to live', 'do not want to live', "don't want to be alive",
+      'hang myself',
+      // Hindi (Devanagari and romanised)
+      'आत्महत्या*', 'खुदकुशी*', 'ख़ुदकुशी*', 'मरना चाहत*', 'मर जाना चाहत*', 'जान दे द*', 'जीना नहीं चाहत*',
+      'aatmahatya', 'atmahatya', 'khudkushi', 'marna chahta*', 'marna chahti*', 'mar jana chahta*',
+      'mar jana chahti*', 'jaan de dunga', 'jaan de dungi', 'jeena nahi chahta*', 'jeena nahi chahti*',
+      // Tamil
+      'தற்கொலை*', 'சாக வேண்டும்', 'சாகணும்', 'வாழ விருப்பமில்லை', 'சாகப் போகிறேன்',
+      // Telugu
+      'ఆత్మహత్య*', 'చనిపోవాలని*', 'చచ్చిపోవాలని*', 'బ్రతకాలని లేదు',
+      // Kannada
+      'ಆತ್ಮಹತ್ಯೆ*', 'ಸಾಯಬೇಕು*', 'ಸಾಯಲು ಬಯಸ*', 'ಬದುಕಲು ಇಷ್ಟವಿಲ್ಲ',
+    ],
+  },
+  {
+    id: 'self_harm',
+    weight: 2.5,
+    phrases: [
+      'self harm*', 'self-harm*', 'selfharm*', 'cut myself', 'cutting myself', 'hurt myself',
+      'hurting myself', 'harm myself', 'burn myself', 'starve myself',
+      'खुद को चोट*', 'खुद को नुकसान*', 'ख़ुद को चोट*', 'khud ko chot*', 'khud ko nuksan*', 'khud ko hurt*',
+      'என்னை நானே காயப்படுத்த*', 'నన్ను నేను గాయపర*', 'ನನ್ನನ್ನು ನಾನೇ ನೋಯಿಸ*',
+    ],
+  },
+  {
+    id: 'hopelessness',
+    weight: 1,
+    phrases: [
+      'hopeless*', 'no way out', "can't go on", 'cant go on', 'cannot go on', 'give up on life',
+      'giving up on life', 'nothing matters', 'worthless', 'burden to everyone', 'burden on everyone',
+      'no one would miss me', 'nobody would miss me',
+      'कोई उम्मीद नहीं', 'जीने का मन नहीं', 'सब पर बोझ', 'jeene ka mann nahi', 'jeene ka man nahi',
+      'koi umeed nahi', 'sab par bojh',
+      'நம்பிக்கையில்லை', 'ఆశ లేదు', 'ಭರವಸೆ ಇಲ್ಲ',
+    ],
+  },
+  {
+    id: 'plan_or_means',
+    weight: 1.5,
+    supporting: true,
+    phrases: [
+      'overdose*', 'pills', 'sleeping pills', 'rat poison', 'poison', 'noose', 'rope', 'jump off',
+      'razor*', 'blade*', 'wrote a note', 'suicide note', 'said goodbye',
+      'फांसी*', 'फाँसी*', 'ज़हर*', 'जहर*', 'fansi', 'phansi', 'zeher', 'zehar', 'jahar',
+      'விஷம்*', 'தூக்கு*', 'విషం*', 'ఉరి*', 'ವಿಷ*', 'ನೇಣು*',
+    ],
+  },
+  {
+    id: 'imminence',
+    weight: 1,
+    supporting: true,
+    phrases: ['tonight', 'right now', 'today is the day', 'goodbye forever', 'final goodbye', 'आज रात', 'aaj raat'],
+  },
+];
+
+const ELEVATED_SCORE = 2.5;
+const HIGH_SCORE = 3;
+
+// Letters and combining marks (Indic vowel signs) both count as part of a word
+const escape = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+const toPattern = (phrase) => {
+  const prefix = phrase.endsWith('*');
+  const body = escape(prefix ? phrase.slice(0, -1) : phrase).replace(/\s+/g, '\\s+');
+  return new RegExp(`(?:^|[^\\p{L}\\p{M}])${body}${prefix ? '' : '(?=$|[^\\p{L}\\p{M}])'}`, 'u');
+};
+
+const COMPILED = RULES.map((rule) => ({ ...rule, patterns: rule.phrases.map(toPattern) }));
+
+const normalize = (text) =>
+  String(text || '')
+    .normalize('NFC')
+    .toLowerCase()
+    .replace(/[‘’]/g, "'");
+
+export const levelForScore = (score) => {
+  if (score >= HIGH_SCORE) return 'high';
+  if (score >= ELEVATED_SCORE) return 'elevated';
+  return 'none';
+};
+
+// Deliberately errs towards flagging: a safety message shown to someone who
+// didn't need it costs far less than a missed one. Negations ("I don't want to
+// die") are not special-cased for that reason.
+const keywordDetector = () => ({
+  assess: async (text) => {
+    const normalized = normalize(text);
+    const matched = COMPILED.filter((rule) => rule.patterns.some((p) => p.test(normalized)));
+    const rules = matched.some((rule) => !rule.supporting) ? matched : [];
+    const score = rules.reduce((sum, rule) => sum + rule.weight, 0);
+    return { level: levelForScore(score), score, rules: rules.map((r) => r.id) };
+  },
+});
+
+const detectors = {
+  keywords: keywordDetector,
+};
+
+let activeDetector = null;
+let fallbackDetector = null;
+
+export const registerRiskDetector = (name, factory) => {
+  detectors[name] = factory;
+  activeDetector = null;
+};
+
+const getDetector = () => {
+  if (!activeDetector) {
+    const name = process.env.RISK_DETECTOR || 'keywords';
+    const factory = detectors[name];
+    if (!factory) throw new Error(`Unknown RISK_DETECTOR: ${name}`);
+    activeDetector = factory();
+  }
+  return activeDetector;
+};
+
+export const assessRisk = async (text) => {
+  try {
+    return await getDetector().assess(text);
+  } catch (err) {
+    console.error('Risk detector failed, using keyword rules:', err?.message);
+    fallbackDetector = fallbackDetector || keywordDetector();
+    return fallbackDetector.assess(text);
+  }
+};
@@ -0,0 +1,89 @@
+import mongoose from 'mongoose';
+import Session from '../models/Session.js';
+import User from '../models/User.js';
+import generateToken, { generateRefreshToken, hashToken } from './generateToken.js';
+
+const refreshExpiry = () => {
+  const ttlDays = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+  return new Date(Date.now() + ttlDays * 24 * 60 * 60 * 1000);
+};
+
+const clientIp = (req) => {
+  const forwarded = String(req.headers['x-forwarded-for'] || '').split(',')[0].trim();
+  return forwarded || req.ip || '';
+};
+
+// How many rotated-out hashes a session remembers for reuse detection
+const ROTATED_HASHES_KEPT = 50;
+
+// Starts a new device session and returns the access/refresh token pair for it
+export const issueSession = async (user, req) => {
+  const sessionId = new mongoose.Types.ObjectId();
+  const refreshToken = generateRefreshToken(sessionId);
+  await Session.create({
+    _id: sessionId,
+    userId: user._id,
+    refreshTokenHash: hashToken(refreshToken),
+    deviceName: String(req.body?.deviceName || '').slice(0, 100),
+    userAgent: String(req.headers['user-agent'] || '').slice(0, 300),
+    ip: clientIp(req),
+    expiresAt: refreshExpiry(),
+  });
+  return {
+    token: generateToken(user._id, user.email, sessionId, user.role),
+    refreshToken,
+  };
+};
+
+// Exchanges a refresh token for a new pair. Each refresh token is single-use:
+// the swap is one conditional update, so two requests racing with the same
+// token cannot both win. Presenting a token the session already rotated out
+// revokes the whole session, since it means the token was copied off the device.
+export const rotateSession = async (refreshToken, req) => {
+  const [sessionId] = String(refreshToken || '').split('.');
+  if (!sessionId || !mongoose.Types.ObjectId.isValid(sessionId)) return null;
+
+  const presented = hashToken(refreshToken);
+  const nextRefreshToken = generateRefreshToken(sessionId);
+  const session = await Session.findOneAndUpdate(
+    { _id: sessionId, refreshTokenHash: presented, revokedAt: null, expiresAt: { $gt: new Date() } },
+    {
+      $set: {
+        refreshTokenHash: hashToken(nextRefreshToken),
+        lastUsedAt: new Date(),
+        expiresAt: refreshExpiry(),
+        ip: clientIp(req),
+      },
+      $push: { rotatedTokenHashes: { $each: [presented], $slice: -ROTATED_HASHES_KEPT } },
+    },
+    { new: true }
+  );
+
+  if (!session) {
+    const reused = await Session.findOneAndUpdate(
+      { _id: sessionId, rotatedTokenHashes: presented, revokedAt: null },
+      { $set: { revokedAt: new Date() } }
+    );
+    if (reused) console.warn(`Refresh token reuse detected; revoked session ${sessionId}`);
+    return null;
+  }
+
+  const user = await User.findById(session.userId).select('email role');
+  if (!user) return null;
+
+  return {
+    token: generateToken(user._id, user.email, session._id, user.role),
+    refreshToken: nextRefreshToken,
+  };
+};
+
+export const isSessionActive = async (sessionId, userId) => {
+  if (!sessionId || !mongoose.Types.ObjectId.isValid(sessionId)) return false;
+  const found = await Session.exists({
+    _id: sessionId,
+    userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  });
+  return Boolean(found);
+};
@@ -0,0 +1,21 @@
+// Server-Sent Events over an Express response. Data is JSON encoded, so every
+// event is a single `data:` line. Once the stream is open errors can no longer
+// go through errorHandler as JSON; send them as an `error` event instead.
+export const openEventStream = (res) => {
+  res.status(200).set({
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    // Stop nginx from buffering the whole response
+    'X-Accel-Buffering': 'no',
+  });
+  res.flushHeaders();
+  return {
+    send: (event, data) => {
+      if (!res.writableEnded) res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    },
+    close: () => {
+      if (!res.writableEnded) res.end();
+    },
+  };
+};
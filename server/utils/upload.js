@@ -1,6 +1,7 @@
 import multer from 'multer';
 import path from 'path';
 import fs from 'fs';
+import { ApiError } from './apiError.js';
 
 const uploadsRoot = path.join(process.cwd(), 'uploads');
 
@@ -42,5 +43,21 @@ export const createPlannerUpload = () => {
   });
 };
 
+export const AVATAR_MAX_BYTES = 5 * 1024 * 1024;
+export const AVATAR_MIME_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/gif'];
+
+// Avatars are kept in memory: they are re-encoded by utils/avatars.js and the
+// original upload is never written to disk
+export const createAvatarUpload = () => {
+  return multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: AVATAR_MAX_BYTES, files: 1 },
+    fileFilter: (req, file, cb) => {
+      if (AVATAR_MIME_TYPES.includes(file.mimetype)) return cb(null, true);
+      cb(new ApiError(415, 'UNSUPPORTED_FILE_TYPE', 'Avatar must be a JPEG, PNG, WebP or GIF image'));
+    },
+  });
+};
+
 export { uploadsRoot };
 
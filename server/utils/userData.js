@@ -0,0 +1,132 @@
+import fs from 'fs';
+import path from 'path';
+import archiver from 'archiver';
+import User from '../models/User.js';
+import Journal from '../models/Journal.js';
+import JournalVersion from '../models/JournalVersion.js';
+import JournalKey from '../models/JournalKey.js';
+import MoodCheckIn from '../models/MoodCheckIn.js';
+import ChatMessage from '../models/ChatMessage.js';
+import ChatSummary from '../models/ChatSummary.js';
+import Conversation from '../models/Conversation.js';
+import RiskEvent from '../models/RiskEvent.js';
+import ChatFeedback from '../models/ChatFeedback.js';
+import ChatReport from '../models/ChatReport.js';
+import Exercise from '../models/Exercise.js';
+import StudyPlan from '../models/StudyPlan.js';
+import AcademicSubject from '../models/AcademicSubject.js';
+import AcademicNote from '../models/AcademicNote.js';
+import Session from '../models/Session.js';
+import AuthCode from '../models/AuthCode.js';
+import Blog from '../models/Blog.js';
+import { uploadsRoot } from './upload.js';
+import { avatarDir } from './avatars.js';
+
+// Every collection holding per-user documents. Export and account deletion both
+// walk this list, so a new user-owned model only needs to be registered here.
+// `exported: false` marks internal bookkeeping that is deleted but not exported.
+export const USER_DATA_COLLECTIONS = [
+  { name: 'journals', model: Journal },
+  { name: 'journal-versions', model: JournalVersion },
+  { name: 'journal-keys', model: JournalKey, omit: ['verifierHash'] },
+  { name: 'mood-checkins', model: MoodCheckIn },
+  { name: 'conversations', model: Conversation },
+  { name: 'chat-messages', model: ChatMessage },
+  { name: 'chat-summaries', model: ChatSummary },
+  { name: 'risk-events', model: RiskEvent },
+  { name: 'chat-feedback', model: ChatFeedback },
+  { name: 'chat-reports', model: ChatReport, omit: ['reviewedBy'] },
+  { name: 'exercises', model: Exercise },
+  { name: 'study-plans', model: StudyPlan },
+  { name: 'academic-subjects', model: AcademicSubject },
+  { name: 'academic-notes', model: AcademicNote, omit: ['filePath'] },
+  { name: 'sessions', model: Session, exported: false },
+  { name: 'auth-codes', model: AuthCode, exported: false },
+];
+
+export const userUploadDirs = (userId) => [
+  { archivePath: 'uploads/planner', dir: path.join(uploadsRoot, 'planner', String(userId)) },
+  { archivePath: 'uploads/avatars', dir: avatarDir(userId) },
+];
+
+const USER_EXPORT_FIELDS =
+  'name email emailVerified role age gender phone emergencyContactName emergencyContactPhone concerns avatarUrl avatarThumbnails language chatRetention createdAt updatedAt';
+
+const withoutFields = (doc, fields = []) => {
+  const copy = { ...doc };
+  for (const f of fields) delete copy[f];
+  return copy;
+};
+
+// Streams a zip archive with one JSON file per collection plus the user's uploads
+export const streamUserExport = async (userId, res) => {
+  const user = await User.findById(userId).select(USER_EXPORT_FIELDS).lean();
+  if (!user) return false;
+
+  const archive = archiver('zip', { zlib: { level: 9 } });
+  archive.on('warning', (err) => console.warn('Export archive warning:', err.message));
+  archive.on('error', (err) => {
+    console.error('Export archive error:', err);
+    res.destroy(err);
+  });
+
+  const stamp = new Date().toISOString().slice(0, 10);
+  res.setHeader('Content-Type', 'application/zip');
+  res.setHeader('Content-Disposition', `attachment; filename="mindmate-export-${stamp}.zip"`);
+  archive.pipe(res);
+
+  archive.append(JSON.stringify(user, null, 2), { name: 'user.json' });
+  for (const entry of USER_DATA_COLLECTIONS) {
+    if (entry.exported === false) continue;
+    const docs = await entry.model.find({ userId }).lean();
+    const cleaned = docs.map((d) => withoutFields(d, entry.omit));
+    archive.append(JSON.stringify(cleaned, null, 2), { name: `${entry.name}.json` });
+  }
+  for (const { archivePath, dir } of userUploadDirs(userId)) {
+    if (fs.existsSync(dir)) archive.directory(dir, archivePath);
+  }
+
+  await archive.finalize();
+  return true;
+};
+
+// Byline left on blogs whose author deleted their account
+const ANONYMOUS_AUTHOR = 'Anonymous';
+
+// Irreversibly removes the user, every registered collection and their upload
+// folders. Shared content outlives the account: their likes are withdrawn and
+// blogs they published stay up without their name.
+export const purgeUserData = async (userId) => {
+  for (const entry of USER_DATA_COLLECTIONS) {
+    await entry.model.deleteMany({ userId });
+  }
+  await Blog.updateMany({ likedBy: userId }, { $pull: { likedBy: userId }, $inc: { likes: -1 } });
+  await Blog.updateMany({ createdBy: userId }, { $set: { author: ANONYMOUS_AUTHOR }, $unset: { createdBy: 1 } });
+  for (const { dir } of userUploadDirs(userId)) {
+    await fs.promises.rm(dir, { recursive: true, force: true });
+  }
+  await User.deleteOne({ _id: userId });
+};
+
+export const deletionGraceDays = () => Number(process.env.ACCOUNT_DELETION_GRACE_DAYS) || 14;
+
+const purgeDueAccounts = async () => {
+  const due = await User.find({ deletionScheduledFor: { $lte: new Date() } }).select('_id').lean();
+  for (const { _id } of due) {
+    try {
+      await purgeUserData(_id);
+      console.log(`Purged account ${_id} after deletion grace period`);
+    } catch (err) {
+      console.error(`Failed to purge account ${_id}:`, err?.message);
+    }
+  }
+};
+
+// Hourly sweep for accounts whose deletion grace period has ended
+export const startAccountPurgeJob = (intervalMs = 60 * 60 * 1000) => {
+  const run = () => purgeDueAccounts().catch((err) => console.error('Account purge job error:', err?.message));
+  const timer = setInterval(run, intervalMs);
+  timer.unref();
+  run();
+  return timer;
+};
@@ -0,0 +1,241 @@
+import mongoose from 'mongoose';
+import ChatMessage from '../models/ChatMessage.js';
+import Journal from '../models/Journal.js';
+import Exercise from '../models/Exercise.js';
+import MoodCheckIn, { moodCheckInScore } from '../models/MoodCheckIn.js';
+import { badRequest } from './apiError.js';
+import { EXERCISE_FLOWS, exerciseScore } from './exerciseFlows.js';
+
+// Wellbeing analytics over any date range: everything the user did that says
+// something about how they feel becomes a point { at, mood, score }, and the
+// points are bucketed by day, week or month in the user's local time.
+//
+// `score` runs from -1 (very low) to 1 (very good) and is null when a point
+// says nothing either way. Chat messages and journal entries are scored from
+// their classified mood (utils/moodClassification.js); exercises and mood
+// check-ins from the user's own ratings in them.
+//
+// Every source is registered in ANALYTICS_SOURCES; a new kind of data only
+// needs a loader there.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// How good each mood is; intensity scales it between half and full strength
+const MOOD_VALENCE = {
+  positive: 1,
+  neutral: 0,
+  tired: -0.5,
+  negative: -1,
+  anxious: -1,
+  sad: -1,
+  angry: -1,
+  stressed: -1,
+};
+
+export const moodScore = (mood, intensity) => {
+  const valence = MOOD_VALENCE[mood];
+  if (valence === undefined) return null;
+  return valence * (typeof intensity === 'number' ? 0.5 + intensity / 2 : 1);
+};
+
+const objectIdOf = (userId) => new mongoose.Types.ObjectId(String(userId));
+
+// Loaders resolve with the points of one user between two instants
+export const ANALYTICS_SOURCES = {
+  chat: async (userId, start, end) => {
+    const messages = await ChatMessage.find({ userId: objectIdOf(userId), role: 'user', createdAt: { $gte: start, $lt: end } })
+      .select('createdAt mood moodIntensity')
+      .lean();
+    return messages.map((m) => ({ at: m.createdAt, mood: m.mood, score: moodScore(m.mood, m.moodIntensity) }));
+  },
+  journal: async (userId, start, end) => {
+    const journals = await Journal.find({ userId, writtenAt: { $gte: start, $lt: end } })
+      .select('writtenAt mood moodIntensity')
+      .lean();
+    return journals.map((j) => ({ at: j.writtenAt, mood: j.mood, score: moodScore(j.mood, j.moodIntensity) }));
+  },
+  exercise: async (userId, start, end) => {
+    const exercises = await Exercise.find({ userId, status: 'completed', completedAt: { $gte: start, $lt: end } })
+      .select('flow answers completedAt')
+      .lean();
+    return exercises.map((e) => ({
+      at: e.completedAt,
+      mood: null,
+      score: EXERCISE_FLOWS[e.flow] ? exerciseScore(EXERCISE_FLOWS[e.flow], e.answers) : null,
+    }));
+  },
+  checkin: async (userId, start, end) => {
+    const checkIns = await MoodCheckIn.find({ userId, checkedInAt: { $gte: start, $lt: end } })
+      .select('checkedInAt mood')
+      .lean();
+    return checkIns.map((c) => ({ at: c.checkedInAt, mood: null, score: moodCheckInScore(c.mood) }));
+  },
+};
+
+export const ANALYTICS_SOURCE_NAMES = Object.keys(ANALYTICS_SOURCES);
+export const GRANULARITIES = ['day', 'week', 'month'];
+
+const TIMES_OF_DAY = [
+  ['night', 0],
+  ['morning', 6],
+  ['afternoon', 12],
+  ['evening', 18],
+];
+const WEEKDAYS = ['mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun'];
+
+// Trends smaller than this over the whole range count as steady
+const TREND_THRESHOLD = 0.1;
+const MIN_TREND_PERIODS = 3;
+
+export const round = (n) => (n == null ? null : Math.round(n * 100) / 100);
+
+const DEFAULT_RANGE_DAYS = 30;
+// Longest range per granularity, so a series stays chartable
+const MAX_RANGE_DAYS = { day: 366, week: 3 * 366, month: 5 * 366 };
+
+const isoDay = (ms) => new Date(ms).toISOString().slice(0, 10);
+
+// Fills in and checks the local day range of a query: `to` defaults to today
+// and `from` to 29 days before it. Throws 400 for ranges too long to chart.
+export const resolveRange = ({ from, to, granularity, tzOffset }) => {
+  const last = to || isoDay(Date.now() - tzOffset * 60 * 1000);
+  const first = from || isoDay(Date.parse(last) - (DEFAULT_RANGE_DAYS - 1) * DAY_MS);
+  const days = (Date.parse(last) - Date.parse(first)) / DAY_MS + 1;
+  if (days < 1) throw badRequest('`from` must not be after `to`');
+  if (days > MAX_RANGE_DAYS[granularity]) {
+    throw badRequest(`Ranges of more than ${MAX_RANGE_DAYS[granularity]} days need a coarser granularity`);
+  }
+  return { from: first, to: last };
+};
+
+// `tzOffset` is minutes behind UTC, as Date#getTimezoneOffset() gives it
+// (IST is -330), the same as the chat history endpoints take
+export const localDate = (at, tzOffset) => new Date(new Date(at).getTime() - tzOffset * 60 * 1000);
+const dayKey = (local) => local.toISOString().slice(0, 10);
+
+// The instants local days `from` to `to` (inclusive) start and end at
+export const rangeBounds = (from, to, tzOffset) => ({
+  start: new Date(Date.parse(`${from}T00:00:00Z`) + tzOffset * 60 * 1000),
+  end: new Date(Date.parse(`${to}T00:00:00Z`) + DAY_MS + tzOffset * 60 * 1000),
+});
+
+// The key of the period a local date falls in; weeks start on Monday
+export const periodKey = (local, granularity) => {
+  if (granularity === 'month') return dayKey(local).slice(0, 7);
+  if (granularity === 'week') {
+    const monday = new Date(local.getTime() - ((local.getUTCDay() + 6) % 7) * DAY_MS);
+    return dayKey(monday);
+  }
+  return dayKey(local);
+};
+
+// Every period key of the range in order, empty ones included so charts keep their spacing
+export const periodKeys = (from, to, granularity) => {
+  const keys = new Set();
+  for (let t = Date.parse(from); t <= Date.parse(to); t += DAY_MS) keys.add(periodKey(new Date(t), granularity));
+  return [...keys];
+};
+
+// Running count and score total, averaged on the way out
+const tally = () => ({ count: 0, scored: 0, total: 0 });
+const addTo = (t, score) => {
+  t.count += 1;
+  if (score != null) {
+    t.scored += 1;
+    t.total += score;
+  }
+};
+const summarize = (t) => ({ count: t.count, score: t.scored ? round(t.total / t.scored) : null });
+
+// Least squares slope of the period scores, per period
+const trendOf = (series) => {
+  const points = series.map((p, i) => [i, p.score]).filter(([, score]) => score != null);
+  if (points.length < MIN_TREND_PERIODS) return { direction: null, slope: null, change: null };
+  const n = points.length;
+  const meanX = points.reduce((s, [x]) => s + x, 0) / n;
+  const meanY = points.reduce((s, [, y]) => s + y, 0) / n;
+  const sxx = points.reduce((s, [x]) => s + (x - meanX) ** 2, 0);
+  const slope = points.reduce((s, [x, y]) => s + (x - meanX) * (y - meanY), 0) / sxx;
+  const change = slope * (points[n - 1][0] - points[0][0]);
+  const direction = change > TREND_THRESHOLD ? 'improving' : change < -TREND_THRESHOLD ? 'declining' : 'steady';
+  return { direction, slope: round(slope), change: round(change) };
+};
+
+// Runs of consecutive active days within the range. The current streak ends on
+// the last day of the range, or the day before if nothing happened on it yet.
+export const streaksOf = (activeDays, from, to) => {
+  let longest = 0;
+  let run = 0;
+  for (let t = Date.parse(from); t <= Date.parse(to); t += DAY_MS) {
+    run = activeDays.has(dayKey(new Date(t))) ? run + 1 : 0;
+    longest = Math.max(longest, run);
+  }
+  let current = 0;
+  let t = Date.parse(to);
+  if (!activeDays.has(dayKey(new Date(t)))) t -= DAY_MS;
+  while (t >= Date.parse(from) && activeDays.has(dayKey(new Date(t)))) {
+    current += 1;
+    t -= DAY_MS;
+  }
+  const days = [...activeDays].sort();
+  return { current, longest, activeDays: activeDays.size, lastActiveDay: days[days.length - 1] || null };
+};
+
+// Analytics for `userId` from local day `from` to `to` (YYYY-MM-DD, inclusive)
+export const wellbeingAnalytics = async (userId, { from, to, granularity, tzOffset, sources }) => {
+  const { start, end } = rangeBounds(from, to, tzOffset);
+  const loaded = await Promise.all(sources.map((name) => ANALYTICS_SOURCES[name](userId, start, end)));
+
+  const periods = new Map(
+    periodKeys(from, to, granularity).map((key) => [
+      key,
+      { all: tally(), moods: {}, bySource: Object.fromEntries(sources.map((s) => [s, tally()])) },
+    ])
+  );
+
+  const overall = tally();
+  const bySource = Object.fromEntries(sources.map((s) => [s, tally()]));
+  const moods = {};
+  const timeOfDay = Object.fromEntries(TIMES_OF_DAY.map(([name]) => [name, tally()]));
+  const weekdays = Object.fromEntries(WEEKDAYS.map((name) => [name, tally()]));
+  const activeDays = new Set();
+
+  sources.forEach((source, i) => {
+    for (const point of loaded[i]) {
+      const local = localDate(point.at, tzOffset);
+      const period = periods.get(periodKey(local, granularity));
+      if (!period) continue;
+      addTo(overall, point.score);
+      addTo(bySource[source], point.score);
+      addTo(period.all, point.score);
+      addTo(period.bySource[source], point.score);
+      if (point.mood && point.mood !== 'unknown') {
+        moods[point.mood] = (moods[point.mood] || 0) + 1;
+        period.moods[point.mood] = (period.moods[point.mood] || 0) + 1;
+      }
+      const hour = local.getUTCHours();
+      addTo(timeOfDay[TIMES_OF_DAY.filter(([, startHour]) => hour >= startHour).pop()[0]], point.score);
+      addTo(weekdays[WEEKDAYS[(local.getUTCDay() + 6) % 7]], point.score);
+      activeDays.add(dayKey(local));
+    }
+  });
+
+  const series = [...periods].map(([period, p]) => ({
+    period,
+    ...summarize(p.all),
+    moods: p.moods,
+    bySource: Object.fromEntries(sources.map((s) => [s, summarize(p.bySource[s])])),
+  }));
+
+  return {
+    range: { from, to, granularity, tzOffset, sources },
+    overall: summarize(overall),
+    bySource: Object.fromEntries(sources.map((s) => [s, summarize(bySource[s])])),
+    moods,
+    series,
+    trend: trendOf(series),
+    streaks: streaksOf(activeDays, from, to),
+    timeOfDay: TIMES_OF_DAY.map(([name, startHour]) => ({ name, startHour, ...summarize(timeOfDay[name]) })),
+    weekdays: WEEKDAYS.map((name) => ({ name, ...summarize(weekdays[name]) })),
+  };
+};